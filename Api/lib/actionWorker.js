@@ -0,0 +1,110 @@
+const os = require('os');
+
+// Server-side executor for public.meeting_actions (see Api/worker.js).
+// Each tick first closes actions that waited too long, then claims a batch with a lease
+// (claim_meeting_actions) and runs them one by one. Failures are retried with backoff until
+// ACTIONS_MAX_ATTEMPTS; a worker that dies mid-action loses its lease and another one picks it up.
+//   ACTIONS_POLL_INTERVAL_MS    - how often to look for work (default 2000)
+//   ACTIONS_HOST_GRACE_SECONDS  - leave new actions to an open host tab for this long (default 5)
+//   ACTIONS_LEASE_SECONDS       - how long a claim is held before it can be taken over (default 60)
+//   ACTIONS_MAX_ATTEMPTS        - attempts before an action is marked as error (default 5)
+//   ACTIONS_MAX_AGE_SECONDS     - pending actions older than this are expired (default 120)
+const ACTIONS_POLL_INTERVAL_MS = parseInt(process.env.ACTIONS_POLL_INTERVAL_MS || '2000', 10);
+const ACTIONS_HOST_GRACE_SECONDS = parseInt(process.env.ACTIONS_HOST_GRACE_SECONDS || '5', 10);
+const ACTIONS_LEASE_SECONDS = parseInt(process.env.ACTIONS_LEASE_SECONDS || '60', 10);
+const ACTIONS_MAX_ATTEMPTS = parseInt(process.env.ACTIONS_MAX_ATTEMPTS || '5', 10);
+const ACTIONS_MAX_AGE_SECONDS = parseInt(process.env.ACTIONS_MAX_AGE_SECONDS || '120', 10);
+
+const BATCH_SIZE = 10;
+
+/**
+ * Create the meeting_actions worker.
+ * @param {{ supabase: object, execute: (action: object) => Promise<void>, types: string[], workerId?: string }} deps
+ *   execute throws to fail an action; errors with `retryable: false` are not retried.
+ */
+function createActionWorker({ supabase, execute, types, workerId = `${os.hostname()}:${process.pid}` }) {
+  let timer = null;
+  let current = null;
+
+  async function complete(action, update) {
+    const { error } = await supabase
+      .from('meeting_actions')
+      .update({ ...update, lease_owner: null, lease_expires_at: null, secret_payload: null })
+      .eq('id', action.id)
+      // Only the lease holder may finish the action; a late worker must not overwrite a newer claim
+      .eq('lease_owner', workerId)
+      .eq('status', 'processing');
+    if (error) console.error(`[actions] Failed to record result for ${action.id}:`, error.message);
+  }
+
+  async function runAction(action) {
+    try {
+      await execute(action);
+      await complete(action, { status: 'done', error: null, processed_at: new Date().toISOString() });
+    } catch (err) {
+      const message = String(err?.message || err).slice(0, 1000);
+      const giveUp = err?.retryable === false || action.attempts >= ACTIONS_MAX_ATTEMPTS;
+      if (giveUp) {
+        await complete(action, { status: 'error', error: message, processed_at: new Date().toISOString() });
+      } else {
+        // Back off 2, 4, 8, 16 seconds between attempts
+        await complete(action, {
+          status: 'pending',
+          error: message,
+          next_attempt_at: new Date(Date.now() + 1000 * 2 ** action.attempts).toISOString()
+        });
+      }
+    }
+  }
+
+  async function tick() {
+    const { error: expireError } = await supabase.rpc('expire_meeting_actions', {
+      p_max_age_seconds: ACTIONS_MAX_AGE_SECONDS,
+      p_max_attempts: ACTIONS_MAX_ATTEMPTS
+    });
+    if (expireError) throw expireError;
+
+    if (types.length === 0) return 0;
+    const { data: actions, error } = await supabase.rpc('claim_meeting_actions', {
+      p_worker: workerId,
+      p_types: types,
+      p_limit: BATCH_SIZE,
+      p_lease_seconds: ACTIONS_LEASE_SECONDS,
+      p_grace_seconds: ACTIONS_HOST_GRACE_SECONDS,
+      p_max_attempts: ACTIONS_MAX_ATTEMPTS
+    });
+    if (error) throw error;
+
+    for (const action of actions || []) {
+      await runAction(action);
+    }
+    return (actions || []).length;
+  }
+
+  async function runOnce() {
+    if (current) return current;
+    current = tick()
+      .catch(err => console.error('[actions] Worker tick failed:', err?.message || err))
+      .finally(() => { current = null; });
+    return current;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(runOnce, ACTIONS_POLL_INTERVAL_MS);
+    runOnce();
+  }
+
+  // Stop polling and wait for the action in flight, so shutdown never strands a lease mid-call
+  async function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    if (current) await current;
+  }
+
+  return { runOnce, start, stop, workerId };
+}
+
+module.exports = {
+  createActionWorker
+};
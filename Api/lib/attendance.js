@@ -0,0 +1,102 @@
+// Attendance reports built from public.meeting_attendance (one row per Jitsi session).
+// Sessions without left_at are still open, or their leave was never reported (tab closed
+// with no host or admin in the room); they count as attended but have no duration.
+
+const CSV_COLUMNS = [
+  ['displayName', 'Display name'],
+  ['email', 'Email'],
+  ['role', 'Role'],
+  ['joinedAt', 'Joined at'],
+  ['leftAt', 'Left at'],
+  ['durationMinutes', 'Duration (minutes)'],
+  ['participantId', 'Participant ID']
+];
+
+function sessionSeconds(row) {
+  if (!row.left_at) return null;
+  return Math.max(0, Math.round((new Date(row.left_at) - new Date(row.joined_at)) / 1000));
+}
+
+// Rejoins produce several sessions per person: group by signed-in user, else by display name
+function attendeeKey(row) {
+  return row.user_uid ? `user:${row.user_uid}` : `name:${(row.display_name || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Turn meeting_attendance rows into per-session and per-person summaries.
+ * @param {object[]} rows meeting_attendance rows, oldest first
+ * @param {Map<string, string>} [emailsByUid] users.email keyed by uid, for linked sessions
+ * @returns {{ sessions: object[], attendees: object[] }}
+ */
+function buildAttendanceReport(rows, emailsByUid = new Map()) {
+  const sessions = rows.map(row => {
+    const seconds = sessionSeconds(row);
+    return {
+      participantId: row.participant_id,
+      displayName: row.display_name || '',
+      userUid: row.user_uid || null,
+      email: (row.user_uid && emailsByUid.get(row.user_uid)) || null,
+      role: row.role,
+      joinedAt: row.joined_at,
+      leftAt: row.left_at || null,
+      durationSeconds: seconds
+    };
+  });
+
+  const byKey = new Map();
+  rows.forEach((row, index) => {
+    const session = sessions[index];
+    const key = attendeeKey(row);
+    const attendee = byKey.get(key) || {
+      displayName: session.displayName,
+      userUid: session.userUid,
+      email: session.email,
+      role: session.role,
+      firstJoinedAt: session.joinedAt,
+      lastLeftAt: session.leftAt,
+      totalSeconds: 0,
+      sessions: 0,
+      hasOpenSession: false
+    };
+    attendee.sessions += 1;
+    attendee.totalSeconds += session.durationSeconds || 0;
+    attendee.hasOpenSession = attendee.hasOpenSession || !session.leftAt;
+    if (session.role === 'host' || (session.role === 'admin' && attendee.role === 'participant')) attendee.role = session.role;
+    if (new Date(session.joinedAt) < new Date(attendee.firstJoinedAt)) attendee.firstJoinedAt = session.joinedAt;
+    if (session.leftAt && (!attendee.lastLeftAt || new Date(session.leftAt) > new Date(attendee.lastLeftAt))) attendee.lastLeftAt = session.leftAt;
+    byKey.set(key, attendee);
+  });
+
+  return { sessions, attendees: Array.from(byKey.values()) };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating names like "=HYPERLINK(...)"
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render the sessions of a report as CSV (one line per join).
+ * @param {{ sessions: object[] }} report
+ * @returns {string}
+ */
+function attendanceToCsv(report) {
+  const lines = [CSV_COLUMNS.map(([, header]) => csvCell(header)).join(',')];
+  report.sessions.forEach(session => {
+    const values = {
+      ...session,
+      durationMinutes: session.durationSeconds === null ? '' : (session.durationSeconds / 60).toFixed(1)
+    };
+    lines.push(CSV_COLUMNS.map(([key]) => csvCell(values[key])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  attendanceToCsv,
+  buildAttendanceReport,
+  csvCell
+};
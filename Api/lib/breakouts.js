@@ -0,0 +1,80 @@
+// Breakout rooms: the saved room plan (meetings.breakout_plan) and the host's message and countdown
+// for every room. The rooms themselves live in Jitsi.
+
+const MAX_ROOMS = 50;
+const MAX_MEMBERS = 200;
+const NAME_MAX_LENGTH = 100;
+const MESSAGE_MAX_LENGTH = 500;
+const MAX_TIMER_MINUTES = 24 * 60;
+
+/**
+ * Validate a room plan to save for the next session.
+ * @param {unknown} value { rooms: [{ name, members: string[] }] } (members are display names)
+ * @returns {{ plan?: { rooms: object[] }, error?: string }}
+ */
+function parseBreakoutPlan(value) {
+  const rooms = value?.rooms;
+  if (!Array.isArray(rooms) || rooms.length === 0) return { error: 'rooms must be a non-empty array' };
+  if (rooms.length > MAX_ROOMS) return { error: `At most ${MAX_ROOMS} breakout rooms` };
+
+  const plan = [];
+  for (const raw of rooms) {
+    const name = typeof raw?.name === 'string' ? raw.name.trim() : '';
+    if (!name) return { error: 'Every breakout room needs a name' };
+    if (name.length > NAME_MAX_LENGTH) return { error: `Room names must be at most ${NAME_MAX_LENGTH} characters` };
+    if (plan.some(room => room.name.toLowerCase() === name.toLowerCase())) return { error: `Room names must be different (${name})` };
+
+    const members = Array.isArray(raw.members)
+      ? Array.from(new Set(raw.members.filter(member => typeof member === 'string').map(member => member.trim().slice(0, NAME_MAX_LENGTH)).filter(Boolean)))
+      : [];
+    if (members.length > MAX_MEMBERS) return { error: `At most ${MAX_MEMBERS} people per room` };
+    plan.push({ name, members });
+  }
+  return { plan: { rooms: plan } };
+}
+
+/**
+ * Validate a message for every room.
+ * @param {unknown} value
+ * @returns {{ message?: string, error?: string }}
+ */
+function parseBreakoutMessage(value) {
+  const message = typeof value === 'string' ? value.trim() : '';
+  if (!message) return { error: 'message is required' };
+  if (message.length > MESSAGE_MAX_LENGTH) return { error: `message must be at most ${MESSAGE_MAX_LENGTH} characters` };
+  return { message };
+}
+
+/**
+ * Turn a countdown length into its end time; null minutes stop the countdown.
+ * @param {unknown} minutes
+ * @param {Date} [now]
+ * @returns {{ endsAt?: string|null, error?: string }}
+ */
+function parseBreakoutTimer(minutes, now = new Date()) {
+  if (minutes === null || minutes === undefined) return { endsAt: null };
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_TIMER_MINUTES) {
+    return { error: `minutes must be a whole number between 1 and ${MAX_TIMER_MINUTES}` };
+  }
+  return { endsAt: new Date(now.getTime() + minutes * 60 * 1000).toISOString() };
+}
+
+/**
+ * Shape the meeting's breakout columns for the client.
+ * @param {object} meeting
+ * @returns {{ plan: object|null, message: { text: string, sentAt: string }|null, endsAt: string|null }}
+ */
+function toClientBreakouts(meeting) {
+  return {
+    plan: meeting.breakout_plan || null,
+    message: meeting.breakout_message ? { text: meeting.breakout_message, sentAt: meeting.breakout_message_at } : null,
+    endsAt: meeting.breakout_ends_at || null
+  };
+}
+
+module.exports = {
+  parseBreakoutMessage,
+  parseBreakoutPlan,
+  parseBreakoutTimer,
+  toClientBreakouts
+};
@@ -0,0 +1,59 @@
+// In-meeting chat (public.meeting_messages): what a reader may see, and the history exports.
+
+const MESSAGE_MAX_LENGTH = 4000;
+
+/**
+ * Whether a reader may see a message. Public messages are for everyone; private ones only for
+ * their sender and recipient, recognised by participant id or, across rejoins, by user uid.
+ * @param {object} row meeting_messages row
+ * @param {{ participantId?: string | null, userUid?: string | null }} reader
+ * @returns {boolean}
+ */
+function canReadMessage(row, { participantId, userUid }) {
+  if (!row.recipient_participant_id) return true;
+  const mine = (id, uid) => (participantId && id === participantId) || (userUid && uid === userUid);
+  return !!(mine(row.sender_participant_id, row.sender_uid) || mine(row.recipient_participant_id, row.recipient_uid));
+}
+
+/**
+ * Shape a meeting_messages row for clients. Deleted messages keep their place without their body.
+ * @param {object} row
+ * @returns {object}
+ */
+function toClientMessage(row) {
+  const deleted = !!row.deleted_at;
+  return {
+    id: row.id,
+    senderParticipantId: row.sender_participant_id,
+    senderName: row.sender_name || 'Guest',
+    recipientParticipantId: row.recipient_participant_id || null,
+    recipientName: row.recipient_participant_id ? (row.recipient_name || 'Guest') : null,
+    isPrivate: !!row.recipient_participant_id,
+    body: deleted ? null : row.body,
+    deleted,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Render messages as plain text, one line each, for the history download.
+ * @param {{ name: string }} meeting
+ * @param {object[]} messages toClientMessage() results, oldest first
+ * @returns {string}
+ */
+function messagesToText(meeting, messages) {
+  const lines = [`Chat history: ${meeting.name}`, ''];
+  messages.forEach(message => {
+    const to = message.isPrivate ? ` → ${message.recipientName} (private)` : '';
+    const text = message.deleted ? '[message deleted]' : message.body.replace(/\r?\n/g, '\n    ');
+    lines.push(`[${message.createdAt}] ${message.senderName}${to}: ${text}`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  MESSAGE_MAX_LENGTH,
+  canReadMessage,
+  messagesToText,
+  toClientMessage
+};
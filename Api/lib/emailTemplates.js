@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+
+// Email templates for meeting notifications. Placeholders look like {{meetingName}}.
+// To customise, point MAIL_TEMPLATES_DIR at a folder containing any of
+//   <kind>.subject.txt, <kind>.txt, <kind>.html
+// for kind = invitation | reminder | update | cancellation. Missing files fall back to the defaults below.
+//
+// Available placeholders: meetingName, meetingPurpose, startTime, timeZone, joinUrl, hostName,
+// passwordHint, recurrence, reminderLead (reminders only), recipient.
+const MAIL_TEMPLATES_DIR = process.env.MAIL_TEMPLATES_DIR || '';
+
+const DEFAULT_TEMPLATES = {
+  invitation: {
+    subject: 'Invitation: {{meetingName}} ({{startTime}})',
+    text: [
+      '{{hostName}} invited you to a meeting.',
+      '',
+      '{{meetingName}}',
+      'When: {{startTime}} ({{timeZone}})',
+      '{{recurrence}}',
+      '{{meetingPurpose}}',
+      '',
+      'Join: {{joinUrl}}',
+      '{{passwordHint}}',
+      '',
+      'The attached calendar file adds the meeting to your calendar.'
+    ].join('\n'),
+    html: [
+      '<p>{{hostName}} invited you to a meeting.</p>',
+      '<h2 style="margin:0 0 8px">{{meetingName}}</h2>',
+      '<p style="margin:0">When: {{startTime}} ({{timeZone}})</p>',
+      '<p style="margin:0">{{recurrence}}</p>',
+      '<p>{{meetingPurpose}}</p>',
+      '<p><a href="{{joinUrl}}" style="display:inline-block;padding:10px 18px;background:#2563eb;color:#fff;border-radius:8px;text-decoration:none">Join meeting</a></p>',
+      '<p style="color:#64748b">{{passwordHint}}</p>',
+      '<p style="color:#64748b;font-size:12px">The attached calendar file adds the meeting to your calendar.</p>'
+    ].join('\n')
+  },
+  reminder: {
+    subject: 'Reminder: {{meetingName}} starts {{reminderLead}}',
+    text: [
+      '{{meetingName}} starts {{reminderLead}}.',
+      'When: {{startTime}} ({{timeZone}})',
+      '',
+      'Join: {{joinUrl}}',
+      '{{passwordHint}}'
+    ].join('\n'),
+    html: [
+      '<p><strong>{{meetingName}}</strong> starts {{reminderLead}}.</p>',
+      '<p style="margin:0">When: {{startTime}} ({{timeZone}})</p>',
+      '<p><a href="{{joinUrl}}" style="display:inline-block;padding:10px 18px;background:#2563eb;color:#fff;border-radius:8px;text-decoration:none">Join meeting</a></p>',
+      '<p style="color:#64748b">{{passwordHint}}</p>'
+    ].join('\n')
+  },
+  update: {
+    subject: 'Updated: {{meetingName}} ({{startTime}})',
+    text: [
+      'The meeting "{{meetingName}}" has changed.',
+      '',
+      'When: {{startTime}} ({{timeZone}})',
+      '{{recurrence}}',
+      '{{meetingPurpose}}',
+      '',
+      'Join: {{joinUrl}}',
+      '',
+      'The attached calendar file updates the event in your calendar.'
+    ].join('\n'),
+    html: [
+      '<p>The meeting <strong>{{meetingName}}</strong> has changed.</p>',
+      '<p style="margin:0">When: {{startTime}} ({{timeZone}})</p>',
+      '<p style="margin:0">{{recurrence}}</p>',
+      '<p>{{meetingPurpose}}</p>',
+      '<p><a href="{{joinUrl}}">{{joinUrl}}</a></p>',
+      '<p style="color:#64748b;font-size:12px">The attached calendar file updates the event in your calendar.</p>'
+    ].join('\n')
+  },
+  cancellation: {
+    subject: 'Cancelled: {{meetingName}} ({{startTime}})',
+    text: [
+      'The meeting "{{meetingName}}" on {{startTime}} ({{timeZone}}) has been cancelled.',
+      '',
+      'The attached calendar file removes it from your calendar.'
+    ].join('\n'),
+    html: [
+      '<p>The meeting <strong>{{meetingName}}</strong> on {{startTime}} ({{timeZone}}) has been cancelled.</p>',
+      '<p style="color:#64748b;font-size:12px">The attached calendar file removes it from your calendar.</p>'
+    ].join('\n')
+  }
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function readOverride(kind, suffix) {
+  if (!MAIL_TEMPLATES_DIR) return null;
+  try {
+    return fs.readFileSync(path.join(MAIL_TEMPLATES_DIR, `${kind}${suffix}`), 'utf8');
+  } catch (_) {
+    return null;
+  }
+}
+
+function fill(template, vars, escape) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const value = vars[key] == null ? '' : String(vars[key]);
+    return escape ? escapeHtml(value) : value;
+  });
+}
+
+// Drop lines left empty by blank placeholders, keeping intentional paragraph breaks single
+function tidyText(text) {
+  return text
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Render a notification email. Template files are re-read on every call so edits apply without a restart.
+ * @param {'invitation' | 'reminder' | 'update' | 'cancellation'} kind
+ * @param {Record<string, string>} vars
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function renderEmail(kind, vars) {
+  const defaults = DEFAULT_TEMPLATES[kind];
+  if (!defaults) throw new Error(`Unknown email template "${kind}"`);
+
+  const subject = readOverride(kind, '.subject.txt') || defaults.subject;
+  const text = readOverride(kind, '.txt') || defaults.text;
+  const html = readOverride(kind, '.html') || defaults.html;
+
+  return {
+    subject: fill(subject, vars, false).replace(/\s+/g, ' ').trim(),
+    text: tidyText(fill(text, vars, false)),
+    html: fill(html, vars, true).replace(/<p[^>]*>\s*<\/p>\n?/g, '')
+  };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  renderEmail
+};
@@ -0,0 +1,40 @@
+const path = require('path');
+const fs = require('fs');
+const dotenv = require('dotenv');
+
+// Robust env loading: try several locations
+function ensureEnvLoaded() {
+  const loadedFiles = [];
+
+  function loadDotenv(filePath) {
+    if (!filePath) return;
+    if (!fs.existsSync(filePath)) return;
+    const result = dotenv.config({ path: filePath });
+    if (result && result.parsed) loadedFiles.push(filePath);
+  }
+
+  // Default .env in current working directory
+  dotenv.config();
+
+  const apiDir = path.resolve(__dirname, '..');
+  const candidates = [
+    path.resolve(apiDir, '.env'),
+    path.resolve(apiDir, '../.env'),
+    path.resolve(apiDir, 'env', 'server.env'),
+    path.resolve(apiDir, '../env', 'server.env')
+  ];
+
+  // Only try additional files if required vars missing
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    for (const candidate of candidates) {
+      if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) break;
+      loadDotenv(candidate);
+    }
+  }
+
+  return loadedFiles;
+}
+
+module.exports = {
+  ensureEnvLoaded
+};
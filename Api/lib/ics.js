@@ -0,0 +1,333 @@
+// iCalendar (RFC 5545) output for meetings: single-meeting downloads and per-user feeds.
+// Events that carry a time zone are written with TZID plus a matching VTIMEZONE built from
+// the runtime's tz database, so clients keep recurring meetings on local wall-clock time.
+
+const DEFAULT_DURATION_MINUTES = 60;
+const PRODID = '-//meet99//Meetings//EN';
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// Escape TEXT values (RFC 5545 §3.3.11)
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,');
+}
+
+// Fold content lines at 75 octets without splitting multi-byte characters
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  let limit = 75;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      limit = 74; // continuation lines start with a space
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Quote parameter values (e.g. CN) that contain separators
+function escapeParam(value) {
+  const clean = String(value).replace(/"/g, "'");
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+function formatUtc(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+const partsFormatters = new Map();
+
+// Wall-clock fields of an instant in the given IANA zone
+function getZonedParts(date, timeZone) {
+  let formatter = partsFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    partsFormatters.set(timeZone, formatter);
+  }
+  const parts = {};
+  formatter.formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+}
+
+function formatLocal(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+// UTC offset of the zone at an instant, in minutes
+function getOffsetMinutes(date, timeZone) {
+  const ms = new Date(date).getTime();
+  const p = getZonedParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+function getZoneAbbreviation(date, timeZone) {
+  try {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+      .formatToParts(new Date(date))
+      .find(part => part.type === 'timeZoneName');
+    return name ? name.value : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Offset changes of a zone between two years (inclusive), found by scanning daily
+// and then narrowing each change down to the minute.
+function findTransitions(timeZone, fromYear, toYear) {
+  const transitions = [];
+  const DAY = 24 * 60 * 60 * 1000;
+  const end = Date.UTC(toYear + 1, 0, 1);
+  let prevTime = Date.UTC(fromYear, 0, 1);
+  let prevOffset = getOffsetMinutes(prevTime, timeZone);
+
+  for (let t = prevTime + DAY; t <= end; t += DAY) {
+    const offset = getOffsetMinutes(t, timeZone);
+    if (offset !== prevOffset) {
+      let lo = prevTime;
+      let hi = t;
+      while (hi - lo > 60000) {
+        const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+        if (getOffsetMinutes(mid, timeZone) === prevOffset) lo = mid;
+        else hi = mid;
+      }
+      transitions.push({ at: hi, offsetFrom: prevOffset, offsetTo: offset });
+    }
+    prevTime = t;
+    prevOffset = offset;
+  }
+  return transitions;
+}
+
+/**
+ * Build a VTIMEZONE component covering the given years.
+ * Each offset change is written as its own STANDARD/DAYLIGHT observance rather than as an RRULE.
+ * @param {string} timeZone - IANA zone name
+ * @param {number} fromYear
+ * @param {number} toYear
+ * @returns {string[]} content lines
+ */
+function buildVTimezone(timeZone, fromYear, toYear) {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const start = Date.UTC(fromYear, 0, 1);
+  const initialOffset = getOffsetMinutes(start, timeZone);
+  const observance = (kind, dtstart, offsetFrom, offsetTo, at) => {
+    const name = getZoneAbbreviation(at, timeZone);
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${dtstart}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      ...(name && !/^(GMT|UTC)[+-]/.test(name) ? [`TZNAME:${name}`] : []),
+      `END:${kind}`
+    );
+  };
+
+  // The offset in force at the start of the range, then every change after it
+  const transitions = findTransitions(timeZone, fromYear, toYear);
+  const initialKind = transitions.length > 0 && transitions[0].offsetTo < initialOffset ? 'DAYLIGHT' : 'STANDARD';
+  observance(initialKind, `${fromYear}0101T000000`, initialOffset, initialOffset, start);
+
+  transitions.forEach(({ at, offsetFrom, offsetTo }) => {
+    // DTSTART is the local time of the change, read on the clock before it happens
+    const local = new Date(at + offsetFrom * 60000);
+    const dtstart = `${local.getUTCFullYear()}${pad(local.getUTCMonth() + 1)}${pad(local.getUTCDate())}T${pad(local.getUTCHours())}${pad(local.getUTCMinutes())}00`;
+    observance(offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD', dtstart, offsetFrom, offsetTo, at);
+  });
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+function isUtcZone(timeZone) {
+  return !timeZone || ['UTC', 'ETC/UTC', 'GMT', 'ETC/GMT'].includes(String(timeZone).toUpperCase());
+}
+
+// DTSTART-style property for an instant, local to the zone when there is one
+function dateProperty(name, date, timeZone) {
+  if (isUtcZone(timeZone)) return `${name}:${formatUtc(date)}`;
+  return `${name};TZID=${timeZone}:${formatLocal(date, timeZone)}`;
+}
+
+// RRULE UNTIL must be a UTC date-time when DTSTART is a date-time
+function toIcsRRule(rule) {
+  return String(rule).replace(/UNTIL=(\d{8})(?=;|$)/, 'UNTIL=$1T235959Z');
+}
+
+function buildDescription(meeting, { joinUrl }) {
+  const lines = [];
+  if (meeting.purpose) lines.push(meeting.purpose, '');
+  lines.push(`Join: ${joinUrl}`);
+  if (meeting.host_name) lines.push(`Host: ${meeting.host_name}`);
+  // Only a hash of the password is stored, so calendar files can just say that one is needed
+  if (meeting.has_password) lines.push('Password: required (ask the host)');
+  return lines.join('\n');
+}
+
+/**
+ * VEVENT lines for a meeting, plus one extra VEVENT per edited occurrence.
+ * Pass `occurrence` to emit only that occurrence of a recurring meeting (for update/cancel notices),
+ * and `organizer`/`attendees`/`sequence`/`status` when the file goes out as an email invitation.
+ * @param {object} meeting - meetings row (with recurrence columns)
+ * @param {{ joinUrl: string, uidDomain: string, overrides?: object[], durationMinutes?: number, stamp?: Date, sequence?: number, status?: 'CONFIRMED' | 'CANCELLED', organizer?: { name?: string, address: string }, attendees?: string[], occurrence?: { originalStart: string, start?: string, name?: string, purpose?: string } }} options
+ * @returns {string[]} content lines
+ */
+function buildMeetingEvents(meeting, {
+  joinUrl,
+  uidDomain,
+  overrides = [],
+  durationMinutes = DEFAULT_DURATION_MINUTES,
+  stamp = new Date(),
+  sequence = 0,
+  status,
+  organizer,
+  attendees = [],
+  occurrence
+}) {
+  const timeZone = meeting.recurrence_timezone || 'UTC';
+  const uid = `${meeting.id}@${uidDomain}`;
+  const common = [
+    `DTSTAMP:${formatUtc(stamp)}`,
+    `DURATION:PT${durationMinutes}M`,
+    `LOCATION:${escapeText(joinUrl)}`,
+    `URL:${joinUrl}`,
+    `SEQUENCE:${sequence}`,
+    ...(status ? [`STATUS:${status}`] : []),
+    ...(organizer
+      ? [`ORGANIZER${organizer.name ? `;CN=${escapeParam(organizer.name)}` : ''}:mailto:${organizer.address}`]
+      : []),
+    ...attendees.map(email => `ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=FALSE:mailto:${email}`)
+  ];
+
+  const occurrenceEvent = ({ originalStart, start, name, purpose }) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    dateProperty('RECURRENCE-ID', originalStart, timeZone),
+    dateProperty('DTSTART', start || originalStart, timeZone),
+    ...common,
+    `SUMMARY:${escapeText(name || meeting.name)}`,
+    `DESCRIPTION:${escapeText(buildDescription({ ...meeting, purpose: purpose ?? meeting.purpose }, { joinUrl }))}`,
+    'END:VEVENT'
+  ];
+
+  if (occurrence && meeting.recurrence_rule) {
+    return occurrenceEvent(occurrence);
+  }
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    dateProperty('DTSTART', meeting.scheduled_for, timeZone),
+    ...common,
+    `SUMMARY:${escapeText(meeting.name)}`,
+    `DESCRIPTION:${escapeText(buildDescription(meeting, { joinUrl }))}`
+  ];
+
+  if (meeting.recurrence_rule) {
+    lines.push(`RRULE:${toIcsRRule(meeting.recurrence_rule)}`);
+    (meeting.recurrence_exdates || []).forEach(exdate => {
+      lines.push(dateProperty('EXDATE', exdate, timeZone));
+    });
+  }
+  lines.push('END:VEVENT');
+
+  if (meeting.recurrence_rule) {
+    overrides.forEach(override => {
+      lines.push(...occurrenceEvent({
+        originalStart: override.original_start,
+        start: override.scheduled_for,
+        name: override.name,
+        purpose: override.purpose
+      }));
+    });
+  }
+
+  return lines;
+}
+
+/**
+ * Wrap events into a VCALENDAR with the VTIMEZONEs they reference.
+ * Use method REQUEST / CANCEL for files attached to invitation and cancellation emails.
+ * @param {{ meetings: object[], name?: string, method?: 'PUBLISH' | 'REQUEST' | 'CANCEL', getEventOptions: (meeting: object) => object }} params
+ * @returns {string} CRLF-terminated iCalendar text
+ */
+function buildCalendar({ meetings, name, method = 'PUBLISH', getEventOptions }) {
+  const scheduled = meetings.filter(m => m.scheduled_for);
+  const currentYear = new Date().getUTCFullYear();
+
+  // Zones in use, with the years their events span. Open-ended series get a few years ahead.
+  const zoneYears = new Map();
+  scheduled.forEach(m => {
+    const timeZone = m.recurrence_timezone;
+    if (isUtcZone(timeZone)) return;
+    const startYear = new Date(m.scheduled_for).getUTCFullYear();
+    const endYear = m.recurrence_rule ? Math.max(startYear, currentYear) + 3 : startYear;
+    const range = zoneYears.get(timeZone) || { from: startYear, to: endYear };
+    range.from = Math.min(range.from, startYear);
+    range.to = Math.min(Math.max(range.to, endYear), range.from + 20);
+    zoneYears.set(timeZone, range);
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  zoneYears.forEach((range, timeZone) => {
+    lines.push(...buildVTimezone(timeZone, range.from, range.to));
+  });
+
+  scheduled.forEach(m => {
+    lines.push(...buildMeetingEvents(m, getEventOptions(m)));
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+  buildMeetingEvents,
+  buildVTimezone,
+  escapeText
+};
@@ -0,0 +1,91 @@
+const { JITSI_DOMAIN, isJitsiSigningConfigured, signJitsiToken } = require('./jitsiToken');
+const { SERVER_ACTION_TYPES, getActionDefinition } = require('./meetingActions');
+
+// HTTP bridge to the Jitsi deployment's admin side, used by the meeting_actions worker.
+// JITSI_ADMIN_URL is Prosody's HTTP address with Api/prosody/mod_meeting_action.lua loaded (setup in
+// Api/prosody/README.md), which accepts
+//   POST {JITSI_ADMIN_URL}/meeting-action
+//   Authorization: Bearer <room-scoped moderator JWT signed with JITSI_APP_SECRET>
+//   { type, room: "<meetingId>@<JITSI_MUC_DOMAIN>", participantId?, displayName? }
+// and answers 2xx when done, 404 when the room or participant is gone, 501 for unsupported types.
+// Recording and streaming need Jibri to be started from inside the conference, so they stay with the
+// host's browser tab.
+const JITSI_ADMIN_URL = (process.env.JITSI_ADMIN_URL || '').replace(/\/+$/, '');
+const JITSI_MUC_DOMAIN = process.env.JITSI_MUC_DOMAIN || `conference.${JITSI_DOMAIN}`;
+const JITSI_ADMIN_TIMEOUT_MS = parseInt(process.env.JITSI_ADMIN_TIMEOUT_MS || '15000', 10);
+
+// The Prosody module only takes tokens for this user (its meeting_action_worker_id option)
+const WORKER_USER_ID = 'meeting-actions-worker';
+
+// Types with the 'server' executor in shared/meetingActions.json
+const SUPPORTED_ACTION_TYPES = SERVER_ACTION_TYPES;
+
+function isJitsiAdminConfigured() {
+  return !!JITSI_ADMIN_URL && isJitsiSigningConfigured();
+}
+
+// Errors marked retryable: false are recorded straight away instead of being attempted again
+function actionError(message, retryable) {
+  const err = new Error(message);
+  err.retryable = retryable;
+  return err;
+}
+
+/**
+ * Run one meeting_actions row against the Jitsi admin endpoint.
+ * @param {{ id: string, meeting_id: string, type: string, target_participant_id?: string, target_display_name_normalized?: string }} action
+ * @returns {Promise<void>}
+ */
+async function executeMeetingAction(action) {
+  if (!isJitsiAdminConfigured()) {
+    throw actionError('JITSI_ADMIN_URL and JITSI_APP_SECRET must be set to run actions server-side', false);
+  }
+  if (!SUPPORTED_ACTION_TYPES.includes(action.type)) {
+    throw actionError(`Action type "${action.type}" cannot run server-side`, false);
+  }
+  if (getActionDefinition(action.type).requires.includes('targetParticipantId') && !action.target_participant_id) {
+    throw actionError(`Action type "${action.type}" needs a target participant`, false);
+  }
+
+  const { token } = signJitsiToken({
+    room: action.meeting_id,
+    user: { id: WORKER_USER_ID, name: 'Meeting Actions' },
+    moderator: true,
+    expiresInSec: 60
+  });
+
+  let response;
+  try {
+    response = await fetch(`${JITSI_ADMIN_URL}/meeting-action`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({
+        id: action.id,
+        type: action.type,
+        room: `${action.meeting_id}@${JITSI_MUC_DOMAIN}`,
+        participantId: action.target_participant_id || undefined,
+        displayName: action.target_display_name_normalized || undefined
+      }),
+      signal: AbortSignal.timeout(JITSI_ADMIN_TIMEOUT_MS)
+    });
+  } catch (err) {
+    const timedOut = err?.name === 'TimeoutError';
+    throw actionError(timedOut ? `Jitsi admin endpoint timed out after ${JITSI_ADMIN_TIMEOUT_MS}ms` : `Jitsi admin endpoint unreachable: ${err?.message || err}`, true);
+  }
+
+  if (response.ok) return;
+
+  const detail = (await response.text().catch(() => '')).slice(0, 300);
+  if (response.status === 404) {
+    throw actionError(`Room or participant not found${detail ? `: ${detail}` : ''}`, false);
+  }
+  // Rate limits and server errors are worth another try; other client errors are not
+  const retryable = response.status === 429 || response.status >= 500;
+  throw actionError(`Jitsi admin endpoint returned ${response.status}${detail ? `: ${detail}` : ''}`, retryable && response.status !== 501);
+}
+
+module.exports = {
+  SUPPORTED_ACTION_TYPES,
+  executeMeetingAction,
+  isJitsiAdminConfigured
+};
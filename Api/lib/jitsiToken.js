@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+// Jitsi (prosody token auth) settings. The secret must match `app_secret` in prosody.
+const JITSI_APP_ID = process.env.JITSI_APP_ID || 'meet99';
+const JITSI_APP_SECRET = process.env.JITSI_APP_SECRET || '';
+const JITSI_DOMAIN = process.env.JITSI_DOMAIN || 'meet.in8.com';
+const JITSI_TOKEN_TTL_SECONDS = parseInt(process.env.JITSI_TOKEN_TTL_SECONDS || '600', 10);
+
+function base64UrlEncode(input) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input, 'utf8');
+  return buffer.toString('base64').replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function isJitsiSigningConfigured() {
+  return !!JITSI_APP_SECRET;
+}
+
+/**
+ * Sign a room-scoped Jitsi JWT.
+ * @param {{ room: string, user: { id?: string, name: string, email?: string, avatar?: string }, moderator: boolean, registrationId?: string, expiresInSec?: number }} params
+ *   registrationId (webinar registrants) is carried as context.registration for the API's attendance route.
+ *   Every token gets a random jti, which the guest attendance route binds the guest's attendance row to.
+ * @returns {{ token: string, expiresAt: string }}
+ */
+function signJitsiToken({ room, user, moderator, registrationId, expiresInSec = JITSI_TOKEN_TTL_SECONDS }) {
+  if (!isJitsiSigningConfigured()) {
+    throw new Error('JITSI_APP_SECRET is not configured');
+  }
+  if (!room) {
+    throw new Error('room is required');
+  }
+
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + expiresInSec;
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const payload = {
+    aud: JITSI_APP_ID,
+    iss: JITSI_APP_ID,
+    sub: JITSI_DOMAIN,
+    room,
+    iat,
+    nbf: iat - 5,
+    exp,
+    jti: crypto.randomUUID(),
+    moderator: !!moderator,
+    context: {
+      user: {
+        id: user?.id || undefined,
+        name: user?.name || 'Guest',
+        email: user?.email || '',
+        avatar: user?.avatar || '',
+        moderator: moderator ? 'true' : 'false',
+        affiliation: moderator ? 'owner' : 'member'
+      },
+      ...(registrationId && { registration: { id: registrationId } })
+    }
+  };
+
+  const toSign = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(payload))}`;
+  const signature = crypto.createHmac('sha256', JITSI_APP_SECRET).update(toSign).digest();
+
+  return {
+    token: `${toSign}.${base64UrlEncode(signature)}`,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Lock password for the Jitsi room of a password-protected meeting. The host sets it when joining and
+ * the API hands it to participants who entered the meeting password, so the meeting password itself
+ * never reaches Jitsi. Derived from the stored hash, so it changes whenever the password does.
+ * @param {string} room
+ * @param {string} passwordHash meeting_passwords.password_hash
+ * @returns {string}
+ */
+function deriveRoomPassword(room, passwordHash) {
+  if (!isJitsiSigningConfigured()) {
+    throw new Error('JITSI_APP_SECRET is not configured');
+  }
+  return base64UrlEncode(
+    crypto.createHmac('sha256', JITSI_APP_SECRET).update(`room-password:${room}:${passwordHash}`).digest()
+  ).slice(0, 24);
+}
+
+/**
+ * Check a JWT issued by signJitsiToken.
+ * @param {string} token
+ * @param {{ graceSeconds?: number }} [options] how long after expiry to keep accepting it. Jitsi only
+ *   checks the token when joining, so calls made during a meeting accept tokens past their exp.
+ * @returns {object | null} the payload, or null when the token is malformed, forged or expired
+ */
+function verifyJitsiToken(token, { graceSeconds = 0 } = {}) {
+  if (!isJitsiSigningConfigured() || typeof token !== 'string') return null;
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const expected = crypto.createHmac('sha256', JITSI_APP_SECRET).update(`${parts[0]}.${parts[1]}`).digest();
+  const signature = Buffer.from(parts[2], 'base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!payload || payload.aud !== JITSI_APP_ID || !(payload.exp + graceSeconds > Date.now() / 1000)) return null;
+  return payload;
+}
+
+module.exports = {
+  JITSI_DOMAIN,
+  deriveRoomPassword,
+  isJitsiSigningConfigured,
+  signJitsiToken,
+  verifyJitsiToken
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing mail transport, chosen with MAIL_TRANSPORT:
+//   smtp    - SMTP_URL (smtp[s]://user:pass@host:port) or SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS/SMTP_SECURE
+//   file    - write each message as an .eml file to MAIL_FILE_DIR (default ./mail-outbox)
+//   console - print messages to stdout (default, for local development)
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+const MAIL_FROM = process.env.MAIL_FROM || 'Meetings <no-reply@localhost>';
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'mail-outbox');
+
+let transporter = null;
+
+function createSmtpOptions() {
+  if (process.env.SMTP_URL) return process.env.SMTP_URL;
+  if (!process.env.SMTP_HOST) {
+    throw new Error('MAIL_TRANSPORT=smtp needs SMTP_URL or SMTP_HOST');
+  }
+  return {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' }
+      : undefined
+  };
+}
+
+function getTransporter() {
+  if (transporter) return transporter;
+
+  // Loaded lazily so the API still boots without nodemailer when mail is never sent
+  const nodemailer = require('nodemailer');
+  if (MAIL_TRANSPORT === 'smtp') {
+    transporter = nodemailer.createTransport(createSmtpOptions());
+  } else if (MAIL_TRANSPORT === 'file' || MAIL_TRANSPORT === 'console') {
+    transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  } else {
+    throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}" (expected smtp, file or console)`);
+  }
+  return transporter;
+}
+
+/**
+ * Send one message through the configured transport.
+ * icalEvent ({ filename, method, content }) is sent as a text/calendar part so mail clients show RSVP controls.
+ * @param {{ to: string, subject: string, text: string, html?: string, attachments?: object[], icalEvent?: object }} message
+ * @returns {Promise<{ messageId: string }>}
+ */
+async function sendMail(message) {
+  const info = await getTransporter().sendMail({ from: MAIL_FROM, ...message });
+
+  if (MAIL_TRANSPORT === 'file') {
+    fs.mkdirSync(MAIL_FILE_DIR, { recursive: true });
+    const safeId = String(info.messageId || Date.now()).replace(/[^a-zA-Z0-9._-]/g, '');
+    const file = path.join(MAIL_FILE_DIR, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeId}.eml`);
+    fs.writeFileSync(file, info.message);
+  } else if (MAIL_TRANSPORT === 'console') {
+    console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}\n`);
+  }
+
+  return { messageId: info.messageId };
+}
+
+// "Name <addr@host>" → { name, address }
+function parseMailFrom() {
+  const match = MAIL_FROM.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+  if (match) return { name: match[1].trim(), address: match[2].trim() };
+  return { name: '', address: MAIL_FROM.trim() };
+}
+
+module.exports = {
+  MAIL_FROM,
+  MAIL_TRANSPORT,
+  parseMailFrom,
+  sendMail
+};
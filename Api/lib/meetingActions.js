@@ -0,0 +1,80 @@
+const definitions = require('../../shared/meetingActions.json');
+
+// Meeting action types, who may queue them and what they need (definitions live in
+// shared/meetingActions.json so the app validates with exactly the same rules).
+const ACTION_TYPES = Object.keys(definitions.types);
+const SERVER_ACTION_TYPES = ACTION_TYPES.filter(type => definitions.types[type].executors.includes('server'));
+
+function getActionDefinition(type) {
+  return Object.prototype.hasOwnProperty.call(definitions.types, type) ? definitions.types[type] : null;
+}
+
+function requiredFields(definition, body) {
+  const fields = [...definition.requires];
+  if (definition.platformRequires && body.platform) {
+    const extra = definition.platformRequires[body.platform] || definition.platformRequires.default || [];
+    fields.push(...extra);
+  }
+  return fields;
+}
+
+/**
+ * Validate a request to queue an action (camelCase body, as sent by the app).
+ * @param {{ type: string, targetParticipantId?: string, targetDisplayName?: string, platform?: string, streamKey?: string, rtmpUrl?: string }} body
+ * @returns {{ errors: string[], definition: object | null, values: object, secrets: object | null, targetDisplayName?: string }}
+ *   values are meeting_actions columns; secrets holds the fields that must be encrypted before storing
+ */
+function parseActionRequest(body) {
+  const errors = [];
+  const definition = getActionDefinition(body.type);
+  if (!definition) {
+    return { errors: [`type must be one of: ${ACTION_TYPES.join(', ')}`], definition: null, values: {}, secrets: null };
+  }
+
+  const text = (key, max) => {
+    const value = typeof body[key] === 'string' ? body[key].trim() : '';
+    if (value.length > max) errors.push(`${key} must be at most ${max} characters`);
+    return value;
+  };
+  const fields = {
+    targetParticipantId: text('targetParticipantId', 100),
+    targetDisplayName: text('targetDisplayName', 200),
+    platform: text('platform', 40).toLowerCase(),
+    streamKey: text('streamKey', 500),
+    rtmpUrl: text('rtmpUrl', 500)
+  };
+
+  requiredFields(definition, fields).forEach(key => {
+    if (!fields[key]) errors.push(`${key} is required for ${body.type}`);
+  });
+  if (fields.rtmpUrl && !/^rtmps?:\/\//i.test(fields.rtmpUrl)) {
+    errors.push('rtmpUrl must start with rtmp:// or rtmps://');
+  }
+
+  const secretFields = definition.secretFields || [];
+  const secrets = secretFields.some(key => fields[key])
+    ? Object.fromEntries(secretFields.filter(key => fields[key]).map(key => [key, fields[key]]))
+    : null;
+
+  const values = {
+    type: body.type,
+    status: definition.informational ? 'info' : 'pending',
+    target_participant_id: fields.targetParticipantId || null,
+    platform: fields.platform || null
+  };
+
+  return { errors, definition, values, secrets, targetDisplayName: fields.targetDisplayName };
+}
+
+// role comes from resolveMeetingRole, upgraded to 'admin' for meeting admins (admin_ids)
+function canEnqueue(definition, role) {
+  return definition.enqueueRoles.includes(role);
+}
+
+module.exports = {
+  ACTION_TYPES,
+  SERVER_ACTION_TYPES,
+  canEnqueue,
+  getActionDefinition,
+  parseActionRequest
+};
@@ -0,0 +1,50 @@
+const { createFailureLimiter } = require('./rateLimit');
+
+// Meeting password checks (POST /meetings/:id/token). Wrong passwords are limited per client (meeting
+// and IP); the correct one always gets through unless that client is blocked itself. A meeting that
+// keeps getting wrong passwords from many clients answers every check more slowly instead of locking
+// out everyone, the guests who know its password included.
+
+const MEETING_FAILURES_FACTOR = 10;
+const MEETING_DELAY_MS = 1000;
+
+const defaultSleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a password verifier with its own failure counters.
+ * @param {{ checkPassword: (meetingId: string, password: string) => Promise<boolean>, maxFailures: number, windowMs: number, meetingDelayMs?: number, sleep?: (ms: number) => Promise<void> }} options
+ *   checkPassword compares against the stored hash and throws when it cannot; maxFailures is per client,
+ *   and the meeting-wide slowdown starts at MEETING_FAILURES_FACTOR times as many
+ * @returns {(meetingId: string, clientKey: string, password: unknown) => Promise<{ ok: boolean, status?: number, reason?: string, retryAfterSeconds?: number }>}
+ *   reason is password_rate_limited (429, with retryAfterSeconds), password_required or password_invalid (403)
+ */
+function createPasswordVerifier({ checkPassword, maxFailures, windowMs, meetingDelayMs = MEETING_DELAY_MS, sleep = defaultSleep }) {
+  const failuresByClient = createFailureLimiter({ maxFailures, windowMs });
+  const failuresByMeeting = createFailureLimiter({ maxFailures: maxFailures * MEETING_FAILURES_FACTOR, windowMs });
+
+  return async function verifyPassword(meetingId, clientKey, password) {
+    const retryAfterSeconds = failuresByClient.retryAfterSeconds(clientKey);
+    if (retryAfterSeconds > 0) {
+      return { ok: false, status: 429, reason: 'password_rate_limited', retryAfterSeconds };
+    }
+    if (typeof password !== 'string' || !password) {
+      return { ok: false, status: 403, reason: 'password_required' };
+    }
+
+    if (failuresByMeeting.retryAfterSeconds(meetingId) > 0) {
+      await sleep(meetingDelayMs);
+    }
+    if (!(await checkPassword(meetingId, password))) {
+      failuresByClient.recordFailure(clientKey);
+      failuresByMeeting.recordFailure(meetingId);
+      return { ok: false, status: 403, reason: 'password_invalid' };
+    }
+
+    failuresByClient.reset(clientKey);
+    return { ok: true };
+  };
+}
+
+module.exports = {
+  createPasswordVerifier
+};
@@ -0,0 +1,373 @@
+const { buildCalendar } = require('./ics');
+const { renderEmail } = require('./emailTemplates');
+const { parseMailFrom, sendMail } = require('./mailer');
+const { describeRRule } = require('./recurrence');
+
+// Meeting notification emails (invitations, reminders, update and cancellation notices).
+// Routes queue rows in public.meeting_notifications; the job below schedules reminders and
+// drains the queue every MAIL_JOB_INTERVAL_SECONDS (0 turns the job off).
+//   MAIL_REMINDER_OFFSETS_MINUTES - default reminder offsets before each start (default "1440,15")
+//   MAIL_JOB_INTERVAL_SECONDS     - how often the job runs (default 60)
+const MAIL_JOB_INTERVAL_SECONDS = parseInt(process.env.MAIL_JOB_INTERVAL_SECONDS || '60', 10);
+const DEFAULT_REMINDER_OFFSETS = parseOffsets(process.env.MAIL_REMINDER_OFFSETS_MINUTES ?? '1440,15');
+
+const BATCH_SIZE = 25;
+const MAX_ATTEMPTS = 5;
+// Reminders this far past their send time are dropped instead of arriving late
+const REMINDER_GRACE_MS = 10 * 60 * 1000;
+// Rows stuck in 'sending' longer than this (e.g. the API restarted mid-send) are retried
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+// Columns kept in each notification's payload so notices still render after the meeting is gone
+const NOTIFICATION_MEETING_FIELDS = [
+  'id', 'name', 'purpose', 'scheduled_for', 'host_name', 'has_password', 'webinar_mode',
+  'recurrence_rule', 'recurrence_timezone', 'recurrence_exdates', 'ics_sequence', 'reminder_offsets_minutes'
+].join(', ');
+
+function parseOffsets(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return Array.from(new Set(
+    list
+      .map(v => parseInt(v, 10))
+      .filter(v => Number.isInteger(v) && v > 0 && v <= 60 * 24 * 30)
+  )).sort((a, b) => b - a);
+}
+
+// Strip the meeting down to what the templates and .ics need
+function snapshotMeeting(meeting) {
+  return {
+    id: meeting.id,
+    name: meeting.name,
+    purpose: meeting.purpose || null,
+    scheduled_for: meeting.scheduled_for,
+    host_name: meeting.host_name || null,
+    has_password: !!meeting.has_password,
+    webinar_mode: !!meeting.webinar_mode,
+    recurrence_rule: meeting.recurrence_rule || null,
+    recurrence_timezone: meeting.recurrence_timezone || 'UTC',
+    recurrence_exdates: meeting.recurrence_exdates || [],
+    ics_sequence: meeting.ics_sequence || 0
+  };
+}
+
+function formatStart(iso, timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { dateStyle: 'full', timeStyle: 'short', timeZone }).format(new Date(iso));
+  } catch (_) {
+    return new Date(iso).toUTCString();
+  }
+}
+
+function describeLead(minutes) {
+  if (minutes % 1440 === 0) return minutes === 1440 ? 'in 1 day' : `in ${minutes / 1440} days`;
+  if (minutes % 60 === 0) return minutes === 60 ? 'in 1 hour' : `in ${minutes / 60} hours`;
+  return minutes === 1 ? 'in 1 minute' : `in ${minutes} minutes`;
+}
+
+/**
+ * Create the notification queue helpers and background job.
+ * @param {{ supabase: object, buildJoinUrl: (meeting: object) => string, uidDomain: string }} deps
+ */
+function createNotificationJob({ supabase, buildJoinUrl, uidDomain }) {
+  let timer = null;
+  let running = false;
+
+  /**
+   * Queue one notification per email. Pending update notices for the same meeting and
+   * recipient are superseded, so a burst of edits sends a single, current update.
+   * @param {object} meeting - meetings row with NOTIFICATION_MEETING_FIELDS
+   * @param {'invitation' | 'update' | 'cancellation'} kind
+   * @param {{ emails: string[], occurrence?: { originalStart: string, start?: string, name?: string, purpose?: string } }} options
+   */
+  async function queueNotifications(meeting, kind, { emails, occurrence } = {}) {
+    const recipients = Array.from(new Set((emails || []).map(e => e.toLowerCase())));
+    if (recipients.length === 0 || !meeting.scheduled_for) return;
+
+    if (kind === 'update' || kind === 'cancellation') {
+      const { error: supersedeError } = await supabase
+        .from('meeting_notifications')
+        .update({ status: 'skipped', last_error: `Superseded by a newer ${kind}` })
+        .eq('meeting_id', meeting.id)
+        .eq('kind', 'update')
+        .eq('status', 'pending')
+        .in('email', recipients);
+      if (supersedeError) throw supersedeError;
+    }
+
+    const payload = { meeting: snapshotMeeting(meeting), occurrence: occurrence || null };
+    const { error } = await supabase.from('meeting_notifications').insert(
+      recipients.map(email => ({
+        meeting_id: meeting.id,
+        email,
+        kind,
+        occurrence_start: occurrence ? (occurrence.start || occurrence.originalStart) : null,
+        payload
+      }))
+    );
+    if (error) throw error;
+  }
+
+  // Queue reminders for every invitee of every occurrence starting within the largest offset
+  async function scheduleReminders() {
+    const { data: meetingRows, error: meetingsError } = await supabase
+      .from('meetings')
+      .select('id, reminder_offsets_minutes')
+      .eq('is_scheduled', true)
+      .not('scheduled_for', 'is', null);
+    if (meetingsError) throw meetingsError;
+
+    const offsetsById = new Map();
+    (meetingRows || []).forEach(m => {
+      const offsets = m.reminder_offsets_minutes == null ? DEFAULT_REMINDER_OFFSETS : parseOffsets(m.reminder_offsets_minutes);
+      if (offsets.length > 0) offsetsById.set(m.id, offsets);
+    });
+    if (offsetsById.size === 0) return 0;
+
+    const maxOffset = Math.max(...Array.from(offsetsById.values()).flat());
+    const now = Date.now();
+    const horizon = now + (maxOffset * 60 + Math.max(MAIL_JOB_INTERVAL_SECONDS, 60)) * 1000;
+
+    const { data: occurrences, error: occurrencesError } = await supabase.rpc('meetings_between', {
+      p_from: new Date(now).toISOString(),
+      p_to: new Date(horizon).toISOString()
+    });
+    if (occurrencesError) throw occurrencesError;
+
+    const upcoming = (occurrences || []).filter(o => offsetsById.has(o.id));
+    if (upcoming.length === 0) return 0;
+
+    const { data: invitees, error: inviteesError } = await supabase
+      .from('meeting_invitees')
+      .select('meeting_id, email')
+      .in('meeting_id', Array.from(new Set(upcoming.map(o => o.id))));
+    if (inviteesError) throw inviteesError;
+
+    const emailsById = new Map();
+    (invitees || []).forEach(i => {
+      const list = emailsById.get(i.meeting_id) || [];
+      list.push(i.email);
+      emailsById.set(i.meeting_id, list);
+    });
+
+    const rows = [];
+    upcoming.forEach(o => {
+      const start = new Date(o.scheduled_for).getTime();
+      offsetsById.get(o.id).forEach(offset => {
+        const sendAfter = start - offset * 60 * 1000;
+        if (sendAfter < now - REMINDER_GRACE_MS || sendAfter > horizon) return;
+        (emailsById.get(o.id) || []).forEach(email => {
+          const occurrenceStart = new Date(start).toISOString();
+          rows.push({
+            meeting_id: o.id,
+            email,
+            kind: 'reminder',
+            occurrence_start: occurrenceStart,
+            offset_minutes: offset,
+            payload: { originalStart: o.original_start },
+            send_after: new Date(sendAfter).toISOString(),
+            // The effective start is part of the key, so moving an occurrence queues fresh reminders
+            dedupe_key: `${o.id}|${occurrenceStart}|${offset}|${email}`
+          });
+        });
+      });
+    });
+    if (rows.length === 0) return 0;
+
+    const { error } = await supabase
+      .from('meeting_notifications')
+      .upsert(rows, { onConflict: 'dedupe_key', ignoreDuplicates: true });
+    if (error) throw error;
+    return rows.length;
+  }
+
+  // A reminder is only still wanted if the meeting, the occurrence time, the offset and the invitee all still exist
+  async function loadReminderMeeting(row) {
+    const { data: meeting, error } = await supabase
+      .from('meetings')
+      .select(NOTIFICATION_MEETING_FIELDS)
+      .eq('id', row.meeting_id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!meeting) return { skip: 'Meeting was deleted' };
+
+    const offsets = meeting.reminder_offsets_minutes == null ? DEFAULT_REMINDER_OFFSETS : parseOffsets(meeting.reminder_offsets_minutes);
+    if (!offsets.includes(row.offset_minutes)) return { skip: 'Reminder offset was removed' };
+
+    const { data: invitee, error: inviteeError } = await supabase
+      .from('meeting_invitees')
+      .select('email')
+      .eq('meeting_id', row.meeting_id)
+      .eq('email', row.email)
+      .maybeSingle();
+    if (inviteeError) throw inviteeError;
+    if (!invitee) return { skip: 'No longer invited' };
+
+    const start = new Date(row.occurrence_start);
+    const { data: occurrences, error: occurrenceError } = await supabase.rpc('meetings_between', {
+      p_from: start.toISOString(),
+      p_to: new Date(start.getTime() + 1000).toISOString()
+    });
+    if (occurrenceError) throw occurrenceError;
+    const occurrence = (occurrences || []).find(o => o.id === row.meeting_id);
+    if (!occurrence) return { skip: 'Occurrence was moved or cancelled' };
+
+    return { meeting: { ...snapshotMeeting(meeting), name: occurrence.name, purpose: occurrence.purpose } };
+  }
+
+  async function buildInviteCalendar(meeting, row, occurrence) {
+    const method = row.kind === 'cancellation' ? 'CANCEL' : 'REQUEST';
+    let overrides = [];
+    if (meeting.recurrence_rule && !occurrence && method === 'REQUEST') {
+      const { data, error } = await supabase
+        .from('meeting_occurrence_overrides')
+        .select('original_start, scheduled_for, name, purpose')
+        .eq('meeting_id', meeting.id);
+      if (error) throw error;
+      overrides = data || [];
+    }
+
+    const from = parseMailFrom();
+    const content = buildCalendar({
+      meetings: [meeting],
+      method,
+      getEventOptions: (m) => ({
+        joinUrl: buildJoinUrl(m),
+        uidDomain,
+        overrides,
+        sequence: m.ics_sequence,
+        status: method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED',
+        organizer: { name: meeting.host_name || from.name, address: from.address },
+        attendees: [row.email],
+        occurrence: occurrence || undefined
+      })
+    });
+    return { filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics', method, content };
+  }
+
+  async function deliver(row) {
+    let meeting;
+    let occurrence = null;
+
+    if (row.kind === 'reminder') {
+      const result = await loadReminderMeeting(row);
+      if (result.skip) return { status: 'skipped', reason: result.skip };
+      meeting = result.meeting;
+    } else {
+      meeting = row.payload?.meeting;
+      occurrence = row.payload?.occurrence || null;
+      if (!meeting) return { status: 'skipped', reason: 'Missing meeting snapshot' };
+    }
+
+    const timeZone = meeting.recurrence_timezone || 'UTC';
+    const start = row.occurrence_start || (occurrence ? occurrence.start || occurrence.originalStart : meeting.scheduled_for);
+    const email = renderEmail(row.kind, {
+      meetingName: occurrence?.name || meeting.name,
+      meetingPurpose: (occurrence ? occurrence.purpose ?? meeting.purpose : meeting.purpose) || '',
+      startTime: formatStart(start, timeZone),
+      timeZone,
+      joinUrl: buildJoinUrl(meeting),
+      hostName: meeting.host_name || 'The host',
+      passwordHint: meeting.has_password ? 'This meeting has a password. Ask the host for it.' : '',
+      recurrence: meeting.recurrence_rule && !occurrence ? describeRRule(meeting.recurrence_rule) : '',
+      reminderLead: row.offset_minutes ? describeLead(row.offset_minutes) : '',
+      recipient: row.email
+    });
+
+    const message = { to: row.email, ...email };
+    if (row.kind !== 'reminder') {
+      message.icalEvent = await buildInviteCalendar(meeting, row, occurrence);
+    }
+    await sendMail(message);
+    return { status: 'sent' };
+  }
+
+  // Claim due rows (pending → sending) so a second API instance cannot send them too
+  async function claimDue() {
+    await supabase
+      .from('meeting_notifications')
+      .update({ status: 'pending' })
+      .eq('status', 'sending')
+      .lt('claimed_at', new Date(Date.now() - STALE_CLAIM_MS).toISOString());
+
+    const { data: due, error } = await supabase
+      .from('meeting_notifications')
+      .select('id')
+      .eq('status', 'pending')
+      .lte('send_after', new Date().toISOString())
+      .order('send_after', { ascending: true })
+      .limit(BATCH_SIZE);
+    if (error) throw error;
+    if (!due || due.length === 0) return [];
+
+    const { data: claimed, error: claimError } = await supabase
+      .from('meeting_notifications')
+      .update({ status: 'sending', claimed_at: new Date().toISOString() })
+      .in('id', due.map(r => r.id))
+      .eq('status', 'pending')
+      .select();
+    if (claimError) throw claimError;
+    return claimed || [];
+  }
+
+  async function sendPending() {
+    const rows = await claimDue();
+    let sent = 0;
+
+    for (const row of rows) {
+      let update;
+      try {
+        const result = await deliver(row);
+        update = result.status === 'sent'
+          ? { status: 'sent', sent_at: new Date().toISOString(), attempts: row.attempts + 1, last_error: null }
+          : { status: 'skipped', last_error: result.reason };
+        if (result.status === 'sent') sent += 1;
+      } catch (err) {
+        const attempts = row.attempts + 1;
+        update = {
+          status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+          attempts,
+          last_error: String(err?.message || err).slice(0, 1000),
+          // Back off 1, 4, 9, 16 minutes between attempts
+          send_after: new Date(Date.now() + attempts * attempts * 60 * 1000).toISOString()
+        };
+      }
+
+      const { error } = await supabase.from('meeting_notifications').update(update).eq('id', row.id);
+      if (error) console.error('[mail] Failed to record notification status:', error.message);
+    }
+    return sent;
+  }
+
+  async function runOnce() {
+    if (running) return;
+    running = true;
+    try {
+      await scheduleReminders();
+      await sendPending();
+    } catch (err) {
+      console.error('[mail] Notification job failed:', err?.message || err);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer || !(MAIL_JOB_INTERVAL_SECONDS > 0)) return;
+    timer = setInterval(runOnce, MAIL_JOB_INTERVAL_SECONDS * 1000);
+    setTimeout(runOnce, 1000);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { queueNotifications, runOnce, scheduleReminders, sendPending, start, stop };
+}
+
+module.exports = {
+  DEFAULT_REMINDER_OFFSETS,
+  NOTIFICATION_MEETING_FIELDS,
+  createNotificationJob,
+  parseOffsets
+};
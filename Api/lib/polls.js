@@ -0,0 +1,127 @@
+// In-meeting polls (public.meeting_polls / meeting_poll_votes): validation, results and the CSV export.
+
+const { csvCell } = require('./attendance');
+
+const QUESTION_MAX_LENGTH = 500;
+const OPTION_MAX_LENGTH = 200;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+
+/**
+ * Validate a new poll from the request body.
+ * @param {object} body { question, options, allowMultiple?, anonymous? }
+ * @returns {{ poll?: object, error?: string }} poll holds the meeting_polls columns
+ */
+function parsePollPayload(body = {}) {
+  const question = typeof body.question === 'string' ? body.question.trim() : '';
+  if (!question) return { error: 'question is required' };
+  if (question.length > QUESTION_MAX_LENGTH) return { error: `question must be at most ${QUESTION_MAX_LENGTH} characters` };
+
+  if (!Array.isArray(body.options)) return { error: 'options must be an array' };
+  const options = body.options.map(option => (typeof option === 'string' ? option.trim() : '')).filter(Boolean);
+  if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+    return { error: `A poll needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options` };
+  }
+  if (options.some(option => option.length > OPTION_MAX_LENGTH)) {
+    return { error: `Options must be at most ${OPTION_MAX_LENGTH} characters` };
+  }
+  if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+    return { error: 'Options must be different from each other' };
+  }
+
+  return {
+    poll: {
+      question,
+      options,
+      allow_multiple: !!body.allowMultiple,
+      anonymous: !!body.anonymous
+    }
+  };
+}
+
+/**
+ * Validate a vote: option indexes into the poll, exactly one unless the poll allows several.
+ * @param {object} poll meeting_polls row
+ * @param {unknown} choices
+ * @returns {{ choices?: number[], error?: string }}
+ */
+function parseVoteChoices(poll, choices) {
+  if (!Array.isArray(choices) || choices.length === 0) return { error: 'choices must be a non-empty array' };
+  const unique = Array.from(new Set(choices));
+  if (!unique.every(choice => Number.isInteger(choice) && choice >= 0 && choice < poll.options.length)) {
+    return { error: 'choices must be option indexes of this poll' };
+  }
+  if (!poll.allow_multiple && unique.length > 1) return { error: 'This poll takes a single choice' };
+  return { choices: unique.sort((a, b) => a - b) };
+}
+
+// One vote per signed-in user across rejoins; guests vote per Jitsi participant
+function voterKey({ userUid, participantId }) {
+  return userUid ? `user:${userUid}` : `participant:${participantId}`;
+}
+
+/**
+ * Shape a poll and its votes for clients. Voter names are only listed for polls that are not anonymous.
+ * @param {object} poll meeting_polls row
+ * @param {object[]} votes its meeting_poll_votes rows
+ * @param {string | null} [myKey] the caller's voterKey(), to return their own choices
+ * @returns {object}
+ */
+function summarizePoll(poll, votes, myKey = null) {
+  const options = poll.options.map(text => ({ text, votes: 0, voters: poll.anonymous ? undefined : [] }));
+  votes.forEach(vote => {
+    vote.choices.forEach(choice => {
+      const option = options[choice];
+      if (!option) return;
+      option.votes += 1;
+      if (option.voters) option.voters.push(vote.voter_name || 'Guest');
+    });
+  });
+  const mine = myKey ? votes.find(vote => vote.voter_key === myKey) : null;
+  return {
+    id: poll.id,
+    question: poll.question,
+    allowMultiple: poll.allow_multiple,
+    anonymous: poll.anonymous,
+    isOpen: !poll.closed_at,
+    createdByName: poll.created_by_name || 'Host',
+    createdAt: poll.created_at,
+    closedAt: poll.closed_at || null,
+    totalVoters: votes.length,
+    options,
+    myChoices: mine ? mine.choices : []
+  };
+}
+
+/**
+ * Render poll results as CSV, one line per option (plus who chose it when the poll is not anonymous).
+ * @param {object[]} polls summarizePoll() results
+ * @returns {string}
+ */
+function pollsToCsv(polls) {
+  const header = ['Question', 'Created at', 'Anonymous', 'Multiple choice', 'Voters', 'Option', 'Votes', 'Voted by'];
+  const lines = [header.map(csvCell).join(',')];
+  polls.forEach(poll => {
+    poll.options.forEach(option => {
+      lines.push([
+        poll.question,
+        poll.createdAt,
+        poll.anonymous ? 'yes' : 'no',
+        poll.allowMultiple ? 'yes' : 'no',
+        poll.totalVoters,
+        option.text,
+        option.votes,
+        option.voters ? option.voters.join('; ') : ''
+      ].map(csvCell).join(','));
+    });
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  parsePollPayload,
+  parseVoteChoices,
+  pollsToCsv,
+  summarizePoll,
+  voterKey
+};
@@ -0,0 +1,88 @@
+// Webinar Q&A (public.meeting_questions / meeting_question_votes): who sees what, ordering and the CSV export.
+
+const { csvCell } = require('./attendance');
+
+const QUESTION_BODY_MAX_LENGTH = 1000;
+const ANSWER_MAX_LENGTH = 2000;
+const QUESTION_STATUSES = ['pending', 'approved', 'answering', 'answered', 'dismissed'];
+// What attendees see of other people's questions; pending and dismissed ones stay with moderators
+const PUBLIC_STATUSES = ['approved', 'answering', 'answered'];
+
+// The question being answered comes first, then the most upvoted, then the oldest
+const STATUS_RANK = { answering: 0, approved: 1, pending: 1, answered: 2, dismissed: 3 };
+
+/**
+ * Whether a reader may see a question.
+ * @param {object} row meeting_questions row
+ * @param {{ moderator: boolean, key: string }} reader key is the reader's voterKey()
+ * @returns {boolean}
+ */
+function canSeeQuestion(row, { moderator, key }) {
+  return moderator || PUBLIC_STATUSES.includes(row.status) || row.asker_key === key;
+}
+
+/**
+ * Shape a question and its upvotes for clients.
+ * @param {object} row meeting_questions row
+ * @param {object[]} votes its meeting_question_votes rows
+ * @param {string | null} [myKey] the reader's voterKey()
+ * @returns {object}
+ */
+function toClientQuestion(row, votes, myKey = null) {
+  return {
+    id: row.id,
+    body: row.body,
+    askerName: row.anonymous ? null : (row.asker_name || 'Guest'),
+    anonymous: row.anonymous,
+    status: row.status,
+    answer: row.answer || null,
+    upvotes: votes.length,
+    upvotedByMe: !!myKey && votes.some(vote => vote.voter_key === myKey),
+    mine: !!myKey && row.asker_key === myKey,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Sort client questions for display.
+ * @param {object[]} questions toClientQuestion() results
+ * @returns {object[]} a new array
+ */
+function sortQuestions(questions) {
+  return [...questions].sort((a, b) => (
+    STATUS_RANK[a.status] - STATUS_RANK[b.status]
+    || b.upvotes - a.upvotes
+    || new Date(a.createdAt) - new Date(b.createdAt)
+  ));
+}
+
+/**
+ * Render questions as CSV, one line each.
+ * @param {object[]} questions toClientQuestion() results
+ * @returns {string}
+ */
+function questionsToCsv(questions) {
+  const header = ['Asked at', 'Asked by', 'Question', 'Upvotes', 'Status', 'Answer'];
+  const lines = [header.map(csvCell).join(',')];
+  questions.forEach(question => {
+    lines.push([
+      question.createdAt,
+      question.anonymous ? 'Anonymous' : question.askerName,
+      question.body,
+      question.upvotes,
+      question.status,
+      question.answer
+    ].map(csvCell).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  ANSWER_MAX_LENGTH,
+  QUESTION_BODY_MAX_LENGTH,
+  QUESTION_STATUSES,
+  canSeeQuestion,
+  questionsToCsv,
+  sortQuestions,
+  toClientQuestion
+};
@@ -0,0 +1,56 @@
+// In-memory counter of failed attempts (wrong meeting passwords), kept per API process.
+// A key is blocked once it reaches maxFailures within windowMs of its first failure; the window
+// does not slide, so a blocked key opens again when it runs out.
+
+const PRUNE_THRESHOLD = 10000;
+
+/**
+ * Create a failure limiter.
+ * @param {{ maxFailures: number, windowMs: number }} options
+ * @returns {{ retryAfterSeconds: (key: string) => number, recordFailure: (key: string) => number, reset: (key: string) => void }}
+ *   retryAfterSeconds is 0 while the key may still try; recordFailure returns the same for after the failure
+ */
+function createFailureLimiter({ maxFailures, windowMs }) {
+  const entries = new Map();
+
+  function liveEntry(key, now) {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  function prune(now) {
+    entries.forEach((entry, key) => {
+      if (entry.resetAt <= now) entries.delete(key);
+    });
+  }
+
+  function retryAfterSeconds(key) {
+    const now = Date.now();
+    const entry = liveEntry(key, now);
+    if (!entry || entry.failures < maxFailures) return 0;
+    return Math.max(1, Math.ceil((entry.resetAt - now) / 1000));
+  }
+
+  function recordFailure(key) {
+    const now = Date.now();
+    if (entries.size >= PRUNE_THRESHOLD) prune(now);
+    const entry = liveEntry(key, now) || { failures: 0, resetAt: now + windowMs };
+    entry.failures += 1;
+    entries.set(key, entry);
+    return retryAfterSeconds(key);
+  }
+
+  function reset(key) {
+    entries.delete(key);
+  }
+
+  return { recordFailure, reset, retryAfterSeconds };
+}
+
+module.exports = {
+  createFailureLimiter
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+
+// Where recording files are kept. RECORDING_STORAGE picks the backend; 'local' (the default) writes
+// under RECORDINGS_DIR and is meant for development and single-server setups.
+//   RECORDING_STORAGE - storage backend (default "local")
+//   RECORDINGS_DIR    - directory for the local backend (default "./recordings" next to the API)
+const RECORDING_STORAGE = process.env.RECORDING_STORAGE || 'local';
+const RECORDINGS_DIR = path.resolve(process.env.RECORDINGS_DIR || path.join(__dirname, '..', 'recordings'));
+
+/**
+ * Local filesystem backend. Keys are relative paths such as "<meetingId>/<recordingId>.mp4".
+ * @param {string} root
+ */
+function createLocalStorage(root) {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error('Invalid storage key');
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    // Stream a body to the key; fails (and leaves nothing behind) past maxBytes
+    async save(key, body, { maxBytes } = {}) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      let size = 0;
+      const limit = new Transform({
+        transform(chunk, _encoding, callback) {
+          size += chunk.length;
+          if (maxBytes && size > maxBytes) return callback(Object.assign(new Error('Recording is too large'), { status: 413 }));
+          return callback(null, chunk);
+        }
+      });
+      try {
+        await pipeline(body, limit, fs.createWriteStream(file, { flags: 'wx' }));
+      } catch (err) {
+        await fs.promises.rm(file, { force: true });
+        throw err;
+      }
+      return { size };
+    },
+
+    async stat(key) {
+      const stats = await fs.promises.stat(resolve(key));
+      return { size: stats.size };
+    },
+
+    // Readable stream of the whole file, or of the inclusive byte range [start, end]
+    createReadStream(key, range) {
+      return fs.createReadStream(resolve(key), range || undefined);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+}
+
+/**
+ * The configured recording storage backend.
+ * @returns {{ name: string, save: Function, stat: Function, createReadStream: Function, remove: Function }}
+ */
+function createRecordingStorage() {
+  if (RECORDING_STORAGE === 'local') return createLocalStorage(RECORDINGS_DIR);
+  throw new Error(`Unknown RECORDING_STORAGE "${RECORDING_STORAGE}" (supported: local)`);
+}
+
+module.exports = {
+  createRecordingStorage
+};
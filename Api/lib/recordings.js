@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+
+// Recording library (public.recordings): uploads from the Jibri finalize script, signed file URLs
+// for playback and download, sharing and the retention job that deletes expired recordings.
+//   RECORDING_RETENTION_DAYS               - default days a new recording is kept (unset or 0 keeps it)
+//   RECORDING_RETENTION_INTERVAL_SECONDS   - how often expired recordings are deleted (default 3600, 0 turns it off)
+//   RECORDING_URL_SECRET                   - key for signed file URLs (defaults to SUPABASE_SERVICE_ROLE_KEY)
+//   RECORDING_URL_TTL_SECONDS              - how long a signed file URL works (default 3600)
+//   RECORDING_MAX_BYTES                    - largest upload accepted (default 8 GiB)
+const RECORDING_RETENTION_DAYS = parseInt(process.env.RECORDING_RETENTION_DAYS || '0', 10);
+const RECORDING_RETENTION_INTERVAL_SECONDS = parseInt(process.env.RECORDING_RETENTION_INTERVAL_SECONDS || '3600', 10);
+const RECORDING_URL_TTL_SECONDS = parseInt(process.env.RECORDING_URL_TTL_SECONDS || '3600', 10);
+const RECORDING_MAX_BYTES = parseInt(process.env.RECORDING_MAX_BYTES || String(8 * 1024 ** 3), 10);
+
+const RECORDING_VISIBILITIES = ['private', 'participants', 'link'];
+const MAX_RETENTION_DAYS = 3650;
+const FILE_NAME_MAX_LENGTH = 200;
+const PURGE_BATCH_SIZE = 50;
+
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg'
+};
+
+function urlSecret() {
+  return process.env.RECORDING_URL_SECRET || process.env.SUPABASE_SERVICE_ROLE_KEY || '';
+}
+
+/**
+ * Validate the query of a finalize-script upload.
+ * @param {object} query { room, fileName, startedAt?, durationSeconds? }
+ * @returns {{ upload?: { meetingId: string, fileName: string, extension: string, contentType: string, startedAt: string|null, durationSeconds: number|null }, error?: string }}
+ */
+function parseRecordingUpload(query = {}) {
+  const meetingId = typeof query.room === 'string' ? query.room.trim().toLowerCase() : '';
+  if (!/^[0-9a-f-]{36}$/.test(meetingId)) return { error: 'room must be the meeting id' };
+
+  const fileName = typeof query.fileName === 'string' ? query.fileName.trim().replace(/[/\\]/g, '_') : '';
+  if (!fileName || fileName.length > FILE_NAME_MAX_LENGTH) return { error: `fileName is required (at most ${FILE_NAME_MAX_LENGTH} characters)` };
+  const extension = (fileName.match(/\.[a-z0-9]+$/i)?.[0] || '').toLowerCase();
+  if (!CONTENT_TYPES[extension]) return { error: `Unsupported recording type (${Object.keys(CONTENT_TYPES).join(', ')})` };
+
+  let startedAt = null;
+  if (query.startedAt) {
+    const date = new Date(query.startedAt);
+    if (Number.isNaN(date.getTime())) return { error: 'startedAt must be a date' };
+    startedAt = date.toISOString();
+  }
+  let durationSeconds = null;
+  if (query.durationSeconds !== undefined && query.durationSeconds !== '') {
+    durationSeconds = Number(query.durationSeconds);
+    if (!Number.isInteger(durationSeconds) || durationSeconds < 0) return { error: 'durationSeconds must be a whole number' };
+  }
+
+  return { upload: { meetingId, fileName, extension, contentType: CONTENT_TYPES[extension], startedAt, durationSeconds } };
+}
+
+/**
+ * When a recording kept for `days` expires; null days keep it.
+ * @param {string|Date} createdAt
+ * @param {number|null} days
+ * @returns {string|null}
+ */
+function retentionExpiry(createdAt, days) {
+  if (!days) return null;
+  return new Date(new Date(createdAt).getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Days a newly uploaded recording is kept by default (null: until deleted)
+function defaultRetentionDays() {
+  return RECORDING_RETENTION_DAYS > 0 ? RECORDING_RETENTION_DAYS : null;
+}
+
+/**
+ * Validate the organiser's changes to a recording.
+ * @param {object} body { title?, visibility?, retentionDays?: number|null }
+ * @returns {{ values?: object, error?: string }} values holds recordings columns (retention_days
+ *   still has to be turned into expires_at by the caller)
+ */
+function parseRecordingUpdate(body = {}) {
+  const values = {};
+  if (body.title !== undefined) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title || title.length > FILE_NAME_MAX_LENGTH) return { error: `title must be 1 to ${FILE_NAME_MAX_LENGTH} characters` };
+    values.title = title;
+  }
+  if (body.visibility !== undefined) {
+    if (!RECORDING_VISIBILITIES.includes(body.visibility)) return { error: `visibility must be one of ${RECORDING_VISIBILITIES.join(', ')}` };
+    values.visibility = body.visibility;
+  }
+  if (body.retentionDays !== undefined) {
+    const days = body.retentionDays;
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS)) {
+      return { error: `retentionDays must be between 1 and ${MAX_RETENTION_DAYS}, or null to keep the recording` };
+    }
+    values.retention_days = days;
+  }
+  if (Object.keys(values).length === 0) return { error: 'Nothing to update' };
+  return { values };
+}
+
+function signature(recordingId, expires, disposition) {
+  return crypto.createHmac('sha256', urlSecret()).update(`${recordingId}.${expires}.${disposition}`).digest('base64url');
+}
+
+/**
+ * Path of the recording's file with a signature that lets a <video> element or a download link
+ * fetch it without an Authorization header.
+ * @param {string} recordingId
+ * @param {{ download?: boolean, now?: number }} [options]
+ * @returns {string}
+ */
+function signedFilePath(recordingId, { download = false, now = Date.now() } = {}) {
+  const expires = Math.floor(now / 1000) + RECORDING_URL_TTL_SECONDS;
+  const disposition = download ? 'attachment' : 'inline';
+  const params = new URLSearchParams({ expires: String(expires), disposition, signature: signature(recordingId, expires, disposition) });
+  return `/recordings/${encodeURIComponent(recordingId)}/file?${params}`;
+}
+
+/**
+ * Check a signed file URL's query.
+ * @param {string} recordingId
+ * @param {object} query { expires, disposition, signature }
+ * @returns {'inline'|'attachment'|null} the disposition to serve, or null when the URL is not valid
+ */
+function verifyFileSignature(recordingId, query = {}, now = Date.now()) {
+  const expires = parseInt(query.expires, 10);
+  const disposition = query.disposition === 'attachment' ? 'attachment' : 'inline';
+  if (!urlSecret() || !expires || expires * 1000 < now || typeof query.signature !== 'string') return null;
+  const expected = Buffer.from(signature(recordingId, expires, disposition));
+  const given = Buffer.from(query.signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  return disposition;
+}
+
+/**
+ * Parse a single-range Range header ("bytes=start-end", "bytes=start-", "bytes=-suffix").
+ * @param {string|undefined} header
+ * @param {number} size
+ * @returns {{ start: number, end: number }|null|false} null without a usable header, false when unsatisfiable
+ */
+function parseByteRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  let start;
+  let end;
+  if (!match[1]) {
+    start = Math.max(0, size - parseInt(match[2], 10));
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  }
+  if (start > end || start >= size) return false;
+  return { start, end };
+}
+
+/**
+ * Shape a recordings row for the client, with fresh signed file paths.
+ * @param {object} row
+ * @param {{ canManage?: boolean }} [options]
+ * @returns {object}
+ */
+function toClientRecording(row, { canManage = false } = {}) {
+  return {
+    id: row.id,
+    meetingId: row.meeting_id,
+    meetingName: row.meeting_name,
+    title: row.title,
+    fileName: row.file_name,
+    contentType: row.content_type,
+    sizeBytes: row.size_bytes,
+    durationSeconds: row.duration_seconds,
+    startedAt: row.started_at,
+    createdAt: row.created_at,
+    visibility: row.visibility,
+    retentionDays: row.retention_days,
+    expiresAt: row.expires_at,
+    canManage,
+    playbackPath: signedFilePath(row.id),
+    downloadPath: signedFilePath(row.id, { download: true })
+  };
+}
+
+/**
+ * Periodically delete recordings whose retention ran out, file first and then the row.
+ * @param {{ supabase: object, storage: object }} deps
+ */
+function createRecordingRetentionJob({ supabase, storage }) {
+  let timer = null;
+  let running = false;
+
+  async function runOnce() {
+    if (running) return;
+    running = true;
+    try {
+      const { data: expired, error } = await supabase
+        .from('recordings')
+        .select('id, storage_key')
+        .lte('expires_at', new Date().toISOString())
+        .limit(PURGE_BATCH_SIZE);
+      if (error) throw error;
+
+      for (const recording of expired || []) {
+        try {
+          await storage.remove(recording.storage_key);
+          const { error: deleteError } = await supabase.from('recordings').delete().eq('id', recording.id);
+          if (deleteError) throw deleteError;
+        } catch (err) {
+          console.error(`[recordings] Could not delete expired recording ${recording.id}:`, err?.message || err);
+        }
+      }
+    } catch (err) {
+      console.error('[recordings] Retention job failed:', err?.message || err);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer || !(RECORDING_RETENTION_INTERVAL_SECONDS > 0)) return;
+    timer = setInterval(runOnce, RECORDING_RETENTION_INTERVAL_SECONDS * 1000);
+    setTimeout(runOnce, 5000);
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { runOnce, start, stop };
+}
+
+module.exports = {
+  RECORDING_MAX_BYTES,
+  createRecordingRetentionJob,
+  defaultRetentionDays,
+  parseByteRange,
+  parseRecordingUpdate,
+  parseRecordingUpload,
+  retentionExpiry,
+  signedFilePath,
+  toClientRecording,
+  verifyFileSignature
+};
@@ -0,0 +1,112 @@
+// Validation for the RRULE subset we support (mirrors public.rrule_occurrences in supabase_schema.sql):
+// FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (weekly only), and at most one of UNTIL / COUNT.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+function parseRRule(rule) {
+  const parts = {};
+  String(rule || '')
+    .trim()
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .filter(Boolean)
+    .forEach(part => {
+      const [key, value] = part.split('=');
+      parts[(key || '').toUpperCase()] = (value || '').toUpperCase();
+    });
+  return parts;
+}
+
+/**
+ * Validate and normalise an RRULE string.
+ * @param {string} rule
+ * @returns {{ errors: string[], rule: string | null }}
+ */
+function normalizeRRule(rule) {
+  const errors = [];
+  const parts = parseRRule(rule);
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    errors.push(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+
+  const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'UNTIL', 'COUNT'].includes(key));
+  if (unsupported.length > 0) {
+    errors.push(`Unsupported RRULE parts: ${unsupported.join(', ')}`);
+  }
+
+  const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 99) {
+    errors.push('INTERVAL must be between 1 and 99');
+  }
+
+  let byDay = [];
+  if (parts.BYDAY) {
+    byDay = parts.BYDAY.split(',');
+    if (parts.FREQ !== 'WEEKLY') errors.push('BYDAY is only supported for WEEKLY rules');
+    if (byDay.some(day => !WEEKDAYS.includes(day))) errors.push('BYDAY must list weekdays like MO,WE,FR');
+  }
+
+  if (parts.UNTIL && parts.COUNT) {
+    errors.push('UNTIL and COUNT cannot both be set');
+  }
+  if (parts.UNTIL && !/^\d{8}(T\d{6}Z)?$/.test(parts.UNTIL)) {
+    errors.push('UNTIL must look like 20261231 or 20261231T235959Z');
+  }
+  if (parts.COUNT) {
+    const count = parseInt(parts.COUNT, 10);
+    if (!Number.isInteger(count) || count < 1 || count > 1000) errors.push('COUNT must be between 1 and 1000');
+  }
+
+  if (errors.length > 0) return { errors, rule: null };
+
+  const normalized = [`FREQ=${parts.FREQ}`];
+  if (interval > 1) normalized.push(`INTERVAL=${interval}`);
+  if (byDay.length > 0) normalized.push(`BYDAY=${byDay.join(',')}`);
+  if (parts.UNTIL) normalized.push(`UNTIL=${parts.UNTIL}`);
+  if (parts.COUNT) normalized.push(`COUNT=${parseInt(parts.COUNT, 10)}`);
+  return { errors, rule: normalized.join(';') };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+const WEEKDAY_NAMES = { SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat' };
+
+/**
+ * Short English description of a rule, e.g. "Every 2 weeks on Mon, Wed, 10 times" (same wording as the app)
+ * @param {string} rule
+ * @returns {string}
+ */
+function describeRRule(rule) {
+  const parts = parseRRule(rule);
+  if (!parts.FREQ) return '';
+
+  const interval = parseInt(parts.INTERVAL || '1', 10);
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[parts.FREQ] || 'period';
+  let text = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+
+  if (parts.BYDAY) {
+    text += ` on ${parts.BYDAY.split(',').map(code => WEEKDAY_NAMES[code] || code).join(', ')}`;
+  }
+  if (parts.COUNT) {
+    text += `, ${parts.COUNT} times`;
+  } else if (parts.UNTIL) {
+    text += `, until ${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}`;
+  }
+  return text;
+}
+
+module.exports = {
+  describeRRule,
+  isValidTimeZone,
+  normalizeRRule,
+  parseRRule
+};
@@ -0,0 +1,103 @@
+// Webinar registration (public.meeting_registrations): form settings, sign-up validation and the registrant export.
+
+const { csvCell } = require('./attendance');
+
+const MAX_FIELDS = 10;
+const LABEL_MAX_LENGTH = 100;
+const ANSWER_MAX_LENGTH = 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate the organiser's extra registration questions (meetings.registration_fields).
+ * Field ids are derived from the labels, so answers stay matched when the order changes.
+ * @param {unknown} value [{ label, required? }] (an id is kept when given)
+ * @returns {{ fields?: object[], error?: string }}
+ */
+function parseRegistrationFields(value) {
+  if (!Array.isArray(value)) return { error: 'registrationFields must be an array' };
+  if (value.length > MAX_FIELDS) return { error: `At most ${MAX_FIELDS} registration fields` };
+
+  const fields = [];
+  for (const raw of value) {
+    const label = typeof raw?.label === 'string' ? raw.label.trim() : '';
+    if (!label) return { error: 'Every registration field needs a label' };
+    if (label.length > LABEL_MAX_LENGTH) return { error: `Registration field labels must be at most ${LABEL_MAX_LENGTH} characters` };
+    const id = (typeof raw.id === 'string' && raw.id.trim()) || label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || `field_${fields.length + 1}`;
+    if (fields.some(field => field.id === id)) return { error: `Registration fields must be different (${label})` };
+    fields.push({ id, label, required: !!raw.required });
+  }
+  return { fields };
+}
+
+/**
+ * Validate a sign-up against the meeting's form.
+ * @param {object[]} fields meetings.registration_fields
+ * @param {object} body { name, email, answers? }
+ * @returns {{ registration?: { name: string, email: string, answers: object }, error?: string }}
+ */
+function parseRegistration(fields, body = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) return { error: 'name is required' };
+  if (name.length > 100) return { error: 'name must be at most 100 characters' };
+
+  const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  if (email.length > 254 || !EMAIL_PATTERN.test(email)) return { error: 'A valid email address is required' };
+
+  const given = body.answers && typeof body.answers === 'object' ? body.answers : {};
+  const answers = {};
+  for (const field of fields || []) {
+    const answer = typeof given[field.id] === 'string' ? given[field.id].trim() : '';
+    if (field.required && !answer) return { error: `${field.label} is required` };
+    if (answer.length > ANSWER_MAX_LENGTH) return { error: `${field.label} must be at most ${ANSWER_MAX_LENGTH} characters` };
+    if (answer) answers[field.id] = answer;
+  }
+
+  return { registration: { name, email, answers } };
+}
+
+/**
+ * Shape a meeting_registrations row for the organiser.
+ * @param {object} row
+ * @returns {object}
+ */
+function toClientRegistration(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    answers: row.answers || {},
+    status: row.status,
+    createdAt: row.created_at,
+    decidedAt: row.decided_at || null,
+    firstJoinedAt: row.first_joined_at || null
+  };
+}
+
+/**
+ * Render registrants as CSV, with one column per registration field.
+ * @param {object[]} registrations toClientRegistration() results
+ * @param {object[]} fields meetings.registration_fields
+ * @returns {string}
+ */
+function registrationsToCsv(registrations, fields = []) {
+  const header = ['Name', 'Email', 'Status', 'Registered at', 'Joined at', ...fields.map(field => field.label)];
+  const lines = [header.map(csvCell).join(',')];
+  registrations.forEach(registration => {
+    lines.push([
+      registration.name,
+      registration.email,
+      registration.status,
+      registration.createdAt,
+      registration.firstJoinedAt,
+      ...fields.map(field => registration.answers[field.id])
+    ].map(csvCell).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  parseRegistration,
+  parseRegistrationFields,
+  registrationsToCsv,
+  toClientRegistration
+};
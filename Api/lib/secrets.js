@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+// Random URL-safe secret (host tokens, claim codes, feed tokens)
+function generateSecret(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// Secrets are stored as SHA-256 hex digests; they are high-entropy so no salt is needed
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+// Constant-time comparison of a plain secret against a stored digest
+function secretMatchesHash(value, storedHash) {
+  if (!value || !storedHash) return false;
+  const a = Buffer.from(hashSecret(value), 'hex');
+  const b = Buffer.from(String(storedHash), 'hex');
+  if (a.length !== b.length) return false;
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Secrets we must read back later (stream keys) are encrypted with AES-256-GCM.
+// DATA_ENCRYPTION_KEY is 32 random bytes, base64 or hex encoded (e.g. `openssl rand -base64 32`).
+function getEncryptionKey() {
+  const raw = process.env.DATA_ENCRYPTION_KEY || '';
+  if (!raw) return null;
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) throw new Error('DATA_ENCRYPTION_KEY must be 32 bytes (base64 or hex)');
+  return key;
+}
+
+function isEncryptionConfigured() {
+  return !!process.env.DATA_ENCRYPTION_KEY;
+}
+
+// Returns "v1.<iv>.<tag>.<ciphertext>" (base64url parts)
+function encryptSecret(plaintext) {
+  const key = getEncryptionKey();
+  if (!key) throw new Error('DATA_ENCRYPTION_KEY is not configured');
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64url'), cipher.getAuthTag().toString('base64url'), ciphertext.toString('base64url')].join('.');
+}
+
+function decryptSecret(payload) {
+  const key = getEncryptionKey();
+  if (!key) throw new Error('DATA_ENCRYPTION_KEY is not configured');
+  const [version, iv, tag, ciphertext] = String(payload || '').split('.');
+  if (version !== 'v1' || !iv || !tag || ciphertext === undefined) throw new Error('Unrecognised encrypted value');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  decryptSecret,
+  encryptSecret,
+  generateSecret,
+  hashSecret,
+  isEncryptionConfigured,
+  secretMatchesHash
+};
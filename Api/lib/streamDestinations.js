@@ -0,0 +1,122 @@
+// Saved live-stream destinations (public.stream_destinations) and the RTMP relay that fans one
+// meeting out to several of them (public.stream_relay_sessions, see Api/relay).
+//   STREAM_RELAY_RTMP_URL - where Jibri publishes multi-destination streams, e.g. rtmp://relay:1935/live
+//                           (unset: only one destination per stream)
+//   STREAM_RELAY_SECRET   - shared with the relay's fan-out script (GET /stream-relay/:key/targets)
+//   STREAM_RELAY_TTL_HOURS - how long a relay key can be used to start publishing (default 12)
+const STREAM_RELAY_RTMP_URL = (process.env.STREAM_RELAY_RTMP_URL || '').replace(/\/+$/, '');
+const STREAM_RELAY_TTL_HOURS = parseInt(process.env.STREAM_RELAY_TTL_HOURS || '12', 10);
+
+const MAX_DESTINATIONS_PER_STREAM = 5;
+const NAME_MAX_LENGTH = 100;
+const SECRET_MAX_LENGTH = 500;
+
+// Ingest URLs used when a destination does not carry its own (YouTube only needs the key)
+const PLATFORM_DEFAULT_URLS = {
+  youtube: 'rtmp://a.rtmp.youtube.com/live2',
+  facebook: 'rtmps://live-api-s.facebook.com:443/rtmp/',
+  twitch: 'rtmp://live.twitch.tv/app/',
+  linkedin: 'rtmps://live-video.net/broadcast/',
+  custom: ''
+};
+const PLATFORMS = Object.keys(PLATFORM_DEFAULT_URLS);
+
+function isRelayConfigured() {
+  return !!STREAM_RELAY_RTMP_URL;
+}
+
+/**
+ * Validate a destination sent by the app.
+ * @param {object} body { name, platform, rtmpUrl?, streamKey, scope?: 'user'|'org' }
+ * @param {{ partial?: boolean }} [options] partial: PATCH, where the platform is fixed and the key optional
+ * @returns {{ values?: { name?: string, platform?: string, scope?: string }, secrets?: { rtmpUrl: string, streamKey: string }|null, error?: string }}
+ *   secrets is null when a partial update leaves the key and URL alone; an empty field in a partial
+ *   update keeps the stored value
+ */
+function parseDestination(body = {}, { partial = false } = {}) {
+  const values = {};
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  if (!partial || body.name !== undefined) {
+    const name = text(body.name);
+    if (!name || name.length > NAME_MAX_LENGTH) return { error: `name must be 1 to ${NAME_MAX_LENGTH} characters` };
+    values.name = name;
+  }
+  if (!partial) {
+    const platform = text(body.platform).toLowerCase();
+    if (!PLATFORMS.includes(platform)) return { error: `platform must be one of ${PLATFORMS.join(', ')}` };
+    values.platform = platform;
+    const scope = body.scope === undefined ? 'user' : body.scope;
+    if (!['user', 'org'].includes(scope)) return { error: "scope must be 'user' or 'org'" };
+    values.scope = scope;
+  }
+
+  const streamKey = text(body.streamKey);
+  const rtmpUrl = text(body.rtmpUrl);
+  if (partial && !streamKey && !rtmpUrl) {
+    return Object.keys(values).length > 0 ? { values, secrets: null } : { error: 'Nothing to update' };
+  }
+  if ((!partial && !streamKey) || streamKey.length > SECRET_MAX_LENGTH) return { error: `streamKey is required (at most ${SECRET_MAX_LENGTH} characters)` };
+  if (rtmpUrl.length > SECRET_MAX_LENGTH || (rtmpUrl && !/^rtmps?:\/\//i.test(rtmpUrl))) {
+    return { error: 'rtmpUrl must start with rtmp:// or rtmps://' };
+  }
+  // The platform is only known here on create; for a custom destination the URL is mandatory
+  if (values.platform === 'custom' && !rtmpUrl) return { error: 'rtmpUrl is required for a custom destination' };
+
+  return { values, secrets: { rtmpUrl, streamKey } };
+}
+
+// Last few characters of a key, enough to tell two destinations apart
+function keyHint(streamKey) {
+  return streamKey.length > 8 ? `…${streamKey.slice(-4)}` : '…';
+}
+
+// The destination's own ingest URL, or the platform's usual one
+function ingestUrl(platform, rtmpUrl) {
+  return rtmpUrl || PLATFORM_DEFAULT_URLS[platform] || '';
+}
+
+/**
+ * Full RTMP URL a stream is pushed to (ingest URL and key), as the relay needs it.
+ * @param {string} platform
+ * @param {{ rtmpUrl?: string, streamKey: string }} secrets
+ * @returns {string}
+ */
+function destinationTarget(platform, { rtmpUrl, streamKey }) {
+  return `${ingestUrl(platform, rtmpUrl).replace(/\/+$/, '')}/${streamKey}`;
+}
+
+/**
+ * Shape a stream_destinations row for the client. Keys and URLs never leave the API.
+ * @param {object} row
+ * @param {{ canManage?: boolean }} [options]
+ * @returns {object}
+ */
+function toClientDestination(row, { canManage = false } = {}) {
+  return {
+    id: row.id,
+    scope: row.scope,
+    name: row.name,
+    platform: row.platform,
+    keyHint: row.key_hint,
+    updatedAt: row.updated_at,
+    canManage
+  };
+}
+
+// Relay keys can start a stream until this time
+function relayExpiry(now = Date.now()) {
+  return new Date(now + STREAM_RELAY_TTL_HOURS * 60 * 60 * 1000).toISOString();
+}
+
+module.exports = {
+  MAX_DESTINATIONS_PER_STREAM,
+  STREAM_RELAY_RTMP_URL,
+  destinationTarget,
+  ingestUrl,
+  isRelayConfigured,
+  keyHint,
+  parseDestination,
+  relayExpiry,
+  toClientDestination
+};
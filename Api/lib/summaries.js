@@ -0,0 +1,63 @@
+const { getActionDefinition } = require('./meetingActions');
+
+// Post-meeting summaries: one session of a meeting (public.meeting_sessions) with who came, what was
+// said and decided, and what moderators did. The routes gather the rows; this shapes them.
+
+/**
+ * Pick the session a summary covers.
+ * @param {object[]} sessions meeting_sessions rows, newest first
+ * @param {string} [sessionId] the one asked for; the newest otherwise
+ * @returns {object|null}
+ */
+function pickSummarySession(sessions, sessionId) {
+  if (sessionId) return sessions.find(session => session.id === sessionId) || null;
+  return sessions[0] || null;
+}
+
+/**
+ * Shape a meeting_sessions row for clients. A session still running reports its duration so far.
+ * @param {object} row
+ * @param {number} [now]
+ * @returns {object}
+ */
+function toSummarySession(row, now = Date.now()) {
+  const durationSeconds = row.ended_at
+    ? row.duration_seconds
+    : Math.max(0, Math.round((now - new Date(row.started_at)) / 1000));
+  return {
+    id: row.id,
+    startedAt: row.started_at,
+    endedAt: row.ended_at || null,
+    endReason: row.end_reason || null,
+    peakParticipants: row.peak_participants,
+    durationSeconds
+  };
+}
+
+/**
+ * Describe a meeting_actions row: what was done, to whom and by whom.
+ * requested_by holds a Jitsi participant id or a user uid depending on who queued the action.
+ * @param {object} row
+ * @param {Map<string, string>} namesById display names keyed by participant id and by user uid
+ * @returns {object}
+ */
+function toSummaryAction(row, namesById) {
+  const definition = getActionDefinition(row.type);
+  return {
+    id: row.id,
+    type: row.type,
+    label: definition ? definition.label : row.type,
+    status: row.status,
+    createdAt: row.created_at,
+    targetName: (row.target_participant_id && namesById.get(row.target_participant_id))
+      || row.target_display_name_normalized
+      || null,
+    requestedByName: (row.requested_by && namesById.get(row.requested_by)) || null
+  };
+}
+
+module.exports = {
+  pickSummarySession,
+  toSummaryAction,
+  toSummarySession
+};
@@ -0,0 +1,79 @@
+// Live-caption transcripts (public.meeting_transcript_segments): validating the segments moderators'
+// tabs save, and the transcript exports. The speech engine itself runs in Jigasi (see Api/transcription).
+
+const SEGMENT_MAX_LENGTH = 5000;
+const MAX_SEGMENTS_PER_REQUEST = 50;
+
+/**
+ * Validate a batch of final caption segments.
+ * @param {object} body { segments: [{ messageId, speakerId?, speakerName?, language?, text, spokenAt? }] }
+ * @returns {{ segments?: object[], error?: string }} segments are meeting_transcript_segments values
+ *   without meeting_id, session_id and saved_by
+ */
+function parseTranscriptSegments(body = {}) {
+  const list = Array.isArray(body.segments) ? body.segments : null;
+  if (!list || list.length === 0 || list.length > MAX_SEGMENTS_PER_REQUEST) {
+    return { error: `segments must hold 1 to ${MAX_SEGMENTS_PER_REQUEST} items` };
+  }
+
+  const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+  const segments = [];
+  for (const item of list) {
+    const messageId = text(item?.messageId, 200);
+    const segmentText = typeof item?.text === 'string' ? item.text.trim() : '';
+    if (!messageId) return { error: 'Each segment needs a messageId' };
+    if (!segmentText || segmentText.length > SEGMENT_MAX_LENGTH) {
+      return { error: `Segment text must be 1 to ${SEGMENT_MAX_LENGTH} characters` };
+    }
+    const spokenAt = item.spokenAt ? new Date(item.spokenAt) : new Date();
+    if (Number.isNaN(spokenAt.getTime())) return { error: 'spokenAt must be a date' };
+
+    segments.push({
+      message_id: messageId,
+      speaker_participant_id: text(item.speakerId, 100) || null,
+      speaker_name: text(item.speakerName, 200) || null,
+      language: text(item.language, 20) || null,
+      body: segmentText,
+      spoken_at: spokenAt.toISOString()
+    });
+  }
+  return { segments };
+}
+
+/**
+ * Shape a meeting_transcript_segments row for clients.
+ * @param {object} row
+ * @returns {object}
+ */
+function toClientSegment(row) {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    messageId: row.message_id,
+    speakerId: row.speaker_participant_id,
+    speakerName: row.speaker_name || 'Unknown speaker',
+    language: row.language,
+    text: row.body,
+    spokenAt: row.spoken_at
+  };
+}
+
+/**
+ * Render a transcript as plain text, one line per segment, for the download.
+ * @param {{ name: string }} meeting
+ * @param {object[]} segments toClientSegment() results, oldest first
+ * @returns {string}
+ */
+function transcriptToText(meeting, segments) {
+  const lines = [`Transcript: ${meeting.name}`, ''];
+  segments.forEach(segment => {
+    lines.push(`[${segment.spokenAt}] ${segment.speakerName}: ${segment.text.replace(/\r?\n/g, ' ')}`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  parseTranscriptSegments,
+  toClientSegment,
+  transcriptToText
+};
@@ -0,0 +1,150 @@
+-- Runs the API worker's meeting actions (Api/lib/jitsiAdmin.js) inside Prosody:
+--   POST /meeting-action
+--   Authorization: Bearer <JWT signed with the app secret for the room, moderator, user id "meeting-actions-worker">
+--   { id, type, room: "<meetingId>@<muc domain>", participantId?, displayName? }
+-- Answers 200 when done, 400 for a malformed request, 401 for a bad token, 404 when the room or
+-- participant is gone and 501 for types it cannot run. See README.md next to this file for setup.
+--
+-- Load it on the main virtual host, which must use token authentication.
+local jid = require "util.jid";
+local json = require "util.json";
+local st = require "util.stanza";
+local uuid = require "util.uuid";
+
+local util = module:require "util";
+local get_room_from_jid = util.get_room_from_jid;
+
+local token_util = module:require "token/util".new(module);
+
+-- Identity the API worker signs its tokens with; participants' tokens never carry it
+local worker_id = module:get_option_string("meeting_action_worker_id", "meeting-actions-worker");
+
+-- Jicofo's occupant in every conference. Clients only accept mute requests from it.
+local FOCUS_NICK = "focus";
+
+local function respond(event, status, message)
+    event.response.status_code = status;
+    event.response.headers.content_type = "text/plain";
+    return message or "";
+end
+
+-- The verified token's session, or nil and the reason it was refused
+local function verify_token(event, room_name)
+    local header = event.request.headers.authorization or "";
+    local token = header:match("^Bearer%s+(.+)$");
+    if not token then
+        return nil, "Bearer token required";
+    end
+
+    local session = { auth_token = token };
+    local verified, reason, message = token_util:process_and_verify_token(session);
+    if not verified then
+        return nil, message or reason;
+    end
+    local user = session.jitsi_meet_context_user;
+    if not user or user.id ~= worker_id or tostring(user.moderator) ~= "true" then
+        return nil, "Token is not the meeting actions worker's";
+    end
+    if session.jitsi_meet_room ~= "*" and session.jitsi_meet_room ~= room_name then
+        return nil, "Token is for another room";
+    end
+    return session;
+end
+
+-- Ask a participant's client to mute its microphone, the way Jicofo does
+local function send_mute(room, occupant)
+    for real_jid in occupant:each_session() do
+        module:send(st.iq({ type = "set", from = room.jid .. "/" .. FOCUS_NICK, to = real_jid, id = uuid.generate() })
+            :tag("mute", { xmlns = "http://jitsi.org/jitmeet/audio" }):text("true"):up());
+    end
+end
+
+local handlers = {};
+
+handlers["kick"] = function(room, occupant)
+    return room:set_role(true, occupant.nick, nil, "Removed by a moderator");
+end
+
+handlers["mute"] = function(room, occupant)
+    send_mute(room, occupant);
+    return true;
+end
+
+handlers["mute-everyone"] = function(room)
+    for _, occupant in room:each_occupant() do
+        if jid.resource(occupant.nick) ~= FOCUS_NICK then
+            send_mute(room, occupant);
+        end
+    end
+    return true;
+end
+
+handlers["grant-moderator"] = function(room, occupant)
+    return room:set_affiliation(true, occupant.bare_jid, "owner");
+end
+
+handlers["revoke-moderator"] = function(room, occupant)
+    return room:set_affiliation(true, occupant.bare_jid, "member");
+end
+
+handlers["end-meeting"] = function(room)
+    room:destroy(nil, "The meeting has been ended by a moderator");
+    return true;
+end
+
+-- Types that act on one participant
+local targeted = { ["kick"] = true, ["mute"] = true, ["grant-moderator"] = true, ["revoke-moderator"] = true };
+
+local function handle_meeting_action(event)
+    local body = json.decode(event.request.body or "");
+    if type(body) ~= "table" or type(body.type) ~= "string" or type(body.room) ~= "string" then
+        return respond(event, 400, "type and room are required");
+    end
+    local handler = handlers[body.type];
+    if not handler then
+        return respond(event, 501, "Unsupported action type " .. body.type);
+    end
+
+    local room_jid = jid.prep(body.room);
+    local room_name = room_jid and jid.node(room_jid);
+    if not room_name then
+        return respond(event, 400, "room must be <meetingId>@<muc domain>");
+    end
+    local session, refused = verify_token(event, room_name);
+    if not session then
+        module:log("warn", "Refused meeting action %s for %s: %s", body.type, room_jid, refused);
+        return respond(event, 401, refused);
+    end
+
+    local room = get_room_from_jid(room_jid);
+    if not room then
+        return respond(event, 404, "Room not found");
+    end
+
+    local occupant;
+    if targeted[body.type] then
+        if type(body.participantId) ~= "string" or body.participantId == "" then
+            return respond(event, 400, "participantId is required for " .. body.type);
+        end
+        occupant = room:get_occupant_by_nick(room.jid .. "/" .. body.participantId);
+        if not occupant then
+            return respond(event, 404, "Participant not found");
+        end
+    end
+
+    local ok, err_type, err = handler(room, occupant);
+    if not ok then
+        module:log("warn", "Meeting action %s %s failed in %s: %s %s", body.type, tostring(body.id), room_jid, tostring(err_type), tostring(err));
+        return respond(event, 500, tostring(err or err_type or "failed"));
+    end
+    module:log("info", "Ran meeting action %s %s in %s", body.type, tostring(body.id), room_jid);
+    return respond(event, 200, "done");
+end
+
+module:depends("http");
+module:provides("http", {
+    default_path = "/";
+    route = {
+        ["POST meeting-action"] = handle_meeting_action;
+    };
+});
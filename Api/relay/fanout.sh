@@ -0,0 +1,27 @@
+#!/bin/sh
+# Started by nginx-rtmp for each published stream: asks the API where the stream goes and forwards
+# it to every destination with one ffmpeg process (tee muxer, no re-encoding). A destination that
+# drops does not stop the others.
+set -eu
+
+NAME="$1"
+TARGETS=$(curl --fail --silent --show-error \
+  -H "Authorization: Bearer $STREAM_RELAY_SECRET" \
+  "$RELAY_API_URL/stream-relay/$NAME/targets")
+
+# One RTMP URL per line. The tee muxer splits its outputs on | and reads [] and : as options, so
+# those (and \) are escaped in each URL.
+TEE=""
+while IFS= read -r target; do
+  [ -n "$target" ] || continue
+  target=$(printf '%s' "$target" | sed 's/[][\\|:]/\\&/g')
+  TEE="${TEE:+$TEE|}[f=flv:onfail=ignore]$target"
+done <<EOF
+$TARGETS
+EOF
+if [ -z "$TEE" ]; then
+  echo "fanout: no destinations for this stream" >&2
+  exit 1
+fi
+
+exec ffmpeg -nostdin -loglevel warning -i "rtmp://127.0.0.1:1935/live/$NAME" -map 0 -c copy -f tee "$TEE"
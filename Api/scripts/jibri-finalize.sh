@@ -0,0 +1,38 @@
+#!/usr/bin/env bash
+# Jibri finalize script: uploads each finished recording to the API's recording library.
+# Point Jibri's finalize-script setting at this file and set, in Jibri's environment:
+#   RECORDING_API_URL        - API base URL, e.g. https://api.example.com
+#   RECORDING_WEBHOOK_SECRET - same value as the API's RECORDING_WEBHOOK_SECRET
+# Jibri calls it with the recording directory, which holds the video file(s) and metadata.json.
+set -euo pipefail
+
+RECORDING_DIR="$1"
+: "${RECORDING_API_URL:?RECORDING_API_URL is not set}"
+: "${RECORDING_WEBHOOK_SECRET:?RECORDING_WEBHOOK_SECRET is not set}"
+
+# The room name is the meeting id: last path segment of meeting_url, without any query string
+ROOM=$(sed -n 's/.*"meeting_url"[[:space:]]*:[[:space:]]*"\([^"]*\)".*/\1/p' "$RECORDING_DIR/metadata.json" | sed 's/[?#].*//; s#.*/##')
+if [ -z "$ROOM" ]; then
+  echo "jibri-finalize: no meeting_url in $RECORDING_DIR/metadata.json" >&2
+  exit 1
+fi
+
+status=0
+for file in "$RECORDING_DIR"/*.mp4 "$RECORDING_DIR"/*.webm; do
+  [ -e "$file" ] || continue
+  name=$(basename "$file")
+  if curl --fail --silent --show-error -X POST \
+      -H "Authorization: Bearer $RECORDING_WEBHOOK_SECRET" \
+      -H "Content-Type: application/octet-stream" \
+      --upload-file "$file" \
+      "$RECORDING_API_URL/recordings/webhook?room=$ROOM&fileName=$name"; then
+    rm -f "$file"
+  else
+    echo "jibri-finalize: upload of $name failed; the file was kept" >&2
+    status=1
+  fi
+done
+
+# Keep the directory (and metadata) if anything failed so it can be retried by hand
+[ "$status" -eq 0 ] && rm -rf "$RECORDING_DIR"
+exit "$status"
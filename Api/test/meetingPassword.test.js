@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPasswordVerifier } = require('../lib/meetingPassword');
+
+// Verifier for a meeting whose password is "secret", recording the slowdowns it asks for
+function createVerifier({ maxFailures = 2 } = {}) {
+  const sleeps = [];
+  const verify = createPasswordVerifier({
+    maxFailures,
+    windowMs: 60000,
+    meetingDelayMs: 500,
+    sleep: async ms => { sleeps.push(ms); },
+    checkPassword: async (meetingId, password) => password === 'secret'
+  });
+  return { verify, sleeps };
+}
+
+test('the correct password is accepted', async () => {
+  const { verify } = createVerifier();
+  assert.deepEqual(await verify('m1', 'm1:1.1.1.1', 'secret'), { ok: true });
+});
+
+test('a missing password is 403 password_required', async () => {
+  const { verify } = createVerifier();
+  for (const password of [undefined, '', 42]) {
+    assert.deepEqual(await verify('m1', 'm1:1.1.1.1', password), { ok: false, status: 403, reason: 'password_required' });
+  }
+});
+
+test('a wrong password is 403 password_invalid', async () => {
+  const { verify } = createVerifier();
+  assert.deepEqual(await verify('m1', 'm1:1.1.1.1', 'guess'), { ok: false, status: 403, reason: 'password_invalid' });
+});
+
+test('a client is 429 password_rate_limited after maxFailures wrong passwords, even with the right one', async () => {
+  const { verify } = createVerifier({ maxFailures: 2 });
+  await verify('m1', 'm1:1.1.1.1', 'guess');
+  await verify('m1', 'm1:1.1.1.1', 'guess');
+  const limited = await verify('m1', 'm1:1.1.1.1', 'secret');
+  assert.equal(limited.ok, false);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.reason, 'password_rate_limited');
+  assert.ok(limited.retryAfterSeconds > 0);
+});
+
+test('the correct password clears a client\'s earlier failures', async () => {
+  const { verify } = createVerifier({ maxFailures: 2 });
+  await verify('m1', 'm1:1.1.1.1', 'guess');
+  await verify('m1', 'm1:1.1.1.1', 'secret');
+  assert.equal((await verify('m1', 'm1:1.1.1.1', 'guess')).status, 403);
+  assert.equal((await verify('m1', 'm1:1.1.1.1', 'guess')).status, 403);
+});
+
+test('other clients are not blocked by one client\'s failures', async () => {
+  const { verify } = createVerifier({ maxFailures: 1 });
+  await verify('m1', 'm1:1.1.1.1', 'guess');
+  assert.equal((await verify('m1', 'm1:1.1.1.1', 'secret')).status, 429);
+  assert.deepEqual(await verify('m1', 'm1:2.2.2.2', 'secret'), { ok: true });
+});
+
+test('many failing clients slow a meeting down but do not lock out the correct password', async () => {
+  const { verify, sleeps } = createVerifier({ maxFailures: 1 });
+  for (let i = 0; i < 10; i += 1) {
+    await verify('m1', `m1:10.0.0.${i}`, 'guess');
+  }
+  assert.deepEqual(sleeps, []);
+
+  assert.deepEqual(await verify('m1', 'm1:2.2.2.2', 'secret'), { ok: true });
+  assert.deepEqual(sleeps, [500]);
+  assert.equal((await verify('m1', 'm1:3.3.3.3', 'guess')).status, 403);
+
+  assert.deepEqual(await verify('m2', 'm2:2.2.2.2', 'secret'), { ok: true });
+  assert.deepEqual(sleeps, [500, 500]);
+});
+
+test('errors from the password check are passed on', async () => {
+  const verify = createPasswordVerifier({
+    maxFailures: 2,
+    windowMs: 60000,
+    checkPassword: async () => { throw new Error('database unavailable'); }
+  });
+  await assert.rejects(verify('m1', 'm1:1.1.1.1', 'secret'), /database unavailable/);
+});
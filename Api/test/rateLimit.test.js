@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFailureLimiter } = require('../lib/rateLimit');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a key may keep trying until it reaches maxFailures', () => {
+  const limiter = createFailureLimiter({ maxFailures: 3, windowMs: 60000 });
+  assert.equal(limiter.retryAfterSeconds('a'), 0);
+  assert.equal(limiter.recordFailure('a'), 0);
+  assert.equal(limiter.recordFailure('a'), 0);
+  const retryAfter = limiter.recordFailure('a');
+  assert.ok(retryAfter > 0 && retryAfter <= 60);
+  assert.equal(limiter.retryAfterSeconds('a'), retryAfter);
+});
+
+test('keys are counted separately', () => {
+  const limiter = createFailureLimiter({ maxFailures: 1, windowMs: 60000 });
+  limiter.recordFailure('a');
+  assert.ok(limiter.retryAfterSeconds('a') > 0);
+  assert.equal(limiter.retryAfterSeconds('b'), 0);
+});
+
+test('reset clears a key', () => {
+  const limiter = createFailureLimiter({ maxFailures: 1, windowMs: 60000 });
+  limiter.recordFailure('a');
+  limiter.reset('a');
+  assert.equal(limiter.retryAfterSeconds('a'), 0);
+});
+
+test('a blocked key opens again when its window runs out', async () => {
+  const limiter = createFailureLimiter({ maxFailures: 1, windowMs: 30 });
+  limiter.recordFailure('a');
+  assert.equal(limiter.retryAfterSeconds('a'), 1);
+  await wait(40);
+  assert.equal(limiter.retryAfterSeconds('a'), 0);
+});
@@ -0,0 +1,45 @@
+const { createClient } = require('@supabase/supabase-js');
+const { ensureEnvLoaded } = require('./lib/env');
+
+ensureEnvLoaded();
+
+const { createActionWorker } = require('./lib/actionWorker');
+const { SUPPORTED_ACTION_TYPES, executeMeetingAction, isJitsiAdminConfigured } = require('./lib/jitsiAdmin');
+
+// Runs queued meeting_actions (kick, mute, moderator changes, end-meeting) against Jitsi,
+// so they no longer depend on the host keeping a browser tab open. Start with `npm run worker`
+// next to `npm start`; several workers can run at once.
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY in environment.');
+  console.error('Set them in .env or env/server.env.');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+  auth: {
+    persistSession: false,
+    autoRefreshToken: false
+  }
+});
+
+// Without a Jitsi admin endpoint the worker still expires stale actions, but runs none itself
+const executable = isJitsiAdminConfigured() ? SUPPORTED_ACTION_TYPES : [];
+if (executable.length === 0) {
+  console.warn('JITSI_ADMIN_URL / JITSI_APP_SECRET not set: only expiring stale actions.');
+}
+
+const worker = createActionWorker({ supabase, execute: executeMeetingAction, types: executable });
+worker.start();
+console.log(`Meeting actions worker ${worker.workerId} started (${executable.join(', ') || 'no executable types'})`);
+
+async function shutdown(signal) {
+  console.log(`Received ${signal}, finishing the current action...`);
+  await worker.stop();
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
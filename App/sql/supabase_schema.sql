@@ -22,6 +22,12 @@ update public.users set role = 'user' where role is null;
 -- Ensure is_active exists for enable/disable functionality
 alter table public.users add column if not exists is_active boolean not null default true;
 
+-- Calendar feed: SHA-256 hex digest of the secret in the user's .ics feed URL (written by the API)
+alter table public.users add column if not exists calendar_token text;
+create unique index if not exists idx_users_calendar_token
+  on public.users (calendar_token)
+  where calendar_token is not null;
+
 -- CONFIG_ROLES: single row keyed by 'roles'
 create table if not exists public.config_roles (
   id text primary key,
@@ -46,14 +52,424 @@ create table if not exists public.meetings (
   prejoin_page_enabled boolean not null default false,
   created_by text not null,
   created_at timestamptz not null default now(),
-  host_token text,
+  host_token text, -- SHA-256 hex digest of the host secret (written by the API)
   host_participant_id text,
   whiteboard_open boolean not null default false,
   admin_ids text[] default '{}',
-  admin_display_names text[] default '{}',
-  banned_display_names text[] default '{}'
+  admin_display_names text[] default '{}'
+);
+
+-- Webinar mode (see add_webinar_mode.sql for older deployments)
+alter table public.meetings add column if not exists webinar_mode boolean not null default false;
+
+-- Host links: when the host secret was last rotated or revoked
+alter table public.meetings add column if not exists host_token_rotated_at timestamptz;
+
+-- Recurring meetings: an RRULE (FREQ=DAILY|WEEKLY|MONTHLY;INTERVAL;BYDAY;UNTIL|COUNT) anchored at
+-- scheduled_for and stepped in recurrence_timezone. recurrence_exdates holds cancelled occurrences.
+-- recurrence_timezone is also the zone calendar (.ics) exports use for one-off meetings.
+alter table public.meetings add column if not exists recurrence_rule text;
+alter table public.meetings add column if not exists recurrence_timezone text not null default 'UTC';
+alter table public.meetings add column if not exists recurrence_exdates timestamptz[] not null default '{}';
+
+-- Meeting passwords: only a bcrypt hash is kept, in meeting_passwords, which has no policies so
+-- only the API (service role) reads it. meetings.has_password tells the app to ask for one.
+alter table public.meetings add column if not exists has_password boolean not null default false;
+
+create table if not exists public.meeting_passwords (
+  meeting_id uuid primary key references public.meetings(id) on delete cascade,
+  password_hash text not null,
+  updated_at timestamptz not null default now()
+);
+
+-- Hash passwords saved before the table existed; the old plain column must stay empty
+insert into public.meeting_passwords (meeting_id, password_hash)
+  select id, crypt(password, gen_salt('bf')) from public.meetings where coalesce(password, '') <> ''
+  on conflict (meeting_id) do nothing;
+update public.meetings set has_password = (password <> ''), password = null where password is not null;
+alter table public.meetings drop constraint if exists meetings_no_plain_password;
+alter table public.meetings add constraint meetings_no_plain_password check (password is null);
+
+-- Per-occurrence edits of a recurring meeting, keyed by the occurrence's original start
+create table if not exists public.meeting_occurrence_overrides (
+  meeting_id uuid not null references public.meetings(id) on delete cascade,
+  original_start timestamptz not null,
+  scheduled_for timestamptz not null,
+  name text,
+  purpose text,
+  updated_at timestamptz not null default now(),
+  primary key (meeting_id, original_start)
+);
+
+-- People invited to a meeting, by email. Invited meetings show up in the invitee's calendar feed.
+create table if not exists public.meeting_invitees (
+  meeting_id uuid not null references public.meetings(id) on delete cascade,
+  email text not null,
+  created_at timestamptz not null default now(),
+  primary key (meeting_id, email)
+);
+
+create index if not exists idx_meeting_invitees_email
+  on public.meeting_invitees (lower(email));
+
+-- Who was in a meeting and when: one row per Jitsi participant id (a rejoin gets a new id).
+-- Participants' own joins are recorded by the API (POST /meetings/:id/attendance/join), which binds the
+-- row to their meeting token and, when signed in, user_uid; hosts and admins report the rest through
+-- record_attendance().
+create table if not exists public.meeting_attendance (
+  id uuid primary key default gen_random_uuid(),
+  meeting_id uuid not null references public.meetings(id) on delete cascade,
+  participant_id text not null,
+  display_name text,
+  user_uid text,
+  role text not null default 'participant' check (role in ('host', 'admin', 'participant')),
+  joined_at timestamptz not null default now(),
+  left_at timestamptz,
+  unique (meeting_id, participant_id)
+);
+
+create index if not exists idx_meeting_attendance_meeting
+  on public.meeting_attendance (meeting_id, joined_at);
+
+-- Times a meeting actually ran: opened by the first join, closed when the last participant leaves
+-- ('empty'), when the host ends it for everyone ('terminated'), or when a new join finds a session
+-- with no activity for 12 hours ('idle', closed at its last activity). Maintained by record_attendance.
+create table if not exists public.meeting_sessions (
+  id uuid primary key default gen_random_uuid(),
+  meeting_id uuid not null references public.meetings(id) on delete cascade,
+  started_at timestamptz not null default now(),
+  ended_at timestamptz,
+  end_reason text check (end_reason in ('empty', 'terminated', 'idle')),
+  peak_participants integer not null default 1,
+  last_activity_at timestamptz not null default now(),
+  duration_seconds integer generated always as (
+    case when ended_at is null then null else greatest(extract(epoch from ended_at - started_at), 0)::integer end
+  ) stored
+);
+
+-- At most one running session per meeting
+create unique index if not exists idx_meeting_sessions_open
+  on public.meeting_sessions (meeting_id)
+  where ended_at is null;
+
+create index if not exists idx_meeting_sessions_started
+  on public.meeting_sessions (started_at);
+
+alter table public.meeting_attendance add column if not exists session_id uuid references public.meeting_sessions(id) on delete set null;
+
+-- Browser the participant joined from (random id kept in the app's localStorage), reported with their own join
+alter table public.meeting_attendance add column if not exists device_id text;
+
+-- jti of the meeting token a guest reported their own join with. The API only accepts that token as
+-- proof of being this participant (signed-in participants are matched on user_uid instead).
+alter table public.meeting_attendance add column if not exists token_id text;
+
+-- People removed from a meeting who may not rejoin until expires_at (never, when null). A ban matches
+-- on any of its identities: the signed-in user, the browser (device_id) or the account email.
+-- POST /meetings/:id/token refuses matching callers. Written and read through the ban functions only.
+create table if not exists public.meeting_bans (
+  id uuid primary key default gen_random_uuid(),
+  meeting_id uuid not null references public.meetings(id) on delete cascade,
+  user_uid text,
+  device_id text,
+  email text,
+  display_name text,
+  reason text,
+  expires_at timestamptz,
+  banned_by text,
+  banned_by_name text,
+  created_at timestamptz not null default now(),
+  constraint meeting_bans_identity_check check (user_uid is not null or device_id is not null or email is not null)
+);
+
+create index if not exists idx_meeting_bans_meeting
+  on public.meeting_bans (meeting_id);
+
+-- Bans used to be lowercased display names, which anyone could get around by renaming themselves
+alter table public.meetings drop column if exists banned_display_names;
+
+-- Lobby (Jitsi waiting room): everyone but hosts and moderators knocks and waits to be admitted.
+-- The create forms' "waiting room" switch used to set prejoin_page_enabled (Jitsi's device check
+-- screen), so meetings created that way start with the lobby on.
+do $$ begin
+  if not exists (
+    select 1 from information_schema.columns
+    where table_schema = 'public' and table_name = 'meetings' and column_name = 'lobby_enabled'
+  ) then
+    alter table public.meetings add column lobby_enabled boolean not null default false;
+    update public.meetings set lobby_enabled = true where prejoin_page_enabled;
+  end if;
+end $$;
+-- Knockers the host's tab lets in without asking: signed-in members, and signed-in invitees
+alter table public.meetings add column if not exists lobby_auto_admit_members boolean not null default false;
+alter table public.meetings add column if not exists lobby_auto_admit_invitees boolean not null default false;
+
+-- One per token issued to someone an auto-admit rule covers, until the token expires. The host's tab
+-- spends a pass (claim_lobby_pass) when a knocker with that display name shows up.
+create table if not exists public.meeting_lobby_passes (
+  id uuid primary key default gen_random_uuid(),
+  meeting_id uuid not null references public.meetings(id) on delete cascade,
+  display_name_normalized text not null,
+  rule text not null check (rule in ('member', 'invitee')),
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_meeting_lobby_passes_meeting
+  on public.meeting_lobby_passes (meeting_id, display_name_normalized);
+
+-- In-meeting chat, kept after the meeting. A message with recipient_participant_id is private to its
+-- sender and recipient (matched by participant id, or by user uid across rejoins). Moderators delete
+-- messages by setting deleted_at; the body is kept out of every API response from then on.
+-- Guests are not signed in, so all reads and writes go through the API.
+create table if not exists public.meeting_messages (
+  id uuid primary key default gen_random_uuid(),
+  meeting_id uuid not null references public.meetings(id) on delete cascade,
+  session_id uuid references public.meeting_sessions(id) on delete set null,
+  sender_participant_id text not null,
+  sender_uid text,
+  sender_name text,
+  recipient_participant_id text,
+  recipient_uid text,
+  recipient_name text,
+  body text not null check (char_length(body) between 1 and 4000),
+  created_at timestamptz not null default now(),
+  deleted_at timestamptz,
+  deleted_by text
+);
+
+create index if not exists idx_meeting_messages_meeting
+  on public.meeting_messages (meeting_id, created_at);
+
+-- In-meeting polls, created by moderators and answered through the API like the chat.
+-- options holds the answer texts; votes store indexes into it. voter_key is 'user:<uid>' for
+-- signed-in voters and 'participant:<jitsi id>' for guests, so a rejoin does not give a second vote.
+-- Anonymous polls never store who voted for what beyond that key.
+create table if not exists public.meeting_polls (
+  id uuid primary key default gen_random_uuid(),
+  meeting_id uuid not null references public.meetings(id) on delete cascade,
+  session_id uuid references public.meeting_sessions(id) on delete set null,
+  question text not null check (char_length(question) between 1 and 500),
+  options text[] not null check (cardinality(options) between 2 and 10),
+  allow_multiple boolean not null default false,
+  anonymous boolean not null default false,
+  created_by_participant_id text not null,
+  created_by_name text,
+  created_at timestamptz not null default now(),
+  closed_at timestamptz
+);
+
+create index if not exists idx_meeting_polls_meeting
+  on public.meeting_polls (meeting_id, created_at);
+
+create table if not exists public.meeting_poll_votes (
+  poll_id uuid not null references public.meeting_polls(id) on delete cascade,
+  voter_key text not null,
+  voter_name text,
+  choices smallint[] not null check (cardinality(choices) >= 1),
+  updated_at timestamptz not null default now(),
+  primary key (poll_id, voter_key)
+);
+
+-- Webinar Q&A. Questions wait in 'pending' until a moderator approves them; 'answering' marks the
+-- one being answered live. asker_key / voter_key follow meeting_poll_votes.voter_key. Anonymous
+-- questions keep no name, so neither moderators nor the export can show who asked.
+create table if not exists public.meeting_questions (
+  id uuid primary key default gen_random_uuid(),
+  meeting_id uuid not null references public.meetings(id) on delete cascade,
+  session_id uuid references public.meeting_sessions(id) on delete set null,
+  body text not null check (char_length(body) between 1 and 1000),
+  asker_key text not null,
+  asker_name text,
+  anonymous boolean not null default false,
+  status text not null default 'pending' check (status in ('pending', 'approved', 'answering', 'answered', 'dismissed')),
+  answer text check (answer is null or char_length(answer) <= 2000),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_meeting_questions_meeting
+  on public.meeting_questions (meeting_id, created_at);
+
+create table if not exists public.meeting_question_votes (
+  question_id uuid not null references public.meeting_questions(id) on delete cascade,
+  voter_key text not null,
+  created_at timestamptz not null default now(),
+  primary key (question_id, voter_key)
+);
+
+-- Webinar registration. While registration_enabled, only moderators and approved registrants get a
+-- meeting token; each registrant joins with their own link, whose key is stored as a SHA-256 digest.
+-- registration_fields lists the extra questions ([{ "id", "label", "required" }]); name and email
+-- are always asked. A null registration_capacity means no limit; rejected registrations free a seat.
+alter table public.meetings add column if not exists registration_enabled boolean not null default false;
+alter table public.meetings add column if not exists registration_requires_approval boolean not null default false;
+alter table public.meetings add column if not exists registration_capacity integer
+  check (registration_capacity is null or registration_capacity > 0);
+alter table public.meetings add column if not exists registration_fields jsonb not null default '[]'::jsonb;
+
+create table if not exists public.meeting_registrations (
+  id uuid primary key default gen_random_uuid(),
+  meeting_id uuid not null references public.meetings(id) on delete cascade,
+  name text not null check (char_length(name) between 1 and 100),
+  email text not null check (char_length(email) between 3 and 320),
+  answers jsonb not null default '{}'::jsonb,
+  status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+  join_key_hash text not null unique,
+  created_at timestamptz not null default now(),
+  decided_at timestamptz,
+  decided_by text,
+  first_joined_at timestamptz
+);
+
+create unique index if not exists idx_meeting_registrations_email
+  on public.meeting_registrations (meeting_id, lower(email));
+
+-- The registration a guest joined with (set by the API from their meeting token)
+alter table public.meeting_attendance add column if not exists registration_id uuid
+  references public.meeting_registrations(id) on delete set null;
+
+-- Breakout rooms run in Jitsi; the API keeps what has to outlive a room or reach every room.
+-- breakout_plan is the last saved assignment ({ "rooms": [{ "name", "members": [display name] }] }),
+-- kept on the meeting so the next session of a recurring meeting can reuse it. The host's latest
+-- message to all rooms and the countdown end are cleared when the rooms close.
+alter table public.meetings add column if not exists breakout_plan jsonb;
+alter table public.meetings add column if not exists breakout_message text
+  check (breakout_message is null or char_length(breakout_message) between 1 and 500);
+alter table public.meetings add column if not exists breakout_message_at timestamptz;
+alter table public.meetings add column if not exists breakout_ends_at timestamptz;
+
+-- Live captions: the final transcript segments Jigasi sends to the conference, saved through the
+-- API by the moderators' tabs. message_id is the transcriber's id for the utterance, so the same
+-- segment sent from several tabs is stored once.
+create table if not exists public.meeting_transcript_segments (
+  id uuid primary key default gen_random_uuid(),
+  meeting_id uuid not null references public.meetings(id) on delete cascade,
+  session_id uuid references public.meeting_sessions(id) on delete set null,
+  message_id text not null,
+  speaker_participant_id text,
+  speaker_name text,
+  language text,
+  body text not null check (char_length(body) between 1 and 5000),
+  spoken_at timestamptz not null default now(),
+  saved_by text,
+  unique (meeting_id, message_id)
+);
+
+create index if not exists idx_meeting_transcript_segments_meeting
+  on public.meeting_transcript_segments (meeting_id, spoken_at);
+
+-- Post-meeting summaries (/meeting/:id/summary) are built from the tables above. The host and admins
+-- can always read them; signed-in attendees and invitees only once the host shares them.
+alter table public.meetings add column if not exists summary_shared_at timestamptz;
+
+-- Recording library, filled by the Jibri finalize script through the API. The file lives in the
+-- API's recording storage under storage_key. owner_uid and meeting_name are copied from the meeting
+-- so a recording outlives it. visibility: 'private' (owner and app admins), 'participants' (also
+-- signed-in attendees and invitees) or 'link' (also anyone with the share link, whose key is stored
+-- as a SHA-256 digest). The API deletes recordings once expires_at has passed.
+create table if not exists public.recordings (
+  id uuid primary key default gen_random_uuid(),
+  meeting_id uuid references public.meetings(id) on delete set null,
+  session_id uuid references public.meeting_sessions(id) on delete set null,
+  owner_uid text,
+  meeting_name text,
+  title text not null check (char_length(title) between 1 and 200),
+  file_name text not null,
+  content_type text not null,
+  storage_backend text not null,
+  storage_key text not null unique,
+  size_bytes bigint not null check (size_bytes >= 0),
+  duration_seconds integer check (duration_seconds is null or duration_seconds >= 0),
+  started_at timestamptz,
+  created_at timestamptz not null default now(),
+  visibility text not null default 'private' check (visibility in ('private', 'participants', 'link')),
+  share_key_hash text unique,
+  retention_days integer check (retention_days is null or retention_days > 0),
+  expires_at timestamptz
+);
+
+-- owner_uid was created as uuid, but it holds meetings.created_by, which is text
+alter table public.recordings alter column owner_uid type text;
+
+create index if not exists idx_recordings_owner on public.recordings (owner_uid, created_at desc);
+create index if not exists idx_recordings_meeting on public.recordings (meeting_id);
+create index if not exists idx_recordings_expires on public.recordings (expires_at) where expires_at is not null;
+
+-- Saved live-stream destinations. scope 'user' rows belong to owner_uid; 'org' rows are shared with
+-- everyone and managed by app admins. The RTMP URL and stream key are only stored AES-GCM encrypted
+-- (secret_payload, like meeting_actions); key_hint keeps the last characters of the key for display.
+create table if not exists public.stream_destinations (
+  id uuid primary key default gen_random_uuid(),
+  scope text not null default 'user' check (scope in ('user', 'org')),
+  owner_uid text,
+  name text not null check (char_length(name) between 1 and 100),
+  platform text not null check (platform in ('youtube', 'facebook', 'twitch', 'linkedin', 'custom')),
+  secret_payload text not null,
+  key_hint text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (scope = 'org' or owner_uid is not null)
+);
+
+-- The user columns were created as uuid, but users' ids are text (users.uid)
+alter table public.stream_destinations alter column owner_uid type text;
+alter table public.stream_destinations alter column created_by type text;
+
+create index if not exists idx_stream_destinations_owner on public.stream_destinations (owner_uid) where scope = 'user';
+
+-- One row per multi-destination stream: Jibri publishes to the RTMP relay under a one-off key
+-- (stored as a SHA-256 digest), and the relay asks the API where to forward it. targets_payload is
+-- the encrypted list of full RTMP URLs. A session can be published once and stops working after
+-- expires_at.
+create table if not exists public.stream_relay_sessions (
+  id uuid primary key default gen_random_uuid(),
+  meeting_id uuid not null references public.meetings(id) on delete cascade,
+  key_hash text not null unique,
+  targets_payload text not null,
+  destination_names text[] not null default '{}',
+  requested_by text,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  published_at timestamptz,
+  ended_at timestamptz
 );
 
+-- requested_by was created as uuid; it holds users.uid, which is text
+alter table public.stream_relay_sessions alter column requested_by type text;
+
+create index if not exists idx_stream_relay_sessions_meeting on public.stream_relay_sessions (meeting_id, created_at desc);
+
+-- Email notifications: ics_sequence is bumped on every change sent to invitees (iCalendar SEQUENCE).
+-- reminder_offsets_minutes overrides MAIL_REMINDER_OFFSETS_MINUTES for one meeting ('{}' turns reminders off).
+alter table public.meetings add column if not exists ics_sequence integer not null default 0;
+alter table public.meetings add column if not exists reminder_offsets_minutes integer[];
+
+-- Outgoing email queue, drained by the API's mail job. No foreign key to meetings on purpose:
+-- cancellation notices must outlive the meeting they describe (payload keeps a snapshot).
+create table if not exists public.meeting_notifications (
+  id uuid primary key default gen_random_uuid(),
+  meeting_id uuid not null,
+  email text not null,
+  kind text not null check (kind in ('invitation', 'reminder', 'update', 'cancellation')),
+  occurrence_start timestamptz,
+  offset_minutes integer,
+  payload jsonb not null default '{}'::jsonb,
+  send_after timestamptz not null default now(),
+  status text not null default 'pending' check (status in ('pending', 'sending', 'sent', 'failed', 'skipped')),
+  attempts integer not null default 0,
+  last_error text,
+  claimed_at timestamptz,
+  sent_at timestamptz,
+  created_at timestamptz not null default now(),
+  -- Set for reminders (meeting/occurrence/offset/email) so rescheduling runs never queue one twice
+  dedupe_key text unique
+);
+
+create index if not exists idx_meeting_notifications_due
+  on public.meeting_notifications (status, send_after);
+
 -- MEETING ACTIONS (queue)
 create table if not exists public.meeting_actions (
   id uuid primary key default gen_random_uuid(),
@@ -70,11 +486,75 @@ create table if not exists public.meeting_actions (
   error text
 );
 
+-- Set by the app for moderator grants/revokes so the target can be matched by name too
+alter table public.meeting_actions add column if not exists target_display_name_normalized text;
+
+-- Server-side execution (Api/worker.js). Status moves pending → processing → done | error | expired.
+-- A claim is a lease: if the worker dies, the action becomes claimable again once lease_expires_at passes.
+alter table public.meeting_actions add column if not exists attempts integer not null default 0;
+alter table public.meeting_actions add column if not exists next_attempt_at timestamptz not null default now();
+alter table public.meeting_actions add column if not exists lease_owner text;
+alter table public.meeting_actions add column if not exists lease_expires_at timestamptz;
+
+-- Action types and their required fields are defined in shared/meetingActions.json and checked by
+-- POST /meetings/:id/actions; these constraints are the database-side backstop (keep the lists in sync).
+-- not valid: rows queued before the constraints existed are left alone.
+alter table public.meeting_actions drop constraint if exists meeting_actions_type_check;
+alter table public.meeting_actions add constraint meeting_actions_type_check check (
+  type in (
+    'kick', 'mute', 'mute-everyone', 'grant-moderator', 'revoke-moderator',
+    'recording-start', 'recording-stop', 'stream-start', 'stream-stop', 'end-meeting',
+    'notify-admin-granted', 'notify-admin-revoked'
+  )
+) not valid;
+
+alter table public.meeting_actions drop constraint if exists meeting_actions_target_check;
+alter table public.meeting_actions add constraint meeting_actions_target_check check (
+  type not in ('kick', 'mute', 'grant-moderator', 'revoke-moderator', 'notify-admin-granted', 'notify-admin-revoked')
+  or target_participant_id is not null
+) not valid;
+
+-- Stream keys (and RTMP URLs, which often embed them) are only stored AES-GCM encrypted in
+-- secret_payload, and cleared once the action is claimed. The old plain columns must stay empty.
+alter table public.meeting_actions add column if not exists secret_payload text;
+update public.meeting_actions set stream_key = null, rtmp_url = null
+  where stream_key is not null or rtmp_url is not null;
+alter table public.meeting_actions drop constraint if exists meeting_actions_no_plain_secrets;
+alter table public.meeting_actions add constraint meeting_actions_no_plain_secrets check (
+  stream_key is null and rtmp_url is null
+);
+
+create index if not exists idx_meeting_actions_claimable
+  on public.meeting_actions (status, next_attempt_at)
+  where status in ('pending', 'processing');
+
 -- Enable Row Level Security (tighten policies for production)
 alter table public.users enable row level security;
 alter table public.config_roles enable row level security;
 alter table public.meetings enable row level security;
 alter table public.meeting_actions enable row level security;
+alter table public.meeting_occurrence_overrides enable row level security;
+alter table public.meeting_invitees enable row level security;
+alter table public.meeting_attendance enable row level security;
+alter table public.meeting_sessions enable row level security;
+-- meeting_notifications has no policies: only the API (service role) reads or writes it
+alter table public.meeting_notifications enable row level security;
+-- Same for meeting_passwords, meeting_bans (read through list_meeting_bans), meeting_lobby_passes,
+-- meeting_messages, the poll and Q&A tables, meeting_registrations, transcripts, recordings and the
+-- streaming tables
+alter table public.meeting_passwords enable row level security;
+alter table public.meeting_bans enable row level security;
+alter table public.meeting_lobby_passes enable row level security;
+alter table public.meeting_messages enable row level security;
+alter table public.meeting_polls enable row level security;
+alter table public.meeting_poll_votes enable row level security;
+alter table public.meeting_questions enable row level security;
+alter table public.meeting_question_votes enable row level security;
+alter table public.meeting_registrations enable row level security;
+alter table public.meeting_transcript_segments enable row level security;
+alter table public.recordings enable row level security;
+alter table public.stream_destinations enable row level security;
+alter table public.stream_relay_sessions enable row level security;
 
 -- USERS policies
 do $$ begin
@@ -145,6 +625,38 @@ as $$
   );
 $$;
 
+-- Users write their own profile row, but only admins (by role, or the config_roles admin email)
+-- decide roles and who is active: a client's insert or update keeps the stored values instead.
+-- The API's service role and the SQL editor are not affected.
+create or replace function public.protect_user_role()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if current_user not in ('anon', 'authenticated') or public.is_admin_by_role() or exists (
+    select 1 from public.config_roles cr
+    where lower(cr.admin_email) = lower(auth.jwt() ->> 'email')
+  ) then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    new.role := 'user';
+    new.is_active := true;
+  else
+    new.role := old.role;
+    new.is_active := old.is_active;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists users_protect_role on public.users;
+create trigger users_protect_role
+  before insert or update on public.users
+  for each row execute function public.protect_user_role();
+
 do $$ begin
   create policy "admins by role can read users"
   on public.users for select
@@ -170,49 +682,1043 @@ do $$ begin
   on public.config_roles for select using (auth.role() = 'authenticated');
 exception when duplicate_object then null; end $$;
 
+-- Whether the caller attended a meeting (with a row the API bound to their meeting token) or is
+-- invited to it. SECURITY DEFINER so the meetings policy below can use it without recursing through
+-- the attendance policy.
+create or replace function public.is_meeting_member(p_meeting_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.meeting_attendance a
+    where a.meeting_id = p_meeting_id
+      and a.user_uid = auth.uid()::text
+      and a.token_id is not null
+  ) or exists (
+    select 1 from public.meeting_invitees i
+    where i.meeting_id = p_meeting_id
+      and lower(i.email) = lower(auth.jwt() ->> 'email')
+  );
+$$;
+
 -- MEETINGS policies
+-- Meeting rows carry who holds the host and admin roles and the breakout plan, so only the creator,
+-- role admins and members read them. Everyone else goes through the API (GET /meetings/:id/join-info).
+drop policy if exists "meetings read for authenticated" on public.meetings;
+do $$ begin
+  create policy "meetings read by owner, admin or member"
+  on public.meetings for select using (
+    created_by = auth.uid()::text or public.is_admin_by_role() or public.is_meeting_member(id)
+  );
+exception when duplicate_object then null; end $$;
+
+-- Only the creator (or a role admin) writes a meeting row directly. In-meeting changes made by
+-- other people (host-join bookkeeping, admins, bans, whiteboard) go through the functions below.
+drop policy if exists "meetings insert by authenticated" on public.meetings;
+drop policy if exists "meetings update by authenticated" on public.meetings;
+
 do $$ begin
-  create policy "meetings read for authenticated"
-  on public.meetings for select using (auth.role() = 'authenticated');
+  create policy "meetings insert by owner"
+  on public.meetings for insert
+  with check (created_by = auth.uid()::text);
 exception when duplicate_object then null; end $$;
 
 do $$ begin
-  create policy "meetings insert by authenticated"
-  on public.meetings for insert with check (auth.role() = 'authenticated');
+  create policy "meetings update by owner or admin"
+  on public.meetings for update
+  using (created_by = auth.uid()::text or public.is_admin_by_role())
+  with check (created_by = auth.uid()::text or public.is_admin_by_role());
 exception when duplicate_object then null; end $$;
 
 do $$ begin
-  create policy "meetings update by authenticated"
-  on public.meetings for update using (auth.role() = 'authenticated');
+  create policy "meetings delete by owner or admin"
+  on public.meetings for delete
+  using (created_by = auth.uid()::text or public.is_admin_by_role());
 exception when duplicate_object then null; end $$;
 
+-- Same rules as normalizeDisplayName in Api/server.js: drop a trailing "(...)", strip accents,
+-- collapse whitespace, lowercase
+create or replace function public.normalize_display_name(p_name text)
+returns text
+language sql
+immutable
+as $$
+  select lower(btrim(regexp_replace(
+    regexp_replace(
+      normalize(regexp_replace(coalesce(p_name, ''), '\s*\([^)]*\)\s*$', ''), NFKD),
+      '[\u0300-\u036f]', '', 'g'
+    ),
+    '\s+', ' ', 'g'
+  )));
+$$;
+
+-- True when the caller may run in-meeting admin operations: the meeting's creator, a role admin,
+-- or a participant the meeting lists in admin_ids (p_participant_id is the caller's Jitsi id). admin_ids
+-- is visible to members, so the participant id only counts when the caller's own join report owns it.
+create or replace function public.can_manage_meeting(p_meeting_id uuid, p_participant_id text default null)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select auth.uid() is not null and exists (
+    select 1
+    from public.meetings m
+    where m.id = p_meeting_id
+      and (
+        m.created_by = auth.uid()::text
+        or public.is_admin_by_role()
+        or (
+          nullif(p_participant_id, '') is not null
+          and p_participant_id = any(coalesce(m.admin_ids, '{}'))
+          and exists (
+            select 1 from public.meeting_attendance a
+            where a.meeting_id = m.id
+              and a.participant_id = p_participant_id
+              and a.user_uid = auth.uid()::text
+          )
+        )
+      )
+  );
+$$;
+
+-- Host joined without a host link: record their participant id and add them to the admin arrays
+-- so every client badges them. Only the creator or a role admin may call it (host links go
+-- through POST /meetings/:id/host-link/claim instead).
+create or replace function public.record_host_join(p_meeting_id uuid, p_participant_id text, p_display_name text)
+returns table (admin_ids text[], admin_display_names text[])
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if nullif(p_participant_id, '') is null then
+    raise exception 'participant id is required' using errcode = '22023';
+  end if;
+  if not public.can_manage_meeting(p_meeting_id) then
+    raise exception 'not allowed to host meeting %', p_meeting_id using errcode = '42501';
+  end if;
+
+  return query
+  update public.meetings m
+  set
+    host_participant_id = p_participant_id,
+    admin_ids = array_append(array_remove(coalesce(m.admin_ids, '{}'), p_participant_id), p_participant_id),
+    admin_display_names = case
+      when public.normalize_display_name(p_display_name) = '' then m.admin_display_names
+      else array_append(
+        array_remove(coalesce(m.admin_display_names, '{}'), public.normalize_display_name(p_display_name)),
+        public.normalize_display_name(p_display_name)
+      )
+    end,
+    host_name = coalesce(m.host_name, nullif(btrim(p_display_name), ''))
+  where m.id = p_meeting_id
+  returning m.admin_ids, m.admin_display_names;
+end;
+$$;
+
+-- Promote (p_is_admin = true) or demote a participant. The host's own participant id cannot be
+-- demoted, so an admin can never lock the host out of their meeting.
+create or replace function public.set_meeting_admin(
+  p_meeting_id uuid,
+  p_target_participant_id text,
+  p_target_display_name text,
+  p_is_admin boolean,
+  p_actor_participant_id text default null
+)
+returns table (admin_ids text[], admin_display_names text[])
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_name text := public.normalize_display_name(p_target_display_name);
+begin
+  if nullif(p_target_participant_id, '') is null then
+    raise exception 'target participant id is required' using errcode = '22023';
+  end if;
+  if not public.can_manage_meeting(p_meeting_id, p_actor_participant_id) then
+    raise exception 'not allowed to manage meeting %', p_meeting_id using errcode = '42501';
+  end if;
+  if not p_is_admin and exists (
+    select 1 from public.meetings m
+    where m.id = p_meeting_id and m.host_participant_id = p_target_participant_id
+  ) then
+    raise exception 'the host cannot be demoted' using errcode = '42501';
+  end if;
+
+  return query
+  update public.meetings m
+  set
+    admin_ids = case
+      when p_is_admin then array_append(array_remove(coalesce(m.admin_ids, '{}'), p_target_participant_id), p_target_participant_id)
+      else array_remove(coalesce(m.admin_ids, '{}'), p_target_participant_id)
+    end,
+    admin_display_names = case
+      when v_name = '' then m.admin_display_names
+      when p_is_admin then array_append(array_remove(coalesce(m.admin_display_names, '{}'), v_name), v_name)
+      else array_remove(coalesce(m.admin_display_names, '{}'), v_name)
+    end
+  where m.id = p_meeting_id
+  returning m.admin_ids, m.admin_display_names;
+end;
+$$;
+
+-- Replaced by the meeting_bans functions below
+drop function if exists public.set_meeting_ban(uuid, text, boolean, text);
+
+-- Ban a participant from rejoining until p_expires_at (for good when null). The ban carries every
+-- identity known for them: the signed-in user and browser from their own join report, plus the
+-- account email (or p_email, e.g. for a guest who gave theirs). Returns the new ban.
+create or replace function public.ban_meeting_participant(
+  p_meeting_id uuid,
+  p_participant_id text,
+  p_reason text default null,
+  p_expires_at timestamptz default null,
+  p_email text default null,
+  p_actor_participant_id text default null
+)
+returns public.meeting_bans
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_meeting public.meetings%rowtype;
+  v_attendance public.meeting_attendance%rowtype;
+  v_email text := nullif(lower(btrim(coalesce(p_email, ''))), '');
+  v_ban public.meeting_bans%rowtype;
+begin
+  if nullif(p_participant_id, '') is null then
+    raise exception 'participant id is required' using errcode = '22023';
+  end if;
+  if p_expires_at is not null and p_expires_at <= now() then
+    raise exception 'ban expiry must be in the future' using errcode = '22023';
+  end if;
+  if not public.can_manage_meeting(p_meeting_id, p_actor_participant_id) then
+    raise exception 'not allowed to manage meeting %', p_meeting_id using errcode = '42501';
+  end if;
+
+  select * into v_meeting from public.meetings where id = p_meeting_id;
+  select * into v_attendance
+  from public.meeting_attendance a
+  where a.meeting_id = p_meeting_id and a.participant_id = p_participant_id;
+
+  if p_participant_id = v_meeting.host_participant_id or v_attendance.user_uid = v_meeting.created_by then
+    raise exception 'the meeting host cannot be banned' using errcode = '42501';
+  end if;
+
+  if v_email is null and v_attendance.user_uid is not null then
+    select lower(u.email) into v_email from public.users u where u.uid = v_attendance.user_uid;
+  end if;
+  if v_attendance.user_uid is null and v_attendance.device_id is null and v_email is null then
+    raise exception 'participant % has not reported their join, so there is nothing to ban', p_participant_id
+      using errcode = '22023';
+  end if;
+
+  insert into public.meeting_bans (
+    meeting_id, user_uid, device_id, email, display_name, reason, expires_at, banned_by, banned_by_name
+  )
+  select
+    p_meeting_id,
+    v_attendance.user_uid,
+    v_attendance.device_id,
+    v_email,
+    v_attendance.display_name,
+    nullif(btrim(coalesce(p_reason, '')), ''),
+    p_expires_at,
+    auth.uid()::text,
+    (select nullif(btrim(concat_ws(' ', u.first_name, u.last_name)), '') from public.users u where u.uid = auth.uid()::text)
+  returning * into v_ban;
+  return v_ban;
+end;
+$$;
+
+create or replace function public.unban_meeting_participant(p_ban_id uuid, p_actor_participant_id text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_meeting_id uuid;
+begin
+  select b.meeting_id into v_meeting_id from public.meeting_bans b where b.id = p_ban_id;
+  if v_meeting_id is null then
+    raise exception 'ban % not found', p_ban_id using errcode = 'P0002';
+  end if;
+  if not public.can_manage_meeting(v_meeting_id, p_actor_participant_id) then
+    raise exception 'not allowed to manage meeting %', v_meeting_id using errcode = '42501';
+  end if;
+  delete from public.meeting_bans where id = p_ban_id;
+end;
+$$;
+
+-- Bans still in force, newest first
+create or replace function public.list_meeting_bans(p_meeting_id uuid, p_actor_participant_id text default null)
+returns setof public.meeting_bans
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.can_manage_meeting(p_meeting_id, p_actor_participant_id) then
+    raise exception 'not allowed to manage meeting %', p_meeting_id using errcode = '42501';
+  end if;
+  return query
+  select * from public.meeting_bans b
+  where b.meeting_id = p_meeting_id and (b.expires_at is null or b.expires_at > now())
+  order by b.created_at desc;
+end;
+$$;
+
+-- The ban in force against any of the given identities, if one is. Used by the API's token route.
+create or replace function public.find_meeting_ban(
+  p_meeting_id uuid,
+  p_user_uid text,
+  p_device_id text,
+  p_email text
+)
+returns setof public.meeting_bans
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select * from public.meeting_bans b
+  where b.meeting_id = p_meeting_id
+    and (b.expires_at is null or b.expires_at > now())
+    and (
+      b.user_uid = nullif(p_user_uid, '')
+      or b.device_id = nullif(p_device_id, '')
+      or b.email = nullif(lower(btrim(coalesce(p_email, ''))), '')
+    )
+  order by b.expires_at desc nulls first
+  limit 1;
+$$;
+
+-- Register for a webinar. Locks the meeting so concurrent sign-ups cannot overrun the capacity
+-- (raises 53400 when full, 23505 when the email is already registered). Used by the API only.
+create or replace function public.register_for_meeting(
+  p_meeting_id uuid,
+  p_name text,
+  p_email text,
+  p_answers jsonb,
+  p_join_key_hash text
+)
+returns public.meeting_registrations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_meeting public.meetings;
+  v_taken integer;
+  v_row public.meeting_registrations;
+begin
+  select * into v_meeting from public.meetings where id = p_meeting_id for update;
+  if v_meeting.id is null or not v_meeting.registration_enabled then
+    raise exception 'meeting % is not open for registration', p_meeting_id using errcode = 'P0002';
+  end if;
+
+  if v_meeting.registration_capacity is not null then
+    select count(*) into v_taken
+    from public.meeting_registrations
+    where meeting_id = p_meeting_id and status <> 'rejected';
+    if v_taken >= v_meeting.registration_capacity then
+      raise exception 'meeting % is full', p_meeting_id using errcode = '53400';
+    end if;
+  end if;
+
+  insert into public.meeting_registrations (meeting_id, name, email, answers, status, join_key_hash)
+  values (
+    p_meeting_id,
+    btrim(p_name),
+    lower(btrim(p_email)),
+    coalesce(p_answers, '{}'::jsonb),
+    case when v_meeting.registration_requires_approval then 'pending' else 'approved' end,
+    p_join_key_hash
+  )
+  returning * into v_row;
+
+  return v_row;
+end;
+$$;
+
+create or replace function public.set_whiteboard_open(
+  p_meeting_id uuid,
+  p_open boolean,
+  p_actor_participant_id text default null
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.can_manage_meeting(p_meeting_id, p_actor_participant_id) then
+    raise exception 'not allowed to manage meeting %', p_meeting_id using errcode = '42501';
+  end if;
+  update public.meetings set whiteboard_open = p_open where id = p_meeting_id;
+  return p_open;
+end;
+$$;
+
+-- Lobby settings changed from inside the meeting (the create and edit forms go through the API)
+create or replace function public.set_meeting_lobby(
+  p_meeting_id uuid,
+  p_enabled boolean,
+  p_auto_admit_members boolean,
+  p_auto_admit_invitees boolean,
+  p_actor_participant_id text default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.can_manage_meeting(p_meeting_id, p_actor_participant_id) then
+    raise exception 'not allowed to manage meeting %', p_meeting_id using errcode = '42501';
+  end if;
+  update public.meetings
+  set
+    lobby_enabled = coalesce(p_enabled, lobby_enabled),
+    lobby_auto_admit_members = coalesce(p_auto_admit_members, lobby_auto_admit_members),
+    lobby_auto_admit_invitees = coalesce(p_auto_admit_invitees, lobby_auto_admit_invitees)
+  where id = p_meeting_id;
+end;
+$$;
+
+-- Spend a lobby pass for a knocker's display name. Returns the auto-admit rule that covers them,
+-- or null when they have to be admitted by hand.
+create or replace function public.claim_lobby_pass(
+  p_meeting_id uuid,
+  p_display_name text,
+  p_actor_participant_id text default null
+)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_rule text;
+begin
+  if not public.can_manage_meeting(p_meeting_id, p_actor_participant_id) then
+    raise exception 'not allowed to manage meeting %', p_meeting_id using errcode = '42501';
+  end if;
+
+  delete from public.meeting_lobby_passes
+  where id = (
+    select p.id from public.meeting_lobby_passes p
+    join public.meetings m on m.id = p.meeting_id
+    where p.meeting_id = p_meeting_id
+      and p.display_name_normalized = public.normalize_display_name(p_display_name)
+      and p.expires_at > now()
+      -- the rule may have been switched off since the pass was issued
+      and ((p.rule = 'member' and m.lobby_auto_admit_members) or (p.rule = 'invitee' and m.lobby_auto_admit_invitees))
+    order by p.created_at
+    limit 1
+    for update of p skip locked
+  )
+  returning rule into v_rule;
+  return v_rule;
+end;
+$$;
+
+-- Return the meeting's running session, opening one if needed. Internal to record_attendance.
+create or replace function public.open_meeting_session(p_meeting_id uuid)
+returns uuid
+language plpgsql
+as $$
+declare
+  v_session uuid;
+  v_last_activity timestamptz;
+begin
+  select s.id, s.last_activity_at into v_session, v_last_activity
+  from public.meeting_sessions s
+  where s.meeting_id = p_meeting_id and s.ended_at is null
+  for update;
+
+  if v_session is not null and v_last_activity < now() - interval '12 hours' then
+    update public.meeting_sessions
+    set ended_at = v_last_activity, end_reason = 'idle'
+    where id = v_session;
+    update public.meeting_attendance
+    set left_at = v_last_activity
+    where session_id = v_session and left_at is null;
+    v_session := null;
+  end if;
+
+  if v_session is null then
+    insert into public.meeting_sessions (meeting_id)
+    values (p_meeting_id)
+    on conflict (meeting_id) where ended_at is null do nothing
+    returning id into v_session;
+    -- Lost a race with another first join: use the session it opened
+    if v_session is null then
+      select s.id into v_session
+      from public.meeting_sessions s
+      where s.meeting_id = p_meeting_id and s.ended_at is null;
+    end if;
+  end if;
+
+  return v_session;
+end;
+$$;
+
+-- Refresh a session's peak from its open attendance rows and close it once nobody is left
+create or replace function public.refresh_meeting_session(p_session_id uuid)
+returns void
+language plpgsql
+as $$
+declare
+  v_present integer;
+begin
+  select count(*) into v_present
+  from public.meeting_attendance a
+  where a.session_id = p_session_id and a.left_at is null;
+
+  update public.meeting_sessions s
+  set
+    peak_participants = greatest(s.peak_participants, v_present),
+    last_activity_at = now(),
+    ended_at = case when v_present = 0 then now() else s.ended_at end,
+    end_reason = case when v_present = 0 then 'empty' else s.end_reason end
+  where s.id = p_session_id and s.ended_at is null;
+end;
+$$;
+
+-- p_token_id was added to bind guests' rows to their meeting token
+drop function if exists public.attendance_join(uuid, text, text, text, text);
+
+-- Open (or update) a participant's attendance row. p_user_uid, p_device_id and p_token_id are only
+-- passed by the API for the participant's own join report, after checking their meeting token. The
+-- first own report claims the row; one from anybody else raises 42501, and nothing changes the
+-- identities already on it.
+create or replace function public.attendance_join(
+  p_meeting_id uuid,
+  p_participant_id text,
+  p_display_name text,
+  p_user_uid text default null,
+  p_device_id text default null,
+  p_token_id text default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_role text;
+  v_session uuid;
+  v_existing public.meeting_attendance%rowtype;
+begin
+  if p_user_uid is not null or p_token_id is not null then
+    select * into v_existing
+    from public.meeting_attendance a
+    where a.meeting_id = p_meeting_id and a.participant_id = p_participant_id
+    for update;
+    if (v_existing.user_uid is not null or v_existing.device_id is not null or v_existing.token_id is not null)
+      and not coalesce(v_existing.user_uid = p_user_uid, false)
+      and not coalesce(v_existing.token_id = p_token_id, false) then
+      raise exception 'participant % has already been claimed', p_participant_id using errcode = '42501';
+    end if;
+  end if;
+
+  select case
+    when m.host_participant_id = p_participant_id or m.created_by = p_user_uid then 'host'
+    when p_participant_id = any(coalesce(m.admin_ids, '{}')) then 'admin'
+    else 'participant'
+  end
+  into v_role
+  from public.meetings m
+  where m.id = p_meeting_id;
+
+  if v_role is null then
+    raise exception 'meeting % not found', p_meeting_id using errcode = 'P0002';
+  end if;
+
+  v_session := public.open_meeting_session(p_meeting_id);
+
+  insert into public.meeting_attendance as a (meeting_id, participant_id, display_name, user_uid, device_id, token_id, role, session_id)
+  values (
+    p_meeting_id,
+    p_participant_id,
+    nullif(btrim(p_display_name), ''),
+    p_user_uid,
+    nullif(btrim(p_device_id), ''),
+    p_token_id,
+    v_role,
+    v_session
+  )
+  on conflict (meeting_id, participant_id) do update
+  set
+    display_name = coalesce(excluded.display_name, a.display_name),
+    user_uid = coalesce(a.user_uid, excluded.user_uid),
+    device_id = coalesce(a.device_id, excluded.device_id),
+    token_id = coalesce(a.token_id, excluded.token_id),
+    -- keep the highest role seen during the session
+    role = case when a.role = 'host' or excluded.role = 'participant' then a.role else excluded.role end,
+    session_id = coalesce(a.session_id, excluded.session_id);
+
+  perform public.refresh_meeting_session(v_session);
+end;
+$$;
+
+-- Own joins moved to the API, which passes the device id itself
+drop function if exists public.record_attendance(uuid, text, text, text, text, text);
+
+-- Record a participant joining or leaving (p_event 'join' | 'leave'). Signed-in participants report
+-- their own leave (p_participant_id = p_actor_participant_id) for a row the API bound to them; hosts
+-- and admins report the participantJoined/participantLeft events they see, which covers people who
+-- never report their own leave (closed tab, lost connection). Own joins need proof of presence, so
+-- they go through the API with the meeting token instead. Repeated reports of the same event are no-ops.
+create or replace function public.record_attendance(
+  p_meeting_id uuid,
+  p_participant_id text,
+  p_display_name text,
+  p_event text,
+  p_actor_participant_id text default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_self boolean;
+  v_session uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'sign in to record attendance' using errcode = '42501';
+  end if;
+  if nullif(p_participant_id, '') is null or p_event not in ('join', 'leave') then
+    raise exception 'participant id and an event of join or leave are required' using errcode = '22023';
+  end if;
+
+  if p_participant_id = p_actor_participant_id and p_event = 'join' then
+    raise exception 'report your own join through the API' using errcode = '42501';
+  end if;
+  -- A leave is the caller's own when the API bound the participant's row to them
+  v_self := p_participant_id = p_actor_participant_id and exists (
+    select 1 from public.meeting_attendance a
+    where a.meeting_id = p_meeting_id and a.participant_id = p_participant_id and a.user_uid = auth.uid()::text
+  );
+  if not v_self and not public.can_manage_meeting(p_meeting_id, p_actor_participant_id) then
+    raise exception 'not allowed to manage meeting %', p_meeting_id using errcode = '42501';
+  end if;
+
+  if p_event = 'leave' then
+    update public.meeting_attendance a
+    set left_at = now()
+    where a.meeting_id = p_meeting_id
+      and a.participant_id = p_participant_id
+      and a.left_at is null
+    returning a.session_id into v_session;
+    if v_session is not null then
+      perform public.refresh_meeting_session(v_session);
+    end if;
+    return;
+  end if;
+
+  perform public.attendance_join(p_meeting_id, p_participant_id, p_display_name);
+end;
+$$;
+
+-- The conference was ended for everyone: close the running session and everyone still in it.
+-- Only hosts and admins may call it; when everyone simply leaves, refresh_meeting_session closes
+-- the session after the last leave.
+create or replace function public.end_meeting_session(p_meeting_id uuid, p_actor_participant_id text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_session uuid;
+begin
+  select s.id into v_session
+  from public.meeting_sessions s
+  where s.meeting_id = p_meeting_id and s.ended_at is null
+  for update;
+  if v_session is null then
+    return;
+  end if;
+
+  if not public.can_manage_meeting(p_meeting_id, p_actor_participant_id) then
+    raise exception 'not allowed to end meeting %', p_meeting_id using errcode = '42501';
+  end if;
+
+  update public.meeting_attendance
+  set left_at = now()
+  where session_id = v_session and left_at is null;
+  update public.meeting_sessions
+  set ended_at = now(), end_reason = 'terminated', last_activity_at = now()
+  where id = v_session;
+end;
+$$;
+
+-- Set a meeting's password, or remove it when p_password is null or empty. Called by the API,
+-- which has already checked that the caller manages the meeting. Returns whether one is now set.
+create or replace function public.set_meeting_password(p_meeting_id uuid, p_password text)
+returns boolean
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  v_set boolean := coalesce(p_password, '') <> '';
+begin
+  update public.meetings set has_password = v_set where id = p_meeting_id;
+  if not found then
+    raise exception 'Meeting not found' using errcode = '22023';
+  end if;
+
+  if v_set then
+    insert into public.meeting_passwords (meeting_id, password_hash)
+    values (p_meeting_id, crypt(p_password, gen_salt('bf')))
+    on conflict (meeting_id) do update
+      set password_hash = excluded.password_hash, updated_at = now();
+  else
+    delete from public.meeting_passwords where meeting_id = p_meeting_id;
+  end if;
+  return v_set;
+end;
+$$;
+
+-- Whether p_password opens the meeting (always true for meetings without a password)
+create or replace function public.check_meeting_password(p_meeting_id uuid, p_password text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public, extensions
+as $$
+  select coalesce(
+    (select p.password_hash = crypt(coalesce(p_password, ''), p.password_hash)
+     from public.meeting_passwords p
+     where p.meeting_id = p_meeting_id),
+    true
+  );
+$$;
+
+-- Totals over sessions started since p_since (all time when null). Runs as the caller, so RLS
+-- limits it to the caller's meetings unless they are a role admin or the API's service role.
+create or replace function public.meeting_session_stats(p_since timestamptz default null)
+returns table (
+  meetings_held integer,
+  total_sessions integer,
+  live_sessions integer,
+  total_seconds bigint,
+  average_seconds integer,
+  peak_participants integer
+)
+language sql
+stable
+as $$
+  select
+    count(distinct s.meeting_id)::integer,
+    count(*)::integer,
+    (count(*) filter (where s.ended_at is null))::integer,
+    coalesce(sum(s.duration_seconds), 0)::bigint,
+    coalesce(avg(s.duration_seconds), 0)::integer,
+    coalesce(max(s.peak_participants), 0)
+  from public.meeting_sessions s
+  where p_since is null or s.started_at >= p_since;
+$$;
+
+-- Signed-in users only; each function checks the caller's rights itself
+revoke execute on function public.can_manage_meeting(uuid, text) from public;
+revoke execute on function public.record_host_join(uuid, text, text) from public;
+revoke execute on function public.set_meeting_admin(uuid, text, text, boolean, text) from public;
+revoke execute on function public.ban_meeting_participant(uuid, text, text, timestamptz, text, text) from public;
+revoke execute on function public.unban_meeting_participant(uuid, text) from public;
+revoke execute on function public.list_meeting_bans(uuid, text) from public;
+revoke execute on function public.set_whiteboard_open(uuid, boolean, text) from public;
+revoke execute on function public.set_meeting_lobby(uuid, boolean, boolean, boolean, text) from public;
+revoke execute on function public.claim_lobby_pass(uuid, text, text) from public;
+revoke execute on function public.record_attendance(uuid, text, text, text, text) from public;
+revoke execute on function public.end_meeting_session(uuid, text) from public;
+revoke execute on function public.open_meeting_session(uuid) from public;
+revoke execute on function public.refresh_meeting_session(uuid) from public;
+do $$ begin
+  grant execute on function public.can_manage_meeting(uuid, text) to authenticated;
+  grant execute on function public.record_host_join(uuid, text, text) to authenticated;
+  grant execute on function public.set_meeting_admin(uuid, text, text, boolean, text) to authenticated;
+  grant execute on function public.ban_meeting_participant(uuid, text, text, timestamptz, text, text) to authenticated;
+  grant execute on function public.unban_meeting_participant(uuid, text) to authenticated;
+  grant execute on function public.list_meeting_bans(uuid, text) to authenticated;
+  grant execute on function public.set_whiteboard_open(uuid, boolean, text) to authenticated;
+  grant execute on function public.set_meeting_lobby(uuid, boolean, boolean, boolean, text) to authenticated;
+  grant execute on function public.claim_lobby_pass(uuid, text, text) to authenticated;
+  grant execute on function public.record_attendance(uuid, text, text, text, text) to authenticated;
+  grant execute on function public.end_meeting_session(uuid, text) to authenticated;
+exception when undefined_object then null; end $$;
+
+-- Passwords are only set and checked by the API's service role, which also records guests' joins,
+-- looks up bans when issuing tokens and takes webinar registrations
+revoke execute on function public.set_meeting_password(uuid, text) from public;
+revoke execute on function public.check_meeting_password(uuid, text) from public;
+revoke execute on function public.attendance_join(uuid, text, text, text, text, text) from public;
+revoke execute on function public.find_meeting_ban(uuid, text, text, text) from public;
+revoke execute on function public.register_for_meeting(uuid, text, text, jsonb, text) from public;
+do $$ begin
+  revoke execute on function public.set_meeting_password(uuid, text) from anon, authenticated;
+  revoke execute on function public.check_meeting_password(uuid, text) from anon, authenticated;
+  revoke execute on function public.attendance_join(uuid, text, text, text, text, text) from anon, authenticated;
+  revoke execute on function public.find_meeting_ban(uuid, text, text, text) from anon, authenticated;
+  revoke execute on function public.register_for_meeting(uuid, text, text, jsonb, text) from anon, authenticated;
+exception when undefined_object then null; end $$;
+
 -- MEETING_ACTIONS policies
+-- Readable by the meeting's creator and admins only, like attendance and sessions. Participants learn
+-- about actions that concern them from Jitsi itself.
+drop policy if exists "actions read for authenticated" on public.meeting_actions;
 do $$ begin
-  create policy "actions read for authenticated"
-  on public.meeting_actions for select using (auth.role() = 'authenticated');
+  create policy "actions read by meeting creator or admin"
+  on public.meeting_actions for select using (
+    public.is_admin_by_role() or exists (
+      select 1 from public.meetings m
+      where m.id = meeting_id and m.created_by = auth.uid()::text
+    )
+  );
 exception when duplicate_object then null; end $$;
 
+-- Actions are queued, claimed and completed through the API (POST /meetings/:id/actions...),
+-- which checks the caller's meeting role, so clients get no write access
+drop policy if exists "actions insert by authenticated" on public.meeting_actions;
+drop policy if exists "actions update by authenticated" on public.meeting_actions;
+
+-- MEETING_OCCURRENCE_OVERRIDES policies (writes go through the API)
 do $$ begin
-  create policy "actions insert by authenticated"
-  on public.meeting_actions for insert with check (auth.role() = 'authenticated');
+  create policy "occurrence overrides read for authenticated"
+  on public.meeting_occurrence_overrides for select using (auth.role() = 'authenticated');
+exception when duplicate_object then null; end $$;
+
+-- MEETING_INVITEES policies: only the meeting's creator sees the guest list (writes go through the API)
+do $$ begin
+  create policy "invitees read by meeting creator"
+  on public.meeting_invitees for select using (
+    exists (
+      select 1 from public.meetings m
+      where m.id = meeting_id and m.created_by = auth.uid()::text
+    )
+  );
+exception when duplicate_object then null; end $$;
+
+-- MEETING_ATTENDANCE policies: the meeting's creator and role admins read it (writes go through the API and record_attendance)
+do $$ begin
+  create policy "attendance read by meeting creator or admin"
+  on public.meeting_attendance for select using (
+    public.is_admin_by_role() or exists (
+      select 1 from public.meetings m
+      where m.id = meeting_id and m.created_by = auth.uid()::text
+    )
+  );
+exception when duplicate_object then null; end $$;
+
+-- MEETING_SESSIONS policies: same readers as attendance (written only by the attendance functions)
+do $$ begin
+  create policy "sessions read by meeting creator or admin"
+  on public.meeting_sessions for select using (
+    public.is_admin_by_role() or exists (
+      select 1 from public.meetings m
+      where m.id = meeting_id and m.created_by = auth.uid()::text
+    )
+  );
 exception when duplicate_object then null; end $$;
 
 -- Realtime: enable from Dashboard → Database → Replication → Configure
 
+-- Expand a recurrence rule into occurrence start times within [p_from, p_to].
+-- Periods are stepped in p_tz wall-clock time so a 09:00 standup stays at 09:00 across DST.
+-- Monthly rules on the 29th-31st fall back to the last day of shorter months.
+create or replace function public.rrule_occurrences(
+  p_dtstart timestamptz,
+  p_rule text,
+  p_tz text,
+  p_from timestamptz,
+  p_to timestamptz
+)
+returns setof timestamptz
+language plpgsql
+stable
+as $$
+declare
+  v_part text;
+  v_key text;
+  v_val text;
+  v_freq text;
+  v_interval integer := 1;
+  v_count integer;
+  v_until timestamptz;
+  v_byday text[];
+  v_local timestamp;
+  v_period timestamp;
+  v_candidate timestamp;
+  v_ts timestamptz;
+  v_emitted integer := 0;
+  v_step integer := 0;
+  v_day integer;
+  v_days constant text[] := array['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+begin
+  if p_dtstart is null or p_rule is null then
+    return;
+  end if;
+
+  v_local := p_dtstart at time zone coalesce(p_tz, 'UTC');
+
+  foreach v_part in array string_to_array(upper(regexp_replace(p_rule, '^RRULE:', '', 'i')), ';') loop
+    v_key := split_part(v_part, '=', 1);
+    v_val := split_part(v_part, '=', 2);
+    if v_key = 'FREQ' then
+      v_freq := v_val;
+    elsif v_key = 'INTERVAL' then
+      v_interval := greatest(v_val::integer, 1);
+    elsif v_key = 'COUNT' then
+      v_count := v_val::integer;
+    elsif v_key = 'UNTIL' then
+      -- UTC date-time (20261231T235959Z) or a plain date (20261231, end of day)
+      v_until := make_timestamp(
+        substr(v_val, 1, 4)::integer,
+        substr(v_val, 5, 2)::integer,
+        substr(v_val, 7, 2)::integer,
+        coalesce(nullif(substr(v_val, 10, 2), '')::integer, 23),
+        coalesce(nullif(substr(v_val, 12, 2), '')::integer, 59),
+        coalesce(nullif(substr(v_val, 14, 2), '')::double precision, 59)
+      ) at time zone 'UTC';
+    elsif v_key = 'BYDAY' then
+      v_byday := string_to_array(v_val, ',');
+    end if;
+  end loop;
+
+  if v_freq is null or v_freq not in ('DAILY', 'WEEKLY', 'MONTHLY') then
+    return;
+  end if;
+
+  -- Hard cap on periods so a malformed rule can never loop forever
+  while v_step < 5000 loop
+    if v_freq = 'DAILY' then
+      v_period := v_local + make_interval(days => v_step * v_interval);
+    elsif v_freq = 'WEEKLY' then
+      v_period := v_local + make_interval(weeks => v_step * v_interval);
+    else
+      v_period := v_local + make_interval(months => v_step * v_interval);
+    end if;
+
+    for v_day in 0..6 loop
+      if v_freq = 'WEEKLY' and v_byday is not null then
+        v_candidate := date_trunc('week', v_period)::date + v_day + v_local::time;
+        if v_candidate < v_local or not (v_days[extract(dow from v_candidate)::integer + 1] = any(v_byday)) then
+          continue;
+        end if;
+      elsif v_day = 0 then
+        v_candidate := v_period;
+      else
+        exit;
+      end if;
+
+      v_ts := v_candidate at time zone coalesce(p_tz, 'UTC');
+      v_emitted := v_emitted + 1;
+      if (v_until is not null and v_ts > v_until)
+        or (v_count is not null and v_emitted > v_count)
+        or v_ts > p_to then
+        return;
+      end if;
+      if v_ts >= p_from then
+        return next v_ts;
+      end if;
+    end loop;
+
+    v_step := v_step + 1;
+  end loop;
+end;
+$$;
+
+-- Scheduled meetings in [p_from, p_to], one row per occurrence for recurring meetings, with
+-- per-occurrence edits applied and cancelled occurrences removed. Runs as the caller, so RLS applies.
+create or replace function public.meetings_between(p_from timestamptz, p_to timestamptz)
+returns table (
+  id uuid,
+  name text,
+  purpose text,
+  scheduled_for timestamptz,
+  created_by text,
+  created_at timestamptz,
+  original_start timestamptz,
+  is_recurring boolean,
+  recurrence_rule text,
+  webinar_mode boolean
+)
+language sql
+stable
+as $$
+  select
+    m.id,
+    m.name,
+    m.purpose,
+    m.scheduled_for,
+    m.created_by,
+    m.created_at,
+    m.scheduled_for,
+    false,
+    m.recurrence_rule,
+    coalesce(m.webinar_mode, false)
+  from public.meetings m
+  where
+    m.is_scheduled = true
+    and m.scheduled_for >= p_from
+    and m.scheduled_for < p_to
+    and m.recurrence_rule is null
+  union all
+  select
+    m.id,
+    coalesce(o.name, m.name),
+    coalesce(o.purpose, m.purpose),
+    coalesce(o.scheduled_for, occ.start),
+    m.created_by,
+    m.created_at,
+    occ.start,
+    true,
+    m.recurrence_rule,
+    coalesce(m.webinar_mode, false)
+  from public.meetings m
+  -- Widen the window by a day so occurrences moved into range are still found
+  cross join lateral public.rrule_occurrences(
+    m.scheduled_for, m.recurrence_rule, m.recurrence_timezone, p_from - interval '1 day', p_to + interval '1 day'
+  ) as occ(start)
+  left join public.meeting_occurrence_overrides o
+    on o.meeting_id = m.id and o.original_start = occ.start
+  where
+    m.is_scheduled = true
+    and m.scheduled_for is not null
+    and m.recurrence_rule is not null
+    and not (occ.start = any(m.recurrence_exdates))
+    and coalesce(o.scheduled_for, occ.start) >= p_from
+    and coalesce(o.scheduled_for, occ.start) < p_to;
+$$;
+
 -- UPCOMING MEETINGS view (read-through to meetings via RLS)
+-- Recurring meetings are expanded into one row per occurrence over the next 180 days.
 create or replace view public.upcoming_meetings as
   select
-    id,
-    name,
-    purpose,
-    scheduled_for,
-    created_by,
-    created_at
-  from public.meetings
-  where
-    is_scheduled = true
-    and scheduled_for is not null
-    and scheduled_for > now();
+    b.id,
+    b.name,
+    b.purpose,
+    b.scheduled_for,
+    b.created_by,
+    b.created_at,
+    b.original_start,
+    b.is_recurring,
+    b.recurrence_rule
+  from public.meetings_between(now(), now() + interval '180 days') b;
 
 -- Helpful indexes for scheduling queries
 create index if not exists idx_meetings_scheduled_for
@@ -222,3 +1728,72 @@ create index if not exists idx_meetings_scheduled_for
 create index if not exists idx_meetings_created_by
   on public.meetings (created_by);
 
+-- Claim up to p_limit runnable actions for a worker: pending ones that are due (and older than
+-- p_grace_seconds, so an open host tab gets the first chance) plus processing ones whose lease ran out.
+-- skip locked lets several workers claim concurrently without handing out the same row twice.
+create or replace function public.claim_meeting_actions(
+  p_worker text,
+  p_types text[],
+  p_limit integer default 10,
+  p_lease_seconds integer default 60,
+  p_grace_seconds integer default 0,
+  p_max_attempts integer default 5
+)
+returns setof public.meeting_actions
+language sql
+as $$
+  update public.meeting_actions a
+  set
+    status = 'processing',
+    lease_owner = p_worker,
+    lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+    attempts = a.attempts + 1
+  where a.id in (
+    select c.id
+    from public.meeting_actions c
+    where c.type = any(p_types)
+      and c.attempts < p_max_attempts
+      and (
+        (c.status = 'pending' and c.next_attempt_at <= now() and c.created_at <= now() - make_interval(secs => p_grace_seconds))
+        or (c.status = 'processing' and c.lease_expires_at < now())
+      )
+    order by c.created_at
+    limit p_limit
+    for update skip locked
+  )
+  returning a.*;
+$$;
+
+-- Give up on actions nobody ran in time (a kick or mute minutes later would surprise people)
+-- and on leased actions that used up their attempts. Returns how many rows were closed.
+create or replace function public.expire_meeting_actions(
+  p_max_age_seconds integer default 120,
+  p_max_attempts integer default 5
+)
+returns integer
+language sql
+as $$
+  with expired as (
+    update public.meeting_actions
+    set
+      status = case when status = 'pending' then 'expired' else 'error' end,
+      error = case when status = 'pending' then 'Timed out waiting for an executor' else 'Lease expired after the last attempt' end,
+      processed_at = now(),
+      lease_owner = null,
+      lease_expires_at = null,
+      secret_payload = null
+    where
+      (status = 'pending' and created_at < now() - make_interval(secs => p_max_age_seconds))
+      or (status = 'processing' and lease_expires_at < now() and attempts >= p_max_attempts)
+    returning 1
+  )
+  select count(*)::integer from expired;
+$$;
+
+-- Only the API's service role runs the worker functions
+revoke execute on function public.claim_meeting_actions(text, text[], integer, integer, integer, integer) from public;
+revoke execute on function public.expire_meeting_actions(integer, integer) from public;
+do $$ begin
+  revoke execute on function public.claim_meeting_actions(text, text[], integer, integer, integer, integer) from anon, authenticated;
+  revoke execute on function public.expire_meeting_actions(integer, integer) from anon, authenticated;
+exception when undefined_object then null; end $$;
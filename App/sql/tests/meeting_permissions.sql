@@ -0,0 +1,258 @@
+-- Who may call the in-meeting admin functions of supabase_schema.sql, and what the row level security
+-- policies let clients write directly. Run against a database the
+-- schema has been applied to (npm run test:sql with DATABASE_URL set); a plain Postgres also needs
+-- auth_stub.sql first. Everything happens in one transaction that is rolled back, and the script
+-- stops at the first check that fails.
+--
+-- Callers: the meeting's creator (owner), a signed-in user with no tie to the meeting (stranger),
+-- a participant listed in admin_ids whose own join report owns that id (participant admin), a
+-- signed-in user passing that same id as theirs (impostor), a role admin, and anon. Also checks that
+-- nobody can take over another participant's attendance row.
+
+begin;
+
+insert into public.users (uid, email, role) values
+  ('00000000-0000-4000-8000-000000000001', 'owner@permissions.test', 'user'),
+  ('00000000-0000-4000-8000-000000000002', 'stranger@permissions.test', 'user'),
+  ('00000000-0000-4000-8000-000000000003', 'participant-admin@permissions.test', 'user'),
+  ('00000000-0000-4000-8000-000000000004', 'role-admin@permissions.test', 'admin'),
+  ('00000000-0000-4000-8000-000000000006', 'invitee@permissions.test', 'user');
+
+insert into public.meetings (id, name, created_by, admin_ids, admin_display_names) values
+  ('00000000-0000-4000-9000-000000000001', 'Permissions test', '00000000-0000-4000-8000-000000000001', '{p-admin}', '{pat}');
+
+insert into public.meeting_invitees (meeting_id, email)
+values ('00000000-0000-4000-9000-000000000001', 'Invitee@permissions.test');
+
+-- The participant admin and a guest have reported their joins through the API; the guest can be banned
+select public.attendance_join('00000000-0000-4000-9000-000000000001', 'p-admin', 'Pat', '00000000-0000-4000-8000-000000000003', null, 'token-admin');
+select public.attendance_join('00000000-0000-4000-9000-000000000001', 'p-guest', 'Guest', null, 'device-guest', 'token-guest');
+
+insert into public.meeting_bans (id, meeting_id, device_id, display_name)
+values ('00000000-0000-4000-a000-000000000001', '00000000-0000-4000-9000-000000000001', 'device-banned', 'Banned');
+
+insert into public.meeting_lobby_passes (meeting_id, display_name_normalized, rule, expires_at)
+values ('00000000-0000-4000-9000-000000000001', 'knocker', 'member', now() + interval '1 hour');
+
+insert into public.meeting_actions (id, meeting_id, type, target_participant_id)
+values ('00000000-0000-4000-b000-000000000001', '00000000-0000-4000-9000-000000000001', 'mute', 'p-guest');
+
+-- Run p_sql as p_uid (anon when null) and compare the outcome with p_allowed. Row level security
+-- skips rows silently, so a write counts as denied when p_effect (run as the table owner afterwards)
+-- is given and says nothing changed. The call is rolled back either way, so every check starts from
+-- the data above.
+create function pg_temp.check(p_label text, p_uid text, p_allowed boolean, p_sql text, p_effect text default null)
+returns void
+language plpgsql
+as $$
+declare
+  v_allowed boolean;
+  v_effect boolean;
+begin
+  begin
+    perform set_config('request.jwt.claim.sub', coalesce(p_uid, ''), true);
+    perform set_config('request.jwt.claim.role', case when p_uid is null then 'anon' else 'authenticated' end, true);
+    perform set_config('request.jwt.claims', json_build_object(
+      'sub', p_uid,
+      'role', case when p_uid is null then 'anon' else 'authenticated' end,
+      'email', (select u.email from public.users u where u.uid = p_uid)
+    )::text, true);
+    execute format('set local role %I', case when p_uid is null then 'anon' else 'authenticated' end);
+    execute p_sql;
+    if p_effect is not null then
+      reset role;
+      execute p_effect into v_effect;
+      if not coalesce(v_effect, false) then
+        raise exception 'no effect' using errcode = 'PT002';
+      end if;
+    end if;
+    raise exception 'allowed' using errcode = 'PT001';
+  exception
+    when sqlstate 'PT001' then v_allowed := true;
+    when sqlstate 'PT002' or insufficient_privilege then v_allowed := false;
+  end;
+
+  if v_allowed is distinct from p_allowed then
+    raise exception '% was % but should be %', p_label,
+      case when v_allowed then 'allowed' else 'denied' end,
+      case when p_allowed then 'allowed' else 'denied' end;
+  end if;
+end;
+$$;
+
+do $$
+declare
+  v_owner constant text := '00000000-0000-4000-8000-000000000001';
+  v_stranger constant text := '00000000-0000-4000-8000-000000000002';
+  v_participant_admin constant text := '00000000-0000-4000-8000-000000000003';
+  v_role_admin constant text := '00000000-0000-4000-8000-000000000004';
+  v_meeting constant text := '''00000000-0000-4000-9000-000000000001''';
+  v_ban constant text := '''00000000-0000-4000-a000-000000000001''';
+  -- Reads are filtered rather than refused, so seeing no rows counts as denied
+  v_sees_actions constant text := 'do $read$ begin if not exists (select 1 from public.meeting_actions) '
+    'then raise insufficient_privilege; end if; end $read$';
+  v_sees_meeting constant text := 'do $read$ begin if not exists (select 1 from public.meetings) '
+    'then raise insufficient_privilege; end if; end $read$';
+  v_callers constant text[][] := array[
+    -- label, uid, Jitsi participant id passed as the actor, allowed
+    array['owner', v_owner, '', 'true'],
+    array['stranger', v_stranger, '', 'false'],
+    array['participant admin', v_participant_admin, 'p-admin', 'true'],
+    array['impostor', v_stranger, 'p-admin', 'false'],
+    array['role admin', v_role_admin, '', 'true'],
+    array['anon', null, 'p-admin', 'false']
+  ];
+  v_calls constant text[][] := array[
+    array['set_meeting_admin (grant)', format('select public.set_meeting_admin(%s, %L, %L, true, %%L)', v_meeting, 'p-guest', 'Guest')],
+    array['set_meeting_admin (revoke)', format('select public.set_meeting_admin(%s, %L, %L, false, %%L)', v_meeting, 'p-admin', 'Pat')],
+    array['ban_meeting_participant', format('select public.ban_meeting_participant(%s, %L, null, null, null, %%L)', v_meeting, 'p-guest')],
+    array['unban_meeting_participant', format('select public.unban_meeting_participant(%s, %%L)', v_ban)],
+    array['list_meeting_bans', format('select public.list_meeting_bans(%s, %%L)', v_meeting)],
+    array['set_whiteboard_open', format('select public.set_whiteboard_open(%s, true, %%L)', v_meeting)],
+    array['set_meeting_lobby', format('select public.set_meeting_lobby(%s, true, true, false, %%L)', v_meeting)],
+    array['claim_lobby_pass', format('select public.claim_lobby_pass(%s, %L, %%L)', v_meeting, 'Knocker')],
+    array['end_meeting_session', format('select public.end_meeting_session(%s, %%L)', v_meeting)],
+    array['record_attendance (for someone else)', format('select public.record_attendance(%s, %L, %L, %L, %%L)', v_meeting, 'p-guest', 'Guest', 'leave')]
+  ];
+  v_caller text[];
+  v_call text[];
+begin
+  foreach v_call slice 1 in array v_calls loop
+    foreach v_caller slice 1 in array v_callers loop
+      perform pg_temp.check(
+        v_call[1] || ' by ' || v_caller[1],
+        v_caller[2],
+        v_caller[4]::boolean,
+        format(v_call[2], v_caller[3])
+      );
+    end loop;
+  end loop;
+
+  -- Recording a host join has no participant-id route: only the owner and role admins
+  perform pg_temp.check('record_host_join by owner', v_owner, true,
+    format('select public.record_host_join(%s, %L, %L)', v_meeting, 'p-host', 'Owner'));
+  perform pg_temp.check('record_host_join by role admin', v_role_admin, true,
+    format('select public.record_host_join(%s, %L, %L)', v_meeting, 'p-host', 'Admin'));
+  perform pg_temp.check('record_host_join by participant admin', v_participant_admin, false,
+    format('select public.record_host_join(%s, %L, %L)', v_meeting, 'p-admin', 'Pat'));
+  perform pg_temp.check('record_host_join by stranger', v_stranger, false,
+    format('select public.record_host_join(%s, %L, %L)', v_meeting, 'p-stranger', 'Stranger'));
+  perform pg_temp.check('record_host_join by anon', null, false,
+    format('select public.record_host_join(%s, %L, %L)', v_meeting, 'p-anon', 'Anon'));
+
+  -- Own joins need the meeting token, so they go through the API; an own leave needs a row the API
+  -- bound to the caller
+  perform pg_temp.check('own join report by a new participant', v_stranger, false,
+    format('select public.record_attendance(%s, %L, %L, %L, %L)', v_meeting, 'p-new', 'New', 'join', 'p-new'));
+  perform pg_temp.check('own join report by participant admin', v_participant_admin, false,
+    format('select public.record_attendance(%s, %L, %L, %L, %L)', v_meeting, 'p-admin', 'Pat', 'join', 'p-admin'));
+  perform pg_temp.check('join report for someone else by owner', v_owner, true,
+    format('select public.record_attendance(%s, %L, %L, %L, %L)', v_meeting, 'p-new', 'New', 'join', ''));
+  perform pg_temp.check('own leave report for an unbound participant', v_stranger, false,
+    format('select public.record_attendance(%s, %L, %L, %L, %L)', v_meeting, 'p-new', 'New', 'leave', 'p-new'));
+  perform pg_temp.check('own leave report by participant admin', v_participant_admin, true,
+    format('select public.record_attendance(%s, %L, %L, %L, %L)', v_meeting, 'p-admin', 'Pat', 'leave', 'p-admin'));
+  perform pg_temp.check('join report claiming the participant admin''s id', v_stranger, false,
+    format('select public.record_attendance(%s, %L, %L, %L, %L)', v_meeting, 'p-admin', 'Pat', 'join', 'p-admin'));
+  perform pg_temp.check('leave report claiming the participant admin''s id', v_stranger, false,
+    format('select public.record_attendance(%s, %L, %L, %L, %L)', v_meeting, 'p-admin', 'Pat', 'leave', 'p-admin'));
+  perform pg_temp.check('join report claiming a guest''s id', v_stranger, false,
+    format('select public.record_attendance(%s, %L, %L, %L, %L)', v_meeting, 'p-guest', 'Guest', 'join', 'p-guest'));
+
+  -- Guests report through the API (as the service role): their row stays bound to the token they
+  -- first reported with
+  perform public.attendance_join('00000000-0000-4000-9000-000000000001', 'p-guest', 'Guest again', null, 'device-guest', 'token-guest');
+  begin
+    perform public.attendance_join('00000000-0000-4000-9000-000000000001', 'p-guest', 'Guest', null, 'device-other', 'token-other');
+    raise exception 'a guest''s row was claimed with another token';
+  exception when insufficient_privilege then null;
+  end;
+  begin
+    perform public.attendance_join('00000000-0000-4000-9000-000000000001', 'p-admin', 'Pat', null, 'device-other', 'token-other');
+    raise exception 'a signed-in participant''s row was claimed with a guest token';
+  exception when insufficient_privilege then null;
+  end;
+  if not exists (
+    select 1 from public.meeting_attendance
+    where participant_id = 'p-guest' and device_id = 'device-guest' and token_id = 'token-guest' and user_uid is null
+  ) then
+    raise exception 'a guest''s identities changed';
+  end if;
+
+  -- Meeting rows (admin ids, host participant id, breakout plan) are for the creator, role admins,
+  -- attendees with a verified join and invitees
+  perform pg_temp.check('reading the meeting by owner', v_owner, true, v_sees_meeting);
+  perform pg_temp.check('reading the meeting by role admin', v_role_admin, true, v_sees_meeting);
+  perform pg_temp.check('reading the meeting by participant admin', v_participant_admin, true, v_sees_meeting);
+  perform pg_temp.check('reading the meeting by invitee', '00000000-0000-4000-8000-000000000006', true, v_sees_meeting);
+  perform pg_temp.check('reading the meeting by stranger', v_stranger, false, v_sees_meeting);
+  perform pg_temp.check('reading the meeting by anon', null, false, v_sees_meeting);
+
+  -- Attending is not enough to end the meeting for everyone
+  perform public.attendance_join('00000000-0000-4000-9000-000000000001', 'p-stranger', 'Sam', v_stranger, null, 'token-stranger');
+  perform pg_temp.check('end_meeting_session by an attending stranger', v_stranger, false,
+    format('select public.end_meeting_session(%s, %L)', v_meeting, 'p-stranger'));
+
+  -- Direct writes to meetings: only the creator and role admins
+  perform pg_temp.check('renaming the meeting by owner', v_owner, true,
+    format('update public.meetings set name = %L where id = %s', 'Renamed', v_meeting),
+    format('select name = %L from public.meetings where id = %s', 'Renamed', v_meeting));
+  perform pg_temp.check('renaming the meeting by stranger', v_stranger, false,
+    format('update public.meetings set name = %L where id = %s', 'pwned', v_meeting),
+    format('select name = %L from public.meetings where id = %s', 'pwned', v_meeting));
+  perform pg_temp.check('adding yourself to admin_ids by stranger', v_stranger, false,
+    format('update public.meetings set admin_ids = admin_ids || %L::text where id = %s', 'p-stranger', v_meeting),
+    format('select %L = any(admin_ids) from public.meetings where id = %s', 'p-stranger', v_meeting));
+  perform pg_temp.check('adding yourself to admin_ids by participant admin', v_participant_admin, false,
+    format('update public.meetings set admin_ids = admin_ids || %L::text where id = %s', 'p-other', v_meeting),
+    format('select %L = any(admin_ids) from public.meetings where id = %s', 'p-other', v_meeting));
+  perform pg_temp.check('deleting the meeting by stranger', v_stranger, false,
+    format('delete from public.meetings where id = %s', v_meeting),
+    format('select not exists (select 1 from public.meetings where id = %s)', v_meeting));
+  perform pg_temp.check('creating a meeting for someone else', v_stranger, false,
+    format('insert into public.meetings (name, created_by) values (%L, %L)', 'Not mine', v_owner));
+
+  -- meeting_actions are written through the API only, whoever the client is
+  perform pg_temp.check('queuing an action directly by owner', v_owner, false,
+    format('insert into public.meeting_actions (meeting_id, type) values (%s, %L)', v_meeting, 'mute-everyone'));
+  perform pg_temp.check('queuing an action directly by stranger', v_stranger, false,
+    format('insert into public.meeting_actions (meeting_id, type) values (%s, %L)', v_meeting, 'end-meeting'));
+  perform pg_temp.check('updating an action directly by owner', v_owner, false,
+    'update public.meeting_actions set status = ''done'' where id = ''00000000-0000-4000-b000-000000000001''',
+    'select status = ''done'' from public.meeting_actions where id = ''00000000-0000-4000-b000-000000000001''');
+  perform pg_temp.check('updating an action directly by stranger', v_stranger, false,
+    'update public.meeting_actions set status = ''done'' where id = ''00000000-0000-4000-b000-000000000001''',
+    'select status = ''done'' from public.meeting_actions where id = ''00000000-0000-4000-b000-000000000001''');
+
+  -- Actions, secret_payload included, are visible to the creator and role admins only
+  perform pg_temp.check('reading actions by owner', v_owner, true,
+    v_sees_actions);
+  perform pg_temp.check('reading actions by role admin', v_role_admin, true,
+    v_sees_actions);
+  perform pg_temp.check('reading actions by participant admin', v_participant_admin, false,
+    v_sees_actions);
+  perform pg_temp.check('reading actions by stranger', v_stranger, false,
+    v_sees_actions);
+
+  -- Roles and deactivation are for admins only
+  perform pg_temp.check('making yourself admin', v_stranger, false,
+    format('update public.users set role = %L where uid = %L', 'admin', v_stranger),
+    format('select role = %L from public.users where uid = %L', 'admin', v_stranger));
+  perform pg_temp.check('changing your own active flag', v_stranger, false,
+    format('update public.users set is_active = false where uid = %L', v_stranger),
+    format('select not is_active from public.users where uid = %L', v_stranger));
+  perform pg_temp.check('signing up as admin', '00000000-0000-4000-8000-000000000005', false,
+    format('insert into public.users (uid, email, role) values (%L, %L, %L)', '00000000-0000-4000-8000-000000000005', 'new@permissions.test', 'admin'),
+    format('select role = %L from public.users where uid = %L', 'admin', '00000000-0000-4000-8000-000000000005'));
+  perform pg_temp.check('editing your own name', v_stranger, true,
+    format('update public.users set first_name = %L where uid = %L', 'Sam', v_stranger),
+    format('select first_name = %L from public.users where uid = %L', 'Sam', v_stranger));
+  perform pg_temp.check('making someone admin by role admin', v_role_admin, true,
+    format('update public.users set role = %L where uid = %L', 'admin', v_stranger),
+    format('select role = %L from public.users where uid = %L', 'admin', v_stranger));
+
+  raise notice 'meeting permission checks passed';
+end;
+$$;
+
+rollback;
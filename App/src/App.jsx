@@ -7,9 +7,14 @@ import Authpage from "./pages/Authpage";
 import Home from "./pages/Home";
 import Meeting from "./pages/Meeting";
 import GuestMeeting from "./pages/GuestMeeting";
+import Register from "./pages/Register";
 import Dashboard from "./pages/Dashboard";
 import AdminUsers from "./pages/AdminUsers";
 import Profile from "./pages/Profile";
+import Calendar from "./pages/Calendar";
+import Recordings from "./pages/Recordings";
+import SharedRecording from "./pages/SharedRecording";
+import MeetingSummary from "./pages/MeetingSummary";
 import Test from "./pages/Test";
 import ProtectedRoute from "./components/ProtectedRoute";
 import PublicRoute from "./components/PublicRoute";
@@ -55,6 +60,12 @@ const App = () => {
           {/* Guest accessible webinar meeting route (no auth) */}
           <Route path="/guest/webinar/:meetingId" element={<GuestMeeting />} />
 
+          {/* Public webinar registration (no auth) */}
+          <Route path="/register/:meetingId" element={<Register />} />
+
+          {/* Recording shared by link (no auth) */}
+          <Route path="/recordings/shared/:shareKey" element={<SharedRecording />} />
+
           {/* Meeting route protected by guest-aware guard. Guests are redirected to /guest/:id to enter name. */}
           <Route
             path="/meeting/:meetingId"
@@ -65,6 +76,16 @@ const App = () => {
             }
           />
 
+          {/* Post-meeting summary - the host and admins, and attendees once the host shares it */}
+          <Route
+            path="/meeting/:meetingId/summary"
+            element={
+              <ProtectedRoute>
+                <MeetingSummary />
+              </ProtectedRoute>
+            }
+          />
+
           {/* Webinar meeting route */}
           <Route
             path="/meeting/webinar/:meetingId"
@@ -111,7 +132,25 @@ const App = () => {
             }
           />
          
-          <Route path="/calendar" element={<ProtectedRoute requiredRole="admin" fallbackTo="/home"> <Test /> </ProtectedRoute>}/>
+          {/* Meeting calendar - admins can switch between their own and everyone's meetings */}
+          <Route
+            path="/calendar"
+            element={
+              <ProtectedRoute>
+                <Calendar />
+              </ProtectedRoute>
+            }
+          />
+
+          {/* Recording library - the user's recordings and those shared with them */}
+          <Route
+            path="/recordings"
+            element={
+              <ProtectedRoute>
+                <Recordings />
+              </ProtectedRoute>
+            }
+          />
           <Route path="/admin/security" element={<ProtectedRoute requiredRole="admin" fallbackTo="/home"> <Test /> </ProtectedRoute>}/>
           <Route path="/admin/customization" element={<ProtectedRoute requiredRole="admin" fallbackTo="/home"> <Test /> </ProtectedRoute>}/>
           <Route path="/admin/status" element={<ProtectedRoute requiredRole="admin" fallbackTo="/home"> <Test /> </ProtectedRoute>}/>
@@ -0,0 +1,1028 @@
+// Client wrappers for the meeting endpoints exposed by Api/server.js
+// Usage:
+//   import { fetchJoinInfo, fetchMeetingToken } from '../api/meetings';
+//   const { meeting, isHost } = await fetchJoinInfo(meetingId);
+//   const { token, moderator } = await fetchMeetingToken(meetingId, { displayName: 'Jane' });
+
+import { supabase } from '../supabase';
+import { validateAction } from '../utils/meetingActions';
+import { getDeviceId } from '../utils/deviceId';
+
+const API_BASE_URL = import.meta?.env?.VITE_API_BASE_URL || 'http://localhost:4000';
+
+async function getAuthHeaders() {
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {};
+}
+
+async function apiRequest(path, { method = 'GET', body, headers: extraHeaders } = {}) {
+    const headers = { 'Content-Type': 'application/json', ...extraHeaders, ...(await getAuthHeaders()) };
+
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+
+    const result = await response.json().catch(() => null);
+    if (!response.ok || !result?.success) {
+        const error = new Error(result?.error?.message || `Request failed with status ${response.status}`);
+        error.status = response.status;
+        error.details = result?.error?.details;
+        throw error;
+    }
+    return result.data;
+}
+
+// Fetch an authenticated file endpoint and hand the body to the browser as a download
+async function downloadFile(path, filename) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        headers: await getAuthHeaders(),
+    });
+    if (!response.ok) {
+        const result = await response.json().catch(() => null);
+        const error = new Error(result?.error?.message || `Request failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Headers for the API's in-meeting routes, which guests use too: the Jitsi token this client joined
+// with (and reported its join with) and its Jitsi participant id
+function participantHeaders({ token, participantId }) {
+    return {
+        'X-Meeting-Token': token || '',
+        'X-Participant-Id': participantId || '',
+    };
+}
+
+// In-meeting changes by hosts and admins run as SECURITY DEFINER functions (see supabase_schema.sql),
+// which check the caller's rights; a plain update is only allowed for the meeting's creator.
+async function callRpc(name, args) {
+    const { data, error } = await supabase.rpc(name, args);
+    if (error) {
+        const rpcError = new Error(error.message || `${name} failed`);
+        rpcError.code = error.code;
+        throw rpcError;
+    }
+    return data;
+}
+
+/**
+ * Where the guest page keeps a webinar registrant's join key for the meeting page's token requests.
+ * @param {string} meetingId
+ * @returns {string}
+ */
+export function registrationKeyStorageKey(meetingId) {
+    return `meetingRegistration_${meetingId}`;
+}
+
+/**
+ * Request a short-lived Jitsi JWT for a meeting. The server decides whether the
+ * caller is the host, an admin or a participant and sets the moderator claim.
+ * Participants of a password-protected meeting must pass the password; a missing or wrong one
+ * fails with status 403 and `details` 'password_required' or 'password_invalid', and too many
+ * wrong ones with status 429. Participants banned from the meeting get status 403 with `details`
+ * 'banned' (this browser's device id is sent along for guest bans). Webinars with registration
+ * need the personal join link's key, which the guest page keeps in sessionStorage and is sent
+ * along here; without an approved one they fail with status 403 and `details` 'registration_required',
+ * 'registration_pending' or 'registration_rejected'.
+ * @param {string} meetingId
+ * @param {{ displayName?: string, hostToken?: string, password?: string }} [options]
+ * @returns {Promise<{ token: string, expiresAt: string, role: 'host' | 'admin' | 'participant', moderator: boolean, roomPassword: string | null, lobbyAutoAdmit: boolean }>}
+ *   roomPassword locks (host) or opens (participants) the Jitsi room of a password-protected meeting;
+ *   lobbyAutoAdmit is true when an auto-admit rule lets the caller straight through the lobby
+ */
+export async function fetchMeetingToken(meetingId, { displayName, hostToken, password } = {}) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/token`, {
+        method: 'POST',
+        body: {
+            displayName,
+            hostToken,
+            password,
+            deviceId: getDeviceId(),
+            registrationKey: sessionStorage.getItem(registrationKeyStorageKey(meetingId)) || undefined,
+        },
+    });
+}
+
+/**
+ * Create a meeting owned by the signed-in user. The server stores only a digest of
+ * the host secret and returns the plain `hostToken` once, for building a host link.
+ * Invitees of a scheduled meeting are emailed an invitation with the .ics attached.
+ * A `password` is only stored as a hash; participants then have to enter it to get a token.
+ * @param {{ name: string, purpose?: string, password?: string, isScheduled?: boolean, scheduledFor?: string | Date | null, hostName?: string, startWithAudioMuted?: boolean, startWithVideoMuted?: boolean, prejoinPageEnabled?: boolean, lobbyEnabled?: boolean, lobbyAutoAdmitMembers?: boolean, lobbyAutoAdmitInvitees?: boolean, webinarMode?: boolean, recurrenceRule?: string | null, recurrenceTimezone?: string, invitees?: string[], reminderOffsetsMinutes?: number[] | null }} payload
+ * @returns {Promise<object>} The created meeting row (public columns only) plus `hostToken` and `invitees`
+ */
+export async function createMeeting(payload) {
+    return apiRequest('/meetings', { method: 'POST', body: payload });
+}
+
+/**
+ * Update a meeting. For recurring meetings pass `scope: 'occurrence'` together with the
+ * occurrence's original start to change (or cancel) just that one occurrence.
+ * Send `password: ''` to remove a meeting's password.
+ * @param {string} meetingId
+ * @param {{ scope?: 'series' | 'occurrence', occurrenceStart?: string, cancelled?: boolean, name?: string, purpose?: string, password?: string, scheduledFor?: string, recurrenceRule?: string | null, recurrenceTimezone?: string }} payload
+ * @returns {Promise<object>} The updated meeting, or the occurrence override
+ */
+export async function updateMeeting(meetingId, payload) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}`, { method: 'PATCH', body: payload });
+}
+
+/**
+ * Delete a meeting. Invitees of a scheduled meeting are emailed a cancellation.
+ * @param {string} meetingId
+ * @returns {Promise<{ id: string, deleted: boolean, notified: number }>}
+ */
+export async function deleteMeeting(meetingId) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}`, { method: 'DELETE' });
+}
+
+/**
+ * Load a meeting's guest list (host and admins only).
+ * @param {string} meetingId
+ * @returns {Promise<{ emails: string[] }>}
+ */
+export async function fetchInvitees(meetingId) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/invitees`);
+}
+
+/**
+ * Replace a meeting's guest list. Added people get an invitation email, removed people a cancellation.
+ * @param {string} meetingId
+ * @param {string[]} emails
+ * @returns {Promise<{ emails: string[], added: string[], removed: string[] }>}
+ */
+export async function setInvitees(meetingId, emails) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/invitees`, {
+        method: 'PUT',
+        body: { emails },
+    });
+}
+
+/**
+ * Load the public meeting details together with the caller's role for it.
+ * @param {string} meetingId
+ * @param {{ hostToken?: string }} [options] Secret from a host link, if the caller has one
+ * @returns {Promise<{ meeting: object, role: 'host' | 'admin' | 'participant', isHost: boolean }>}
+ */
+export async function fetchJoinInfo(meetingId, { hostToken } = {}) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/join-info`, {
+        headers: hostToken ? { 'X-Host-Token': hostToken } : undefined,
+    });
+}
+
+/**
+ * Build the shareable host link for a meeting link and host secret.
+ * @param {string} meetingLink
+ * @param {string} hostToken
+ * @returns {string}
+ */
+export function buildHostLink(meetingLink, hostToken) {
+    const url = new URL(meetingLink);
+    url.searchParams.set('host', hostToken);
+    return url.toString();
+}
+
+/**
+ * Replace the meeting's host secret. Links handed out before stop working.
+ * @param {string} meetingId
+ * @returns {Promise<{ hostToken: string, rotatedAt: string }>}
+ */
+export async function rotateHostLink(meetingId) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/host-link`, { method: 'POST' });
+}
+
+/**
+ * Disable host links for a meeting until a new one is generated.
+ * @param {string} meetingId
+ * @returns {Promise<{ revoked: boolean }>}
+ */
+export async function revokeHostLink(meetingId) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/host-link`, { method: 'DELETE' });
+}
+
+/**
+ * Register the current Jitsi participant as a meeting admin using a host link secret.
+ * @param {string} meetingId
+ * @param {{ hostToken: string, participantId: string, displayName?: string }} payload
+ * @returns {Promise<{ admin_ids: string[], admin_display_names: string[] }>}
+ */
+export async function claimHostLink(meetingId, payload) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/host-link/claim`, {
+        method: 'POST',
+        body: payload,
+    });
+}
+
+/**
+ * Download a scheduled meeting as an .ics file.
+ * @param {string} meetingId
+ * @returns {Promise<void>}
+ */
+export async function downloadMeetingCalendar(meetingId) {
+    return downloadFile(`/meetings/${encodeURIComponent(meetingId)}/calendar.ics`, `meeting-${meetingId}.ics`);
+}
+
+/**
+ * Create a new calendar feed URL for the signed-in user (replaces any previous one).
+ * @returns {Promise<{ token: string, feedUrl: string }>}
+ */
+export async function createCalendarFeed() {
+    return apiRequest('/calendar/token', { method: 'POST' });
+}
+
+/**
+ * Turn off the signed-in user's calendar feed.
+ * @returns {Promise<{ revoked: boolean }>}
+ */
+export async function revokeCalendarFeed() {
+    return apiRequest('/calendar/token', { method: 'DELETE' });
+}
+
+/**
+ * Queue a meeting action (kick, mute, stream-start, ...) for the host's tab or the server worker.
+ * Meeting admins identify themselves with their meeting token and Jitsi participant id; hosts may pass
+ * their host-link secret.
+ * @param {string} meetingId
+ * @param {{ type: string, targetParticipantId?: string, targetDisplayName?: string, platform?: string, streamKey?: string, rtmpUrl?: string, destinationIds?: string[] }} payload
+ * @param {{ hostToken?: string, token?: string, participantId?: string }} [options]
+ * @returns {Promise<object>} The queued action
+ */
+export async function enqueueMeetingAction(meetingId, payload, { hostToken, token, participantId } = {}) {
+    const problems = validateAction(payload);
+    if (problems.length > 0) throw new Error(problems.join('; '));
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/actions`, {
+        method: 'POST',
+        body: payload,
+        headers: {
+            ...(hostToken && { 'X-Host-Token': hostToken }),
+            ...(token && participantHeaders({ token, participantId })),
+        },
+    });
+}
+
+/**
+ * Claim a pending action so this host tab runs it (and the server worker does not).
+ * Resolves to null when someone else already claimed it.
+ * @param {string} meetingId
+ * @param {string} actionId
+ * @param {{ participantId?: string, hostToken?: string }} [options]
+ * @returns {Promise<object|null>} The action, including decrypted streamKey/rtmpUrl for stream-start
+ */
+export async function claimMeetingAction(meetingId, actionId, { participantId, hostToken } = {}) {
+    try {
+        return await apiRequest(`/meetings/${encodeURIComponent(meetingId)}/actions/${encodeURIComponent(actionId)}/claim`, {
+            method: 'POST',
+            body: { participantId },
+            headers: hostToken ? { 'X-Host-Token': hostToken } : undefined,
+        });
+    } catch (error) {
+        if (error.status === 409) return null;
+        throw error;
+    }
+}
+
+/**
+ * Record the outcome of an action this tab claimed.
+ * @param {string} meetingId
+ * @param {string} actionId
+ * @param {{ status: 'done' | 'error', error?: string }} result
+ * @param {{ hostToken?: string }} [options]
+ * @returns {Promise<object>}
+ */
+export async function completeMeetingAction(meetingId, actionId, result, { hostToken } = {}) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/actions/${encodeURIComponent(actionId)}/complete`, {
+        method: 'POST',
+        body: result,
+        headers: hostToken ? { 'X-Host-Token': hostToken } : undefined,
+    });
+}
+
+/**
+ * Record the meeting creator's participant id after they join without a host link,
+ * adding them to the admin arrays so every client badges them.
+ * @param {string} meetingId
+ * @param {{ participantId: string, displayName?: string }} payload
+ * @returns {Promise<{ admin_ids: string[], admin_display_names: string[] }>}
+ */
+export async function recordHostJoin(meetingId, { participantId, displayName }) {
+    const rows = await callRpc('record_host_join', {
+        p_meeting_id: meetingId,
+        p_participant_id: participantId,
+        p_display_name: displayName || '',
+    });
+    return rows?.[0] || { admin_ids: [], admin_display_names: [] };
+}
+
+/**
+ * Promote a participant to meeting admin, or demote them. `actorParticipantId` is the
+ * caller's own Jitsi id, which lets admins who are not the creator make the change.
+ * @param {string} meetingId
+ * @param {{ targetParticipantId: string, targetDisplayName?: string, isAdmin: boolean, actorParticipantId?: string }} payload
+ * @returns {Promise<{ admin_ids: string[], admin_display_names: string[] }>}
+ */
+export async function setMeetingAdmin(meetingId, { targetParticipantId, targetDisplayName, isAdmin, actorParticipantId }) {
+    const rows = await callRpc('set_meeting_admin', {
+        p_meeting_id: meetingId,
+        p_target_participant_id: targetParticipantId,
+        p_target_display_name: targetDisplayName || '',
+        p_is_admin: !!isAdmin,
+        p_actor_participant_id: actorParticipantId || null,
+    });
+    return rows?.[0] || { admin_ids: [], admin_display_names: [] };
+}
+
+/**
+ * Remove a participant for good, or until `expiresAt`. The ban covers their account, email and
+ * browser, as far as the server knows them from their join report; `email` adds one for guests.
+ * The token route then refuses them.
+ * @param {string} meetingId
+ * @param {{ participantId: string, reason?: string, expiresAt?: string | Date | null, email?: string, actorParticipantId?: string }} payload
+ * @returns {Promise<object>} The meeting_bans row
+ */
+export async function banMeetingParticipant(meetingId, { participantId, reason, expiresAt, email, actorParticipantId }) {
+    return callRpc('ban_meeting_participant', {
+        p_meeting_id: meetingId,
+        p_participant_id: participantId,
+        p_reason: reason || null,
+        p_expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+        p_email: email || null,
+        p_actor_participant_id: actorParticipantId || null,
+    });
+}
+
+/**
+ * Lift a ban.
+ * @param {string} banId
+ * @param {{ actorParticipantId?: string }} [options]
+ * @returns {Promise<void>}
+ */
+export async function unbanMeetingParticipant(banId, { actorParticipantId } = {}) {
+    await callRpc('unban_meeting_participant', {
+        p_ban_id: banId,
+        p_actor_participant_id: actorParticipantId || null,
+    });
+}
+
+/**
+ * Bans still in force for a meeting, newest first (hosts and admins only).
+ * @param {string} meetingId
+ * @param {{ actorParticipantId?: string }} [options]
+ * @returns {Promise<object[]>} meeting_bans rows
+ */
+export async function fetchMeetingBans(meetingId, { actorParticipantId } = {}) {
+    const rows = await callRpc('list_meeting_bans', {
+        p_meeting_id: meetingId,
+        p_actor_participant_id: actorParticipantId || null,
+    });
+    return rows || [];
+}
+
+/**
+ * Open or close the shared whiteboard for everyone in the meeting.
+ * @param {string} meetingId
+ * @param {{ open: boolean, actorParticipantId?: string }} payload
+ * @returns {Promise<boolean>}
+ */
+export async function setWhiteboardOpen(meetingId, { open, actorParticipantId }) {
+    return callRpc('set_whiteboard_open', {
+        p_meeting_id: meetingId,
+        p_open: !!open,
+        p_actor_participant_id: actorParticipantId || null,
+    });
+}
+
+/**
+ * Change the lobby settings from inside the meeting. Omitted fields keep their value.
+ * @param {string} meetingId
+ * @param {{ enabled?: boolean, autoAdmitMembers?: boolean, autoAdmitInvitees?: boolean, actorParticipantId?: string }} settings
+ * @returns {Promise<void>}
+ */
+export async function setMeetingLobby(meetingId, { enabled, autoAdmitMembers, autoAdmitInvitees, actorParticipantId }) {
+    await callRpc('set_meeting_lobby', {
+        p_meeting_id: meetingId,
+        p_enabled: enabled ?? null,
+        p_auto_admit_members: autoAdmitMembers ?? null,
+        p_auto_admit_invitees: autoAdmitInvitees ?? null,
+        p_actor_participant_id: actorParticipantId || null,
+    });
+}
+
+/**
+ * Ask whether a knocking participant is covered by an auto-admit rule. A yes uses up the pass
+ * the API issued with their token, so each knock is checked once.
+ * @param {string} meetingId
+ * @param {{ displayName: string, actorParticipantId?: string }} payload
+ * @returns {Promise<'member' | 'invitee' | null>} The rule that admits them
+ */
+export async function claimLobbyPass(meetingId, { displayName, actorParticipantId }) {
+    return callRpc('claim_lobby_pass', {
+        p_meeting_id: meetingId,
+        p_display_name: displayName || '',
+        p_actor_participant_id: actorParticipantId || null,
+    });
+}
+
+/**
+ * Record a participant joining or leaving: signed-in users' own leave
+ * (participantId === actorParticipantId), and the people hosts and admins see.
+ * Own joins go through recordOwnJoin.
+ * @param {string} meetingId
+ * @param {{ participantId: string, displayName?: string, event: 'join' | 'leave', actorParticipantId?: string }} payload
+ * @returns {Promise<void>}
+ */
+export async function recordAttendance(meetingId, { participantId, displayName, event, actorParticipantId }) {
+    await callRpc('record_attendance', {
+        p_meeting_id: meetingId,
+        p_participant_id: participantId,
+        p_display_name: displayName || '',
+        p_event: event,
+        p_actor_participant_id: actorParticipantId || null,
+    });
+}
+
+/**
+ * Record your own join through the API, proven by the Jitsi token you joined with.
+ * Signed-in users' rows are also tied to their account.
+ * @param {string} meetingId
+ * @param {{ token: string, participantId: string, displayName?: string }} payload
+ * @returns {Promise<{ recorded: boolean }>}
+ */
+export async function recordOwnJoin(meetingId, { token, participantId, displayName }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/attendance/join`, {
+        method: 'POST',
+        body: { token, participantId, displayName, deviceId: getDeviceId() },
+    });
+}
+
+/**
+ * Mark the meeting's running session as ended for everyone (the conference was terminated).
+ * Hosts and admins only; sessions also close by themselves when the last participant's leave is recorded.
+ * @param {string} meetingId
+ * @param {{ actorParticipantId?: string }} [options]
+ * @returns {Promise<void>}
+ */
+export async function endMeetingSession(meetingId, { actorParticipantId } = {}) {
+    await callRpc('end_meeting_session', {
+        p_meeting_id: meetingId,
+        p_actor_participant_id: actorParticipantId || null,
+    });
+}
+
+/**
+ * Attendance report for a meeting (host and admins only).
+ * @param {string} meetingId
+ * @returns {Promise<{ meetingId: string, name: string, sessions: object[], attendees: object[] }>}
+ */
+export async function fetchAttendance(meetingId) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/attendance`);
+}
+
+/**
+ * Download a meeting's attendance as CSV, one line per session.
+ * @param {string} meetingId
+ * @returns {Promise<void>}
+ */
+export async function downloadAttendanceCsv(meetingId) {
+    return downloadFile(`/meetings/${encodeURIComponent(meetingId)}/attendance?format=csv`, `attendance-${meetingId}.csv`);
+}
+
+/**
+ * Chat messages this participant may see, oldest first. Fails with status 403 and `details`
+ * 'participant_unverified' until the participant's own join has been recorded.
+ * @param {string} meetingId
+ * @param {{ token: string, participantId: string, after?: string }} options `after` is the createdAt of the last message already shown
+ * @returns {Promise<{ messages: object[], hasMore: boolean }>}
+ */
+export async function fetchMeetingMessages(meetingId, { token, participantId, after }) {
+    const query = after ? `?after=${encodeURIComponent(after)}` : '';
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/messages${query}`, {
+        headers: participantHeaders({ token, participantId }),
+    });
+}
+
+/**
+ * Send a chat message, privately when `recipientParticipantId` is given.
+ * @param {string} meetingId
+ * @param {{ token: string, participantId: string, body: string, recipientParticipantId?: string }} payload
+ * @returns {Promise<object>} The stored message
+ */
+export async function sendMeetingMessage(meetingId, { token, participantId, body, recipientParticipantId }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/messages`, {
+        method: 'POST',
+        headers: participantHeaders({ token, participantId }),
+        body: { body, recipientParticipantId: recipientParticipantId || undefined },
+    });
+}
+
+/**
+ * Delete a chat message for everyone (moderators and meeting admins).
+ * @param {string} meetingId
+ * @param {string} messageId
+ * @param {{ token: string, participantId: string }} options
+ * @returns {Promise<object>} The message, now without its body
+ */
+export async function deleteMeetingMessage(meetingId, messageId, { token, participantId }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/messages/${encodeURIComponent(messageId)}`, {
+        method: 'DELETE',
+        headers: participantHeaders({ token, participantId }),
+    });
+}
+
+/**
+ * A meeting's chat after the fact (host and admins only). Private messages are included only when
+ * the signed-in user sent or received them.
+ * @param {string} meetingId
+ * @returns {Promise<{ meetingId: string, name: string, messages: object[] }>}
+ */
+export async function fetchChatHistory(meetingId) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/messages/history`);
+}
+
+/**
+ * Download a meeting's chat history.
+ * @param {string} meetingId
+ * @param {'txt' | 'json'} format
+ * @returns {Promise<void>}
+ */
+export async function downloadChatHistory(meetingId, format) {
+    return downloadFile(`/meetings/${encodeURIComponent(meetingId)}/messages/history?format=${format}`, `chat-${meetingId}.${format}`);
+}
+
+/**
+ * The meeting's polls with their current results (in-meeting headers, like the chat).
+ * @param {string} meetingId
+ * @param {{ token: string, participantId: string }} options
+ * @returns {Promise<{ polls: object[] }>}
+ */
+export async function fetchMeetingPolls(meetingId, { token, participantId }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/polls`, {
+        headers: participantHeaders({ token, participantId }),
+    });
+}
+
+/**
+ * Start a poll (moderators and meeting admins).
+ * @param {string} meetingId
+ * @param {{ token: string, participantId: string, question: string, options: string[], allowMultiple?: boolean, anonymous?: boolean }} payload
+ * @returns {Promise<object>} The new poll
+ */
+export async function createMeetingPoll(meetingId, { token, participantId, question, options, allowMultiple, anonymous }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/polls`, {
+        method: 'POST',
+        headers: participantHeaders({ token, participantId }),
+        body: { question, options, allowMultiple: !!allowMultiple, anonymous: !!anonymous },
+    });
+}
+
+/**
+ * Vote in an open poll; voting again replaces the earlier vote.
+ * @param {string} meetingId
+ * @param {string} pollId
+ * @param {{ token: string, participantId: string, choices: number[] }} payload Option indexes
+ * @returns {Promise<{ choices: number[] }>}
+ */
+export async function voteInMeetingPoll(meetingId, pollId, { token, participantId, choices }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/polls/${encodeURIComponent(pollId)}/votes`, {
+        method: 'POST',
+        headers: participantHeaders({ token, participantId }),
+        body: { choices },
+    });
+}
+
+/**
+ * Stop a poll from taking votes (moderators and meeting admins).
+ * @param {string} meetingId
+ * @param {string} pollId
+ * @param {{ token: string, participantId: string }} options
+ * @returns {Promise<object>} The closed poll
+ */
+export async function closeMeetingPoll(meetingId, pollId, { token, participantId }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/polls/${encodeURIComponent(pollId)}/close`, {
+        method: 'POST',
+        headers: participantHeaders({ token, participantId }),
+    });
+}
+
+/**
+ * Every poll of a meeting with its results, after the fact (host and admins only).
+ * @param {string} meetingId
+ * @returns {Promise<{ meetingId: string, name: string, polls: object[] }>}
+ */
+export async function fetchPollResults(meetingId) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/polls/results`);
+}
+
+/**
+ * Download a meeting's poll results as CSV, one line per option.
+ * @param {string} meetingId
+ * @returns {Promise<void>}
+ */
+export async function downloadPollResultsCsv(meetingId) {
+    return downloadFile(`/meetings/${encodeURIComponent(meetingId)}/polls/results?format=csv`, `polls-${meetingId}.csv`);
+}
+
+/**
+ * Webinar Q&A questions this participant may see, in display order (in-meeting headers, like the chat).
+ * @param {string} meetingId
+ * @param {{ token: string, participantId: string }} options
+ * @returns {Promise<{ questions: object[] }>}
+ */
+export async function fetchMeetingQuestions(meetingId, { token, participantId }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/questions`, {
+        headers: participantHeaders({ token, participantId }),
+    });
+}
+
+/**
+ * Ask a question; it shows up for everyone once a moderator approves it.
+ * @param {string} meetingId
+ * @param {{ token: string, participantId: string, body: string, anonymous?: boolean }} payload
+ * @returns {Promise<object>} The new question
+ */
+export async function askMeetingQuestion(meetingId, { token, participantId, body, anonymous }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/questions`, {
+        method: 'POST',
+        headers: participantHeaders({ token, participantId }),
+        body: { body, anonymous: !!anonymous },
+    });
+}
+
+/**
+ * Upvote a question, or take the upvote back.
+ * @param {string} meetingId
+ * @param {string} questionId
+ * @param {{ token: string, participantId: string, upvote: boolean }} options
+ * @returns {Promise<{ upvoted: boolean }>}
+ */
+export async function voteForMeetingQuestion(meetingId, questionId, { token, participantId, upvote }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/questions/${encodeURIComponent(questionId)}/votes`, {
+        method: upvote ? 'POST' : 'DELETE',
+        headers: participantHeaders({ token, participantId }),
+    });
+}
+
+/**
+ * Moderate a question (moderators and meeting admins).
+ * @param {string} meetingId
+ * @param {string} questionId
+ * @param {{ token: string, participantId: string, status?: 'pending' | 'approved' | 'answering' | 'answered' | 'dismissed', answer?: string | null }} changes
+ * @returns {Promise<object>} The updated question
+ */
+export async function moderateMeetingQuestion(meetingId, questionId, { token, participantId, status, answer }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/questions/${encodeURIComponent(questionId)}`, {
+        method: 'PATCH',
+        headers: participantHeaders({ token, participantId }),
+        body: { status, answer },
+    });
+}
+
+/**
+ * Every question of a webinar, after the fact (host and admins only).
+ * @param {string} meetingId
+ * @returns {Promise<{ meetingId: string, name: string, questions: object[] }>}
+ */
+export async function fetchQuestionExport(meetingId) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/questions/export`);
+}
+
+/**
+ * Download a webinar's questions as CSV.
+ * @param {string} meetingId
+ * @returns {Promise<void>}
+ */
+export async function downloadQuestionsCsv(meetingId) {
+    return downloadFile(`/meetings/${encodeURIComponent(meetingId)}/questions/export?format=csv`, `questions-${meetingId}.csv`);
+}
+
+/**
+ * A webinar's public registration form. Fails with status 404 when registration is off.
+ * @param {string} meetingId
+ * @returns {Promise<{ meeting: { id: string, name: string, purpose: string | null, scheduledFor: string | null, timeZone: string, hostName: string | null }, requiresApproval: boolean, fields: { id: string, label: string, required: boolean }[], isFull: boolean }>}
+ */
+export async function fetchRegistrationForm(meetingId) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/registration`);
+}
+
+/**
+ * Register for a webinar. The personal join link (`joinPath`, relative to the app) is only returned here.
+ * Fails with status 409 and `details` 'registration_full' or 'registration_exists'.
+ * @param {string} meetingId
+ * @param {{ name: string, email: string, answers?: Record<string, string> }} payload
+ * @returns {Promise<{ id: string, name: string, status: 'pending' | 'approved', joinPath: string }>}
+ */
+export async function registerForMeeting(meetingId, { name, email, answers }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/registrations`, {
+        method: 'POST',
+        body: { name, email, answers: answers || {} },
+    });
+}
+
+/**
+ * The registration behind a personal join link.
+ * @param {string} meetingId
+ * @param {string} key The link's `registration` parameter
+ * @returns {Promise<{ name: string, status: 'pending' | 'approved' | 'rejected' }>}
+ */
+export async function fetchOwnRegistration(meetingId, key) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/registrations/self?key=${encodeURIComponent(key)}`);
+}
+
+/**
+ * A webinar's registrants (host and admins only).
+ * @param {string} meetingId
+ * @returns {Promise<{ registrations: object[], fields: { id: string, label: string, required: boolean }[] }>}
+ */
+export async function fetchRegistrations(meetingId) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/registrations`);
+}
+
+/**
+ * Approve or reject a registrant (host and admins only).
+ * @param {string} meetingId
+ * @param {string} registrationId
+ * @param {'approved' | 'rejected' | 'pending'} status
+ * @returns {Promise<object>} The updated registration
+ */
+export async function setRegistrationStatus(meetingId, registrationId, status) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/registrations/${encodeURIComponent(registrationId)}`, {
+        method: 'PATCH',
+        body: { status },
+    });
+}
+
+/**
+ * Issue a new personal join link for a registrant; the old one stops working.
+ * @param {string} meetingId
+ * @param {string} registrationId
+ * @returns {Promise<{ joinPath: string }>}
+ */
+export async function reissueRegistrationLink(meetingId, registrationId) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/registrations/${encodeURIComponent(registrationId)}/link`, {
+        method: 'POST',
+    });
+}
+
+/**
+ * Download a webinar's registrants as CSV.
+ * @param {string} meetingId
+ * @returns {Promise<void>}
+ */
+export async function downloadRegistrationsCsv(meetingId) {
+    return downloadFile(`/meetings/${encodeURIComponent(meetingId)}/registrations?format=csv`, `registrants-${meetingId}.csv`);
+}
+
+/**
+ * Breakout state kept by the API: the saved room plan, the host's latest message to all rooms and
+ * the countdown end (in-meeting headers).
+ * @param {string} meetingId
+ * @param {{ token: string, participantId: string }} options
+ * @returns {Promise<{ plan: { rooms: { name: string, members: string[] }[] }|null, message: { text: string, sentAt: string }|null, endsAt: string|null }>}
+ */
+export async function fetchBreakouts(meetingId, { token, participantId }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/breakouts`, {
+        headers: participantHeaders({ token, participantId }),
+    });
+}
+
+/**
+ * Save the current room assignments so a later session can reuse them (moderators).
+ * @param {string} meetingId
+ * @param {{ token: string, participantId: string, rooms: { name: string, members: string[] }[] }} payload Members are display names
+ * @returns {Promise<object>} The breakout state
+ */
+export async function saveBreakoutPlan(meetingId, { token, participantId, rooms }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/breakouts/plan`, {
+        method: 'PUT',
+        headers: participantHeaders({ token, participantId }),
+        body: { rooms },
+    });
+}
+
+/**
+ * Show a message in every breakout room (moderators).
+ * @param {string} meetingId
+ * @param {{ token: string, participantId: string, message: string }} payload
+ * @returns {Promise<object>} The breakout state
+ */
+export async function messageBreakoutRooms(meetingId, { token, participantId, message }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/breakouts/message`, {
+        method: 'POST',
+        headers: participantHeaders({ token, participantId }),
+        body: { message },
+    });
+}
+
+/**
+ * Start a countdown shown in every room, or stop it with null (moderators).
+ * @param {string} meetingId
+ * @param {{ token: string, participantId: string, minutes: number|null }} payload
+ * @returns {Promise<object>} The breakout state
+ */
+export async function setBreakoutTimer(meetingId, { token, participantId, minutes }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/breakouts/timer`, {
+        method: 'PUT',
+        headers: participantHeaders({ token, participantId }),
+        body: { minutes },
+    });
+}
+
+/**
+ * Clear the message and countdown after the rooms were closed in Jitsi (moderators).
+ * @param {string} meetingId
+ * @param {{ token: string, participantId: string }} options
+ * @returns {Promise<object>} The breakout state
+ */
+export async function clearBreakouts(meetingId, { token, participantId }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/breakouts/close`, {
+        method: 'POST',
+        headers: participantHeaders({ token, participantId }),
+    });
+}
+
+// Signed file paths come back relative to the API
+const withFileUrls = (recording) => ({
+    ...recording,
+    playbackUrl: `${API_BASE_URL}${recording.playbackPath}`,
+    downloadUrl: `${API_BASE_URL}${recording.downloadPath}`,
+});
+
+/**
+ * The signed-in user's recordings and those shared with them.
+ * @param {{ scope?: 'mine'|'all' }} [options] 'all' lists every recording (app admins)
+ * @returns {Promise<object[]>} Recordings with playbackUrl and downloadUrl
+ */
+export async function fetchRecordings({ scope } = {}) {
+    const query = scope === 'all' ? '?scope=all' : '';
+    const { recordings } = await apiRequest(`/recordings${query}`);
+    return recordings.map(withFileUrls);
+}
+
+/**
+ * One recording, with fresh playback and download URLs (they expire after a while).
+ * @param {string} recordingId
+ * @returns {Promise<object>}
+ */
+export async function fetchRecording(recordingId) {
+    return withFileUrls(await apiRequest(`/recordings/${encodeURIComponent(recordingId)}`));
+}
+
+/**
+ * Rename a recording or change who can watch it and how long it is kept (owner and app admins).
+ * @param {string} recordingId
+ * @param {{ title?: string, visibility?: 'private'|'participants'|'link', retentionDays?: number|null }} changes
+ * @returns {Promise<object>} The updated recording
+ */
+export async function updateRecording(recordingId, changes) {
+    return withFileUrls(await apiRequest(`/recordings/${encodeURIComponent(recordingId)}`, {
+        method: 'PATCH',
+        body: changes,
+    }));
+}
+
+/**
+ * Share a recording by link. Any earlier link stops working.
+ * @param {string} recordingId
+ * @returns {Promise<{ recording: object, sharePath: string }>} sharePath is an app path, shown only once
+ */
+export async function createRecordingShareLink(recordingId) {
+    const { recording, sharePath } = await apiRequest(`/recordings/${encodeURIComponent(recordingId)}/share-link`, { method: 'POST' });
+    return { recording: withFileUrls(recording), sharePath };
+}
+
+/**
+ * Delete a recording and its file (owner and app admins).
+ * @param {string} recordingId
+ * @returns {Promise<{ id: string }>}
+ */
+export async function deleteRecording(recordingId) {
+    return apiRequest(`/recordings/${encodeURIComponent(recordingId)}`, { method: 'DELETE' });
+}
+
+/**
+ * A recording shared by link (no sign-in needed).
+ * @param {string} shareKey
+ * @returns {Promise<object>}
+ */
+export async function fetchSharedRecording(shareKey) {
+    return withFileUrls(await apiRequest(`/recordings/shared/${encodeURIComponent(shareKey)}`));
+}
+
+/**
+ * Saved live-stream destinations: the user's own and the organisation's. Keys are never returned.
+ * @returns {Promise<{ destinations: object[], relayAvailable: boolean, maxPerStream: number }>}
+ */
+export async function fetchStreamDestinations() {
+    return apiRequest('/stream-destinations');
+}
+
+/**
+ * Save a live-stream destination (the key is stored encrypted). scope 'org' is for app admins.
+ * @param {{ name: string, platform: string, rtmpUrl?: string, streamKey: string, scope?: 'user'|'org' }} destination
+ * @returns {Promise<object>} The saved destination
+ */
+export async function createStreamDestination(destination) {
+    return apiRequest('/stream-destinations', { method: 'POST', body: destination });
+}
+
+/**
+ * Rename a saved destination or replace its key or URL (empty fields keep the stored value).
+ * @param {string} destinationId
+ * @param {{ name?: string, rtmpUrl?: string, streamKey?: string }} changes
+ * @returns {Promise<object>} The updated destination
+ */
+export async function updateStreamDestination(destinationId, changes) {
+    return apiRequest(`/stream-destinations/${encodeURIComponent(destinationId)}`, { method: 'PATCH', body: changes });
+}
+
+/**
+ * Delete a saved destination.
+ * @param {string} destinationId
+ * @returns {Promise<{ id: string }>}
+ */
+export async function deleteStreamDestination(destinationId) {
+    return apiRequest(`/stream-destinations/${encodeURIComponent(destinationId)}`, { method: 'DELETE' });
+}
+
+/**
+ * Captions saved so far in the running session, oldest first. Fails with status 403 and `details`
+ * 'participant_unverified' until the participant's own join has been recorded.
+ * @param {string} meetingId
+ * @param {{ token: string, participantId: string }} options
+ * @returns {Promise<{ segments: object[] }>}
+ */
+export async function fetchMeetingTranscript(meetingId, { token, participantId }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/transcript`, {
+        headers: participantHeaders({ token, participantId }),
+    });
+}
+
+/**
+ * Save final caption segments (moderators). Segments another moderator already saved are skipped.
+ * @param {string} meetingId
+ * @param {{ token: string, participantId: string, segments: { messageId: string, speakerId?: string, speakerName?: string, language?: string, text: string, spokenAt?: string }[] }} payload
+ * @returns {Promise<{ saved: number }>}
+ */
+export async function saveTranscriptSegments(meetingId, { token, participantId, segments }) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/transcript`, {
+        method: 'POST',
+        headers: participantHeaders({ token, participantId }),
+        body: { segments },
+    });
+}
+
+/**
+ * A meeting's saved transcripts after the fact, with the sessions they belong to (host and admins, and
+ * attendees once the meeting summaries are shared).
+ * @param {string} meetingId
+ * @returns {Promise<{ meetingId: string, name: string, sessions: object[], segments: object[] }>}
+ */
+export async function fetchTranscriptHistory(meetingId) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/transcript/history`);
+}
+
+/**
+ * Download a meeting's transcript, or one session's.
+ * @param {string} meetingId
+ * @param {'txt' | 'json'} format
+ * @param {{ sessionId?: string }} [options]
+ * @returns {Promise<void>}
+ */
+export async function downloadTranscript(meetingId, format, { sessionId } = {}) {
+    const session = sessionId ? `&sessionId=${encodeURIComponent(sessionId)}` : '';
+    return downloadFile(`/meetings/${encodeURIComponent(meetingId)}/transcript/history?format=${format}${session}`, `transcript-${meetingId}.${format}`);
+}
+
+/**
+ * Summary of one session of a meeting (the latest unless sessionId is given). Fails with status 403
+ * and `details` 'summary_not_shared' for attendees until the host shares it.
+ * @param {string} meetingId
+ * @param {{ sessionId?: string }} [options]
+ * @returns {Promise<{ meeting: object, sharedAt: string|null, canManage: boolean, sessions: object[], session: object|null, attendance?: object, messages?: object[], polls?: object[], recordings?: object[], transcript?: { segments: number }, actions?: object[] }>}
+ */
+export async function fetchMeetingSummary(meetingId, { sessionId } = {}) {
+    const query = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : '';
+    const summary = await apiRequest(`/meetings/${encodeURIComponent(meetingId)}/summary${query}`);
+    return summary.recordings ? { ...summary, recordings: summary.recordings.map(withFileUrls) } : summary;
+}
+
+/**
+ * Share the meeting's summaries with its signed-in attendees and invitees, or stop sharing them (host and admins).
+ * @param {string} meetingId
+ * @param {boolean} shared
+ * @returns {Promise<{ sharedAt: string|null }>}
+ */
+export async function shareMeetingSummary(meetingId, shared) {
+    return apiRequest(`/meetings/${encodeURIComponent(meetingId)}/summary/share`, { method: 'PUT', body: { shared } });
+}
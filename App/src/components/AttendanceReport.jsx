@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { Download, Loader2, Users } from 'lucide-react';
+import { fetchAttendance, downloadAttendanceCsv } from '../api/meetings';
+
+const formatDuration = (seconds) => {
+    if (!seconds) return '—';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// Attendance tab of the meeting details modal: one line per person (rejoins are summed),
+// with the per-session detail available as a CSV download.
+const AttendanceReport = ({ meetingId, onToast }) => {
+    const [report, setReport] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isDownloading, setIsDownloading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setIsLoading(true);
+        setError(null);
+        fetchAttendance(meetingId)
+            .then((data) => !cancelled && setReport(data))
+            .catch((e) => !cancelled && setError(e.message || 'Failed to load attendance.'))
+            .finally(() => !cancelled && setIsLoading(false));
+        return () => { cancelled = true; };
+    }, [meetingId]);
+
+    const handleDownload = async () => {
+        setIsDownloading(true);
+        try {
+            await downloadAttendanceCsv(meetingId);
+        } catch (e) {
+            onToast && onToast({ title: 'Download failed', message: e.message || 'Could not export attendance.', type: 'error' });
+        } finally {
+            setIsDownloading(false);
+        }
+    };
+
+    if (isLoading) {
+        return <div className="flex items-center gap-2 text-slate-400 text-sm"><Loader2 size={14} className="animate-spin" /> Loading…</div>;
+    }
+    if (error) {
+        return <p className="text-red-400 text-sm">{error}</p>;
+    }
+
+    const attendees = report?.attendees || [];
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center justify-between gap-2">
+                <p className="flex items-center gap-2 text-xs text-slate-400">
+                    <Users size={14} /> {attendees.length} {attendees.length === 1 ? 'attendee' : 'attendees'}, {report?.sessions?.length || 0} sessions
+                </p>
+                <button
+                    disabled={isDownloading || attendees.length === 0}
+                    onClick={handleDownload}
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-md bg-slate-700 hover:bg-slate-600 text-xs disabled:opacity-50"
+                >
+                    <Download size={14} /> {isDownloading ? 'Exporting…' : 'Export CSV'}
+                </button>
+            </div>
+            {attendees.length === 0 ? (
+                <p className="text-slate-400 text-sm">Nobody has joined this meeting yet.</p>
+            ) : (
+                <div className="max-h-72 overflow-y-auto thin-scrollbar border border-slate-700/60 rounded-lg">
+                    <table className="w-full text-sm">
+                        <thead className="text-xs text-slate-400 bg-slate-800/60 sticky top-0">
+                            <tr>
+                                <th className="text-left font-normal px-3 py-2">Name</th>
+                                <th className="text-left font-normal px-3 py-2">First joined</th>
+                                <th className="text-right font-normal px-3 py-2">Time in meeting</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {attendees.map((a) => (
+                                <tr key={`${a.userUid || ''}:${a.displayName}:${a.firstJoinedAt}`} className="border-t border-slate-800">
+                                    <td className="px-3 py-2">
+                                        <p className="text-slate-200">{a.displayName || 'Guest'}{a.role !== 'participant' && <span className="ml-2 text-[10px] uppercase text-amber-400">{a.role}</span>}</p>
+                                        {a.email && <p className="text-xs text-slate-500">{a.email}</p>}
+                                    </td>
+                                    <td className="px-3 py-2 text-slate-300">{formatTime(a.firstJoinedAt)}</td>
+                                    <td className="px-3 py-2 text-right text-slate-300" title={a.hasOpenSession ? 'A session has no recorded leave time' : undefined}>
+                                        {formatDuration(a.totalSeconds)}{a.hasOpenSession && '+'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AttendanceReport;
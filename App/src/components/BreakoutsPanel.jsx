@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Plus, Shuffle, Send, Timer, DoorClosed, Save, RotateCcw, Megaphone } from 'lucide-react';
+import { saveBreakoutPlan, messageBreakoutRooms, setBreakoutTimer, clearBreakouts } from '../api/meetings';
+
+// Breakout rooms are Jitsi's own (addBreakoutRoom, sendParticipantToRoom, closeBreakoutRoom). The
+// API keeps the saved plan and the message and countdown that every room sees; endpoint messages
+// stay inside one room, so the sidebar polls those for everyone.
+const MAX_NEW_ROOMS = 20;
+
+const normalizeName = (name) => (name || '').trim().toLowerCase();
+
+// breakoutRoomsUpdated sends rooms keyed by id with participants keyed by jid, getRoomsInfo sends
+// arrays; a participant's id is the resource part of their room jid
+const toRoomList = (rooms) => Object.values(rooms || {}).map(room => ({
+    id: room.id,
+    name: room.name || (room.isMainRoom ? 'Main room' : 'Breakout room'),
+    isMainRoom: !!room.isMainRoom,
+    participants: Object.values(room.participants || {}).map(p => ({
+        id: p.id || (p.jid || '').split('/')[1] || p.jid,
+        name: p.displayName || 'Guest',
+    })),
+}));
+
+const formatRemaining = (ms) => {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Shown to everyone at the top of the sidebar while the host's message or countdown is set
+export const BreakoutBanner = ({ breakouts }) => {
+    const [now, setNow] = useState(() => Date.now());
+    const endsAt = breakouts?.endsAt ? new Date(breakouts.endsAt).getTime() : null;
+
+    useEffect(() => {
+        if (!endsAt) return;
+        const tick = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(tick);
+    }, [endsAt]);
+
+    if (!breakouts?.message && !endsAt) return null;
+    return (
+        <div className="mb-2 rounded-lg bg-cyan-500/10 ring-1 ring-cyan-500/30 p-2 space-y-1 text-xs flex-shrink-0">
+            {endsAt && (
+                <p className="flex items-center gap-1.5 font-semibold text-cyan-300">
+                    <Timer size={14} /> {endsAt > now ? `Breakout rooms close in ${formatRemaining(endsAt - now)}` : 'Breakout time is up'}
+                </p>
+            )}
+            {breakouts.message && (
+                <p className="flex items-start gap-1.5 text-slate-200 break-words"><Megaphone size={14} className="flex-shrink-0 mt-0.5 text-cyan-400" /> {breakouts.message.text}</p>
+            )}
+        </div>
+    );
+};
+
+const BreakoutsPanel = ({ jitsiApi, meetingId, meetingToken, breakouts, onBreakoutsChange, showToast }) => {
+    const [rooms, setRooms] = useState([]);
+    const [roomCount, setRoomCount] = useState('2');
+    const [message, setMessage] = useState('');
+    const [minutes, setMinutes] = useState('10');
+    const [busy, setBusy] = useState(null);
+    // Saved plan being applied: its rooms are created first, then people are moved as they appear
+    const pendingPlanRef = useRef(null);
+
+    const myId = (jitsiApi?.myUserId && jitsiApi.myUserId()) || null;
+    const auth = { token: meetingToken, participantId: myId };
+    const mainRoom = rooms.find(r => r.isMainRoom);
+    const breakoutRooms = rooms.filter(r => !r.isMainRoom);
+
+    useEffect(() => {
+        if (!jitsiApi) return;
+        let cancelled = false;
+        Promise.resolve(jitsiApi.getRoomsInfo())
+            .then((info) => !cancelled && setRooms(toRoomList(info?.rooms)))
+            .catch((e) => console.warn('[Breakouts] Could not read the rooms', e));
+        const handleUpdated = (e) => setRooms(toRoomList(e?.rooms));
+        jitsiApi.addEventListener('breakoutRoomsUpdated', handleUpdated);
+        return () => {
+            cancelled = true;
+            jitsiApi.removeEventListener('breakoutRoomsUpdated', handleUpdated);
+        };
+    }, [jitsiApi]);
+
+    const applyPendingPlan = useCallback((list) => {
+        const plan = pendingPlanRef.current;
+        if (!plan || !jitsiApi) return;
+        const waiting = list.find(r => r.isMainRoom)?.participants || [];
+        let allCreated = true;
+        plan.rooms.forEach(planned => {
+            const room = list.find(r => !r.isMainRoom && normalizeName(r.name) === normalizeName(planned.name));
+            if (!room) {
+                allCreated = false;
+                return;
+            }
+            const members = new Set(planned.members.map(normalizeName));
+            waiting
+                .filter(p => p.id !== myId && members.has(normalizeName(p.name)))
+                .forEach(p => jitsiApi.executeCommand('sendParticipantToRoom', p.id, room.id));
+        });
+        if (allCreated) pendingPlanRef.current = null;
+    }, [jitsiApi, myId]);
+
+    useEffect(() => {
+        applyPendingPlan(rooms);
+    }, [rooms, applyPendingPlan]);
+
+    const notify = () => {
+        try { jitsiApi?.executeCommand('sendEndpointTextMessage', '', JSON.stringify({ type: 'breakouts-updated' })); } catch (e) { console.warn('[Breakouts] Could not notify participants', e); }
+    };
+
+    // Save through the API, then tell this room to refetch (the other rooms pick it up when they poll)
+    const run = async (key, action, failTitle) => {
+        setBusy(key);
+        try {
+            const state = await action();
+            onBreakoutsChange && onBreakoutsChange(state);
+            notify();
+            return true;
+        } catch (err) {
+            showToast && showToast({ title: failTitle, message: err.message || 'Please try again.', type: 'error' });
+            return false;
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleCreate = () => {
+        const count = Math.min(MAX_NEW_ROOMS, Math.max(1, parseInt(roomCount, 10) || 1));
+        for (let i = 1; i <= count; i++) {
+            jitsiApi?.executeCommand('addBreakoutRoom', `Room ${breakoutRooms.length + i}`);
+        }
+    };
+
+    const handleAssign = (participantId, roomId) => {
+        if (roomId) jitsiApi?.executeCommand('sendParticipantToRoom', participantId, roomId);
+    };
+
+    const handleUsePlan = () => {
+        const plan = breakouts?.plan;
+        if (!plan?.rooms?.length) return;
+        pendingPlanRef.current = plan;
+        plan.rooms
+            .filter(planned => !breakoutRooms.some(r => normalizeName(r.name) === normalizeName(planned.name)))
+            .forEach(planned => jitsiApi?.executeCommand('addBreakoutRoom', planned.name));
+        // Rooms that already exist are filled now, new ones once Jitsi reports them
+        applyPendingPlan(rooms);
+    };
+
+    // Members are saved by display name, since Jitsi ids change with every join
+    const handleSavePlan = async () => {
+        const planRooms = breakoutRooms.map(r => ({ name: r.name, members: r.participants.map(p => p.name) }));
+        if (await run('plan', () => saveBreakoutPlan(meetingId, { ...auth, rooms: planRooms }), 'Could not save the rooms')) {
+            showToast && showToast({ title: 'Rooms saved', message: 'You can reuse these rooms in the next session.', type: 'success' });
+        }
+    };
+
+    const handleMessage = async (e) => {
+        e.preventDefault();
+        const text = message.trim();
+        if (!text) return;
+        if (await run('message', () => messageBreakoutRooms(meetingId, { ...auth, message: text }), 'Message not sent')) setMessage('');
+    };
+
+    const handleTimer = (value) => run('timer', () => setBreakoutTimer(meetingId, { ...auth, minutes: value }), 'Could not set the timer');
+
+    const handleCloseAll = async () => {
+        breakoutRooms.forEach(room => {
+            try { jitsiApi?.executeCommand('closeBreakoutRoom', room.id); } catch (e) { console.warn('[Breakouts] Could not close a room', e); }
+        });
+        await run('close', () => clearBreakouts(meetingId, auth), 'Could not clear the timer');
+    };
+
+    if (!meetingToken) {
+        return <p className="p-4 text-center text-slate-400 text-sm">Breakout rooms are available once you have joined with a meeting token.</p>;
+    }
+
+    return (
+        <div className="flex flex-col h-[calc(100vh-18rem)] p-1 space-y-3 overflow-y-auto pr-1 scrollbar-thin scrollbar-thumb-slate-600 scrollbar-track-slate-800/50 scrollbar-thumb-rounded-full">
+            <div className="flex items-center gap-2 px-1">
+                <input
+                    type="number"
+                    min={1}
+                    max={MAX_NEW_ROOMS}
+                    value={roomCount}
+                    onChange={(e) => setRoomCount(e.target.value)}
+                    className="w-16 px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-sm text-slate-200"
+                />
+                <button onClick={handleCreate} className="flex items-center gap-1 px-2 py-1 rounded-md bg-cyan-600 text-white text-xs hover:bg-cyan-500">
+                    <Plus size={12} /> Add rooms
+                </button>
+                <button onClick={() => jitsiApi?.executeCommand('autoAssignToBreakoutRooms')} disabled={breakoutRooms.length === 0} title="Spread everyone evenly over the rooms" className="flex items-center gap-1 px-2 py-1 rounded-md bg-slate-700 text-slate-200 text-xs hover:bg-slate-600 disabled:opacity-50">
+                    <Shuffle size={12} /> Auto-assign
+                </button>
+            </div>
+
+            <div className="flex items-center gap-2 px-1">
+                <button onClick={handleSavePlan} disabled={breakoutRooms.length === 0 || busy === 'plan'} className="flex items-center gap-1 px-2 py-1 rounded-md bg-slate-700 text-slate-200 text-xs hover:bg-slate-600 disabled:opacity-50">
+                    <Save size={12} /> Save for next time
+                </button>
+                {breakouts?.plan?.rooms?.length > 0 && (
+                    <button onClick={handleUsePlan} title={breakouts.plan.rooms.map(r => r.name).join(', ')} className="flex items-center gap-1 px-2 py-1 rounded-md bg-slate-700 text-slate-200 text-xs hover:bg-slate-600">
+                        <RotateCcw size={12} /> Use saved rooms ({breakouts.plan.rooms.length})
+                    </button>
+                )}
+            </div>
+
+            {mainRoom && mainRoom.participants.filter(p => p.id !== myId).length > 0 && breakoutRooms.length > 0 && (
+                <div>
+                    <h3 className="text-white font-semibold text-sm px-1 mb-1">Main room</h3>
+                    <div className="space-y-1">
+                        {mainRoom.participants.filter(p => p.id !== myId).map(p => (
+                            <div key={p.id} className="flex items-center gap-2 px-1">
+                                <span className="text-slate-200 text-sm truncate flex-grow">{p.name}</span>
+                                <select
+                                    value=""
+                                    onChange={(e) => handleAssign(p.id, e.target.value)}
+                                    className="px-1.5 py-0.5 rounded-md bg-slate-800 border border-slate-700 text-xs text-slate-200"
+                                >
+                                    <option value="">Assign…</option>
+                                    {breakoutRooms.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {breakoutRooms.length === 0 ? (
+                <p className="px-1 text-sm text-slate-500">No breakout rooms yet.</p>
+            ) : (
+                <div className="space-y-2">
+                    {breakoutRooms.map(room => (
+                        <div key={room.id} className="rounded-lg bg-slate-800/50 p-2">
+                            <p className="text-sm font-semibold text-slate-200">{room.name} <span className="text-xs font-normal text-slate-500">({room.participants.length})</span></p>
+                            {room.participants.length > 0 && (
+                                <p className="text-xs text-slate-400 truncate">{room.participants.map(p => p.name).join(', ')}</p>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {breakoutRooms.length > 0 && (
+                <>
+                    <form onSubmit={handleMessage} className="flex items-center gap-1 px-1">
+                        <input
+                            type="text"
+                            value={message}
+                            maxLength={500}
+                            onChange={(e) => setMessage(e.target.value)}
+                            placeholder="Message all rooms…"
+                            className="flex-grow px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-xs text-slate-200 placeholder-slate-500"
+                        />
+                        <button type="submit" disabled={!message.trim() || busy === 'message'} title="Send to every room" className="p-1.5 rounded-md text-cyan-400 hover:bg-slate-700 disabled:opacity-50"><Send size={14} /></button>
+                    </form>
+
+                    <div className="flex items-center gap-2 px-1">
+                        <input
+                            type="number"
+                            min={1}
+                            max={1440}
+                            value={minutes}
+                            onChange={(e) => setMinutes(e.target.value)}
+                            className="w-16 px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-sm text-slate-200"
+                        />
+                        <button onClick={() => handleTimer(parseInt(minutes, 10) || 1)} disabled={busy === 'timer'} className="flex items-center gap-1 px-2 py-1 rounded-md bg-slate-700 text-slate-200 text-xs hover:bg-slate-600 disabled:opacity-50">
+                            <Timer size={12} /> Start timer
+                        </button>
+                        {breakouts?.endsAt && (
+                            <button onClick={() => handleTimer(null)} disabled={busy === 'timer'} className="text-xs text-slate-400 hover:text-slate-200 disabled:opacity-50">Stop</button>
+                        )}
+                    </div>
+
+                    <button onClick={handleCloseAll} disabled={busy === 'close'} className="w-full flex items-center justify-center gap-2 py-1.5 rounded-md bg-red-600/80 text-white text-xs font-semibold hover:bg-red-500 disabled:opacity-50">
+                        <DoorClosed size={14} /> Close all rooms
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default BreakoutsPanel;
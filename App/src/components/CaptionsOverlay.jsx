@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import { Captions, CaptionsOff } from 'lucide-react';
+import { parseTranscriptionChunk } from '../utils/captions';
+
+const MAX_LINES = 3;
+const LINE_TTL_MS = 7000; // how long a finished line stays on screen
+
+// Captions over the meeting video while Jigasi transcribes. Each viewer can hide them.
+const CaptionsOverlay = ({ jitsiApi }) => {
+    const [isTranscribing, setIsTranscribing] = useState(false);
+    const [isHidden, setIsHidden] = useState(false);
+    const [lines, setLines] = useState([]); // { messageId, speakerName, text, isFinal, at }
+
+    useEffect(() => {
+        if (!jitsiApi) return;
+        const onStatus = ({ on }) => setIsTranscribing(!!on);
+        const onChunk = (evt) => {
+            const chunk = parseTranscriptionChunk(evt);
+            if (!chunk) return;
+            setIsTranscribing(true);
+            setLines(prev => {
+                const next = prev.filter(l => l.messageId !== chunk.messageId);
+                next.push({ ...chunk, at: Date.now() });
+                return next.slice(-MAX_LINES);
+            });
+        };
+        jitsiApi.addEventListener('transcribingStatusChanged', onStatus);
+        jitsiApi.addEventListener('transcriptionChunkReceived', onChunk);
+        return () => {
+            jitsiApi.removeEventListener('transcribingStatusChanged', onStatus);
+            jitsiApi.removeEventListener('transcriptionChunkReceived', onChunk);
+        };
+    }, [jitsiApi]);
+
+    // Drop finished lines once they have been read
+    useEffect(() => {
+        if (lines.length === 0) return;
+        const timer = setInterval(() => {
+            setLines(prev => {
+                const next = prev.filter(l => !l.isFinal || Date.now() - l.at < LINE_TTL_MS);
+                return next.length === prev.length ? prev : next;
+            });
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [lines.length]);
+
+    if (!isTranscribing) return null;
+
+    return (
+        <>
+            <button
+                onClick={() => setIsHidden(h => !h)}
+                title={isHidden ? 'Show captions' : 'Hide captions'}
+                className="absolute top-3 right-3 z-10 p-2 rounded-full bg-black/60 text-white hover:bg-black/80"
+            >
+                {isHidden ? <CaptionsOff size={18} /> : <Captions size={18} />}
+            </button>
+            {!isHidden && lines.length > 0 && (
+                <div className="absolute bottom-20 left-1/2 -translate-x-1/2 z-10 w-full max-w-3xl px-4 pointer-events-none space-y-1" aria-live="polite">
+                    {lines.map(line => (
+                        <p key={line.messageId} className="mx-auto w-fit max-w-full rounded-md bg-black/75 px-3 py-1.5 text-center text-base sm:text-lg text-white">
+                            <span className="font-semibold text-cyan-300">{line.speakerName}: </span>
+                            <span className={line.isFinal ? '' : 'text-white/80'}>{line.text}</span>
+                        </p>
+                    ))}
+                </div>
+            )}
+        </>
+    );
+};
+
+export default CaptionsOverlay;
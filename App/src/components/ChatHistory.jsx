@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import { Download, Loader2, Lock, MessageSquare } from 'lucide-react';
+import { fetchChatHistory, downloadChatHistory } from '../api/meetings';
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// Chat tab of the meeting details modal: the saved in-meeting chat, with text and JSON exports.
+const ChatHistory = ({ meetingId, onToast }) => {
+    const [messages, setMessages] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [downloading, setDownloading] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setIsLoading(true);
+        setError(null);
+        fetchChatHistory(meetingId)
+            .then((data) => !cancelled && setMessages(data?.messages || []))
+            .catch((e) => !cancelled && setError(e.message || 'Failed to load the chat.'))
+            .finally(() => !cancelled && setIsLoading(false));
+        return () => { cancelled = true; };
+    }, [meetingId]);
+
+    const handleDownload = async (format) => {
+        setDownloading(format);
+        try {
+            await downloadChatHistory(meetingId, format);
+        } catch (e) {
+            onToast && onToast({ title: 'Download failed', message: e.message || 'Could not export the chat.', type: 'error' });
+        } finally {
+            setDownloading(null);
+        }
+    };
+
+    if (isLoading) {
+        return <div className="flex items-center gap-2 text-slate-400 text-sm"><Loader2 size={14} className="animate-spin" /> Loading…</div>;
+    }
+    if (error) {
+        return <p className="text-red-400 text-sm">{error}</p>;
+    }
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center justify-between gap-2">
+                <p className="flex items-center gap-2 text-xs text-slate-400">
+                    <MessageSquare size={14} /> {messages.length} {messages.length === 1 ? 'message' : 'messages'}
+                </p>
+                <div className="flex gap-2">
+                    {[['txt', 'Export TXT'], ['json', 'Export JSON']].map(([format, label]) => (
+                        <button
+                            key={format}
+                            disabled={!!downloading || messages.length === 0}
+                            onClick={() => handleDownload(format)}
+                            className="flex items-center gap-1.5 px-3 py-1.5 rounded-md bg-slate-700 hover:bg-slate-600 text-xs disabled:opacity-50"
+                        >
+                            <Download size={14} /> {downloading === format ? 'Exporting…' : label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            {messages.length === 0 ? (
+                <p className="text-slate-400 text-sm">No chat messages were sent in this meeting.</p>
+            ) : (
+                <div className="max-h-72 overflow-y-auto thin-scrollbar border border-slate-700/60 rounded-lg divide-y divide-slate-800">
+                    {messages.map((m) => (
+                        <div key={m.id} className="px-3 py-2">
+                            <div className="flex items-center gap-2 text-xs text-slate-400">
+                                <span className="font-medium text-slate-200">{m.senderName}</span>
+                                {m.isPrivate && <span className="flex items-center gap-1 text-violet-300"><Lock size={10} /> to {m.recipientName}</span>}
+                                <span className="ml-auto">{formatTime(m.createdAt)}</span>
+                            </div>
+                            {m.deleted ? (
+                                <p className="text-sm italic text-slate-500">Message deleted</p>
+                            ) : (
+                                <p className="text-sm text-slate-200 whitespace-pre-wrap break-words">{m.body}</p>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ChatHistory;
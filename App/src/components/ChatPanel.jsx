@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Send, Trash2, Lock, Loader2 } from 'lucide-react';
+import { fetchMeetingMessages, sendMeetingMessage, deleteMeetingMessage } from '../api/meetings';
+
+// Messages live in meeting_messages (through the API); other tabs are told to refetch with a Jitsi
+// endpoint message rather than trusting what a peer sends. The poll covers missed notices.
+const POLL_MS = 20000;
+const UNVERIFIED_RETRY_MS = 3000;
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const mergeMessages = (current, incoming) => {
+    const byId = new Map(current.map(m => [m.id, m]));
+    incoming.forEach(m => byId.set(m.id, m));
+    return Array.from(byId.values()).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+const ChatPanel = ({ jitsiApi, meetingId, meetingToken, participants = [], canModerate, showToast }) => {
+    const [messages, setMessages] = useState([]);
+    const [draft, setDraft] = useState('');
+    const [recipientId, setRecipientId] = useState('');
+    const [isSending, setIsSending] = useState(false);
+    const [status, setStatus] = useState('loading');
+    const listRef = useRef(null);
+    const lastCreatedAtRef = useRef(null);
+
+    const myId = (jitsiApi?.myUserId && jitsiApi.myUserId()) || null;
+    const auth = { token: meetingToken, participantId: myId };
+
+    const load = useCallback(async ({ full = false } = {}) => {
+        if (!meetingId || !meetingToken || !myId) return;
+        try {
+            const { messages: fetched } = await fetchMeetingMessages(meetingId, {
+                token: meetingToken,
+                participantId: myId,
+                after: full ? undefined : lastCreatedAtRef.current || undefined,
+            });
+            setMessages(prev => mergeMessages(full ? [] : prev, fetched));
+            setStatus('ready');
+        } catch (e) {
+            // Our own join report may not have reached the server yet
+            setStatus(e.details === 'participant_unverified' ? 'waiting' : 'error');
+        }
+    }, [meetingId, meetingToken, myId]);
+
+    useEffect(() => {
+        lastCreatedAtRef.current = messages.length ? messages[messages.length - 1].createdAt : null;
+        if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+    }, [messages]);
+
+    useEffect(() => {
+        load({ full: true });
+        const poll = setInterval(() => load(), POLL_MS);
+        return () => clearInterval(poll);
+    }, [load]);
+
+    useEffect(() => {
+        if (status !== 'waiting') return;
+        const retry = setTimeout(() => load({ full: true }), UNVERIFIED_RETRY_MS);
+        return () => clearTimeout(retry);
+    }, [status, load]);
+
+    useEffect(() => {
+        if (!jitsiApi) return;
+        const onEndpointMessage = (evt) => {
+            const text = evt?.text ?? evt?.eventData?.text;
+            let payload = null;
+            try { payload = typeof text === 'string' ? JSON.parse(text) : null; } catch { return; }
+            if (payload?.type === 'chat-updated') load();
+            // A deletion changes an older message, so reload everything
+            if (payload?.type === 'chat-deleted') load({ full: true });
+        };
+        jitsiApi.addEventListener('endpointTextMessageReceived', onEndpointMessage);
+        return () => jitsiApi.removeEventListener('endpointTextMessageReceived', onEndpointMessage);
+    }, [jitsiApi, load]);
+
+    const notify = (type, to = '') => {
+        try { jitsiApi?.executeCommand('sendEndpointTextMessage', to, JSON.stringify({ type })); } catch (e) { console.warn('[Chat] Could not notify participants', e); }
+    };
+
+    const handleSend = async (e) => {
+        e.preventDefault();
+        const body = draft.trim();
+        if (!body || isSending) return;
+        setIsSending(true);
+        try {
+            const message = await sendMeetingMessage(meetingId, { ...auth, body, recipientParticipantId: recipientId || undefined });
+            setMessages(prev => mergeMessages(prev, [message]));
+            setDraft('');
+            notify('chat-updated', recipientId);
+        } catch (err) {
+            showToast && showToast({ title: 'Message not sent', message: err.message || 'Please try again.', type: 'error' });
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    const handleDelete = async (message) => {
+        try {
+            const updated = await deleteMeetingMessage(meetingId, message.id, auth);
+            setMessages(prev => mergeMessages(prev, [updated]));
+            notify('chat-deleted');
+        } catch (err) {
+            showToast && showToast({ title: 'Delete failed', message: err.message || 'Could not delete the message.', type: 'error' });
+        }
+    };
+
+    const others = useMemo(() => participants.filter(p => p.participantId !== myId), [participants, myId]);
+    // The recipient left: fall back to everyone
+    useEffect(() => {
+        if (recipientId && !others.some(p => p.participantId === recipientId)) setRecipientId('');
+    }, [recipientId, others]);
+
+    if (!meetingToken) {
+        return <p className="p-4 text-center text-slate-400 text-sm">Chat is available once you have joined with a meeting token.</p>;
+    }
+
+    return (
+        <div className="flex flex-col h-[calc(100vh-18rem)] p-1">
+            <div ref={listRef} className="flex-grow overflow-y-auto space-y-2 pr-1 scrollbar-thin scrollbar-thumb-slate-600 scrollbar-track-slate-800/50 scrollbar-thumb-rounded-full">
+                {status === 'loading' && (
+                    <p className="flex items-center gap-2 px-2 text-sm text-slate-400"><Loader2 size={14} className="animate-spin" /> Loading chat…</p>
+                )}
+                {status === 'waiting' && <p className="px-2 text-sm text-slate-400">Connecting to chat…</p>}
+                {status === 'error' && <p className="px-2 text-sm text-red-400">Could not load the chat.</p>}
+                {status === 'ready' && messages.length === 0 && <p className="px-2 text-sm text-slate-500">No messages yet.</p>}
+                {messages.map(m => {
+                    const mine = m.senderParticipantId === myId;
+                    return (
+                        <div key={m.id} className={`group rounded-lg px-2 py-1.5 ${m.isPrivate ? 'bg-violet-500/10' : 'hover:bg-slate-800/50'}`}>
+                            <div className="flex items-center gap-2 text-xs text-slate-400">
+                                <span className="font-semibold text-slate-200 truncate">{mine ? 'You' : m.senderName}</span>
+                                {m.isPrivate && (
+                                    <span className="flex items-center gap-1 text-violet-300 truncate">
+                                        <Lock size={10} /> {mine ? `to ${m.recipientName}` : 'private'}
+                                    </span>
+                                )}
+                                <span className="ml-auto flex-shrink-0">{formatTime(m.createdAt)}</span>
+                                {canModerate && !m.deleted && (
+                                    <button onClick={() => handleDelete(m)} title="Delete for everyone" className="opacity-0 group-hover:opacity-100 text-slate-500 hover:text-red-400">
+                                        <Trash2 size={12} />
+                                    </button>
+                                )}
+                            </div>
+                            {m.deleted ? (
+                                <p className="text-sm italic text-slate-500">Message deleted</p>
+                            ) : (
+                                <p className="text-sm text-slate-200 whitespace-pre-wrap break-words">{m.body}</p>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <form onSubmit={handleSend} className="pt-2 space-y-2 flex-shrink-0">
+                <select
+                    value={recipientId}
+                    onChange={(e) => setRecipientId(e.target.value)}
+                    className="w-full px-2 py-1.5 rounded-md bg-slate-800 border border-slate-700 text-xs text-slate-200"
+                >
+                    <option value="">To: Everyone</option>
+                    {others.map(p => <option key={p.participantId} value={p.participantId}>To: {p.formattedDisplayName || 'Guest'} (private)</option>)}
+                </select>
+                <div className="flex items-center gap-2">
+                    <input
+                        type="text"
+                        value={draft}
+                        maxLength={4000}
+                        disabled={status !== 'ready'}
+                        onChange={(e) => setDraft(e.target.value)}
+                        placeholder="Type a message…"
+                        className="flex-grow px-3 py-2 rounded-md bg-slate-800 border border-slate-700 text-sm text-slate-200 placeholder-slate-500 disabled:opacity-50"
+                    />
+                    <button type="submit" disabled={!draft.trim() || isSending || status !== 'ready'} title="Send" className="p-2 rounded-md bg-cyan-600 text-white hover:bg-cyan-500 disabled:opacity-50">
+                        <Send size={16} />
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default ChatPanel;
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { Mail, Loader2 } from 'lucide-react';
+import { fetchInvitees, setInvitees } from '../api/meetings';
+import { parseEmailList } from '../utils/invitees';
+
+// Guest list editor for the meeting owner. Saving emails invitations to added people
+// and cancellations to removed ones (see PUT /meetings/:id/invitees).
+const InviteesEditor = ({ meetingId, onToast }) => {
+    const [text, setText] = useState('');
+    const [saved, setSaved] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setIsLoading(true);
+        setError(null);
+        fetchInvitees(meetingId)
+            .then(({ emails }) => {
+                if (cancelled) return;
+                setSaved(emails);
+                setText(emails.join('\n'));
+            })
+            .catch((e) => !cancelled && setError(e.message || 'Failed to load invitees.'))
+            .finally(() => !cancelled && setIsLoading(false));
+        return () => { cancelled = true; };
+    }, [meetingId]);
+
+    const { emails, invalid } = parseEmailList(text);
+    const isDirty = emails.length !== saved.length || emails.some(email => !saved.includes(email));
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError(null);
+        try {
+            const result = await setInvitees(meetingId, emails);
+            setSaved(result.emails);
+            setText(result.emails.join('\n'));
+            const parts = [];
+            if (result.added.length) parts.push(`${result.added.length} invited`);
+            if (result.removed.length) parts.push(`${result.removed.length} removed`);
+            onToast && onToast({ title: 'Guest list saved', message: parts.join(', ') || 'No changes.', type: 'success' });
+        } catch (e) {
+            setError(e.message || 'Failed to save invitees.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="border-t border-slate-700/60 pt-3">
+            <div className="flex items-center justify-between gap-2 mb-2">
+                <p className="flex items-center gap-2 text-xs text-slate-400"><Mail size={14} /> Invitees</p>
+                <button
+                    disabled={isLoading || isSaving || !isDirty || invalid.length > 0}
+                    onClick={handleSave}
+                    className="px-3 py-1.5 rounded-md bg-blue-600 hover:bg-blue-500 text-xs disabled:opacity-50"
+                >
+                    {isSaving ? 'Saving…' : 'Save & Notify'}
+                </button>
+            </div>
+            {isLoading ? (
+                <div className="flex items-center gap-2 text-slate-400 text-sm"><Loader2 size={14} className="animate-spin" /> Loading…</div>
+            ) : (
+                <textarea
+                    rows="3"
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    placeholder="name@example.com, one per line"
+                    className="w-full bg-slate-800/60 border border-slate-700 rounded-lg px-3 py-2 text-sm resize-none focus:outline-none focus:ring-2 focus:ring-blue-500/50"
+                />
+            )}
+            {invalid.length > 0 && <p className="text-amber-400 text-xs mt-1">Not an email address: {invalid.join(', ')}</p>}
+            {error && <p className="text-red-400 text-xs mt-1">{error}</p>}
+        </div>
+    );
+};
+
+export default InviteesEditor;
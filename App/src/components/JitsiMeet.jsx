@@ -1,5 +1,6 @@
 import React, { useEffect, useRef, useState } from 'react';
 import PropTypes from 'prop-types';
+import CaptionsOverlay from './CaptionsOverlay';
 
 // Keep a lightweight pool of Jitsi API instances keyed by roomName so brief unmounts
 // (e.g., tab switches, fast refresh) don't tear down the meeting.
@@ -20,10 +21,32 @@ function getParkingLot() {
     return lot;
 }
 
+// Toolbars by role. Webinar attendees only watch; panelists are attendees a host has brought on
+// stage, so they get their mic, camera and screen share but none of the moderation buttons.
+const MODERATOR_TOOLBAR = [
+    'microphone', 'camera', 'closedcaptions', 'desktop', 'embedmeeting',
+    'fullscreen', 'fodeviceselection', 'hangup', 'profile', 'chat', 'recording',
+    'livestreaming', 'etherpad', 'sharedvideo', 'settings', 'raisehand',
+    'videoquality', 'filmstrip', 'invite', 'feedback', 'stats', 'shortcuts',
+    'tileview', 'videobackgroundblur', 'download', 'help', 'mute-everyone',
+    'e2ee', 'security', 'participants-pane', 'whiteboard'
+];
+const PANELIST_TOOLBAR = [
+    'microphone', 'camera', 'closedcaptions', 'desktop', 'fullscreen',
+    'fodeviceselection', 'hangup', 'chat', 'settings', 'raisehand',
+    'videoquality', 'filmstrip', 'feedback', 'stats', 'shortcuts',
+    'tileview', 'videobackgroundblur', 'download', 'help'
+];
+const ATTENDEE_TOOLBAR = [
+    'closedcaptions', 'fullscreen', 'hangup', 'chat', 'raisehand',
+    'videoquality', 'filmstrip', 'feedback', 'stats', 'shortcuts',
+    'tileview', 'download', 'help'
+];
+
 const JitsiMeet = React.memo(({
     roomName,
     displayName,
-    password,
+    roomPassword,
     domain,
     onMeetingEnd,
     onApiReady,
@@ -42,13 +65,21 @@ const JitsiMeet = React.memo(({
     const apiRef = useRef(null);
     const joinedRef = useRef(false);
     const retriedRef = useRef(false);
+    const roomPasswordRef = useRef(roomPassword);
     const [currentUserIsModerator, setCurrentUserIsModerator] = useState(isHost);
+    // The API once it is ready, for the captions overlay (apiRef does not re-render)
+    const [readyApi, setReadyApi] = useState(null);
 
     // Update moderator status when isHost prop changes
     useEffect(() => {
         setCurrentUserIsModerator(isHost);
     }, [isHost]);
 
+    // The listeners are wired once per room, so they read the room password through a ref
+    useEffect(() => {
+        roomPasswordRef.current = roomPassword;
+    }, [roomPassword]);
+
     useEffect(() => {
         if (!jitsiContainerRef.current) return;
         
@@ -84,21 +115,10 @@ const JitsiMeet = React.memo(({
             const getToolbarButtons = () => {
                 if (webinarMode && !isHost) {
                     // In webinar mode, participants don't see mic/camera controls at all
-                    return [
-                        'closedcaptions', 'fullscreen', 'hangup', 'chat', 'raisehand', 
-                        'videoquality', 'filmstrip', 'feedback', 'stats', 'shortcuts', 
-                        'tileview', 'download', 'help'
-                    ];
+                    return ATTENDEE_TOOLBAR;
                 }
                 // Default toolbar for moderators or normal meetings
-                return [
-                    'microphone', 'camera', 'closedcaptions', 'desktop', 'embedmeeting',
-                    'fullscreen', 'fodeviceselection', 'hangup', 'profile', 'chat', 'recording',
-                    'livestreaming', 'etherpad', 'sharedvideo', 'settings', 'raisehand',
-                    'videoquality', 'filmstrip', 'invite', 'feedback', 'stats', 'shortcuts',
-                    'tileview', 'videobackgroundblur', 'download', 'help', 'mute-everyone',
-                    'e2ee', 'security', 'participants-pane', 'whiteboard'
-                ];
+                return MODERATOR_TOOLBAR;
             };
 
             console.log('[Jitsi] Initializing with options:', { 
@@ -115,7 +135,6 @@ const JitsiMeet = React.memo(({
                 height: '100%',
                 parentNode: jitsiContainerRef.current,
                 userInfo: { displayName },
-                password: password || undefined,
                 configOverwrite: {
                     startWithVideoMuted,
                     startWithAudioMuted,
@@ -140,6 +159,11 @@ const JitsiMeet = React.memo(({
                     noiseSuppression: {
                         enabled: noiseSuppressionEnabled,
                     },
+                    // Lets the sidebar ask Jigasi to transcribe; CaptionsOverlay draws the captions
+                    transcription: {
+                        enabled: true,
+                        useAppLanguage: false,
+                    },
                 },
                 interfaceConfigOverwrite: {
                     SHOW_JITSI_WATERMARK: false,
@@ -210,6 +234,7 @@ const JitsiMeet = React.memo(({
                     if (readySignalled) return;
                     readySignalled = true;
                     clearTimeout(failTimer);
+                    setReadyApi(apiRef.current);
                     if (onApiReady && typeof onApiReady === 'function') {
                         onApiReady(apiRef.current);
                     }
@@ -227,9 +252,19 @@ const JitsiMeet = React.memo(({
                 apiRef.current.addEventListener('videoConferenceJoined', () => {
                     joinedRef.current = true;
                     console.info('[Jitsi] videoConferenceJoined');
+                    // Password-protected meeting: the host locks the room with the room password from the API
+                    if (isHost && roomPasswordRef.current) {
+                        try { apiRef.current.executeCommand('password', roomPasswordRef.current); } catch (e) { console.warn('[Jitsi] Could not lock the room:', e); }
+                    }
                     signalReady();
                 });
 
+                // Participants only get the room password after the API checked the meeting password
+                apiRef.current.addEventListener('passwordRequired', () => {
+                    if (!roomPasswordRef.current) return;
+                    try { apiRef.current.executeCommand('password', roomPasswordRef.current); } catch (e) { console.warn('[Jitsi] Could not send the room password:', e); }
+                });
+
                 // Listen for chat messages coming through the embedded conference
                 // and capture system messages posted by "Fellow Jitster" (e.g., recording folder info)
                 const chatHandler = (payload) => {
@@ -284,6 +319,7 @@ const JitsiMeet = React.memo(({
 
                 // Listen for moderator role changes in webinar mode
                 if (webinarMode) {
+                    let isModeratorNow = !!isHost;
                     const handleParticipantRoleChanged = (event) => {
                         try {
                             const { id, role } = event;
@@ -292,19 +328,13 @@ const JitsiMeet = React.memo(({
                             // Check if the role change is for the current user
                             if (id === myId) {
                                 const isModerator = role === 'moderator';
+                                isModeratorNow = isModerator || isHost;
                                 setCurrentUserIsModerator(isModerator || isHost);
                                 
                                 if (isModerator && !isHost) {
                                     // User was promoted to moderator - update toolbar dynamically
-                                    const newToolbarButtons = [
-                                        'microphone', 'camera', 'closedcaptions', 'desktop', 'embedmeeting',
-                                        'fullscreen', 'fodeviceselection', 'hangup', 'profile', 'chat', 'recording',
-                                        'livestreaming', 'etherpad', 'sharedvideo', 'settings', 'raisehand',
-                                        'videoquality', 'filmstrip', 'invite', 'feedback', 'stats', 'shortcuts',
-                                        'tileview', 'videobackgroundblur', 'download', 'help', 'mute-everyone',
-                                        'e2ee', 'security', 'participants-pane', 'whiteboard'
-                                    ];
-                                    
+                                    const newToolbarButtons = MODERATOR_TOOLBAR;
+
                                     try {
                                         apiRef.current.executeCommand('overwriteConfig', {
                                             interfaceConfigOverwrite: {
@@ -339,6 +369,53 @@ const JitsiMeet = React.memo(({
                     } catch (error) {
                         console.warn('[Jitsi] Could not add participantRoleChanged listener:', error);
                     }
+
+                    // Panelists: a host sends { type: 'panelist-changed', participantId, panelist } to
+                    // everyone. Only messages from a Jitsi moderator count, and the promotion lasts
+                    // until the host reverts it or we leave (it is not stored anywhere).
+                    let isSharingScreen = false;
+                    const applyPanelist = (panelist) => {
+                        try {
+                            apiRef.current.executeCommand('overwriteConfig', { toolbarButtons: panelist ? PANELIST_TOOLBAR : ATTENDEE_TOOLBAR });
+                        } catch (configError) {
+                            console.warn('[Jitsi] Could not update the toolbar for the panelist change:', configError);
+                        }
+                        if (panelist) {
+                            showToast && showToast({ title: 'You are a panelist', message: 'You can now unmute, turn on your camera and share your screen.', type: 'success' });
+                            return;
+                        }
+                        // Back in the audience: switch everything off again
+                        Promise.resolve(apiRef.current.isAudioMuted()).then(muted => !muted && apiRef.current.executeCommand('toggleAudio')).catch(() => {});
+                        Promise.resolve(apiRef.current.isVideoMuted()).then(muted => !muted && apiRef.current.executeCommand('toggleVideo')).catch(() => {});
+                        if (isSharingScreen) {
+                            try { apiRef.current.executeCommand('toggleShareScreen'); } catch (e) { console.warn('[Jitsi] Could not stop screen sharing:', e); }
+                        }
+                        showToast && showToast({ title: 'Back in the audience', message: 'The host ended your time on stage.', type: 'info' });
+                    };
+                    const handlePanelistMessage = async (evt) => {
+                        const text = evt?.text ?? evt?.eventData?.text ?? evt?.data?.eventData?.text;
+                        let payload = null;
+                        try { payload = typeof text === 'string' ? JSON.parse(text) : null; } catch { return; }
+                        if (payload?.type !== 'panelist-changed' || isModeratorNow) return;
+                        const myId = apiRef.current.myUserId && apiRef.current.myUserId();
+                        if (!myId || payload.participantId !== myId) return;
+                        const senderId = evt?.senderInfo?.id ?? evt?.data?.senderInfo?.id;
+                        try {
+                            const { rooms = [] } = await apiRef.current.getRoomsInfo();
+                            const sender = rooms.flatMap(room => room.participants || []).find(p => p.id === senderId);
+                            if (sender?.role !== 'moderator') return;
+                        } catch (verifyError) {
+                            console.warn('[Jitsi] Could not check who sent the panelist change:', verifyError);
+                            return;
+                        }
+                        applyPanelist(!!payload.panelist);
+                    };
+                    try {
+                        apiRef.current.addEventListener('endpointTextMessageReceived', handlePanelistMessage);
+                        apiRef.current.addEventListener('screenSharingStatusChanged', ({ on }) => { isSharingScreen = !!on; });
+                    } catch (error) {
+                        console.warn('[Jitsi] Could not add panelist listeners:', error);
+                    }
                 }
 
                 // Provide a basic cleanup hook by removing listeners when the iframe is parked/disposed
@@ -410,11 +487,14 @@ const JitsiMeet = React.memo(({
     }, [displayName]);
 
     return (
-        <div
-            ref={jitsiContainerRef}
-            className="w-full h-full overflow-hidden"
-            style={{ position: 'relative' }}
-        />
+        <div className="w-full h-full relative">
+            <div
+                ref={jitsiContainerRef}
+                className="w-full h-full overflow-hidden"
+                style={{ position: 'relative' }}
+            />
+            <CaptionsOverlay jitsiApi={readyApi} />
+        </div>
     );
 });
 
@@ -422,7 +502,7 @@ JitsiMeet.propTypes = {
     domain: PropTypes.string,
     roomName: PropTypes.string.isRequired,
     displayName: PropTypes.string.isRequired,
-    password: PropTypes.string,
+    roomPassword: PropTypes.string,
     onMeetingEnd: PropTypes.func.isRequired,
     onApiReady: PropTypes.func.isRequired,
     onRecordingStatusChanged: PropTypes.func,
@@ -438,7 +518,7 @@ JitsiMeet.propTypes = {
 
 JitsiMeet.defaultProps = {
     domain: 'meet.in8.com',
-    password: '',
+    roomPassword: '',
     onRecordingStatusChanged: () => {},
     startWithVideoMuted: false,
     startWithAudioMuted: false,
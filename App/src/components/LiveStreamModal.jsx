@@ -1,6 +1,7 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { X, Radio, Youtube, Facebook, Twitch, Linkedin, Waves, ChevronDown, Check } from 'lucide-react';
+import { X, Radio, Youtube, Facebook, Twitch, Linkedin, Waves, ChevronDown, Check, KeyRound, Trash2, Building2 } from 'lucide-react';
+import { fetchStreamDestinations, createStreamDestination, updateStreamDestination, deleteStreamDestination } from '../api/meetings';
 
 const PLATFORM_PRESETS = {
   youtube: {
@@ -35,7 +36,15 @@ const PLATFORM_PRESETS = {
   },
 };
 
+const PLATFORM_ICONS = { youtube: Youtube, facebook: Facebook, twitch: Twitch, linkedin: Linkedin, custom: Waves };
+
+// onStart receives either { destinationIds } (saved destinations, resolved by the API; several go
+// out through the RTMP relay) or { platform, streamKey, rtmpUrl } for a one-off stream. Both are
+// stream-start action payloads.
 export default function LiveStreamModal({ onStart, onClose, isLoading }) {
+  const role = (localStorage.getItem('role') || '').toLowerCase();
+  const isAdmin = role === 'admin' || role === 'superadmin';
+
   const [platform, setPlatform] = useState('youtube');
   const [rtmpUrl, setRtmpUrl] = useState(PLATFORM_PRESETS.youtube.defaultUrl);
   const [streamKey, setStreamKey] = useState('');
@@ -43,8 +52,32 @@ export default function LiveStreamModal({ onStart, onClose, isLoading }) {
   const menuRef = useRef(null);
   const [highlightIndex, setHighlightIndex] = useState(0);
 
+  // Saved destinations; null while loading or when they are unavailable (e.g. not signed in)
+  const [saved, setSaved] = useState(null);
+  const [mode, setMode] = useState('new'); // 'saved' | 'new'
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [saveDestination, setSaveDestination] = useState(false);
+  const [destinationName, setDestinationName] = useState('');
+  const [shareWithOrg, setShareWithOrg] = useState(false);
+  const [replacingId, setReplacingId] = useState(null);
+  const [replacementKey, setReplacementKey] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+
   const preset = useMemo(() => PLATFORM_PRESETS[platform], [platform]);
 
+  useEffect(() => {
+    let cancelled = false;
+    fetchStreamDestinations()
+      .then((data) => {
+        if (cancelled) return;
+        setSaved(data);
+        if (data.destinations.length > 0) setMode('saved');
+      })
+      .catch((e) => console.warn('[LiveStream] Saved destinations unavailable', e));
+    return () => { cancelled = true; };
+  }, []);
+
   const OPTIONS = useMemo(() => [
     { key: 'youtube', label: PLATFORM_PRESETS.youtube.label, Icon: Youtube },
     { key: 'facebook', label: PLATFORM_PRESETS.facebook.label, Icon: Facebook },
@@ -54,10 +87,11 @@ export default function LiveStreamModal({ onStart, onClose, isLoading }) {
   ], []);
 
   const canStart = useMemo(() => {
+    if (mode === 'saved') return selectedIds.length > 0;
     if (!streamKey.trim()) return false;
     if (preset.requiresUrl && !rtmpUrl.trim()) return false;
     return true;
-  }, [preset.requiresUrl, rtmpUrl, streamKey]);
+  }, [mode, selectedIds, preset.requiresUrl, rtmpUrl, streamKey]);
 
   const handlePlatformChange = (e) => {
     const value = e.target?.value ?? e; // supports custom list selection
@@ -66,9 +100,72 @@ export default function LiveStreamModal({ onStart, onClose, isLoading }) {
     setIsMenuOpen(false);
   };
 
-  const handleStart = () => {
+  const maxPerStream = saved?.maxPerStream || 1;
+
+  const toggleSelected = (id) => {
+    setSelectedIds((ids) => {
+      if (ids.includes(id)) return ids.filter((x) => x !== id);
+      // Without the relay a stream has one destination, so picking another replaces it
+      return maxPerStream > 1 ? (ids.length < maxPerStream ? [...ids, id] : ids) : [id];
+    });
+  };
+
+  const handleStart = async () => {
     if (!canStart) return;
-    onStart({ platform, streamKey: streamKey.trim(), rtmpUrl: rtmpUrl.trim() });
+    setError('');
+    if (mode === 'saved') {
+      onStart({ destinationIds: selectedIds });
+      return;
+    }
+    const oneOff = { platform, streamKey: streamKey.trim(), rtmpUrl: rtmpUrl.trim() };
+    if (!saveDestination) {
+      onStart(oneOff);
+      return;
+    }
+    setIsBusy(true);
+    try {
+      const created = await createStreamDestination({
+        ...oneOff,
+        name: destinationName.trim() || PLATFORM_PRESETS[platform].label,
+        scope: shareWithOrg ? 'org' : 'user',
+      });
+      onStart({ destinationIds: [created.id] });
+    } catch (e) {
+      setError(e.message || 'Could not save the destination.');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleReplaceKey = async (destination) => {
+    if (!replacementKey.trim()) return;
+    setIsBusy(true);
+    setError('');
+    try {
+      const updated = await updateStreamDestination(destination.id, { streamKey: replacementKey.trim() });
+      setSaved((s) => ({ ...s, destinations: s.destinations.map((d) => (d.id === updated.id ? updated : d)) }));
+      setReplacingId(null);
+      setReplacementKey('');
+    } catch (e) {
+      setError(e.message || 'Could not replace the stream key.');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = async (destination) => {
+    if (!window.confirm(`Forget "${destination.name}"?`)) return;
+    setIsBusy(true);
+    setError('');
+    try {
+      await deleteStreamDestination(destination.id);
+      setSaved((s) => ({ ...s, destinations: s.destinations.filter((d) => d.id !== destination.id) }));
+      setSelectedIds((ids) => ids.filter((id) => id !== destination.id));
+    } catch (e) {
+      setError(e.message || 'Could not delete the destination.');
+    } finally {
+      setIsBusy(false);
+    }
   };
 
   // Close dropdown on outside click
@@ -118,97 +215,194 @@ export default function LiveStreamModal({ onStart, onClose, isLoading }) {
           </button>
         </div>
 
-        <p className="text-slate-400 text-sm mb-4">Select a platform and provide the stream key. For RTMP platforms, include the server URL.</p>
-
-        <div className="space-y-3">
-          <div className="relative" ref={menuRef}>
-            <label className="block text-xs text-slate-400 mb-1">Platform</label>
-            <button
-              type="button"
-              aria-haspopup="listbox"
-              aria-expanded={isMenuOpen}
-              onClick={() => setIsMenuOpen((v) => !v)}
-              onKeyDown={onComboboxKeyDown}
-              className="w-full bg-slate-900/50 border-2 border-slate-700 rounded-lg py-2.5 px-3 text-white focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 flex items-center justify-between"
-            >
-              <span className="flex items-center gap-2">
-                {OPTIONS.find(o => o.key === platform)?.Icon && (
-                  React.createElement(OPTIONS.find(o => o.key === platform).Icon, { size: 18, className: 'text-slate-300' })
-                )}
-                <span className="font-medium">{PLATFORM_PRESETS[platform].label}</span>
-              </span>
-              <ChevronDown size={18} className={`transition-transform ${isMenuOpen ? 'rotate-180' : ''}`} />
-            </button>
-            <AnimatePresence>
-              {isMenuOpen && (
-                <motion.div
-                  initial={{ opacity: 0, y: 8, scale: 0.98 }}
-                  animate={{ opacity: 1, y: 4, scale: 1 }}
-                  exit={{ opacity: 0, y: 8, scale: 0.98 }}
-                  transition={{ duration: 0.12, ease: 'easeOut' }}
-                  className="absolute left-0 right-0 mt-1 bg-slate-900/95 backdrop-blur-md border border-slate-700 rounded-lg shadow-2xl overflow-hidden z-10"
-                  role="listbox"
-                >
-                  {OPTIONS.map((opt, idx) => (
-                    <button
-                      key={opt.key}
-                      role="option"
-                      aria-selected={platform === opt.key}
-                      onMouseEnter={() => setHighlightIndex(idx)}
-                      onClick={() => handlePlatformChange(opt.key)}
-                      className={`w-full flex items-center justify-between px-3 py-2.5 text-left transition-colors ${
-                        platform === opt.key
-                          ? 'bg-cyan-600/20 text-white'
-                          : idx === highlightIndex
-                          ? 'bg-slate-800/60 text-slate-200'
-                          : 'text-slate-300 hover:bg-slate-800/60'
-                      }`}
-                    >
-                      <span className="flex items-center gap-2">
-                        <opt.Icon size={18} className="text-slate-300" />
-                        <span>{opt.label}</span>
-                      </span>
-                      {platform === opt.key && <Check size={16} className="text-cyan-400" />}
+        <p className="text-slate-400 text-sm mb-4">
+          {mode === 'saved'
+            ? (maxPerStream > 1 ? `Pick up to ${maxPerStream} saved destinations to stream to at once.` : 'Pick a saved destination.')
+            : 'Select a platform and provide the stream key. For RTMP platforms, include the server URL.'}
+        </p>
+
+        {saved && (
+          <div className="flex bg-slate-900/50 border border-slate-700 rounded-lg p-1 mb-3">
+            {[['saved', `Saved (${saved.destinations.length})`], ['new', 'New destination']].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setMode(value)}
+                className={`flex-1 px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${mode === value ? 'bg-cyan-600 text-white' : 'text-slate-300 hover:text-white'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {mode === 'saved' && saved && (
+          <div className="space-y-2 max-h-72 overflow-y-auto thin-scrollbar">
+            {saved.destinations.length === 0 && (
+              <p className="text-sm text-slate-400">No saved destinations yet. Add one under New destination and tick "Save this destination".</p>
+            )}
+            {saved.destinations.map((d) => {
+              const Icon = PLATFORM_ICONS[d.platform] || Waves;
+              const isSelected = selectedIds.includes(d.id);
+              return (
+                <div key={d.id} className={`rounded-lg border-2 px-3 py-2 ${isSelected ? 'border-cyan-500 bg-cyan-600/10' : 'border-slate-700 bg-slate-900/50'}`}>
+                  <div className="flex items-center gap-2">
+                    <button type="button" onClick={() => toggleSelected(d.id)} className="flex-grow flex items-center gap-2 text-left min-w-0">
+                      <Icon size={18} className="text-slate-300 flex-shrink-0" />
+                      <span className="text-white truncate">{d.name}</span>
+                      {d.scope === 'org' && <span title="Shared with the organisation"><Building2 size={14} className="text-purple-300 flex-shrink-0" /></span>}
+                      <span className="text-xs text-slate-500 font-mono flex-shrink-0">{d.keyHint}</span>
                     </button>
-                  ))}
-                </motion.div>
-              )}
-            </AnimatePresence>
+                    {isSelected && <Check size={16} className="text-cyan-400" />}
+                    {d.canManage && (
+                      <>
+                        <button type="button" onClick={() => { setReplacingId(replacingId === d.id ? null : d.id); setReplacementKey(''); }} title="Replace stream key" className="p-1 rounded-md text-slate-400 hover:text-white hover:bg-slate-700">
+                          <KeyRound size={14} />
+                        </button>
+                        <button type="button" onClick={() => handleDelete(d)} disabled={isBusy} title="Delete" className="p-1 rounded-md text-slate-400 hover:text-red-400 hover:bg-slate-700 disabled:opacity-50">
+                          <Trash2 size={14} />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                  {replacingId === d.id && (
+                    <div className="flex items-center gap-2 mt-2">
+                      <input
+                        type="text"
+                        value={replacementKey}
+                        onChange={(e) => setReplacementKey(e.target.value)}
+                        placeholder="New stream key"
+                        className="flex-grow bg-slate-900/50 border border-slate-700 rounded-md py-1.5 px-2 text-sm text-white placeholder-slate-500"
+                      />
+                      <button type="button" onClick={() => handleReplaceKey(d)} disabled={isBusy || !replacementKey.trim()} className="px-3 py-1.5 rounded-md bg-cyan-600 text-white text-sm hover:bg-cyan-500 disabled:opacity-50">
+                        Save
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
           </div>
+        )}
+
+        {mode === 'new' && (
+          <div className="space-y-3">
+            <div className="relative" ref={menuRef}>
+              <label className="block text-xs text-slate-400 mb-1">Platform</label>
+              <button
+                type="button"
+                aria-haspopup="listbox"
+                aria-expanded={isMenuOpen}
+                onClick={() => setIsMenuOpen((v) => !v)}
+                onKeyDown={onComboboxKeyDown}
+                className="w-full bg-slate-900/50 border-2 border-slate-700 rounded-lg py-2.5 px-3 text-white focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 flex items-center justify-between"
+              >
+                <span className="flex items-center gap-2">
+                  {OPTIONS.find(o => o.key === platform)?.Icon && (
+                    React.createElement(OPTIONS.find(o => o.key === platform).Icon, { size: 18, className: 'text-slate-300' })
+                  )}
+                  <span className="font-medium">{PLATFORM_PRESETS[platform].label}</span>
+                </span>
+                <ChevronDown size={18} className={`transition-transform ${isMenuOpen ? 'rotate-180' : ''}`} />
+              </button>
+              <AnimatePresence>
+                {isMenuOpen && (
+                  <motion.div
+                    initial={{ opacity: 0, y: 8, scale: 0.98 }}
+                    animate={{ opacity: 1, y: 4, scale: 1 }}
+                    exit={{ opacity: 0, y: 8, scale: 0.98 }}
+                    transition={{ duration: 0.12, ease: 'easeOut' }}
+                    className="absolute left-0 right-0 mt-1 bg-slate-900/95 backdrop-blur-md border border-slate-700 rounded-lg shadow-2xl overflow-hidden z-10"
+                    role="listbox"
+                  >
+                    {OPTIONS.map((opt, idx) => (
+                      <button
+                        key={opt.key}
+                        role="option"
+                        aria-selected={platform === opt.key}
+                        onMouseEnter={() => setHighlightIndex(idx)}
+                        onClick={() => handlePlatformChange(opt.key)}
+                        className={`w-full flex items-center justify-between px-3 py-2.5 text-left transition-colors ${
+                          platform === opt.key
+                            ? 'bg-cyan-600/20 text-white'
+                            : idx === highlightIndex
+                            ? 'bg-slate-800/60 text-slate-200'
+                            : 'text-slate-300 hover:bg-slate-800/60'
+                        }`}
+                      >
+                        <span className="flex items-center gap-2">
+                          <opt.Icon size={18} className="text-slate-300" />
+                          <span>{opt.label}</span>
+                        </span>
+                        {platform === opt.key && <Check size={16} className="text-cyan-400" />}
+                      </button>
+                    ))}
+                  </motion.div>
+                )}
+              </AnimatePresence>
+            </div>
+
+            {preset.requiresUrl && (
+              <div>
+                <label className="block text-xs text-slate-400 mb-1">RTMP Server URL</label>
+                <input
+                  type="text"
+                  value={rtmpUrl}
+                  onChange={(e) => setRtmpUrl(e.target.value)}
+                  placeholder={preset.defaultUrl || 'rtmp://...'}
+                  className="w-full bg-slate-900/50 border-2 border-slate-700 rounded-lg py-2.5 px-3 text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500"
+                />
+              </div>
+            )}
 
-          {preset.requiresUrl && (
             <div>
-              <label className="block text-xs text-slate-400 mb-1">RTMP Server URL</label>
+              <label className="block text-xs text-slate-400 mb-1">Stream Key</label>
               <input
                 type="text"
-                value={rtmpUrl}
-                onChange={(e) => setRtmpUrl(e.target.value)}
-                placeholder={preset.defaultUrl || 'rtmp://...'}
+                value={streamKey}
+                onChange={(e) => setStreamKey(e.target.value)}
+                placeholder={preset.placeholderKey}
                 className="w-full bg-slate-900/50 border-2 border-slate-700 rounded-lg py-2.5 px-3 text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500"
               />
             </div>
-          )}
-
-          <div>
-            <label className="block text-xs text-slate-400 mb-1">Stream Key</label>
-            <input
-              type="text"
-              value={streamKey}
-              onChange={(e) => setStreamKey(e.target.value)}
-              placeholder={preset.placeholderKey}
-              className="w-full bg-slate-900/50 border-2 border-slate-700 rounded-lg py-2.5 px-3 text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500"
-            />
+
+            {saved && (
+              <div className="space-y-2">
+                <label className="flex items-center gap-2 text-sm text-slate-300">
+                  <input type="checkbox" checked={saveDestination} onChange={(e) => setSaveDestination(e.target.checked)} /> Save this destination (the key is stored encrypted)
+                </label>
+                {saveDestination && (
+                  <>
+                    <input
+                      type="text"
+                      value={destinationName}
+                      maxLength={100}
+                      onChange={(e) => setDestinationName(e.target.value)}
+                      placeholder={`Name, e.g. ${preset.label} channel`}
+                      className="w-full bg-slate-900/50 border-2 border-slate-700 rounded-lg py-2 px-3 text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500"
+                    />
+                    {isAdmin && (
+                      <label className="flex items-center gap-2 text-sm text-slate-300">
+                        <input type="checkbox" checked={shareWithOrg} onChange={(e) => setShareWithOrg(e.target.checked)} /> Share with the whole organisation
+                      </label>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
           </div>
-        </div>
+        )}
+
+        {error && <p className="text-sm text-red-400 mt-3">{error}</p>}
 
         <div className="flex justify-end gap-3 mt-5">
           <button onClick={onClose} className="px-4 py-2 rounded-lg bg-slate-700 text-slate-200 hover:bg-slate-600">Cancel</button>
           <button
             onClick={handleStart}
-            disabled={!canStart || isLoading}
+            disabled={!canStart || isLoading || isBusy}
             className="px-4 py-2 rounded-lg bg-red-600 text-white hover:bg-red-500 disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            {isLoading ? 'Starting…' : 'Start Live'}
+            {isLoading || isBusy ? 'Starting…' : 'Start Live'}
           </button>
         </div>
       </div>
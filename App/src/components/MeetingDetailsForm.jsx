@@ -0,0 +1,846 @@
+import React, { useState, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { gsap } from 'gsap';
+import { useGSAP } from '@gsap/react';
+import {
+    VideoIcon, Calendar, Clock, Video, X, Users, MessageSquare, ArrowLeft, User as UserIcon,
+    ChevronLeft, ChevronRight, Mic, MicOff, VideoOff, Settings as SettingsIcon, Presentation, Mail, KeyRound
+} from 'lucide-react';
+import RecurrenceFields from './RecurrenceFields';
+
+// Meeting setup form (title, purpose, schedule, media and webinar options) shared by the
+// meeting page and the calendar, together with the date/time pickers it opens.
+
+export const ShineButton = ({ children, className = "", ...props }) => {
+    const buttonRef = useRef(null);
+    const shineRef = useRef(null);
+    const timeline = useRef(null);
+
+    useGSAP(() => {
+        timeline.current = gsap.timeline({ paused: true })
+            .fromTo(shineRef.current, 
+                { x: '-120%', skewX: -25, opacity: 0 }, 
+                { x: '120%', skewX: -25, opacity: 1, duration: 0.8, ease: 'power2.inOut' }
+            );
+    }, { scope: buttonRef });
+
+    const handleMouseEnter = () => {
+        timeline.current.restart();
+    };
+
+    return (
+        <motion.button
+            ref={buttonRef}
+            onMouseEnter={handleMouseEnter}
+            whileTap={{ scale: 0.96 }}
+            whileHover={{ 
+                scale: 1.02,
+                boxShadow: "0 20px 25px -5px rgba(59, 130, 246, 0.4), 0 10px 10px -5px rgba(59, 130, 246, 0.04)"
+            }}
+            className={`
+                relative w-auto flex items-center justify-center gap-2 py-3 px-8 rounded-xl
+                bg-gradient-to-r from-blue-600 via-blue-700 to-blue-600 
+                font-semibold text-white transition-all duration-300 
+                hover:from-blue-500 hover:via-blue-600 hover:to-blue-500
+                disabled:opacity-50 disabled:cursor-not-allowed overflow-hidden
+                border border-blue-500/20 shadow-lg
+                before:absolute before:inset-0 before:rounded-xl
+                before:bg-gradient-to-r before:from-transparent before:via-white/10 before:to-transparent
+                before:translate-x-[-100%] before:skew-x-12 before:transition-transform before:duration-700
+                hover:before:translate-x-[100%]
+                ${className}
+            `}
+            {...props}
+        >
+            <span
+                ref={shineRef}
+                className="absolute top-0 left-0 w-full h-full bg-gradient-to-r from-transparent via-white/40 to-transparent blur-sm"
+            />
+            <span className="relative z-10 drop-shadow-sm">{children}</span>
+        </motion.button>
+    );
+};
+
+
+const CustomCalendar = ({ selectedDate, setSelectedDate, close }) => {
+    const [date, setDate] = useState(selectedDate || new Date());
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const daysInMonth = (month, year) => new Date(year, month + 1, 0).getDate();
+    const firstDayOfMonth = (month, year) => new Date(year, month, 1).getDay();
+    const handlePrevMonth = () => setDate(new Date(date.getFullYear(), date.getMonth() - 1, 1));
+    const handleNextMonth = () => setDate(new Date(date.getFullYear(), date.getMonth() + 1, 1));
+    const handleSelectDate = (day) => {
+        const newDate = new Date(date.getFullYear(), date.getMonth(), day);
+        if (newDate < today) return;
+        setSelectedDate(newDate);
+        close();
+    };
+
+    const month = date.getMonth();
+    const year = date.getFullYear();
+    const numDays = daysInMonth(month, year);
+    const startDay = firstDayOfMonth(month, year);
+
+    return (
+        <motion.div
+            className="relative bg-slate-900/95 backdrop-blur-xl border border-slate-700/50 p-4 sm:p-6 rounded-2xl shadow-2xl w-full max-w-xs sm:max-w-sm overflow-hidden"
+            initial={{ scale: 0.9, opacity: 0, y: -20 }} 
+            animate={{ scale: 1, opacity: 1, y: 0 }} 
+            exit={{ scale: 0.9, opacity: 0, y: 20 }}
+            transition={{ type: "spring", damping: 25 }}
+        >
+            {/* Header gradient removed for consistency */}
+            {/* Calendar Header */}
+            <motion.div 
+                className="flex justify-between items-center mb-6"
+                initial={{ y: -10, opacity: 0 }}
+                animate={{ y: 0, opacity: 1 }}
+                transition={{ delay: 0.1 }}
+            >
+                <motion.button 
+                    onClick={handlePrevMonth} 
+                    className="p-2 rounded-xl hover:bg-slate-700/50 text-slate-400 hover:text-white transition-all duration-200"
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                >
+                    <ChevronLeft size={20} />
+                </motion.button>
+                
+                <div className="text-center">
+                    <h3 className="text-xl font-bold text-white">
+                        {date.toLocaleString('default', { month: 'long' })}
+                    </h3>
+                    <p className="text-sm text-slate-400">{year}</p>
+            </div>
+                
+                <motion.button 
+                    onClick={handleNextMonth} 
+                    className="p-2 rounded-xl hover:bg-slate-700/50 text-slate-400 hover:text-white transition-all duration-200"
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                >
+                    <ChevronRight size={20} />
+                </motion.button>
+            </motion.div>
+            {/* Day labels */}
+            <motion.div 
+                className="grid grid-cols-7 gap-2 text-center text-sm font-medium text-slate-400 mb-4"
+                initial={{ y: -10, opacity: 0 }}
+                animate={{ y: 0, opacity: 1 }}
+                transition={{ delay: 0.2 }}
+            >
+                {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(d => (
+                    <div key={d} className="py-2">{d}</div>
+                ))}
+            </motion.div>
+            {/* Calendar Grid */}
+            <div className="grid grid-cols-7 gap-2">
+                {/* Empty cells for days before month start */}
+                {Array.from({ length: startDay }).map((_, i) => (
+                    <div key={`empty-${i}`} className="h-10"></div>
+                ))}
+                
+                {/* Days of the month */}
+                {Array.from({ length: numDays }).map((_, i) => {
+                    const day = i + 1;
+                    const currentDate = new Date(year, month, day);
+                    const isPast = currentDate < today;
+                    const isToday = today.getTime() === currentDate.getTime();
+                    const isSelected = selectedDate && selectedDate.getTime() === currentDate.getTime();
+                    
+                    return (
+                        <motion.button
+                            key={day}
+                            onClick={() => handleSelectDate(day)}
+                            disabled={isPast}
+                            className={`
+                                relative h-10 w-10 rounded-xl flex items-center justify-center text-sm font-medium transition-all duration-200
+                                ${isSelected 
+                                    ? 'bg-gradient-to-r from-blue-500 to-blue-600 text-white shadow-lg shadow-blue-500/30' 
+                                    : ''
+                                }
+                                ${!isSelected && isToday 
+                                    ? 'bg-blue-500/20 border border-blue-400/50 text-blue-300' 
+                                    : ''
+                                }
+                                ${!isSelected && !isToday && !isPast 
+                                    ? 'text-slate-200 hover:bg-slate-700/50 hover:text-white' 
+                                    : ''
+                                }
+                                ${isPast 
+                                    ? 'text-slate-600 cursor-not-allowed opacity-50' 
+                                    : ''
+                                }
+                            `}
+                            whileHover={!isPast ? { scale: 1.05 } : {}}
+                            whileTap={!isPast ? { scale: 0.95 } : {}}
+                            initial={{ scale: 0.8, opacity: 0 }}
+                            animate={{ scale: 1, opacity: 1 }}
+                            transition={{ delay: 0.03 * day, type: "spring", damping: 20 }}
+                        >
+                            {day}
+                            
+                            {/* Selected indicator */}
+                            {isSelected && (
+                                <motion.div
+                                    className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-400/30 to-purple-400/30"
+                                    initial={{ scale: 0 }}
+                                    animate={{ scale: 1 }}
+                                    transition={{ type: "spring", damping: 15 }}
+                                />
+                            )}
+                            
+                            {/* Today indicator */}
+                            {isToday && !isSelected && (
+                                <motion.div
+                                    className="absolute -bottom-1 left-1/2 transform -translate-x-1/2 w-1 h-1 bg-blue-400 rounded-full"
+                                    initial={{ scale: 0 }}
+                                    animate={{ scale: 1 }}
+                                    transition={{ delay: 0.5 }}
+                                />
+                            )}
+                        </motion.button>
+                    );
+                })}
+            </div>
+
+            {/* Footer */}
+            <motion.div 
+                className="mt-6 pt-4 border-t border-slate-700/50"
+                initial={{ y: 10, opacity: 0 }}
+                animate={{ y: 0, opacity: 1 }}
+                transition={{ delay: 0.4 }}
+            >
+                <div className="flex items-center justify-between text-xs text-slate-400">
+                    <span>Select a date</span>
+                    <span className="flex items-center gap-1">
+                        <div className="w-2 h-2 bg-blue-400 rounded-full"></div>
+                        Today
+                    </span>
+                </div>
+            </motion.div>
+        </motion.div>
+    );
+};
+
+const CustomTimePicker = ({ selectedTime, setSelectedTime, close }) => {
+    const [hour, setHour] = useState(selectedTime ? selectedTime.getHours() % 12 === 0 ? 12 : selectedTime.getHours() % 12 : 12);
+    const [minute, setMinute] = useState(selectedTime ? selectedTime.getMinutes() : 0);
+    const [period, setPeriod] = useState(selectedTime ? (selectedTime.getHours() >= 12 ? 'PM' : 'AM') : 'PM');
+
+    const handleSave = () => {
+        let finalHour = hour;
+        if (period === 'PM' && hour < 12) finalHour += 12;
+        if (period === 'AM' && hour === 12) finalHour = 0;
+
+        const newTime = new Date();
+        newTime.setHours(finalHour, minute);
+        setSelectedTime(newTime);
+        close();
+    };
+
+    return (
+        <motion.div
+            className="relative bg-slate-900/95 backdrop-blur-xl border border-slate-700/50 p-4 sm:p-6 rounded-2xl shadow-2xl w-full max-w-xs sm:max-w-sm overflow-hidden"
+            initial={{ scale: 0.9, opacity: 0, y: -20 }} 
+            animate={{ scale: 1, opacity: 1, y: 0 }} 
+            exit={{ scale: 0.9, opacity: 0, y: 20 }}
+            transition={{ type: "spring", damping: 25 }}
+        >
+            {/* Header gradient removed for consistency */}
+            
+            {/* Header */}
+            <motion.div 
+                className="text-center mb-6"
+                initial={{ y: -10, opacity: 0 }}
+                animate={{ y: 0, opacity: 1 }}
+                transition={{ delay: 0.1 }}
+            >
+                <h3 className="text-2xl font-bold text-white mb-1">Select Time</h3>
+                <p className="text-sm text-slate-400">Choose your preferred meeting time</p>
+            </motion.div>
+
+            {/* Time Display */}
+            <motion.div 
+                className="flex items-center justify-center gap-3 mb-8"
+                initial={{ scale: 0.8, opacity: 0 }}
+                animate={{ scale: 1, opacity: 1 }}
+                transition={{ delay: 0.2, type: "spring", damping: 15 }}
+            >
+                {/* Hour Input */}
+                <div className="relative group">
+                    <input 
+                        type="number" 
+                        min="1" 
+                        max="12" 
+                        value={hour} 
+                        onChange={e => setHour(Math.max(1, Math.min(12, parseInt(e.target.value) || 1)))} 
+                        className="w-20 h-16 bg-slate-800/50 backdrop-blur-sm border border-slate-600/50 text-center rounded-2xl text-3xl font-bold text-white outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 transition-all duration-300 hover:bg-slate-800/70" 
+                    />
+                    <div className="absolute inset-0 rounded-2xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-focus-within:opacity-100 transition-opacity duration-300 pointer-events-none" />
+                </div>
+
+                {/* Separator */}
+                <motion.span 
+                    className="text-4xl font-bold text-slate-400"
+                    animate={{ opacity: [0.5, 1, 0.5] }}
+                    transition={{ duration: 2, repeat: Infinity, ease: "easeInOut" }}
+                >
+                    :
+                </motion.span>
+
+                {/* Minute Input */}
+                <div className="relative group">
+                    <input 
+                        type="number" 
+                        min="0" 
+                        max="59" 
+                        step="1" 
+                        value={String(minute).padStart(2, '0')} 
+                        onChange={e => setMinute(Math.max(0, Math.min(59, parseInt(e.target.value) || 0)))} 
+                        className="w-20 h-16 bg-slate-800/50 backdrop-blur-sm border border-slate-600/50 text-center rounded-2xl text-3xl font-bold text-white outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 transition-all duration-300 hover:bg-slate-800/70" 
+                    />
+                    <div className="absolute inset-0 rounded-2xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-focus-within:opacity-100 transition-opacity duration-300 pointer-events-none" />
+            </div>
+
+                {/* AM/PM Toggle */}
+                <div className="flex flex-col gap-2 ml-2">
+                    <motion.button 
+                        onClick={() => setPeriod('AM')} 
+                        className={`px-4 py-2 text-sm font-medium rounded-xl transition-all duration-300 ${
+                            period === 'AM' 
+                                ? 'bg-gradient-to-r from-blue-500 to-blue-600 text-white shadow-lg shadow-blue-500/30' 
+                                : 'bg-slate-700/50 text-slate-300 hover:bg-slate-700'
+                        }`}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                    >
+                        AM
+                    </motion.button>
+                    <motion.button 
+                        onClick={() => setPeriod('PM')} 
+                        className={`px-4 py-2 text-sm font-medium rounded-xl transition-all duration-300 ${
+                            period === 'PM' 
+                                ? 'bg-gradient-to-r from-blue-500 to-blue-600 text-white shadow-lg shadow-blue-500/30' 
+                                : 'bg-slate-700/50 text-slate-300 hover:bg-slate-700'
+                        }`}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                    >
+                        PM
+                    </motion.button>
+                </div>
+            </motion.div>
+
+            {/* Footer */}
+            <motion.div
+                initial={{ y: 20, opacity: 0 }}
+                animate={{ y: 0, opacity: 1 }}
+                transition={{ delay: 0.3 }}
+            >
+                <ShineButton onClick={handleSave} className="w-full">
+                    <Clock size={18} />
+                    Set Time
+                </ShineButton>
+            </motion.div>
+        </motion.div>
+    );
+};
+
+const SettingsModal = ({ formValues, handleInputChange, close }) => (
+    <motion.div
+        className="bg-slate-800 p-6 rounded-lg shadow-xl w-full max-w-sm border border-slate-700"
+        initial={{ scale: 0.9, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.9, opacity: 0 }}
+    >
+        <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold">Advanced Settings</h3>
+            <button onClick={close} className="p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
+        </div>
+        <div className="space-y-3">
+            <div className="flex items-center justify-between p-3 bg-slate-700/30 rounded-lg">
+                <div className="flex items-center gap-3">
+                    <Users className="text-slate-400" size={18} />
+                    <span className="text-slate-300 text-sm font-medium">Enable waiting room</span>
+                </div>
+                <button onClick={() => handleInputChange({ target: { name: 'waitingRoomEnabled', value: !formValues.waitingRoomEnabled } })} className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${formValues.waitingRoomEnabled ? 'bg-blue-500' : 'bg-slate-600'}`}>
+                    <motion.span animate={{ x: formValues.waitingRoomEnabled ? 22 : 2 }} transition={{ type: 'spring', stiffness: 500, damping: 25 }} className="inline-block h-5 w-5 transform rounded-full bg-white" />
+                </button>
+            </div>
+        </div>
+    </motion.div>
+);
+
+const MeetingDetailsForm = ({
+    isScheduling, onSubmit, setView, formValues,
+    handleInputChange, handleDateChange, isLoading
+}) => {
+    const [isCalendarOpen, setIsCalendarOpen] = useState(false);
+    const [isTimePickerOpen, setIsTimePickerOpen] = useState(false);
+    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+
+    return (
+        <>
+        <motion.form
+            key={isScheduling ? "schedule-form" : "start-form"}
+            onSubmit={onSubmit}
+            initial={{ opacity: 0, x: 30 }}
+            animate={{ opacity: 1, x: 0 }}
+            exit={{ opacity: 0, x: -30 }}
+            transition={{ duration: 0.3, ease: 'easeInOut' }}
+            className="flex flex-col h-full"
+        >
+            <motion.div 
+                className="relative flex justify-between items-center mb-4 shrink-0 p-3 sm:p-4 bg-gradient-to-r from-slate-800/80 via-slate-700/80 to-slate-800/80 backdrop-blur-xl rounded-xl border border-slate-700/50"
+                initial={{ y: -20, opacity: 0 }}
+                animate={{ y: 0, opacity: 1 }}
+                transition={{ duration: 0.4, ease: "easeOut" }}
+            >
+                {/* Header gradient removed for consistency */}
+                
+                <div className="flex items-center gap-4">
+                    <motion.button 
+                        type="button" 
+                        onClick={() => setView('initial')} 
+                        className="p-3 rounded-xl hover:bg-slate-700/50 text-slate-400 hover:text-white transition-all duration-200 border border-slate-600/50 hover:border-slate-500/50"
+                        whileHover={{ scale: 1.05, x: -2 }}
+                        whileTap={{ scale: 0.95 }}
+                    >
+                        <ArrowLeft size={20}/>
+                    </motion.button>
+                    <div className="flex items-center gap-4">
+                        <motion.div
+                            className="p-3 bg-gradient-to-br from-blue-500/20 to-purple-500/20 rounded-xl"
+                            initial={{ scale: 0 }}
+                            animate={{ scale: 1 }}
+                            transition={{ delay: 0.2, type: "spring", damping: 15 }}
+                        >
+                            {isScheduling ? (
+                                <Calendar className="text-blue-400" size={24} />
+                            ) : (
+                                <Video className="text-blue-400" size={24} />
+                            )}
+                        </motion.div>
+                    <div>
+                            <motion.h2 
+                                className="text-xl sm:text-2xl font-bold text-transparent bg-gradient-to-r from-white via-blue-100 to-white bg-clip-text"
+                                initial={{ x: -20, opacity: 0 }}
+                                animate={{ x: 0, opacity: 1 }}
+                                transition={{ delay: 0.3 }}
+                            >
+                                {isScheduling ? 'Schedule a Meeting' : 'Start an Instant Meeting'}
+                            </motion.h2>
+                            <motion.p 
+                                className="text-slate-400 text-xs sm:text-sm font-medium"
+                                initial={{ x: -20, opacity: 0 }}
+                                animate={{ x: 0, opacity: 1 }}
+                                transition={{ delay: 0.4 }}
+                            >
+                                {isScheduling 
+                                    ? 'Set up your meeting for later and invite participants' 
+                                    : 'Create and start your meeting right now'
+                                }
+                            </motion.p>
+                    </div>
+                </div>
+            </div>
+            
+                {/* Status indicator */}
+                <motion.div 
+                    className="flex items-center gap-2"
+                    initial={{ scale: 0 }}
+                    animate={{ scale: 1 }}
+                    transition={{ delay: 0.5 }}
+                >
+                    <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse"></div>
+                    <span className="text-xs text-slate-500 font-medium">READY</span>
+                </motion.div>
+            </motion.div>
+            
+            <div className="space-y-3 sm:space-y-4 flex-grow overflow-y-auto pr-2 px-1 thin-scrollbar">
+                <motion.div 
+                    className="relative group"
+                    initial={{ x: -20, opacity: 0 }}
+                    animate={{ x: 0, opacity: 1 }}
+                    transition={{ delay: 0.1 }}
+                >
+                    <UserIcon className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 group-focus-within:text-blue-400 transition-colors z-10" size={18} />
+                    <input 
+                        type="text" 
+                        name="userName" 
+                        placeholder="Your Name*" 
+                        value={formValues.userName} 
+                        onChange={handleInputChange} 
+                        required 
+                        className="w-full bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl py-3 pl-12 pr-4 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 transition-all duration-300 hover:bg-slate-800/50" 
+                    />
+                    <div className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-focus-within:opacity-100 transition-opacity duration-300 pointer-events-none" />
+                </motion.div>
+                
+                <motion.div 
+                    className="relative group"
+                    initial={{ x: -20, opacity: 0 }}
+                    animate={{ x: 0, opacity: 1 }}
+                    transition={{ delay: 0.2 }}
+                >
+                    <VideoIcon className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 group-focus-within:text-blue-400 transition-colors z-10" size={18} />
+                    <input 
+                        type="text" 
+                        name="meetingTitle" 
+                        placeholder="Meeting Title*" 
+                        value={formValues.meetingTitle} 
+                        onChange={handleInputChange} 
+                        required 
+                        className="w-full bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl py-3 pl-12 pr-4 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 transition-all duration-300 hover:bg-slate-800/50" 
+                    />
+                    <div className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-focus-within:opacity-100 transition-opacity duration-300 pointer-events-none" />
+                </motion.div>
+                
+                <motion.div 
+                    className="relative group"
+                    initial={{ x: -20, opacity: 0 }}
+                    animate={{ x: 0, opacity: 1 }}
+                    transition={{ delay: 0.3 }}
+                >
+                    <MessageSquare className="absolute left-4 top-4 text-slate-400 group-focus-within:text-blue-400 transition-colors z-10" size={18} />
+                    <textarea 
+                        name="meetingPurpose" 
+                        placeholder="Meeting Purpose (Optional)" 
+                        value={formValues.meetingPurpose} 
+                        onChange={handleInputChange} 
+                        rows="2" 
+                        className="w-full bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl py-3 pl-12 pr-4 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 resize-none transition-all duration-300 hover:bg-slate-800/50" 
+                    />
+                    <div className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-focus-within:opacity-100 transition-opacity duration-300 pointer-events-none" />
+                </motion.div>
+
+                <motion.div 
+                    className="relative group"
+                    initial={{ x: -20, opacity: 0 }}
+                    animate={{ x: 0, opacity: 1 }}
+                    transition={{ delay: 0.35 }}
+                >
+                    <KeyRound className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 group-focus-within:text-blue-400 transition-colors z-10" size={18} />
+                    <input 
+                        type="password" 
+                        name="meetingPassword" 
+                        placeholder="Meeting Password (Optional)" 
+                        value={formValues.meetingPassword || ''} 
+                        onChange={handleInputChange} 
+                        maxLength={128}
+                        autoComplete="new-password"
+                        className="w-full bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl py-3 pl-12 pr-4 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 transition-all duration-300 hover:bg-slate-800/50" 
+                    />
+                    <div className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-focus-within:opacity-100 transition-opacity duration-300 pointer-events-none" />
+                </motion.div>
+                
+                <motion.div 
+                    className="relative group"
+                    initial={{ x: -20, opacity: 0 }}
+                    animate={{ x: 0, opacity: 1 }}
+                    transition={{ delay: 0.4 }}
+                >
+                    <div className="flex items-center justify-between p-4 bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl hover:bg-slate-800/50 transition-all duration-300">
+                        <div className="flex items-center gap-3">
+                            <Presentation className="text-slate-400 group-hover:text-blue-400 transition-colors" size={18} />
+                            <div>
+                                <span className="text-white text-sm font-medium">Webinar Mode</span>
+                                <p className="text-slate-400 text-xs">Only moderators can use meeting controls</p>
+                            </div>
+                        </div>
+                        <motion.button 
+                            type="button"
+                            onClick={() => handleInputChange({ target: { name: 'webinarMode', value: !formValues.webinarMode } })} 
+                            className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${formValues.webinarMode ? 'bg-blue-500' : 'bg-slate-600'}`}
+                            whileTap={{ scale: 0.95 }}
+                        >
+                            <motion.span 
+                                animate={{ x: formValues.webinarMode ? 22 : 2 }} 
+                                transition={{ type: 'spring', stiffness: 500, damping: 25 }} 
+                                className="inline-block h-5 w-5 transform rounded-full bg-white shadow-lg" 
+                            />
+                        </motion.button>
+                    </div>
+                    <div className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-hover:opacity-100 transition-opacity duration-300 pointer-events-none" />
+                </motion.div>
+                {isScheduling && (
+                    <motion.div 
+                        className="grid sm:grid-cols-2 gap-3 sm:gap-4"
+                        initial={{ y: 20, opacity: 0 }}
+                        animate={{ y: 0, opacity: 1 }}
+                        transition={{ delay: 0.5 }}
+                    >
+                        <motion.div className="relative group">
+                            <motion.button 
+                                type="button" 
+                                onClick={() => setIsCalendarOpen(true)} 
+                                className="w-full flex items-center justify-between bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl py-3 px-4 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/50 hover:border-blue-500/50 transition-all duration-300 hover:bg-slate-800/50 group"
+                                whileHover={{ scale: 1.02 }}
+                                whileTap={{ scale: 0.98 }}
+                            >
+                                <div className="flex items-center gap-3">
+                                    <Calendar className="text-slate-400 group-hover:text-blue-400 transition-colors" size={18} />
+                                    <span className="font-medium text-left">
+                                        {formValues.scheduleDate ? formValues.scheduleDate.toLocaleDateString() : 'Select Date'}
+                                    </span>
+                                </div>
+                                <ChevronRight className="text-slate-500 group-hover:text-blue-400 transition-colors" size={16} />
+                            </motion.button>
+                            <div className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-hover:opacity-100 transition-opacity duration-300 pointer-events-none" />
+                        </motion.div>
+                        
+                        <motion.div className="relative group">
+                            <motion.button 
+                                type="button" 
+                                onClick={() => setIsTimePickerOpen(true)} 
+                                className="w-full flex items-center justify-between bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl py-3 px-4 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/50 hover:border-blue-500/50 transition-all duration-300 hover:bg-slate-800/50 group"
+                                whileHover={{ scale: 1.02 }}
+                                whileTap={{ scale: 0.98 }}
+                            >
+                                <div className="flex items-center gap-3">
+                                    <Clock className="text-slate-400 group-hover:text-blue-400 transition-colors" size={18} />
+                                    <span className="font-medium text-left">
+                                        {formValues.scheduleTime ? formValues.scheduleTime.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}) : 'Select Time'}
+                                    </span>
+                                </div>
+                                <ChevronRight className="text-slate-500 group-hover:text-blue-400 transition-colors" size={16} />
+                            </motion.button>
+                            <div className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-hover:opacity-100 transition-opacity duration-300 pointer-events-none" />
+                        </motion.div>
+                    </motion.div>
+                )}
+                {isScheduling && formValues.recurrence && (
+                    <motion.div
+                        initial={{ y: 20, opacity: 0 }}
+                        animate={{ y: 0, opacity: 1 }}
+                        transition={{ delay: 0.55 }}
+                    >
+                        <RecurrenceFields
+                            value={formValues.recurrence}
+                            onChange={(recurrence) => handleInputChange({ target: { name: 'recurrence', value: recurrence } })}
+                        />
+                    </motion.div>
+                )}
+                {isScheduling && (
+                    <motion.div
+                        className="relative group"
+                        initial={{ y: 20, opacity: 0 }}
+                        animate={{ y: 0, opacity: 1 }}
+                        transition={{ delay: 0.58 }}
+                    >
+                        <Mail className="absolute left-4 top-4 text-slate-400 group-focus-within:text-blue-400 transition-colors z-10" size={18} />
+                        <textarea
+                            name="invitees"
+                            placeholder="Invite by email (comma or one per line)"
+                            value={formValues.invitees || ''}
+                            onChange={handleInputChange}
+                            rows={2}
+                            className="w-full bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl py-3 pl-12 pr-4 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 transition-all duration-300 hover:bg-slate-800/50 resize-none"
+                        />
+                        <p className="text-xs text-slate-500 mt-1 px-1">Guests get an email invitation with a calendar file, plus reminders before it starts.</p>
+                    </motion.div>
+                )}
+            </div>
+            <motion.div 
+                className="pt-3 mt-auto shrink-0"
+                initial={{ y: 20, opacity: 0 }}
+                animate={{ y: 0, opacity: 1 }}
+                transition={{ delay: 0.6 }}
+            >
+                {/* Meeting Options */}
+                <div className="bg-gradient-to-r from-slate-800/40 via-slate-700/40 to-slate-800/40 backdrop-blur-sm rounded-xl p-3 sm:p-4 border border-slate-700/50 mb-4 shadow-lg">
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                        <div className="flex items-center gap-3">
+                            <motion.div 
+                                className="p-2 bg-slate-700/50 rounded-lg"
+                                initial={{ scale: 0 }}
+                                animate={{ scale: 1 }}
+                                transition={{ delay: 0.7, type: "spring", damping: 15 }}
+                            >
+                                <SettingsIcon className="text-blue-400" size={16} />
+                            </motion.div>
+                            <div>
+                                <span className="text-sm font-semibold text-slate-100">Meeting Options</span>
+                                <p className="text-xs text-slate-400 hidden sm:block">Configure audio, video and settings</p>
+                            </div>
+                        </div>
+                        
+                        <div className="flex items-center gap-2 sm:gap-3">
+                            {/* Microphone Toggle */}
+                            <motion.div className="flex flex-col items-center gap-1">
+                                <motion.button 
+                                    type="button" 
+                                    onClick={() => handleInputChange({ target: { name: 'micEnabled', value: !formValues.micEnabled } })} 
+                                    className={`
+                                        relative p-2.5 rounded-lg transition-all duration-300 border backdrop-blur-sm
+                                        ${formValues.micEnabled 
+                                            ? 'bg-green-500/20 text-green-400 border-green-500/40 hover:bg-green-500/30 shadow-md shadow-green-500/20' 
+                                            : 'bg-red-500/20 text-red-400 border-red-500/40 hover:bg-red-500/30 shadow-md shadow-red-500/20'
+                                        }
+                                    `}
+                                    title={formValues.micEnabled ? 'Microphone On' : 'Microphone Off'}
+                                    whileHover={{ scale: 1.05 }}
+                                    whileTap={{ scale: 0.95 }}
+                                    initial={{ y: 10, opacity: 0 }}
+                                    animate={{ y: 0, opacity: 1 }}
+                                    transition={{ delay: 0.8 }}
+                                >
+                                    {formValues.micEnabled ? <Mic size={16} /> : <MicOff size={16} />}
+                                    <motion.div 
+                                        className={`absolute -top-1 -right-1 w-2.5 h-2.5 rounded-full ${formValues.micEnabled ? 'bg-green-400' : 'bg-red-400'}`}
+                                        animate={{ scale: [1, 1.2, 1] }}
+                                        transition={{ duration: 2, repeat: Infinity, ease: "easeInOut" }}
+                                    />
+                                </motion.button>
+                                <span className="text-xs text-slate-500 font-medium">
+                                    {formValues.micEnabled ? 'ON' : 'OFF'}
+                                </span>
+                            </motion.div>
+                            
+                            {/* Camera Toggle */}
+                            <motion.div className="flex flex-col items-center gap-1">
+                                <motion.button 
+                                    type="button" 
+                                    onClick={() => handleInputChange({ target: { name: 'cameraEnabled', value: !formValues.cameraEnabled } })} 
+                                    className={`
+                                        relative p-2.5 rounded-lg transition-all duration-300 border backdrop-blur-sm
+                                        ${formValues.cameraEnabled 
+                                            ? 'bg-green-500/20 text-green-400 border-green-500/40 hover:bg-green-500/30 shadow-md shadow-green-500/20' 
+                                            : 'bg-red-500/20 text-red-400 border-red-500/40 hover:bg-red-500/30 shadow-md shadow-red-500/20'
+                                        }
+                                    `}
+                                    title={formValues.cameraEnabled ? 'Camera On' : 'Camera Off'}
+                                    whileHover={{ scale: 1.05 }}
+                                    whileTap={{ scale: 0.95 }}
+                                    initial={{ y: 10, opacity: 0 }}
+                                    animate={{ y: 0, opacity: 1 }}
+                                    transition={{ delay: 0.9 }}
+                                >
+                                    {formValues.cameraEnabled ? <Video size={16} /> : <VideoOff size={16} />}
+                                    <motion.div 
+                                        className={`absolute -top-1 -right-1 w-2.5 h-2.5 rounded-full ${formValues.cameraEnabled ? 'bg-green-400' : 'bg-red-400'}`}
+                                        animate={{ scale: [1, 1.2, 1] }}
+                                        transition={{ duration: 2, repeat: Infinity, ease: "easeInOut", delay: 0.5 }}
+                                    />
+                                </motion.button>
+                                <span className="text-xs text-slate-500 font-medium">
+                                    {formValues.cameraEnabled ? 'ON' : 'OFF'}
+                                </span>
+                            </motion.div>
+                        </div>
+                    </div>
+                </div>
+                
+                {/* Submit Button */}
+                <motion.div 
+                    className="flex justify-center"
+                    initial={{ y: 20, opacity: 0 }}
+                    animate={{ y: 0, opacity: 1 }}
+                    transition={{ delay: 1.1 }}
+                >
+                    <ShineButton 
+                        type="submit" 
+                        disabled={isLoading}
+                        className="px-6 sm:px-10 py-3 text-sm sm:text-base font-bold min-w-[180px] shadow-xl"
+                    >
+                        {isLoading ? (
+                            <motion.div 
+                                className="flex items-center gap-3"
+                                initial={{ opacity: 0 }}
+                                animate={{ opacity: 1 }}
+                            >
+                                <motion.div 
+                                    className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full"
+                                    animate={{ rotate: 360 }}
+                                    transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
+                                />
+                                <span>Processing...</span>
+                                <motion.div
+                                    className="flex gap-1"
+                                    initial={{ opacity: 0 }}
+                                    animate={{ opacity: 1 }}
+                                    transition={{ delay: 0.5 }}
+                                >
+                                    <motion.div className="w-1 h-1 bg-white/50 rounded-full" animate={{ scale: [1, 1.5, 1] }} transition={{ duration: 1, repeat: Infinity, delay: 0 }} />
+                                    <motion.div className="w-1 h-1 bg-white/50 rounded-full" animate={{ scale: [1, 1.5, 1] }} transition={{ duration: 1, repeat: Infinity, delay: 0.2 }} />
+                                    <motion.div className="w-1 h-1 bg-white/50 rounded-full" animate={{ scale: [1, 1.5, 1] }} transition={{ duration: 1, repeat: Infinity, delay: 0.4 }} />
+                                </motion.div>
+                            </motion.div>
+                        ) : (
+                            <motion.div 
+                                className="flex items-center gap-3"
+                                whileHover={{ scale: 1.02 }}
+                                whileTap={{ scale: 0.98 }}
+                            >
+                                <motion.div
+                                    animate={{ rotate: [0, 360] }}
+                                    transition={{ duration: 20, repeat: Infinity, ease: "linear" }}
+                                >
+                                    {isScheduling ? <Calendar size={20} /> : <Video size={20} />}
+                                </motion.div>
+                                <span>{isScheduling ? 'Schedule Meeting' : 'Create & Start'}</span>
+                                <motion.div 
+                                    className="w-2 h-2 bg-white/70 rounded-full"
+                                    animate={{ 
+                                        scale: [1, 1.3, 1],
+                                        opacity: [0.7, 1, 0.7]
+                                    }}
+                                    transition={{ 
+                                        duration: 2, 
+                                        repeat: Infinity, 
+                                        ease: "easeInOut"
+                                    }}
+                                />
+                            </motion.div>
+                        )}
+                    </ShineButton>
+                </motion.div>
+            </motion.div>
+        </motion.form>
+
+        {/* Move modals outside form to prevent form submission issues */}
+        <AnimatePresence>
+            {(isCalendarOpen || isTimePickerOpen || isSettingsOpen) && (
+                <motion.div 
+                    className="fixed inset-0 bg-black/60 backdrop-blur-sm z-[60] flex justify-center items-center p-4" 
+                    initial={{ opacity: 0 }} 
+                    animate={{ opacity: 1 }} 
+                    exit={{ opacity: 0 }} 
+                    onClick={() => { setIsCalendarOpen(false); setIsTimePickerOpen(false); setIsSettingsOpen(false); }}
+                >
+                    {isCalendarOpen && (
+                        <div onClick={(e) => e.stopPropagation()}>
+                            <CustomCalendar 
+                                selectedDate={formValues.scheduleDate} 
+                                setSelectedDate={(date) => handleDateChange({target: {name: 'scheduleDate', value: date}})} 
+                                close={() => setIsCalendarOpen(false)} 
+                            />
+                        </div>
+                    )}
+                    {isTimePickerOpen && (
+                        <div onClick={(e) => e.stopPropagation()}>
+                            <CustomTimePicker 
+                                selectedTime={formValues.scheduleTime} 
+                                setSelectedTime={(time) => handleDateChange({target: {name: 'scheduleTime', value: time}})} 
+                                close={() => setIsTimePickerOpen(false)} 
+                            />
+                        </div>
+                    )}
+                    {isSettingsOpen && (
+                        <div onClick={(e) => e.stopPropagation()}>
+                            <SettingsModal 
+                                formValues={formValues} 
+                                handleInputChange={handleInputChange} 
+                                close={() => setIsSettingsOpen(false)} 
+                            />
+                        </div>
+                    )}
+                </motion.div>
+            )}
+        </AnimatePresence>
+    </>
+    );
+};
+
+export default MeetingDetailsForm;
@@ -1,11 +1,32 @@
 // NEW_MeetingSidebar.js
 
 import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
-import { supabase } from '../supabase';
+import { banMeetingParticipant, claimLobbyPass, enqueueMeetingAction, fetchBreakouts, fetchMeetingBans, recordAttendance, recordOwnJoin, setMeetingAdmin, setMeetingLobby, unbanMeetingParticipant } from '../api/meetings';
+import ChatPanel from './ChatPanel';
+import PollsPanel from './PollsPanel';
+import QnAPanel from './QnAPanel';
+import BreakoutsPanel, { BreakoutBanner } from './BreakoutsPanel';
+import TranscriptPanel from './TranscriptPanel';
+import useTranscriptRecorder from './useTranscriptRecorder';
 import { gsap } from 'gsap';
 import { useGSAP } from '@gsap/react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Users, MessageSquare, Share2, PanelLeftClose, Radio, Copy, Check, Mail, Award, MicOff, UserX, Mic, ShieldPlus, ShieldMinus } from 'lucide-react';
+import { Users, MessageSquare, Share2, PanelLeftClose, Radio, Copy, Check, Mail, Award, MicOff, UserX, Mic, ShieldPlus, ShieldMinus, UserCheck, DoorOpen, X, BarChart3, MessageCircleQuestion, Hand, Presentation, MonitorOff, Split, Captions } from 'lucide-react';
+
+// How long "Don't let them rejoin" lasts (minutes; null = until unbanned)
+const BAN_DURATIONS = [
+    { value: '1h', label: '1 hour', minutes: 60 },
+    { value: '1d', label: '1 day', minutes: 24 * 60 },
+    { value: 'forever', label: 'Permanently', minutes: null },
+];
+
+// How often everyone checks for the host's breakout message and countdown
+const BREAKOUTS_POLL_MS = 20000;
+
+// Slide-in used for the panels that live in their own files (chat, polls, Q&A, breakouts)
+const PANEL_MOTION = { initial: { x: -20, opacity: 0 }, animate: { x: 0, opacity: 1 }, exit: { x: 20, opacity: 0 }, transition: { duration: 0.3, ease: 'easeInOut' } };
+
+const formatBanExpiry = (ban) => (ban.expires_at ? `until ${new Date(ban.expires_at).toLocaleString()}` : 'permanently');
 
 // --- Helper: Sidebar Navigation Button ---
 const SidebarButton = ({ icon: Icon, label, onClick, isActive }) => (
@@ -25,7 +46,7 @@ const SidebarButton = ({ icon: Icon, label, onClick, isActive }) => (
 );
 
 // ❗️ REWRITE: participants use isAdmin flag only for badge and actions ❗️
-const ParticipantsPanel = ({ participants, isHost, isAdmin, onKick, onMuteAll, onAskToUnmute, onRequestMute, onPromote, onDemote, adminIdsSet }) => {
+const ParticipantsPanel = ({ participants, isHost, isAdmin, onKick, onMuteAll, onAskToUnmute, onRequestMute, onPromote, onDemote, adminIdsSet, bans = [], onUnban, raisedHandIds, panelistIds, onSetPanelist }) => {
     const avatarColors = [
         'from-cyan-500 to-blue-600', 'from-emerald-500 to-green-600',
         'from-purple-500 to-indigo-600', 'from-amber-500 to-orange-600',
@@ -101,6 +122,21 @@ const ParticipantsPanel = ({ participants, isHost, isAdmin, onKick, onMuteAll, o
                                     ) : null}
                                 </div>
                             )}
+                            {onSetPanelist && !p.isLocal && !p.isAdmin && (panelistIds.has(p.participantId) ? (
+                                <button onClick={() => onSetPanelist(p, false)} title="Back to the audience" className="p-1.5 text-cyan-400 hover:text-white hover:bg-cyan-600 rounded-full">
+                                    <MonitorOff size={14} />
+                                </button>
+                            ) : raisedHandIds.has(p.participantId) ? (
+                                <button onClick={() => onSetPanelist(p, true)} title="Make Panelist" className="p-1.5 text-cyan-400 hover:text-white hover:bg-cyan-600 rounded-full">
+                                    <Presentation size={14} />
+                                </button>
+                            ) : null)}
+                            {raisedHandIds.has(p.participantId) && (
+                                <span title="Hand raised" className="flex-shrink-0"><Hand size={16} className="text-amber-300" /></span>
+                            )}
+                            {panelistIds.has(p.participantId) && (
+                                <span className="px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase tracking-wide bg-cyan-500/15 text-cyan-300 flex-shrink-0">Panelist</span>
+                            )}
                             {p.isAdmin && (
                                 <Award size={16} title={p.isLocal ? 'You are the host' : 'Admin'} className="text-amber-400 flex-shrink-0" />
                             )}
@@ -108,10 +144,88 @@ const ParticipantsPanel = ({ participants, isHost, isAdmin, onKick, onMuteAll, o
                     </div>
                 ))}
             </div>
+
+            {(isHost || isAdmin) && bans.length > 0 && (
+                <div className="mt-4">
+                    <h3 className="text-white font-semibold text-sm px-2 mb-2">Banned ({bans.length})</h3>
+                    <div className="space-y-1">
+                        {bans.map(ban => (
+                            <div key={ban.id} className="group flex items-center gap-3 p-2 rounded-lg hover:bg-slate-700/50 transition-colors">
+                                <div className="min-w-0 flex-grow">
+                                    <p className="text-slate-200 text-sm truncate">{ban.display_name || ban.email || 'Guest'}</p>
+                                    <p className="text-xs text-slate-500 truncate" title={ban.reason || undefined}>
+                                        {formatBanExpiry(ban)}{ban.reason ? ` · ${ban.reason}` : ''}
+                                    </p>
+                                </div>
+                                <button onClick={() => onUnban && onUnban(ban)} title="Unban" className="p-1.5 text-emerald-400 hover:text-white hover:bg-emerald-500 rounded-full">
+                                    <UserCheck size={14} />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
         </motion.div>
     );
 };
 
+const LobbyToggle = ({ label, checked, disabled, onChange }) => (
+    <label className={`flex items-center justify-between gap-3 px-2 py-1.5 text-sm ${disabled ? 'text-slate-500' : 'text-slate-300'}`}>
+        {label}
+        <input type="checkbox" checked={checked} disabled={disabled} onChange={(e) => onChange(e.target.checked)} className="accent-cyan-500" />
+    </label>
+);
+
+// Knocking participants come from Jitsi's knockingParticipant events, which only moderators receive
+const LobbyPanel = ({ knocking, settings, onAdmit, onDeny, onAdmitAll, onChangeSettings }) => (
+    <motion.div
+        key="lobby-panel"
+        initial={{ x: -20, opacity: 0 }}
+        animate={{ x: 0, opacity: 1 }}
+        exit={{ x: 20, opacity: 0 }}
+        transition={{ duration: 0.3, ease: 'easeInOut' }}
+        className="p-1"
+    >
+        <div className="space-y-0.5 mb-3 rounded-lg bg-slate-800/50 py-1">
+            <LobbyToggle label="Waiting room" checked={!!settings.enabled} onChange={(enabled) => onChangeSettings({ enabled })} />
+            <LobbyToggle label="Auto-admit signed-in members" checked={!!settings.autoAdmitMembers} disabled={!settings.enabled} onChange={(autoAdmitMembers) => onChangeSettings({ autoAdmitMembers })} />
+            <LobbyToggle label="Auto-admit invitees" checked={!!settings.autoAdmitInvitees} disabled={!settings.enabled} onChange={(autoAdmitInvitees) => onChangeSettings({ autoAdmitInvitees })} />
+        </div>
+
+        <div className="flex justify-between items-center px-2 mb-2">
+            <h3 className="text-white font-semibold text-sm">
+                Waiting ({knocking.length})
+            </h3>
+            {knocking.length > 1 && (
+                <button
+                    onClick={onAdmitAll}
+                    className="px-2 py-1 text-xs font-semibold text-slate-300 bg-slate-700/70 rounded-md hover:bg-slate-700 hover:text-white transition-colors"
+                >
+                    Admit All
+                </button>
+            )}
+        </div>
+
+        {knocking.length === 0 ? (
+            <p className="px-2 text-sm text-slate-500">{settings.enabled ? 'Nobody is waiting.' : 'Turn on the waiting room to screen people before they join.'}</p>
+        ) : (
+            <div className="space-y-1 max-h-[calc(100vh-26rem)] overflow-y-auto pr-1">
+                {knocking.map(k => (
+                    <div key={k.id} className="flex items-center gap-2 p-2 rounded-lg hover:bg-slate-700/50 transition-colors">
+                        <span className="text-slate-200 text-sm truncate flex-grow">{k.name}</span>
+                        <button onClick={() => onAdmit(k.id)} title="Admit" className="p-1.5 text-emerald-400 hover:text-white hover:bg-emerald-500 rounded-full">
+                            <Check size={14} />
+                        </button>
+                        <button onClick={() => onDeny(k.id)} title="Deny" className="p-1.5 text-red-500 hover:text-white hover:bg-red-500 rounded-full">
+                            <X size={14} />
+                        </button>
+                    </div>
+                ))}
+            </div>
+        )}
+    </motion.div>
+);
+
 const SharePanel = ({ meetingLink, handleCopy, copiedItem }) => {
     const meetingCode = meetingLink ? meetingLink.substring(meetingLink.lastIndexOf('/') + 1) : '';
 
@@ -155,7 +269,7 @@ const SharePanel = ({ meetingLink, handleCopy, copiedItem }) => {
     )
 };
 
-const NEW_MeetingSidebar = ({ isOpen, setIsOpen, jitsiApi, meetingLink, isHost, isAdmin: isAdminProp, localDisplayName, hostName, hostParticipantId, meetingId, adminIds = [], adminDisplayNames = [], showToast }) => {
+const NEW_MeetingSidebar = ({ isOpen, setIsOpen, jitsiApi, meetingLink, isHost, isAdmin: isAdminProp, localDisplayName, hostName, hostParticipantId, meetingId, adminIds = [], adminDisplayNames = [], lobby, meetingToken, isGuest = false, isWebinar = false, showToast }) => {
     const [activePanel, setActivePanel] = useState('participants');
     const [copiedItem, setCopiedItem] = useState(null);
     const [participants, setParticipants] = useState([]);
@@ -185,6 +299,15 @@ const NEW_MeetingSidebar = ({ isOpen, setIsOpen, jitsiApi, meetingLink, isHost,
     }, [adminNamesSet, localAdminNames]);
     const [confirmKick, setConfirmKick] = useState(null);
     const [confirmMute, setConfirmMute] = useState(null);
+    const [bans, setBans] = useState([]);
+    const [knocking, setKnocking] = useState([]);
+    const [raisedHandIds, setRaisedHandIds] = useState(new Set());
+    // Webinar attendees a host has put on stage; only kept for as long as they stay in the call
+    const [panelistIds, setPanelistIds] = useState(new Set());
+    const [breakouts, setBreakouts] = useState(null);
+    const lastBreakoutMessageRef = useRef(undefined);
+    // lobby: the meeting's { enabled, autoAdmitMembers, autoAdmitInvitees }, kept locally so toggles show at once
+    const [lobbySettings, setLobbySettings] = useState(() => ({ ...lobby }));
     const updateTimerRef = useRef(null);
     const pollRef = useRef(null);
     
@@ -317,6 +440,171 @@ const NEW_MeetingSidebar = ({ isOpen, setIsOpen, jitsiApi, meetingLink, isHost,
         };
     }, [jitsiApi, isHost, updateParticipantList]); 
 
+    // Attendance: everyone records their own join through the API with their meeting token, and
+    // signed-in users their own leave; hosts and admins also record the joins and leaves they see,
+    // so people who drop without a clean leave (and guests) still get an end time.
+    useEffect(() => {
+        if (!jitsiApi || !meetingId) return;
+        const canManage = !!(isHost || isAdminProp);
+        let myId = (jitsiApi.myUserId && jitsiApi.myUserId()) || null;
+        const record = (participantId, displayName, event) => {
+            if (!participantId) return;
+            recordAttendance(meetingId, { participantId, displayName, event, actorParticipantId: myId || undefined })
+                .catch((e) => console.warn('[Sidebar] Could not record attendance', event, e));
+        };
+        const recordSelfJoin = (displayName) => {
+            if (!myId || !meetingToken) return;
+            recordOwnJoin(meetingId, { token: meetingToken, participantId: myId, displayName })
+                .catch((e) => console.warn('[Sidebar] Could not record own join', e));
+        };
+
+        const handleSelfJoined = (e) => {
+            myId = e?.id || myId;
+            recordSelfJoin(e?.displayName || localDisplayName);
+        };
+        const handleSelfLeft = () => { if (!isGuest) record(myId, undefined, 'leave'); };
+        const handleJoined = (e) => { if (canManage) record(e?.id, e?.displayName, 'join'); };
+        const handleLeft = (e) => { if (canManage) record(e?.id, undefined, 'leave'); };
+
+        // Already in the conference when the sidebar mounted (repeating a join is harmless)
+        if (myId) recordSelfJoin(localDisplayName);
+        jitsiApi.addEventListener('videoConferenceJoined', handleSelfJoined);
+        jitsiApi.addEventListener('videoConferenceLeft', handleSelfLeft);
+        jitsiApi.addEventListener('participantJoined', handleJoined);
+        jitsiApi.addEventListener('participantLeft', handleLeft);
+        return () => {
+            jitsiApi.removeEventListener('videoConferenceJoined', handleSelfJoined);
+            jitsiApi.removeEventListener('videoConferenceLeft', handleSelfLeft);
+            jitsiApi.removeEventListener('participantJoined', handleJoined);
+            jitsiApi.removeEventListener('participantLeft', handleLeft);
+        };
+    }, [jitsiApi, meetingId, isHost, isAdminProp, localDisplayName, isGuest, meetingToken]);
+
+    const canManageBans = !!((isHost || isAdminProp) && meetingId);
+    const loadBans = useCallback(async () => {
+        if (!canManageBans) return;
+        try {
+            setBans(await fetchMeetingBans(meetingId, { actorParticipantId: (jitsiApi?.myUserId && jitsiApi.myUserId()) || undefined }));
+        } catch (e) {
+            console.warn('[Sidebar] Could not load bans', e);
+        }
+    }, [canManageBans, meetingId, jitsiApi]);
+
+    useEffect(() => {
+        if (activePanel === 'participants') loadBans();
+    }, [activePanel, loadBans]);
+
+    useEffect(() => {
+        setLobbySettings({ ...lobby });
+    }, [lobby]);
+
+    // Knockers covered by an auto-admit rule are let in without showing up in the list
+    const autoAdmit = !!(lobbySettings.autoAdmitMembers || lobbySettings.autoAdmitInvitees);
+    useEffect(() => {
+        if (!jitsiApi) return;
+        const handleKnock = async (e) => {
+            const knocker = e?.participant;
+            if (!knocker?.id) return;
+            const name = knocker.name || knocker.displayName || 'Guest';
+            if (autoAdmit && meetingId) {
+                try {
+                    const rule = await claimLobbyPass(meetingId, { displayName: name, actorParticipantId: (jitsiApi.myUserId && jitsiApi.myUserId()) || undefined });
+                    if (rule) {
+                        jitsiApi.executeCommand('answerKnockingParticipant', knocker.id, true);
+                        return;
+                    }
+                } catch (err) {
+                    console.warn('[Sidebar] Could not check lobby pass', err);
+                }
+            }
+            setKnocking(prev => (prev.some(k => k.id === knocker.id) ? prev : [...prev, { id: knocker.id, name }]));
+            showToast && showToast({ title: 'Waiting room', message: `${name} is asking to join.`, type: 'info' });
+        };
+        // Admitted by another moderator
+        const handleJoined = (e) => setKnocking(prev => prev.filter(k => k.id !== e?.id));
+        jitsiApi.addEventListener('knockingParticipant', handleKnock);
+        jitsiApi.addEventListener('participantJoined', handleJoined);
+        return () => {
+            jitsiApi.removeEventListener('knockingParticipant', handleKnock);
+            jitsiApi.removeEventListener('participantJoined', handleJoined);
+        };
+    }, [jitsiApi, meetingId, autoAdmit, showToast]);
+
+    // Raised hands decide who can be made a panelist; 'panelist-changed' messages keep every
+    // sidebar's badges in step with the host who sent them
+    useEffect(() => {
+        if (!jitsiApi) return;
+        const toggleId = (setter, id, on) => setter(prev => {
+            if (!id || prev.has(id) === !!on) return prev;
+            const next = new Set(prev);
+            if (on) next.add(id); else next.delete(id);
+            return next;
+        });
+        const handleRaiseHand = (e) => toggleId(setRaisedHandIds, e?.id, !!e?.handRaised);
+        const handleLeft = (e) => {
+            toggleId(setRaisedHandIds, e?.id, false);
+            toggleId(setPanelistIds, e?.id, false);
+        };
+        const handleMessage = (evt) => {
+            const text = evt?.text ?? evt?.eventData?.text;
+            let payload = null;
+            try { payload = typeof text === 'string' ? JSON.parse(text) : null; } catch { return; }
+            if (payload?.type === 'panelist-changed') toggleId(setPanelistIds, payload.participantId, payload.panelist);
+        };
+        jitsiApi.addEventListener('raiseHandUpdated', handleRaiseHand);
+        jitsiApi.addEventListener('participantLeft', handleLeft);
+        jitsiApi.addEventListener('endpointTextMessageReceived', handleMessage);
+        return () => {
+            jitsiApi.removeEventListener('raiseHandUpdated', handleRaiseHand);
+            jitsiApi.removeEventListener('participantLeft', handleLeft);
+            jitsiApi.removeEventListener('endpointTextMessageReceived', handleMessage);
+        };
+    }, [jitsiApi]);
+
+    // The host's breakout message and countdown reach every room through the API. A message that
+    // arrives while we're here is also toasted; one that was already set only shows in the banner.
+    const loadBreakouts = useCallback(async () => {
+        const myId = (jitsiApi?.myUserId && jitsiApi.myUserId()) || null;
+        if (!meetingId || !meetingToken || !myId) return;
+        try {
+            const state = await fetchBreakouts(meetingId, { token: meetingToken, participantId: myId });
+            const sentAt = state.message?.sentAt || null;
+            if (lastBreakoutMessageRef.current !== undefined && sentAt && sentAt !== lastBreakoutMessageRef.current) {
+                showToast && showToast({ title: 'Message from the host', message: state.message.text, type: 'info' });
+            }
+            lastBreakoutMessageRef.current = sentAt;
+            setBreakouts(state);
+        } catch (e) {
+            if (e.details !== 'participant_unverified') console.warn('[Sidebar] Could not load breakout rooms', e);
+        }
+    }, [jitsiApi, meetingId, meetingToken, showToast]);
+
+    useEffect(() => {
+        if (!jitsiApi) return;
+        loadBreakouts();
+        const poll = setInterval(loadBreakouts, BREAKOUTS_POLL_MS);
+        const handleMessage = (evt) => {
+            const text = evt?.text ?? evt?.eventData?.text;
+            let payload = null;
+            try { payload = typeof text === 'string' ? JSON.parse(text) : null; } catch { return; }
+            if (payload?.type === 'breakouts-updated') loadBreakouts();
+        };
+        jitsiApi.addEventListener('endpointTextMessageReceived', handleMessage);
+        return () => {
+            clearInterval(poll);
+            jitsiApi.removeEventListener('endpointTextMessageReceived', handleMessage);
+        };
+    }, [jitsiApi, loadBreakouts]);
+
+    // Moderators keep the transcript whichever panel is open
+    useTranscriptRecorder({ jitsiApi, meetingId, meetingToken, enabled: !!(isHost || isAdminProp) });
+
+    // Our own changes come back from the API directly, so they don't toast
+    const handleBreakoutsChange = (state) => {
+        lastBreakoutMessageRef.current = state.message?.sentAt || null;
+        setBreakouts(state);
+    };
+
     useEffect(() => {
         if (!jitsiApi) return;
         // More frequent updates for better participant tracking
@@ -340,22 +628,86 @@ const NEW_MeetingSidebar = ({ isOpen, setIsOpen, jitsiApi, meetingLink, isHost,
             name = participantOrId.formattedDisplayName || participantOrId.displayName || null;
         }
         if (!id) return;
-        setConfirmKick({ participantId: id, displayName: name });
+        setConfirmKick({ participantId: id, displayName: name, ban: false, reason: '', duration: '1h' });
+    };
+    // Queue an action for the host's tab (or the server worker); the API checks we are a meeting admin
+    const myParticipantId = () => (jitsiApi?.myUserId && jitsiApi.myUserId()) || undefined;
+
+    const queueAction = (type, fields = {}) => enqueueMeetingAction(
+        meetingId,
+        { type, ...fields },
+        { token: meetingToken, participantId: myParticipantId() },
+    );
+
+    const handleUnban = async (ban) => {
+        try {
+            await unbanMeetingParticipant(ban.id, { actorParticipantId: myParticipantId() });
+            setBans(prev => prev.filter(b => b.id !== ban.id));
+            showToast && showToast({ title: 'Unbanned', message: `${ban.display_name || ban.email || 'They'} can join again.`, type: 'success' });
+        } catch (e) {
+            showToast && showToast({ title: 'Unban failed', message: e.message || 'Could not lift the ban.', type: 'error' });
+        }
+    };
+
+    const answerKnock = (ids, approved) => {
+        ids.forEach(id => {
+            try { jitsiApi?.executeCommand('answerKnockingParticipant', id, approved); } catch (e) { console.warn('[Sidebar] Could not answer knock', e); }
+        });
+        setKnocking(prev => prev.filter(k => !ids.includes(k.id)));
+    };
+
+    // Saved on the meeting so it applies the next time the host joins; only a Jitsi moderator can
+    // switch the lobby of the running conference
+    const handleLobbySettings = async (changes) => {
+        const previous = lobbySettings;
+        setLobbySettings(prev => ({ ...prev, ...changes }));
+        try {
+            await setMeetingLobby(meetingId, { ...changes, actorParticipantId: myParticipantId() });
+            if (changes.enabled !== undefined && (isHost || moderatorIds.has(localParticipantId))) {
+                jitsiApi?.executeCommand('toggleLobby', changes.enabled);
+            }
+        } catch (e) {
+            setLobbySettings(previous);
+            showToast && showToast({ title: 'Waiting room', message: e.message || 'Could not change the waiting room settings.', type: 'error' });
+        }
+    };
+
+    // Ban first, so the token route already refuses them if they try to rejoin straight away
+    const handleConfirmKick = async () => {
+        const { participantId, ban, reason, duration } = confirmKick;
+        setConfirmKick(null);
+        if (ban && canManageBans) {
+            const minutes = BAN_DURATIONS.find(d => d.value === duration)?.minutes ?? null;
+            try {
+                await banMeetingParticipant(meetingId, {
+                    participantId,
+                    reason: reason.trim() || undefined,
+                    expiresAt: minutes ? new Date(Date.now() + minutes * 60 * 1000) : null,
+                    actorParticipantId: myParticipantId(),
+                });
+                loadBans();
+            } catch (e) {
+                showToast && showToast({ title: 'Ban failed', message: e.message || 'They were removed but can rejoin.', type: 'error' });
+            }
+        }
+        try {
+            if (isHost) {
+                jitsiApi?.executeCommand('kickParticipant', participantId);
+            } else if (meetingId) {
+                await queueAction('kick', { targetParticipantId: participantId });
+            }
+        } catch (e) {
+            showToast && showToast({ title: 'Remove failed', message: e.message || 'Could not remove the participant.', type: 'error' });
+        }
     };
+
     const handleMuteAll = async () => {
         try {
             const hasModeratorPowers = isHost || moderatorIds.has(localParticipantId);
             if (hasModeratorPowers) {
                 jitsiApi?.executeCommand('muteEveryone');
             } else if (isAdminProp && meetingId) {
-                await supabase.from('meeting_actions').insert([
-                    {
-                        meeting_id: meetingId,
-                        type: 'mute-everyone',
-                        status: 'pending',
-                        requested_by: jitsiApi?.myUserId && jitsiApi.myUserId()
-                    }
-                ]);
+                await queueAction('mute-everyone');
                 showToast && showToast({ title: 'Requested', message: 'Mute all request sent to host.', type: 'info' });
             }
         } catch (_) {}
@@ -373,21 +725,36 @@ const NEW_MeetingSidebar = ({ isOpen, setIsOpen, jitsiApi, meetingLink, isHost,
             if (hasModeratorPowers) {
                 jitsiApi?.executeCommand('askToUnmute', participantId);
             } else if (meetingId) {
-                await supabase.from('meeting_actions').insert([
-                    {
-                        meeting_id: meetingId,
-                        type: 'mute',
-                        target_participant_id: participantId,
-                        status: 'pending',
-                        requested_by: jitsiApi?.myUserId && jitsiApi.myUserId()
-                    }
-                ]);
+                await queueAction('mute', { targetParticipantId: participantId });
             }
         } catch (_) {}
     };
     
+    // Jitsi only lets moderators manage breakout rooms
+    const canManageBreakouts = !!(meetingId && (isHost || moderatorIds.has(localParticipantId)));
+
+    // Attendees only accept the change from a Jitsi moderator, so admins without moderator powers can't do it
+    const canSetPanelists = isWebinar && !!(isHost || moderatorIds.has(localParticipantId));
+    const handleSetPanelist = (participant, panelist) => {
+        try {
+            jitsiApi?.executeCommand('sendEndpointTextMessage', '', JSON.stringify({ type: 'panelist-changed', participantId: participant.participantId, panelist }));
+        } catch (e) {
+            showToast && showToast({ title: 'Panelists', message: e.message || 'Could not reach the participant.', type: 'error' });
+            return;
+        }
+        setPanelistIds(prev => {
+            const next = new Set(prev);
+            if (panelist) next.add(participant.participantId); else next.delete(participant.participantId);
+            return next;
+        });
+        showToast && showToast({
+            title: panelist ? 'Panelist added' : 'Panelist removed',
+            message: panelist ? `${participant.formattedDisplayName} can now speak and share their screen.` : `${participant.formattedDisplayName} is back in the audience.`,
+            type: panelist ? 'success' : 'info',
+        });
+    };
+
     const handleTogglePanel = (panelName) => {
-        if (panelName === 'chat') jitsiApi?.executeCommand('toggleChat');
         setActivePanel(panelName);
     };
 
@@ -409,15 +776,10 @@ const NEW_MeetingSidebar = ({ isOpen, setIsOpen, jitsiApi, meetingLink, isHost,
                 if (hasModeratorPowers) {
                     jitsiApi?.executeCommand && jitsiApi.executeCommand('grantModerator', participantId);
                 } else if (isAdminProp) {
-                    await supabase.from('meeting_actions').insert([
-                        { meeting_id: meetingId, type: 'grant-moderator', target_participant_id: participantId, target_display_name_normalized: display, status: 'pending', requested_by: jitsiApi?.myUserId && jitsiApi.myUserId() }
-                    ]);
+                    await queueAction('grant-moderator', { targetParticipantId: participantId, targetDisplayName: display });
                 }
             } catch (_) {}
-            const { data: row } = await supabase.from('meetings').select('admin_ids, admin_display_names').eq('id', meetingId).single();
-            const ids = new Set(row?.admin_ids || []); ids.add(participantId);
-            const names = new Set(row?.admin_display_names || []); names.add(display);
-            await supabase.from('meetings').update({ admin_ids: Array.from(ids), admin_display_names: Array.from(names) }).eq('id', meetingId);
+            await setMeetingAdmin(meetingId, { targetParticipantId: participantId, targetDisplayName: display, isAdmin: true, actorParticipantId: myParticipantId() });
             // Optimistically reflect in UI/local cache
             setLocalAdminIds(prev => { const next = new Set(prev); next.add(participantId); return next; });
             setLocalAdminNames(prev => { const next = new Set(prev); next.add(display); return next; });
@@ -432,7 +794,7 @@ const NEW_MeetingSidebar = ({ isOpen, setIsOpen, jitsiApi, meetingLink, isHost,
             });
             // Notify the target participant immediately
             try { jitsiApi?.executeCommand && jitsiApi.executeCommand('sendEndpointTextMessage', participantId, JSON.stringify({ type: 'admin-granted' })); } catch (_) {}
-            try { await supabase.from('meeting_actions').insert([{ meeting_id: meetingId, type: 'notify-admin-granted', target_participant_id: participantId, target_display_name_normalized: display, status: 'info', requested_by: jitsiApi?.myUserId && jitsiApi.myUserId() }]); } catch (_) {}
+            try { await queueAction('notify-admin-granted', { targetParticipantId: participantId, targetDisplayName: display }); } catch (_) {}
             showToast && showToast({ title: 'Promoted', message: `${participant?.displayName || 'Participant'} is now an admin.`, type: 'success' });
         } catch (e) {}
     };
@@ -443,18 +805,13 @@ const NEW_MeetingSidebar = ({ isOpen, setIsOpen, jitsiApi, meetingLink, isHost,
             const participant = (jitsiApi?.getParticipantsInfo?.() || []).find(p => p.participantId === participantId);
             const rawName = (participant?.formattedDisplayName || participant?.displayName || '');
             const display = normalizeName(rawName);
-            const { data: row } = await supabase.from('meetings').select('admin_ids, admin_display_names').eq('id', meetingId).single();
-            const ids = new Set(row?.admin_ids || []); ids.delete(participantId);
-            const names = new Set(row?.admin_display_names || []); names.delete(display);
-            await supabase.from('meetings').update({ admin_ids: Array.from(ids), admin_display_names: Array.from(names) }).eq('id', meetingId);
+            await setMeetingAdmin(meetingId, { targetParticipantId: participantId, targetDisplayName: display, isAdmin: false, actorParticipantId: myParticipantId() });
             try {
                 const hasModeratorPowers = isHost || moderatorIds.has(localParticipantId);
                 if (hasModeratorPowers) {
                     jitsiApi?.executeCommand && jitsiApi.executeCommand('revokeModerator', participantId);
                 } else if (isAdminProp) {
-                    await supabase.from('meeting_actions').insert([
-                        { meeting_id: meetingId, type: 'revoke-moderator', target_participant_id: participantId, target_display_name_normalized: display, status: 'pending', requested_by: jitsiApi?.myUserId && jitsiApi.myUserId() }
-                    ]);
+                    await queueAction('revoke-moderator', { targetParticipantId: participantId, targetDisplayName: display });
                 }
             } catch (_) {}
             // Optimistic update
@@ -471,7 +828,7 @@ const NEW_MeetingSidebar = ({ isOpen, setIsOpen, jitsiApi, meetingLink, isHost,
             });
             // Notify the target participant immediately
             try { jitsiApi?.executeCommand && jitsiApi.executeCommand('sendEndpointTextMessage', participantId, JSON.stringify({ type: 'admin-revoked' })); } catch (_) {}
-            try { await supabase.from('meeting_actions').insert([{ meeting_id: meetingId, type: 'notify-admin-revoked', target_participant_id: participantId, target_display_name_normalized: display, status: 'info', requested_by: jitsiApi?.myUserId && jitsiApi.myUserId() }]); } catch (_) {}
+            try { await queueAction('notify-admin-revoked', { targetParticipantId: participantId, targetDisplayName: display }); } catch (_) {}
             showToast && showToast({ title: 'Demoted', message: `${participant?.displayName || 'Participant'} admin rights removed.`, type: 'info' });
         } catch (e) {}
     };
@@ -491,9 +848,22 @@ const NEW_MeetingSidebar = ({ isOpen, setIsOpen, jitsiApi, meetingLink, isHost,
                 </button>
             </div>
 
+            <BreakoutBanner breakouts={breakouts} />
+
             <nav className="flex-shrink-0 space-y-1">
                 <SidebarButton icon={Users} label="Participants" onClick={() => handleTogglePanel('participants')} isActive={activePanel === 'participants'} />
+                {(isHost || isAdminProp) && meetingId && (
+                    <SidebarButton icon={DoorOpen} label={knocking.length ? `Lobby (${knocking.length})` : 'Lobby'} onClick={() => handleTogglePanel('lobby')} isActive={activePanel === 'lobby'} />
+                )}
                 <SidebarButton icon={MessageSquare} label="Chat" onClick={() => handleTogglePanel('chat')} isActive={activePanel === 'chat'}/>
+                {isWebinar && (
+                    <SidebarButton icon={MessageCircleQuestion} label="Q&A" onClick={() => handleTogglePanel('qa')} isActive={activePanel === 'qa'}/>
+                )}
+                <SidebarButton icon={BarChart3} label="Polls" onClick={() => handleTogglePanel('polls')} isActive={activePanel === 'polls'}/>
+                {canManageBreakouts && (
+                    <SidebarButton icon={Split} label="Breakouts" onClick={() => handleTogglePanel('breakouts')} isActive={activePanel === 'breakouts'}/>
+                )}
+                <SidebarButton icon={Captions} label="Captions" onClick={() => handleTogglePanel('captions')} isActive={activePanel === 'captions'}/>
                 <SidebarButton icon={Share2} label="Share" onClick={() => handleTogglePanel('share')} isActive={activePanel === 'share'}/>
             </nav>
             
@@ -513,6 +883,21 @@ const NEW_MeetingSidebar = ({ isOpen, setIsOpen, jitsiApi, meetingLink, isHost,
                             onPromote={promoteToAdmin}
                             onDemote={demoteAdmin}
                             adminIdsSet={adminIdsSet}
+                            bans={bans}
+                            onUnban={handleUnban}
+                            raisedHandIds={raisedHandIds}
+                            panelistIds={panelistIds}
+                            onSetPanelist={canSetPanelists ? handleSetPanelist : null}
+                        />
+                    )}
+                    {activePanel === 'lobby' && (
+                        <LobbyPanel
+                            knocking={knocking}
+                            settings={lobbySettings}
+                            onAdmit={(id) => answerKnock([id], true)}
+                            onDeny={(id) => answerKnock([id], false)}
+                            onAdmitAll={() => answerKnock(knocking.map(k => k.id), true)}
+                            onChangeSettings={handleLobbySettings}
                         />
                     )}
                     {activePanel === 'share' && (
@@ -523,9 +908,60 @@ const NEW_MeetingSidebar = ({ isOpen, setIsOpen, jitsiApi, meetingLink, isHost,
                         />
                     )}
                     {activePanel === 'chat' && (
-                        <motion.div key="chat-placeholder" className="p-4 text-center text-slate-400 text-sm" initial={{opacity: 0}} animate={{opacity: 1}} exit={{opacity: 0}}>
-                            <p>Chat panel is managed by Jitsi.</p>
-                            <p className="mt-2">Clicking the button again will close it.</p>
+                        <motion.div key="chat-panel" {...PANEL_MOTION}>
+                            <ChatPanel
+                                jitsiApi={jitsiApi}
+                                meetingId={meetingId}
+                                meetingToken={meetingToken}
+                                participants={participants}
+                                canModerate={!!(isHost || isAdminProp)}
+                                showToast={showToast}
+                            />
+                        </motion.div>
+                    )}
+                    {activePanel === 'polls' && (
+                        <motion.div key="polls-panel" {...PANEL_MOTION}>
+                            <PollsPanel
+                                jitsiApi={jitsiApi}
+                                meetingId={meetingId}
+                                meetingToken={meetingToken}
+                                canModerate={!!(isHost || isAdminProp)}
+                                showToast={showToast}
+                            />
+                        </motion.div>
+                    )}
+                    {activePanel === 'breakouts' && canManageBreakouts && (
+                        <motion.div key="breakouts-panel" {...PANEL_MOTION}>
+                            <BreakoutsPanel
+                                jitsiApi={jitsiApi}
+                                meetingId={meetingId}
+                                meetingToken={meetingToken}
+                                breakouts={breakouts}
+                                onBreakoutsChange={handleBreakoutsChange}
+                                showToast={showToast}
+                            />
+                        </motion.div>
+                    )}
+                    {activePanel === 'captions' && (
+                        <motion.div key="captions-panel" {...PANEL_MOTION}>
+                            <TranscriptPanel
+                                jitsiApi={jitsiApi}
+                                meetingId={meetingId}
+                                meetingToken={meetingToken}
+                                canModerate={!!(isHost || isAdminProp)}
+                                showToast={showToast}
+                            />
+                        </motion.div>
+                    )}
+                    {activePanel === 'qa' && isWebinar && (
+                        <motion.div key="qa-panel" {...PANEL_MOTION}>
+                            <QnAPanel
+                                jitsiApi={jitsiApi}
+                                meetingId={meetingId}
+                                meetingToken={meetingToken}
+                                canModerate={!!(isHost || isAdminProp)}
+                                showToast={showToast}
+                            />
                         </motion.div>
                     )}
                 </AnimatePresence>
@@ -555,35 +991,42 @@ const NEW_MeetingSidebar = ({ isOpen, setIsOpen, jitsiApi, meetingLink, isHost,
                             onClick={(e) => e.stopPropagation()}
                         >
                             <h4 className="text-lg font-semibold text-white mb-1">Remove participant?</h4>
-                            <p className="text-sm text-slate-300 mb-4">This participant will be disconnected from the meeting.</p>
+                            <p className="text-sm text-slate-300 mb-4">{confirmKick.displayName || 'This participant'} will be disconnected from the meeting.</p>
+                            {canManageBans && (
+                                <div className="mb-4 space-y-2">
+                                    <label className="flex items-center gap-2 text-sm text-slate-200">
+                                        <input
+                                            type="checkbox"
+                                            checked={confirmKick.ban}
+                                            onChange={(e) => setConfirmKick(prev => ({ ...prev, ban: e.target.checked }))}
+                                            className="accent-red-500"
+                                        />
+                                        Don't let them rejoin
+                                    </label>
+                                    {confirmKick.ban && (
+                                        <>
+                                            <select
+                                                value={confirmKick.duration}
+                                                onChange={(e) => setConfirmKick(prev => ({ ...prev, duration: e.target.value }))}
+                                                className="w-full px-3 py-2 rounded-md bg-slate-900 border border-slate-700 text-sm text-slate-200"
+                                            >
+                                                {BAN_DURATIONS.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+                                            </select>
+                                            <input
+                                                type="text"
+                                                value={confirmKick.reason}
+                                                maxLength={200}
+                                                placeholder="Reason (optional, only hosts see it)"
+                                                onChange={(e) => setConfirmKick(prev => ({ ...prev, reason: e.target.value }))}
+                                                className="w-full px-3 py-2 rounded-md bg-slate-900 border border-slate-700 text-sm text-slate-200 placeholder-slate-500"
+                                            />
+                                        </>
+                                    )}
+                                </div>
+                            )}
                             <div className="flex justify-end gap-3">
                                 <button onClick={() => setConfirmKick(null)} className="px-4 py-2 rounded-md bg-slate-700 text-slate-200 hover:bg-slate-600">Cancel</button>
-                                <button onClick={async () => { 
-                                    try {
-                                        if (isHost) {
-                                            jitsiApi?.executeCommand('kickParticipant', confirmKick.participantId);
-                                        } else if (meetingId) {
-                                            await supabase.from('meeting_actions').insert([
-                                                {
-                                                    meeting_id: meetingId,
-                                                    type: 'kick',
-                                                    target_participant_id: confirmKick.participantId,
-                                                    status: 'pending',
-                                                    requested_by: jitsiApi?.myUserId && jitsiApi.myUserId()
-                                                }
-                                            ]);
-                                        }
-                                        if ((isHost || isAdmin) && meetingId && confirmKick.displayName) {
-                                            const { data: row } = await supabase.from('meetings').select('banned_display_names').eq('id', meetingId).single();
-                                            const banned = new Set(row?.banned_display_names || []);
-                                            banned.add(confirmKick.displayName);
-                                            await supabase.from('meetings').update({ banned_display_names: Array.from(banned) }).eq('id', meetingId);
-                                        }
-                                    } catch (e) {
-                                    } finally {
-                                        setConfirmKick(null);
-                                    }
-                                }} className="px-4 py-2 rounded-md bg-red-600 text-white hover:bg-red-500">Remove</button>
+                                <button onClick={handleConfirmKick} className="px-4 py-2 rounded-md bg-red-600 text-white hover:bg-red-500">{confirmKick.ban ? 'Remove and ban' : 'Remove'}</button>
                             </div>
                         </motion.div>
                     </motion.div>
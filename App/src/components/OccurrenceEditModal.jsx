@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { X, Repeat, CalendarX, Trash2 } from 'lucide-react';
+import { supabase } from '../supabase';
+import { updateMeeting, deleteMeeting } from '../api/meetings';
+import { describeRRule } from '../utils/recurrence';
+
+const toLocalInputValue = (value) => {
+    const d = new Date(value);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+// Edit a scheduled meeting. For recurring meetings the host picks whether the change
+// applies to this occurrence only or to the whole series. Invitees are emailed about changes.
+const OccurrenceEditModal = ({ occurrence, onClose, onSaved }) => {
+    const [scope, setScope] = useState(occurrence.is_recurring ? 'occurrence' : 'series');
+    const [name, setName] = useState(occurrence.name || '');
+    const [purpose, setPurpose] = useState(occurrence.purpose || '');
+    const [start, setStart] = useState(toLocalInputValue(occurrence.scheduled_for));
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [confirmDelete, setConfirmDelete] = useState(false);
+
+    const save = async (extra = {}) => {
+        setIsSaving(true);
+        setError(null);
+        try {
+            const newStart = new Date(start);
+            if (scope === 'occurrence') {
+                await updateMeeting(occurrence.id, {
+                    scope: 'occurrence',
+                    occurrenceStart: occurrence.original_start,
+                    name,
+                    purpose,
+                    scheduledFor: newStart.toISOString(),
+                    ...extra,
+                });
+            } else {
+                // Shift the series anchor by however far this occurrence was moved
+                let scheduledFor = newStart.toISOString();
+                if (occurrence.is_recurring) {
+                    const { data, error: seriesError } = await supabase
+                        .from('meetings')
+                        .select('scheduled_for')
+                        .eq('id', occurrence.id)
+                        .single();
+                    if (seriesError) throw seriesError;
+                    const delta = newStart.getTime() - new Date(occurrence.original_start).getTime();
+                    scheduledFor = new Date(new Date(data.scheduled_for).getTime() + delta).toISOString();
+                }
+                await updateMeeting(occurrence.id, { scope: 'series', name, purpose, scheduledFor });
+            }
+            onSaved && onSaved();
+            onClose();
+        } catch (e) {
+            setError(e.message || 'Failed to save changes.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // Cancelling the whole meeting deletes it; the first click only asks for confirmation
+    const cancelMeeting = async () => {
+        if (!confirmDelete) {
+            setConfirmDelete(true);
+            return;
+        }
+        setIsSaving(true);
+        setError(null);
+        try {
+            await deleteMeeting(occurrence.id);
+            onSaved && onSaved();
+            onClose();
+        } catch (e) {
+            setError(e.message || 'Failed to cancel meeting.');
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <motion.div
+            className="fixed inset-0 bg-black/60 z-[70] flex justify-center items-center p-4"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={onClose}
+        >
+            <motion.div
+                className="w-full max-w-md bg-slate-900 border border-slate-700 rounded-xl p-5 text-white"
+                initial={{ scale: 0.96, y: -10 }}
+                animate={{ scale: 1, y: 0 }}
+                exit={{ scale: 0.96, y: 10 }}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold">Edit Meeting</h3>
+                    <button onClick={onClose} className="text-slate-400 hover:text-white"><X size={20} /></button>
+                </div>
+
+                {occurrence.is_recurring && (
+                    <div className="mb-4">
+                        <p className="flex items-center gap-2 text-xs text-slate-400 mb-2">
+                            <Repeat size={14} />
+                            {describeRRule(occurrence.recurrence_rule)}
+                        </p>
+                        <div className="grid grid-cols-2 gap-2">
+                            {[
+                                { value: 'occurrence', label: 'This occurrence' },
+                                { value: 'series', label: 'All occurrences' },
+                            ].map(opt => (
+                                <button
+                                    key={opt.value}
+                                    type="button"
+                                    onClick={() => setScope(opt.value)}
+                                    className={`px-3 py-2 rounded-lg text-sm border transition-colors ${scope === opt.value
+                                        ? 'bg-blue-500/30 border-blue-500/50 text-blue-100'
+                                        : 'bg-slate-800/60 border-slate-700 text-slate-300 hover:text-white'}`}
+                                >
+                                    {opt.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                <div className="space-y-3">
+                    <div>
+                        <label className="text-xs text-slate-400">Title</label>
+                        <input value={name} onChange={(e) => setName(e.target.value)} className="w-full mt-1 bg-slate-800/60 border border-slate-700 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/50" />
+                    </div>
+                    <div>
+                        <label className="text-xs text-slate-400">Purpose</label>
+                        <textarea rows="2" value={purpose} onChange={(e) => setPurpose(e.target.value)} className="w-full mt-1 bg-slate-800/60 border border-slate-700 rounded-lg px-3 py-2 text-sm resize-none focus:outline-none focus:ring-2 focus:ring-blue-500/50" />
+                    </div>
+                    <div>
+                        <label className="text-xs text-slate-400">Starts</label>
+                        <input type="datetime-local" value={start} onChange={(e) => setStart(e.target.value)} className="w-full mt-1 bg-slate-800/60 border border-slate-700 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/50" />
+                    </div>
+                </div>
+
+                {error && <p className="text-red-400 text-sm mt-3">{error}</p>}
+
+                <div className="flex items-center justify-between gap-2 mt-5">
+                    {occurrence.is_recurring && scope === 'occurrence' ? (
+                        <button
+                            disabled={isSaving}
+                            onClick={() => save({ cancelled: true })}
+                            className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm text-red-300 hover:bg-red-500/20 disabled:opacity-50"
+                        >
+                            <CalendarX size={14} />
+                            Cancel occurrence
+                        </button>
+                    ) : (
+                        <button
+                            disabled={isSaving}
+                            onClick={cancelMeeting}
+                            className="flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm text-red-300 hover:bg-red-500/20 disabled:opacity-50"
+                        >
+                            <Trash2 size={14} />
+                            {confirmDelete ? 'Confirm cancel' : 'Cancel meeting'}
+                        </button>
+                    )}
+                    <div className="flex gap-2">
+                        <button onClick={onClose} className="px-3 py-1.5 rounded-md bg-slate-700 hover:bg-slate-600 text-sm">Close</button>
+                        <button disabled={isSaving || !name.trim() || !start} onClick={() => save()} className="px-3 py-1.5 rounded-md bg-blue-600 hover:bg-blue-500 text-sm disabled:opacity-50">
+                            {isSaving ? 'Saving…' : 'Save'}
+                        </button>
+                    </div>
+                </div>
+            </motion.div>
+        </motion.div>
+    );
+};
+
+export default OccurrenceEditModal;
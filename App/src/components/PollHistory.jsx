@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import { BarChart3, Download, Loader2 } from 'lucide-react';
+import { fetchPollResults, downloadPollResultsCsv } from '../api/meetings';
+import { PollResults } from './PollsPanel';
+
+// Polls tab of the meeting details modal: every poll's final results, with a CSV export.
+const PollHistory = ({ meetingId, onToast }) => {
+    const [polls, setPolls] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isDownloading, setIsDownloading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setIsLoading(true);
+        setError(null);
+        fetchPollResults(meetingId)
+            .then((data) => !cancelled && setPolls(data?.polls || []))
+            .catch((e) => !cancelled && setError(e.message || 'Failed to load polls.'))
+            .finally(() => !cancelled && setIsLoading(false));
+        return () => { cancelled = true; };
+    }, [meetingId]);
+
+    const handleDownload = async () => {
+        setIsDownloading(true);
+        try {
+            await downloadPollResultsCsv(meetingId);
+        } catch (e) {
+            onToast && onToast({ title: 'Download failed', message: e.message || 'Could not export the polls.', type: 'error' });
+        } finally {
+            setIsDownloading(false);
+        }
+    };
+
+    if (isLoading) {
+        return <div className="flex items-center gap-2 text-slate-400 text-sm"><Loader2 size={14} className="animate-spin" /> Loading…</div>;
+    }
+    if (error) {
+        return <p className="text-red-400 text-sm">{error}</p>;
+    }
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center justify-between gap-2">
+                <p className="flex items-center gap-2 text-xs text-slate-400">
+                    <BarChart3 size={14} /> {polls.length} {polls.length === 1 ? 'poll' : 'polls'}
+                </p>
+                <button
+                    disabled={isDownloading || polls.length === 0}
+                    onClick={handleDownload}
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-md bg-slate-700 hover:bg-slate-600 text-xs disabled:opacity-50"
+                >
+                    <Download size={14} /> {isDownloading ? 'Exporting…' : 'Export CSV'}
+                </button>
+            </div>
+            {polls.length === 0 ? (
+                <p className="text-slate-400 text-sm">No polls were run in this meeting.</p>
+            ) : (
+                <div className="max-h-72 overflow-y-auto thin-scrollbar space-y-3">
+                    {polls.map((poll) => (
+                        <div key={poll.id} className="border border-slate-700/60 rounded-lg p-3 space-y-2">
+                            <p className="text-sm font-medium text-slate-200">{poll.question}</p>
+                            <p className="text-[11px] text-slate-500">
+                                {poll.totalVoters} {poll.totalVoters === 1 ? 'vote' : 'votes'}
+                                {poll.anonymous ? ' · anonymous' : ''}{poll.allowMultiple ? ' · multiple choice' : ''}
+                            </p>
+                            <PollResults poll={poll} />
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PollHistory;
@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { BarChart3, Plus, X, Loader2, EyeOff, Lock } from 'lucide-react';
+import { fetchMeetingPolls, createMeetingPoll, voteInMeetingPoll, closeMeetingPoll } from '../api/meetings';
+
+// Polls live in meeting_polls (through the API). Like the chat, a change is announced with a
+// 'poll-updated' endpoint message and everyone refetches; the poll covers missed notices.
+const POLL_MS = 20000;
+const UNVERIFIED_RETRY_MS = 3000;
+const MAX_OPTIONS = 10;
+
+const emptyDraft = () => ({ question: '', options: ['', ''], allowMultiple: false, anonymous: false });
+
+// Result bars of one poll; voter names only come back for polls that are not anonymous
+export const PollResults = ({ poll }) => (
+    <ul className="space-y-1.5">
+        {poll.options.map((option, index) => {
+            const percent = poll.totalVoters ? Math.round((option.votes / poll.totalVoters) * 100) : 0;
+            return (
+                <li key={index} className="text-xs">
+                    <div className="flex justify-between gap-2 text-slate-300">
+                        <span className="truncate">{option.text}</span>
+                        <span className="flex-shrink-0 text-slate-400">{option.votes} · {percent}%</span>
+                    </div>
+                    <div className="mt-0.5 h-1.5 rounded-full bg-slate-700 overflow-hidden">
+                        <div className="h-full bg-cyan-500" style={{ width: `${percent}%` }} />
+                    </div>
+                    {option.voters?.length > 0 && <p className="mt-0.5 text-[11px] text-slate-500 truncate" title={option.voters.join(', ')}>{option.voters.join(', ')}</p>}
+                </li>
+            );
+        })}
+    </ul>
+);
+
+const PollsPanel = ({ jitsiApi, meetingId, meetingToken, canModerate, showToast }) => {
+    const [polls, setPolls] = useState([]);
+    const [status, setStatus] = useState('loading');
+    const [draft, setDraft] = useState(null);
+    const [selections, setSelections] = useState({});
+    const [busyId, setBusyId] = useState(null);
+
+    const myId = (jitsiApi?.myUserId && jitsiApi.myUserId()) || null;
+    const auth = { token: meetingToken, participantId: myId };
+
+    const load = useCallback(async () => {
+        if (!meetingId || !meetingToken || !myId) return;
+        try {
+            const { polls: fetched } = await fetchMeetingPolls(meetingId, { token: meetingToken, participantId: myId });
+            setPolls(fetched);
+            setStatus('ready');
+        } catch (e) {
+            setStatus(e.details === 'participant_unverified' ? 'waiting' : 'error');
+        }
+    }, [meetingId, meetingToken, myId]);
+
+    useEffect(() => {
+        load();
+        const poll = setInterval(load, POLL_MS);
+        return () => clearInterval(poll);
+    }, [load]);
+
+    useEffect(() => {
+        if (status !== 'waiting') return;
+        const retry = setTimeout(load, UNVERIFIED_RETRY_MS);
+        return () => clearTimeout(retry);
+    }, [status, load]);
+
+    useEffect(() => {
+        if (!jitsiApi) return;
+        const onEndpointMessage = (evt) => {
+            const text = evt?.text ?? evt?.eventData?.text;
+            let payload = null;
+            try { payload = typeof text === 'string' ? JSON.parse(text) : null; } catch { return; }
+            if (payload?.type === 'poll-updated') load();
+        };
+        jitsiApi.addEventListener('endpointTextMessageReceived', onEndpointMessage);
+        return () => jitsiApi.removeEventListener('endpointTextMessageReceived', onEndpointMessage);
+    }, [jitsiApi, load]);
+
+    const notify = () => {
+        try { jitsiApi?.executeCommand('sendEndpointTextMessage', '', JSON.stringify({ type: 'poll-updated' })); } catch (e) { console.warn('[Polls] Could not notify participants', e); }
+    };
+
+    const fail = (title, err, fallback) => showToast && showToast({ title, message: err.message || fallback, type: 'error' });
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setBusyId('new');
+        try {
+            await createMeetingPoll(meetingId, { ...auth, ...draft, options: draft.options.map(o => o.trim()).filter(Boolean) });
+            setDraft(null);
+            notify();
+            await load();
+        } catch (err) {
+            fail('Poll not started', err, 'Please check the question and options.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const toggleChoice = (poll, index) => {
+        setSelections(prev => {
+            const current = prev[poll.id] ?? poll.myChoices;
+            if (!poll.allowMultiple) return { ...prev, [poll.id]: [index] };
+            const next = current.includes(index) ? current.filter(i => i !== index) : [...current, index];
+            return { ...prev, [poll.id]: next };
+        });
+    };
+
+    const handleVote = async (poll) => {
+        const choices = selections[poll.id] ?? poll.myChoices;
+        if (!choices.length) return;
+        setBusyId(poll.id);
+        try {
+            await voteInMeetingPoll(meetingId, poll.id, { ...auth, choices });
+            setSelections(prev => {
+                const { [poll.id]: _done, ...rest } = prev;
+                return rest;
+            });
+            notify();
+            await load();
+        } catch (err) {
+            fail('Vote not recorded', err, 'Please try again.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleClose = async (poll) => {
+        setBusyId(poll.id);
+        try {
+            await closeMeetingPoll(meetingId, poll.id, auth);
+            notify();
+            await load();
+        } catch (err) {
+            fail('Could not close the poll', err, 'Please try again.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const setOption = (index, value) => setDraft(d => ({ ...d, options: d.options.map((o, i) => (i === index ? value : o)) }));
+
+    if (!meetingToken) {
+        return <p className="p-4 text-center text-slate-400 text-sm">Polls are available once you have joined with a meeting token.</p>;
+    }
+
+    return (
+        <div className="space-y-3 p-1 max-h-[calc(100vh-18rem)] overflow-y-auto scrollbar-thin scrollbar-thumb-slate-600 scrollbar-track-slate-800/50 scrollbar-thumb-rounded-full">
+            {canModerate && !draft && (
+                <button onClick={() => setDraft(emptyDraft())} className="w-full flex items-center justify-center gap-2 px-3 py-2 rounded-md bg-cyan-600 text-white text-sm hover:bg-cyan-500">
+                    <Plus size={16} /> New poll
+                </button>
+            )}
+
+            {draft && (
+                <form onSubmit={handleCreate} className="space-y-2 rounded-lg border border-slate-700 p-2">
+                    <input
+                        type="text"
+                        value={draft.question}
+                        maxLength={500}
+                        onChange={(e) => setDraft(d => ({ ...d, question: e.target.value }))}
+                        placeholder="Question"
+                        className="w-full px-2 py-1.5 rounded-md bg-slate-800 border border-slate-700 text-sm text-slate-200 placeholder-slate-500"
+                    />
+                    {draft.options.map((option, index) => (
+                        <div key={index} className="flex items-center gap-1">
+                            <input
+                                type="text"
+                                value={option}
+                                maxLength={200}
+                                onChange={(e) => setOption(index, e.target.value)}
+                                placeholder={`Option ${index + 1}`}
+                                className="flex-grow px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-xs text-slate-200 placeholder-slate-500"
+                            />
+                            {draft.options.length > 2 && (
+                                <button type="button" onClick={() => setDraft(d => ({ ...d, options: d.options.filter((_, i) => i !== index) }))} title="Remove option" className="text-slate-500 hover:text-red-400">
+                                    <X size={14} />
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                    {draft.options.length < MAX_OPTIONS && (
+                        <button type="button" onClick={() => setDraft(d => ({ ...d, options: [...d.options, ''] }))} className="text-xs text-cyan-400 hover:text-cyan-300">+ Add option</button>
+                    )}
+                    <label className="flex items-center gap-2 text-xs text-slate-300">
+                        <input type="checkbox" checked={draft.allowMultiple} onChange={(e) => setDraft(d => ({ ...d, allowMultiple: e.target.checked }))} /> Allow several answers
+                    </label>
+                    <label className="flex items-center gap-2 text-xs text-slate-300">
+                        <input type="checkbox" checked={draft.anonymous} onChange={(e) => setDraft(d => ({ ...d, anonymous: e.target.checked }))} /> Anonymous (hide who voted for what)
+                    </label>
+                    <div className="flex justify-end gap-2">
+                        <button type="button" onClick={() => setDraft(null)} className="px-3 py-1 rounded-md text-xs text-slate-300 hover:bg-slate-700">Cancel</button>
+                        <button
+                            type="submit"
+                            disabled={busyId === 'new' || !draft.question.trim() || draft.options.filter(o => o.trim()).length < 2}
+                            className="px-3 py-1 rounded-md bg-cyan-600 text-white text-xs hover:bg-cyan-500 disabled:opacity-50"
+                        >
+                            Start poll
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {status === 'loading' && <p className="flex items-center gap-2 px-2 text-sm text-slate-400"><Loader2 size={14} className="animate-spin" /> Loading polls…</p>}
+            {status === 'waiting' && <p className="px-2 text-sm text-slate-400">Connecting to polls…</p>}
+            {status === 'error' && <p className="px-2 text-sm text-red-400">Could not load the polls.</p>}
+            {status === 'ready' && polls.length === 0 && !draft && <p className="px-2 text-sm text-slate-500">No polls yet.</p>}
+
+            {[...polls].reverse().map(poll => {
+                const selected = selections[poll.id] ?? poll.myChoices;
+                const hasVoted = poll.myChoices.length > 0;
+                const showResults = canModerate || hasVoted || !poll.isOpen;
+                return (
+                    <div key={poll.id} className="rounded-lg bg-slate-800/50 p-2 space-y-2">
+                        <div className="flex items-start gap-2">
+                            <BarChart3 size={14} className="mt-0.5 flex-shrink-0 text-cyan-400" />
+                            <p className="flex-grow text-sm font-medium text-slate-200 break-words">{poll.question}</p>
+                            {poll.anonymous && <span title="Anonymous" className="mt-1 flex-shrink-0 text-slate-500"><EyeOff size={12} /></span>}
+                            {!poll.isOpen && <span title="Closed" className="mt-1 flex-shrink-0 text-slate-500"><Lock size={12} /></span>}
+                        </div>
+                        {poll.isOpen && (
+                            <div className="space-y-1">
+                                {poll.options.map((option, index) => (
+                                    <label key={index} className="flex items-center gap-2 text-xs text-slate-300">
+                                        <input
+                                            type={poll.allowMultiple ? 'checkbox' : 'radio'}
+                                            name={`poll-${poll.id}`}
+                                            checked={selected.includes(index)}
+                                            onChange={() => toggleChoice(poll, index)}
+                                        />
+                                        {option.text}
+                                    </label>
+                                ))}
+                                <button
+                                    onClick={() => handleVote(poll)}
+                                    disabled={busyId === poll.id || !selected.length}
+                                    className="mt-1 px-3 py-1 rounded-md bg-slate-700 text-xs text-slate-200 hover:bg-slate-600 disabled:opacity-50"
+                                >
+                                    {hasVoted ? 'Change vote' : 'Vote'}
+                                </button>
+                            </div>
+                        )}
+                        {showResults && (
+                            <>
+                                <p className="text-[11px] text-slate-500">{poll.totalVoters} {poll.totalVoters === 1 ? 'vote' : 'votes'}{poll.isOpen ? '' : ' · closed'}</p>
+                                <PollResults poll={poll} />
+                            </>
+                        )}
+                        {canModerate && poll.isOpen && (
+                            <button onClick={() => handleClose(poll)} disabled={busyId === poll.id} className="text-xs text-slate-400 hover:text-red-400 disabled:opacity-50">
+                                Close poll
+                            </button>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default PollsPanel;
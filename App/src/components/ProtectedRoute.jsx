@@ -14,7 +14,8 @@ const ProtectedRoute = ({ children, requiredRole, fallbackTo = '/home' }) => {
 
   if (!authToken) {
     // Special handling: if user tried to open a meeting link directly, send them to guest join page
-    const meetingMatch = location.pathname.match(/^\/meeting\/([^\/?#]+)/i);
+    // (summaries need an account, so those go to the login like any other page)
+    const meetingMatch = !/\/summary\/?$/i.test(location.pathname) && location.pathname.match(/^\/meeting\/([^\/?#]+)/i);
     if (meetingMatch && meetingMatch[1]) {
       // If guest flow initiated, allow access directly
       const joinAsGuest = localStorage.getItem('joinAsGuest') === 'true';
@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ThumbsUp, Check, X, Radio, CheckCheck, Loader2, Send } from 'lucide-react';
+import { fetchMeetingQuestions, askMeetingQuestion, voteForMeetingQuestion, moderateMeetingQuestion } from '../api/meetings';
+
+// Webinar Q&A, stored in meeting_questions (through the API). Changes are announced with a
+// 'qa-updated' endpoint message and everyone refetches, as for the chat and polls.
+const POLL_MS = 20000;
+const UNVERIFIED_RETRY_MS = 3000;
+
+const STATUS_LABELS = {
+    pending: 'Awaiting approval',
+    approved: null,
+    answering: 'Answering now',
+    answered: 'Answered',
+    dismissed: 'Dismissed',
+};
+
+const QnAPanel = ({ jitsiApi, meetingId, meetingToken, canModerate, showToast }) => {
+    const [questions, setQuestions] = useState([]);
+    const [status, setStatus] = useState('loading');
+    const [draft, setDraft] = useState('');
+    const [anonymous, setAnonymous] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+    const [answerDrafts, setAnswerDrafts] = useState({});
+
+    const myId = (jitsiApi?.myUserId && jitsiApi.myUserId()) || null;
+    const auth = { token: meetingToken, participantId: myId };
+
+    const load = useCallback(async () => {
+        if (!meetingId || !meetingToken || !myId) return;
+        try {
+            const { questions: fetched } = await fetchMeetingQuestions(meetingId, { token: meetingToken, participantId: myId });
+            setQuestions(fetched);
+            setStatus('ready');
+        } catch (e) {
+            setStatus(e.details === 'participant_unverified' ? 'waiting' : 'error');
+        }
+    }, [meetingId, meetingToken, myId]);
+
+    useEffect(() => {
+        load();
+        const poll = setInterval(load, POLL_MS);
+        return () => clearInterval(poll);
+    }, [load]);
+
+    useEffect(() => {
+        if (status !== 'waiting') return;
+        const retry = setTimeout(load, UNVERIFIED_RETRY_MS);
+        return () => clearTimeout(retry);
+    }, [status, load]);
+
+    useEffect(() => {
+        if (!jitsiApi) return;
+        const onEndpointMessage = (evt) => {
+            const text = evt?.text ?? evt?.eventData?.text;
+            let payload = null;
+            try { payload = typeof text === 'string' ? JSON.parse(text) : null; } catch { return; }
+            if (payload?.type === 'qa-updated') load();
+        };
+        jitsiApi.addEventListener('endpointTextMessageReceived', onEndpointMessage);
+        return () => jitsiApi.removeEventListener('endpointTextMessageReceived', onEndpointMessage);
+    }, [jitsiApi, load]);
+
+    const notify = () => {
+        try { jitsiApi?.executeCommand('sendEndpointTextMessage', '', JSON.stringify({ type: 'qa-updated' })); } catch (e) { console.warn('[Q&A] Could not notify participants', e); }
+    };
+
+    // Run a change, then tell everyone and refresh
+    const run = async (id, action, failTitle) => {
+        setBusyId(id);
+        try {
+            await action();
+            notify();
+            await load();
+            return true;
+        } catch (err) {
+            showToast && showToast({ title: failTitle, message: err.message || 'Please try again.', type: 'error' });
+            return false;
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleAsk = async (e) => {
+        e.preventDefault();
+        const body = draft.trim();
+        if (!body) return;
+        const asked = await run('new', () => askMeetingQuestion(meetingId, { ...auth, body, anonymous }), 'Question not sent');
+        if (asked) {
+            setDraft('');
+            if (!canModerate) showToast && showToast({ title: 'Question sent', message: 'It will appear once a moderator approves it.', type: 'success' });
+        }
+    };
+
+    const handleUpvote = (q) => run(q.id, () => voteForMeetingQuestion(meetingId, q.id, { ...auth, upvote: !q.upvotedByMe }), 'Upvote failed');
+
+    const handleModerate = async (q, changes) => {
+        const done = await run(q.id, () => moderateMeetingQuestion(meetingId, q.id, { ...auth, ...changes }), 'Could not update the question');
+        if (done && changes.answer !== undefined) {
+            setAnswerDrafts(prev => {
+                const { [q.id]: _sent, ...rest } = prev;
+                return rest;
+            });
+        }
+    };
+
+    if (!meetingToken) {
+        return <p className="p-4 text-center text-slate-400 text-sm">Q&amp;A is available once you have joined with a meeting token.</p>;
+    }
+
+    return (
+        <div className="flex flex-col h-[calc(100vh-18rem)] p-1">
+            <div className="flex-grow overflow-y-auto space-y-2 pr-1 scrollbar-thin scrollbar-thumb-slate-600 scrollbar-track-slate-800/50 scrollbar-thumb-rounded-full">
+                {status === 'loading' && <p className="flex items-center gap-2 px-2 text-sm text-slate-400"><Loader2 size={14} className="animate-spin" /> Loading questions…</p>}
+                {status === 'waiting' && <p className="px-2 text-sm text-slate-400">Connecting to Q&amp;A…</p>}
+                {status === 'error' && <p className="px-2 text-sm text-red-400">Could not load the questions.</p>}
+                {status === 'ready' && questions.length === 0 && <p className="px-2 text-sm text-slate-500">No questions yet.</p>}
+                {questions.map(q => {
+                    const label = STATUS_LABELS[q.status];
+                    const busy = busyId === q.id;
+                    return (
+                        <div key={q.id} className={`rounded-lg p-2 space-y-1.5 ${q.status === 'answering' ? 'bg-cyan-500/10 ring-1 ring-cyan-500/40' : 'bg-slate-800/50'} ${q.status === 'dismissed' ? 'opacity-60' : ''}`}>
+                            <div className="flex items-center gap-2 text-xs text-slate-400">
+                                <span className="font-semibold text-slate-200 truncate">{q.mine ? 'You' : (q.askerName || 'Anonymous')}</span>
+                                {q.mine && q.anonymous && <span className="text-slate-500">(anonymous)</span>}
+                                {label && <span className={`ml-auto flex-shrink-0 ${q.status === 'answering' ? 'text-cyan-300' : 'text-slate-500'}`}>{label}</span>}
+                            </div>
+                            <p className="text-sm text-slate-200 whitespace-pre-wrap break-words">{q.body}</p>
+                            {q.answer && <p className="text-xs text-emerald-300 whitespace-pre-wrap break-words border-l-2 border-emerald-500/50 pl-2">{q.answer}</p>}
+                            <div className="flex items-center gap-2">
+                                <button
+                                    onClick={() => handleUpvote(q)}
+                                    disabled={busy || q.status === 'dismissed'}
+                                    title={q.upvotedByMe ? 'Remove upvote' : 'Upvote'}
+                                    className={`flex items-center gap-1 px-2 py-0.5 rounded-md text-xs disabled:opacity-50 ${q.upvotedByMe ? 'bg-cyan-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}`}
+                                >
+                                    <ThumbsUp size={12} /> {q.upvotes}
+                                </button>
+                                {canModerate && (
+                                    <div className="ml-auto flex items-center gap-1">
+                                        {q.status === 'pending' && (
+                                            <button onClick={() => handleModerate(q, { status: 'approved' })} disabled={busy} title="Approve" className="p-1 rounded-md text-emerald-400 hover:bg-slate-700 disabled:opacity-50"><Check size={14} /></button>
+                                        )}
+                                        {['pending', 'approved'].includes(q.status) && (
+                                            <button onClick={() => handleModerate(q, { status: 'answering' })} disabled={busy} title="Answer live" className="p-1 rounded-md text-cyan-400 hover:bg-slate-700 disabled:opacity-50"><Radio size={14} /></button>
+                                        )}
+                                        {q.status !== 'answered' && q.status !== 'dismissed' && (
+                                            <button onClick={() => handleModerate(q, { status: 'answered' })} disabled={busy} title="Mark answered" className="p-1 rounded-md text-slate-300 hover:bg-slate-700 disabled:opacity-50"><CheckCheck size={14} /></button>
+                                        )}
+                                        {q.status !== 'dismissed' && (
+                                            <button onClick={() => handleModerate(q, { status: 'dismissed' })} disabled={busy} title="Dismiss" className="p-1 rounded-md text-red-400 hover:bg-slate-700 disabled:opacity-50"><X size={14} /></button>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                            {canModerate && q.status !== 'dismissed' && (
+                                <form
+                                    onSubmit={(e) => { e.preventDefault(); handleModerate(q, { answer: answerDrafts[q.id] ?? '' }); }}
+                                    className="flex items-center gap-1"
+                                >
+                                    <input
+                                        type="text"
+                                        value={answerDrafts[q.id] ?? ''}
+                                        maxLength={2000}
+                                        onChange={(e) => setAnswerDrafts(prev => ({ ...prev, [q.id]: e.target.value }))}
+                                        placeholder={q.answer ? 'Edit the written answer…' : 'Write an answer (optional)…'}
+                                        className="flex-grow px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-xs text-slate-200 placeholder-slate-500"
+                                    />
+                                    <button type="submit" disabled={busy || answerDrafts[q.id] === undefined} title="Save answer" className="p-1 rounded-md text-slate-300 hover:bg-slate-700 disabled:opacity-50"><Send size={12} /></button>
+                                </form>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <form onSubmit={handleAsk} className="pt-2 space-y-2 flex-shrink-0">
+                <textarea
+                    rows={2}
+                    value={draft}
+                    maxLength={1000}
+                    disabled={status !== 'ready'}
+                    onChange={(e) => setDraft(e.target.value)}
+                    placeholder="Ask a question…"
+                    className="w-full px-3 py-2 rounded-md bg-slate-800 border border-slate-700 text-sm text-slate-200 placeholder-slate-500 resize-none disabled:opacity-50"
+                />
+                <div className="flex items-center justify-between gap-2">
+                    <label className="flex items-center gap-2 text-xs text-slate-300">
+                        <input type="checkbox" checked={anonymous} onChange={(e) => setAnonymous(e.target.checked)} /> Ask anonymously
+                    </label>
+                    <button type="submit" disabled={!draft.trim() || busyId === 'new' || status !== 'ready'} className="px-3 py-1.5 rounded-md bg-cyan-600 text-white text-xs hover:bg-cyan-500 disabled:opacity-50">
+                        Ask
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default QnAPanel;
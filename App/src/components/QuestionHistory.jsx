@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import { Download, Loader2, MessageCircleQuestion, ThumbsUp } from 'lucide-react';
+import { fetchQuestionExport, downloadQuestionsCsv } from '../api/meetings';
+
+// Q&A tab of the meeting details modal (webinars): every question asked, with a CSV export.
+const QuestionHistory = ({ meetingId, onToast }) => {
+    const [questions, setQuestions] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isDownloading, setIsDownloading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setIsLoading(true);
+        setError(null);
+        fetchQuestionExport(meetingId)
+            .then((data) => !cancelled && setQuestions(data?.questions || []))
+            .catch((e) => !cancelled && setError(e.message || 'Failed to load questions.'))
+            .finally(() => !cancelled && setIsLoading(false));
+        return () => { cancelled = true; };
+    }, [meetingId]);
+
+    const handleDownload = async () => {
+        setIsDownloading(true);
+        try {
+            await downloadQuestionsCsv(meetingId);
+        } catch (e) {
+            onToast && onToast({ title: 'Download failed', message: e.message || 'Could not export the questions.', type: 'error' });
+        } finally {
+            setIsDownloading(false);
+        }
+    };
+
+    if (isLoading) {
+        return <div className="flex items-center gap-2 text-slate-400 text-sm"><Loader2 size={14} className="animate-spin" /> Loading…</div>;
+    }
+    if (error) {
+        return <p className="text-red-400 text-sm">{error}</p>;
+    }
+
+    return (
+        <div className="space-y-3">
+            <div className="flex items-center justify-between gap-2">
+                <p className="flex items-center gap-2 text-xs text-slate-400">
+                    <MessageCircleQuestion size={14} /> {questions.length} {questions.length === 1 ? 'question' : 'questions'}
+                </p>
+                <button
+                    disabled={isDownloading || questions.length === 0}
+                    onClick={handleDownload}
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-md bg-slate-700 hover:bg-slate-600 text-xs disabled:opacity-50"
+                >
+                    <Download size={14} /> {isDownloading ? 'Exporting…' : 'Export CSV'}
+                </button>
+            </div>
+            {questions.length === 0 ? (
+                <p className="text-slate-400 text-sm">No questions were asked in this webinar.</p>
+            ) : (
+                <div className="max-h-72 overflow-y-auto thin-scrollbar border border-slate-700/60 rounded-lg divide-y divide-slate-800">
+                    {questions.map((q) => (
+                        <div key={q.id} className="px-3 py-2">
+                            <div className="flex items-center gap-2 text-xs text-slate-400">
+                                <span className="font-medium text-slate-200">{q.askerName || 'Anonymous'}</span>
+                                <span>{q.status}</span>
+                                <span className="ml-auto flex items-center gap-1"><ThumbsUp size={12} /> {q.upvotes}</span>
+                            </div>
+                            <p className="text-sm text-slate-200 whitespace-pre-wrap break-words">{q.body}</p>
+                            {q.answer && <p className="mt-1 text-xs text-emerald-300 whitespace-pre-wrap break-words">{q.answer}</p>}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default QuestionHistory;
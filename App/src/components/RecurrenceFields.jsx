@@ -0,0 +1,116 @@
+import React from 'react';
+import { Repeat } from 'lucide-react';
+import { WEEKDAYS, describeRRule, buildRRule } from '../utils/recurrence';
+
+const FREQUENCY_OPTIONS = [
+    { value: 'NONE', label: 'Does not repeat' },
+    { value: 'DAILY', label: 'Daily' },
+    { value: 'WEEKLY', label: 'Weekly' },
+    { value: 'MONTHLY', label: 'Monthly' },
+];
+
+const UNIT_LABELS = { DAILY: 'day(s)', WEEKLY: 'week(s)', MONTHLY: 'month(s)' };
+
+// Controlled editor for a meeting's repeat settings (see utils/recurrence.js for the state shape)
+const RecurrenceFields = ({ value, onChange }) => {
+    const update = (patch) => onChange({ ...value, ...patch });
+    const toggleDay = (code) => {
+        const days = value.byDay.includes(code)
+            ? value.byDay.filter(d => d !== code)
+            : [...value.byDay, code];
+        update({ byDay: days });
+    };
+    const summary = describeRRule(buildRRule(value));
+
+    return (
+        <div className="p-4 bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl space-y-3">
+            <div className="flex items-center justify-between gap-3">
+                <div className="flex items-center gap-3">
+                    <Repeat className="text-slate-400" size={18} />
+                    <span className="text-white text-sm font-medium">Repeat</span>
+                </div>
+                <select
+                    value={value.freq}
+                    onChange={(e) => update({ freq: e.target.value })}
+                    className="bg-slate-900/60 border border-slate-600/50 rounded-lg px-3 py-1.5 text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500/50"
+                >
+                    {FREQUENCY_OPTIONS.map(opt => (
+                        <option key={opt.value} value={opt.value}>{opt.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            {value.freq !== 'NONE' && (
+                <>
+                    <div className="flex items-center gap-2 text-sm text-slate-300">
+                        <span>Every</span>
+                        <input
+                            type="number"
+                            min="1"
+                            max="99"
+                            value={value.interval}
+                            onChange={(e) => update({ interval: e.target.value })}
+                            className="w-16 bg-slate-900/60 border border-slate-600/50 rounded-lg px-2 py-1 text-white focus:outline-none"
+                        />
+                        <span>{UNIT_LABELS[value.freq]}</span>
+                    </div>
+
+                    {value.freq === 'WEEKLY' && (
+                        <div className="flex flex-wrap gap-1.5">
+                            {WEEKDAYS.map(day => (
+                                <button
+                                    key={day.code}
+                                    type="button"
+                                    onClick={() => toggleDay(day.code)}
+                                    className={`px-2.5 py-1 rounded-lg text-xs font-medium border transition-colors ${value.byDay.includes(day.code)
+                                        ? 'bg-blue-500/30 text-blue-200 border-blue-500/50'
+                                        : 'bg-slate-900/40 text-slate-400 border-slate-600/50 hover:text-white'}`}
+                                >
+                                    {day.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    <div className="flex flex-wrap items-center gap-2 text-sm text-slate-300">
+                        <span>Ends</span>
+                        <select
+                            value={value.endType}
+                            onChange={(e) => update({ endType: e.target.value })}
+                            className="bg-slate-900/60 border border-slate-600/50 rounded-lg px-2 py-1 text-white focus:outline-none"
+                        >
+                            <option value="never">Never</option>
+                            <option value="until">On date</option>
+                            <option value="count">After</option>
+                        </select>
+                        {value.endType === 'until' && (
+                            <input
+                                type="date"
+                                value={value.until}
+                                onChange={(e) => update({ until: e.target.value })}
+                                className="bg-slate-900/60 border border-slate-600/50 rounded-lg px-2 py-1 text-white focus:outline-none"
+                            />
+                        )}
+                        {value.endType === 'count' && (
+                            <>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="1000"
+                                    value={value.count}
+                                    onChange={(e) => update({ count: e.target.value })}
+                                    className="w-20 bg-slate-900/60 border border-slate-600/50 rounded-lg px-2 py-1 text-white focus:outline-none"
+                                />
+                                <span>occurrences</span>
+                            </>
+                        )}
+                    </div>
+
+                    {summary && <p className="text-xs text-slate-400">{summary}</p>}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default RecurrenceFields;
@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Check, Copy, Download, Link2, Loader2, Plus, UserCheck, UserX, X } from 'lucide-react';
+import { updateMeeting, fetchRegistrations, setRegistrationStatus, reissueRegistrationLink, downloadRegistrationsCsv } from '../api/meetings';
+
+const STATUS_STYLES = {
+    pending: 'text-amber-300',
+    approved: 'text-emerald-300',
+    rejected: 'text-red-400',
+};
+
+const settingsFromMeeting = (meeting) => ({
+    enabled: !!meeting.registration_enabled,
+    requiresApproval: !!meeting.registration_requires_approval,
+    capacity: meeting.registration_capacity ? String(meeting.registration_capacity) : '',
+    fields: (meeting.registration_fields || []).map(f => ({ ...f })),
+});
+
+const Toggle = ({ checked, onChange, label }) => (
+    <label className="flex items-center gap-2 text-sm text-slate-300">
+        <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} /> {label}
+    </label>
+);
+
+// Registration tab of the meeting details modal (webinars): the sign-up form settings, the
+// registrant list with approve/reject and new join links, and the CSV export.
+const RegistrationManager = ({ meeting, onToast, onSaved }) => {
+    const [settings, setSettings] = useState(() => settingsFromMeeting(meeting));
+    const [isSaving, setIsSaving] = useState(false);
+    const [registrations, setRegistrations] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [busyId, setBusyId] = useState(null);
+    const [issuedLink, setIssuedLink] = useState(null);
+    const [isDownloading, setIsDownloading] = useState(false);
+    const [copied, setCopied] = useState(null);
+
+    const registerUrl = `${window.location.origin}/register/${meeting.id}`;
+    const toastError = (title, e, fallback) => onToast && onToast({ title, message: e.message || fallback, type: 'error' });
+
+    const load = useCallback(async () => {
+        setError(null);
+        try {
+            const data = await fetchRegistrations(meeting.id);
+            setRegistrations(data.registrations || []);
+        } catch (e) {
+            setError(e.message || 'Failed to load registrants.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [meeting.id]);
+
+    useEffect(() => { load(); }, [load]);
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        try {
+            const payload = {
+                registrationEnabled: settings.enabled,
+                registrationRequiresApproval: settings.requiresApproval,
+                registrationCapacity: settings.capacity.trim() ? Number(settings.capacity) : null,
+                registrationFields: settings.fields.filter(f => f.label.trim()),
+            };
+            const updated = await updateMeeting(meeting.id, payload);
+            onSaved && onSaved(updated);
+            onToast && onToast({ title: 'Registration saved', message: settings.enabled ? 'The registration page is open.' : 'Registration is off.', type: 'success' });
+        } catch (e) {
+            toastError('Save failed', e, 'Could not save the registration settings.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleStatus = async (registration, status) => {
+        setBusyId(registration.id);
+        try {
+            const updated = await setRegistrationStatus(meeting.id, registration.id, status);
+            setRegistrations(list => list.map(r => (r.id === updated.id ? updated : r)));
+        } catch (e) {
+            toastError('Update failed', e, 'Could not update the registration.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleNewLink = async (registration) => {
+        setBusyId(registration.id);
+        try {
+            const { joinPath } = await reissueRegistrationLink(meeting.id, registration.id);
+            setIssuedLink({ id: registration.id, url: `${window.location.origin}${joinPath}` });
+        } catch (e) {
+            toastError('Could not issue a link', e, 'Please try again.');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleCopy = async (key, text) => {
+        try {
+            await navigator.clipboard.writeText(text);
+            setCopied(key);
+            setTimeout(() => setCopied(null), 2000);
+        } catch (e) {
+            console.warn('[Registration] Could not copy', e);
+        }
+    };
+
+    const handleDownload = async () => {
+        setIsDownloading(true);
+        try {
+            await downloadRegistrationsCsv(meeting.id);
+        } catch (e) {
+            toastError('Download failed', e, 'Could not export the registrants.');
+        } finally {
+            setIsDownloading(false);
+        }
+    };
+
+    const setField = (index, changes) => setSettings(s => ({ ...s, fields: s.fields.map((f, i) => (i === index ? { ...f, ...changes } : f)) }));
+    const seatsTaken = registrations.filter(r => r.status !== 'rejected').length;
+
+    return (
+        <div className="space-y-4">
+            <div className="space-y-2 border border-slate-700/60 rounded-lg p-3">
+                <Toggle checked={settings.enabled} onChange={(enabled) => setSettings(s => ({ ...s, enabled }))} label="Require registration to join" />
+                {settings.enabled && (
+                    <>
+                        <Toggle checked={settings.requiresApproval} onChange={(requiresApproval) => setSettings(s => ({ ...s, requiresApproval }))} label="Approve each registrant" />
+                        <label className="flex items-center gap-2 text-sm text-slate-300">
+                            Capacity
+                            <input
+                                type="number"
+                                min={1}
+                                value={settings.capacity}
+                                onChange={(e) => setSettings(s => ({ ...s, capacity: e.target.value }))}
+                                placeholder="No limit"
+                                className="w-28 px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-sm"
+                            />
+                        </label>
+                        <div className="space-y-1">
+                            <p className="text-xs text-slate-400">Extra questions (name and email are always asked)</p>
+                            {settings.fields.map((field, index) => (
+                                <div key={index} className="flex items-center gap-2">
+                                    <input
+                                        type="text"
+                                        value={field.label}
+                                        maxLength={100}
+                                        onChange={(e) => setField(index, { label: e.target.value })}
+                                        placeholder="Question, e.g. Company"
+                                        className="flex-grow px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-sm"
+                                    />
+                                    <label className="flex items-center gap-1 text-xs text-slate-400">
+                                        <input type="checkbox" checked={!!field.required} onChange={(e) => setField(index, { required: e.target.checked })} /> Required
+                                    </label>
+                                    <button type="button" onClick={() => setSettings(s => ({ ...s, fields: s.fields.filter((_, i) => i !== index) }))} title="Remove" className="text-slate-500 hover:text-red-400">
+                                        <X size={14} />
+                                    </button>
+                                </div>
+                            ))}
+                            {settings.fields.length < 10 && (
+                                <button type="button" onClick={() => setSettings(s => ({ ...s, fields: [...s.fields, { label: '', required: false }] }))} className="flex items-center gap-1 text-xs text-blue-400 hover:text-blue-300">
+                                    <Plus size={12} /> Add question
+                                </button>
+                            )}
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <input readOnly value={registerUrl} className="flex-grow px-2 py-1 rounded-md bg-slate-800 border border-slate-700 text-xs font-mono text-slate-300" />
+                            <button type="button" onClick={() => handleCopy('register', registerUrl)} title="Copy registration link" className="p-1.5 rounded-md bg-slate-700 hover:bg-slate-600">
+                                {copied === 'register' ? <Check size={14} className="text-emerald-400" /> : <Copy size={14} />}
+                            </button>
+                        </div>
+                    </>
+                )}
+                <div className="flex justify-end">
+                    <button onClick={handleSave} disabled={isSaving} className="px-3 py-1.5 rounded-md bg-blue-600 hover:bg-blue-500 text-sm disabled:opacity-50">
+                        {isSaving ? 'Saving…' : 'Save'}
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex items-center justify-between gap-2">
+                <p className="text-xs text-slate-400">
+                    {registrations.length} registered{meeting.registration_capacity ? `, ${seatsTaken} of ${meeting.registration_capacity} seats taken` : ''}
+                </p>
+                <button
+                    disabled={isDownloading || registrations.length === 0}
+                    onClick={handleDownload}
+                    className="flex items-center gap-1.5 px-3 py-1.5 rounded-md bg-slate-700 hover:bg-slate-600 text-xs disabled:opacity-50"
+                >
+                    <Download size={14} /> {isDownloading ? 'Exporting…' : 'Export CSV'}
+                </button>
+            </div>
+
+            {issuedLink && (
+                <div className="flex items-center gap-2 rounded-md bg-slate-800/60 p-2">
+                    <p className="text-xs text-slate-300 flex-shrink-0">New join link:</p>
+                    <input readOnly value={issuedLink.url} className="flex-grow px-2 py-1 rounded-md bg-slate-900 border border-slate-700 text-xs font-mono" onFocus={(e) => e.target.select()} />
+                    <button type="button" onClick={() => handleCopy('issued', issuedLink.url)} title="Copy" className="p-1.5 rounded-md bg-slate-700 hover:bg-slate-600">
+                        {copied === 'issued' ? <Check size={14} className="text-emerald-400" /> : <Copy size={14} />}
+                    </button>
+                    <button type="button" onClick={() => setIssuedLink(null)} title="Dismiss" className="text-slate-500 hover:text-slate-300"><X size={14} /></button>
+                </div>
+            )}
+
+            {isLoading ? (
+                <div className="flex items-center gap-2 text-slate-400 text-sm"><Loader2 size={14} className="animate-spin" /> Loading…</div>
+            ) : error ? (
+                <p className="text-red-400 text-sm">{error}</p>
+            ) : registrations.length === 0 ? (
+                <p className="text-slate-400 text-sm">Nobody has registered yet.</p>
+            ) : (
+                <div className="max-h-72 overflow-y-auto thin-scrollbar border border-slate-700/60 rounded-lg divide-y divide-slate-800">
+                    {registrations.map((r) => (
+                        <div key={r.id} className="flex items-center gap-2 px-3 py-2 text-sm">
+                            <div className="flex-grow min-w-0">
+                                <p className="text-slate-200 truncate">{r.name} <span className="text-slate-500">· {r.email}</span></p>
+                                <p className="text-xs text-slate-500">
+                                    <span className={STATUS_STYLES[r.status]}>{r.status}</span>
+                                    {r.firstJoinedAt ? ` · joined ${new Date(r.firstJoinedAt).toLocaleString()}` : ''}
+                                </p>
+                            </div>
+                            {r.status !== 'approved' && (
+                                <button onClick={() => handleStatus(r, 'approved')} disabled={busyId === r.id} title="Approve" className="p-1 rounded-md text-emerald-400 hover:bg-slate-700 disabled:opacity-50"><UserCheck size={16} /></button>
+                            )}
+                            {r.status !== 'rejected' && (
+                                <button onClick={() => handleStatus(r, 'rejected')} disabled={busyId === r.id} title="Reject" className="p-1 rounded-md text-red-400 hover:bg-slate-700 disabled:opacity-50"><UserX size={16} /></button>
+                            )}
+                            <button onClick={() => handleNewLink(r)} disabled={busyId === r.id} title="Issue a new join link" className="p-1 rounded-md text-slate-300 hover:bg-slate-700 disabled:opacity-50"><Link2 size={16} /></button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RegistrationManager;
@@ -4,7 +4,7 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { 
     LayoutDashboard, Video, Calendar, UserCog, Shield, 
     SlidersHorizontal, HardDrive, BellRing, BookText, 
-    ChevronDown, LogOut, CircleUserRound, X
+    ChevronDown, LogOut, CircleUserRound, X, Film
 } from 'lucide-react';
 import MyLogo from '../assets/logo.png'; 
 import Toast from './Toast'; 
@@ -113,6 +113,7 @@ const SidebarContent = ({ activeLink, setActiveLink, onLogout }) => {
                 <CollapsibleSection title="Workspace">
                     <SidebarLink to="/meeting" icon={Video} text="Meetings" active={activeLink === 'Meetings'} onClick={() => setActiveLink('Meetings')} />
                     <SidebarLink to="/calendar" icon={Calendar} text="Calendar" active={activeLink === 'Calendar'} onClick={() => setActiveLink('Calendar')} />
+                    <SidebarLink to="/recordings" icon={Film} text="Recordings" active={activeLink === 'Recordings'} onClick={() => setActiveLink('Recordings')} />
                 </CollapsibleSection>
                 <CollapsibleSection title="Admin Tools">
                     <SidebarLink to="/admin/users" icon={UserCog} text="User Management" active={activeLink === 'User Management'} onClick={() => setActiveLink('User Management')} />
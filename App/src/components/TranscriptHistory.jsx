@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { Download, Loader2, Captions } from 'lucide-react';
+import { fetchTranscriptHistory, downloadTranscript } from '../api/meetings';
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// Transcript tab of the meeting details modal: captions saved during each session, with exports.
+const TranscriptHistory = ({ meetingId, onToast }) => {
+    const [sessions, setSessions] = useState([]);
+    const [segments, setSegments] = useState([]);
+    const [sessionId, setSessionId] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+    const [downloading, setDownloading] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setIsLoading(true);
+        setError(null);
+        fetchTranscriptHistory(meetingId)
+            .then((data) => {
+                if (cancelled) return;
+                setSessions(data?.sessions || []);
+                setSegments(data?.segments || []);
+            })
+            .catch((e) => !cancelled && setError(e.message || 'Failed to load the transcript.'))
+            .finally(() => !cancelled && setIsLoading(false));
+        return () => { cancelled = true; };
+    }, [meetingId]);
+
+    const shown = sessionId ? segments.filter(s => s.sessionId === sessionId) : segments;
+
+    const handleDownload = async (format) => {
+        setDownloading(format);
+        try {
+            await downloadTranscript(meetingId, format, { sessionId: sessionId || undefined });
+        } catch (e) {
+            onToast && onToast({ title: 'Download failed', message: e.message || 'Could not export the transcript.', type: 'error' });
+        } finally {
+            setDownloading(null);
+        }
+    };
+
+    if (isLoading) {
+        return <div className="flex items-center gap-2 text-slate-400 text-sm"><Loader2 size={14} className="animate-spin" /> Loading…</div>;
+    }
+    if (error) {
+        return <p className="text-red-400 text-sm">{error}</p>;
+    }
+
+    return (
+        <div className="space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <p className="flex items-center gap-2 text-xs text-slate-400">
+                    <Captions size={14} /> {shown.length} {shown.length === 1 ? 'line' : 'lines'}
+                </p>
+                <div className="flex gap-2">
+                    {sessions.length > 1 && (
+                        <select
+                            value={sessionId}
+                            onChange={(e) => setSessionId(e.target.value)}
+                            className="px-2 py-1.5 rounded-md bg-slate-800 border border-slate-700 text-xs text-slate-200"
+                        >
+                            <option value="">All sessions</option>
+                            {sessions.map(s => <option key={s.id} value={s.id}>{formatTime(s.startedAt)}</option>)}
+                        </select>
+                    )}
+                    {[['txt', 'Export TXT'], ['json', 'Export JSON']].map(([format, label]) => (
+                        <button
+                            key={format}
+                            disabled={!!downloading || shown.length === 0}
+                            onClick={() => handleDownload(format)}
+                            className="flex items-center gap-1.5 px-3 py-1.5 rounded-md bg-slate-700 hover:bg-slate-600 text-xs disabled:opacity-50"
+                        >
+                            <Download size={14} /> {downloading === format ? 'Exporting…' : label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            {shown.length === 0 ? (
+                <p className="text-slate-400 text-sm">No captions were saved for this meeting.</p>
+            ) : (
+                <div className="max-h-72 overflow-y-auto thin-scrollbar border border-slate-700/60 rounded-lg divide-y divide-slate-800">
+                    {shown.map((s) => (
+                        <div key={s.id} className="px-3 py-2">
+                            <div className="flex items-center gap-2 text-xs text-slate-400">
+                                <span className="font-medium text-slate-200">{s.speakerName}</span>
+                                <span className="ml-auto">{formatTime(s.spokenAt)}</span>
+                            </div>
+                            <p className="text-sm text-slate-200 whitespace-pre-wrap break-words">{s.text}</p>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TranscriptHistory;
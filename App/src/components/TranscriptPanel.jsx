@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Captions, CaptionsOff, Loader2 } from 'lucide-react';
+import { fetchMeetingTranscript } from '../api/meetings';
+import { CAPTION_LANGUAGES, parseTranscriptionChunk } from '../utils/captions';
+
+const UNVERIFIED_RETRY_MS = 3000;
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Merge saved segments and live chunks by utterance, oldest first
+const mergeSegments = (current, incoming) => {
+    const byId = new Map(current.map(s => [s.messageId, s]));
+    incoming.forEach(s => byId.set(s.messageId, { ...byId.get(s.messageId), ...s }));
+    return Array.from(byId.values()).sort((a, b) => new Date(a.spokenAt) - new Date(b.spokenAt));
+};
+
+// Live transcript in the sidebar. Moderators turn transcription on and off here (Jigasi joins the
+// conference as the transcriber); everyone sees the captions so far in this session.
+const TranscriptPanel = ({ jitsiApi, meetingId, meetingToken, canModerate, showToast }) => {
+    const [segments, setSegments] = useState([]);
+    const [status, setStatus] = useState('loading');
+    const [isTranscribing, setIsTranscribing] = useState(false);
+    const [language, setLanguage] = useState(CAPTION_LANGUAGES[0].code);
+    const listRef = useRef(null);
+
+    const myId = (jitsiApi?.myUserId && jitsiApi.myUserId()) || null;
+
+    const load = useCallback(async () => {
+        if (!meetingId || !meetingToken || !myId) return;
+        try {
+            const { segments: saved } = await fetchMeetingTranscript(meetingId, { token: meetingToken, participantId: myId });
+            setSegments(prev => mergeSegments(saved.map(s => ({ ...s, isFinal: true })), prev));
+            setStatus('ready');
+        } catch (e) {
+            setStatus(e.details === 'participant_unverified' ? 'waiting' : 'error');
+        }
+    }, [meetingId, meetingToken, myId]);
+
+    useEffect(() => { load(); }, [load]);
+
+    useEffect(() => {
+        if (status !== 'waiting') return;
+        const retry = setTimeout(load, UNVERIFIED_RETRY_MS);
+        return () => clearTimeout(retry);
+    }, [status, load]);
+
+    useEffect(() => {
+        if (!jitsiApi) return;
+        const onStatus = ({ on }) => setIsTranscribing(!!on);
+        const onChunk = (evt) => {
+            const chunk = parseTranscriptionChunk(evt);
+            if (!chunk) return;
+            setIsTranscribing(true);
+            setSegments(prev => {
+                const known = prev.find(s => s.messageId === chunk.messageId);
+                return mergeSegments(prev, [{ ...chunk, spokenAt: known?.spokenAt || new Date().toISOString() }]);
+            });
+        };
+        jitsiApi.addEventListener('transcribingStatusChanged', onStatus);
+        jitsiApi.addEventListener('transcriptionChunkReceived', onChunk);
+        return () => {
+            jitsiApi.removeEventListener('transcribingStatusChanged', onStatus);
+            jitsiApi.removeEventListener('transcriptionChunkReceived', onChunk);
+        };
+    }, [jitsiApi]);
+
+    useEffect(() => {
+        if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+    }, [segments]);
+
+    // Asking for subtitles makes Jicofo invite the transcriber; our own overlay shows them, so
+    // Jitsi's built-in subtitles stay hidden
+    const handleToggle = () => {
+        try {
+            if (isTranscribing) {
+                jitsiApi.executeCommand('setSubtitles', false);
+                setIsTranscribing(false);
+            } else {
+                jitsiApi.executeCommand('setSubtitles', true, false, language);
+                showToast && showToast({ title: 'Starting captions', message: 'The transcriber is joining the meeting.', type: 'info' });
+            }
+        } catch (e) {
+            showToast && showToast({ title: 'Captions unavailable', message: e.message || 'Transcription is not enabled on this server.', type: 'error' });
+        }
+    };
+
+    if (!meetingToken) {
+        return <p className="p-4 text-center text-slate-400 text-sm">The transcript is available once you have joined with a meeting token.</p>;
+    }
+
+    return (
+        <div className="flex flex-col h-[calc(100vh-18rem)] p-1">
+            {canModerate && (
+                <div className="flex items-center gap-2 pb-2 flex-shrink-0">
+                    <select
+                        value={language}
+                        disabled={isTranscribing}
+                        onChange={(e) => setLanguage(e.target.value)}
+                        className="flex-grow px-2 py-1.5 rounded-md bg-slate-800 border border-slate-700 text-xs text-slate-200 disabled:opacity-50"
+                    >
+                        {CAPTION_LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.label}</option>)}
+                    </select>
+                    <button
+                        onClick={handleToggle}
+                        className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md text-xs font-medium ${isTranscribing ? 'bg-red-600 hover:bg-red-500 text-white' : 'bg-cyan-600 hover:bg-cyan-500 text-white'}`}
+                    >
+                        {isTranscribing ? <><CaptionsOff size={14} /> Stop captions</> : <><Captions size={14} /> Start captions</>}
+                    </button>
+                </div>
+            )}
+            {!canModerate && (
+                <p className="pb-2 text-xs text-slate-400 flex-shrink-0">{isTranscribing ? 'Captions are on.' : 'A moderator can turn captions on.'}</p>
+            )}
+
+            <div ref={listRef} className="flex-grow overflow-y-auto space-y-2 pr-1 scrollbar-thin scrollbar-thumb-slate-600 scrollbar-track-slate-800/50 scrollbar-thumb-rounded-full" aria-live="polite">
+                {status === 'loading' && (
+                    <p className="flex items-center gap-2 px-2 text-sm text-slate-400"><Loader2 size={14} className="animate-spin" /> Loading transcript…</p>
+                )}
+                {status === 'waiting' && <p className="px-2 text-sm text-slate-400">Connecting…</p>}
+                {status === 'error' && <p className="px-2 text-sm text-red-400">Could not load the transcript.</p>}
+                {status !== 'loading' && segments.length === 0 && <p className="px-2 text-sm text-slate-500">Nothing transcribed yet.</p>}
+                {segments.map(s => (
+                    <div key={s.messageId} className="rounded-lg px-2 py-1.5 hover:bg-slate-800/50">
+                        <div className="flex items-center gap-2 text-xs text-slate-400">
+                            <span className="font-semibold text-slate-200 truncate">{s.speakerName}</span>
+                            <span className="ml-auto flex-shrink-0">{formatTime(s.spokenAt)}</span>
+                        </div>
+                        <p className={`text-sm break-words ${s.isFinal ? 'text-slate-200' : 'italic text-slate-400'}`}>{s.text}</p>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default TranscriptPanel;
@@ -0,0 +1,51 @@
+import { useEffect, useRef } from 'react';
+import { saveTranscriptSegments } from '../api/meetings';
+import { parseTranscriptionChunk } from '../utils/captions';
+
+const SAVE_INTERVAL_MS = 5000;
+
+/**
+ * Save final caption segments while the meeting runs (moderators' tabs). Lives in the sidebar
+ * rather than the panel so nothing is lost while the panel is closed; segments are sent in
+ * batches and the API drops the ones another moderator already saved.
+ */
+const useTranscriptRecorder = ({ jitsiApi, meetingId, meetingToken, enabled }) => {
+    const pendingRef = useRef([]);
+
+    useEffect(() => {
+        if (!jitsiApi || !enabled || !meetingId || !meetingToken) return;
+        const onChunk = (evt) => {
+            const chunk = parseTranscriptionChunk(evt);
+            if (!chunk?.isFinal) return;
+            pendingRef.current.push({
+                messageId: chunk.messageId,
+                speakerId: chunk.speakerId || undefined,
+                speakerName: chunk.speakerName,
+                language: chunk.language || undefined,
+                text: chunk.text,
+                spokenAt: new Date().toISOString(),
+            });
+        };
+        const flush = async () => {
+            const participantId = (jitsiApi.myUserId && jitsiApi.myUserId()) || null;
+            if (pendingRef.current.length === 0 || !participantId) return;
+            const segments = pendingRef.current.splice(0, 50);
+            try {
+                await saveTranscriptSegments(meetingId, { token: meetingToken, participantId, segments });
+            } catch (e) {
+                // Keep them for the next round unless the API refused them outright
+                if (e.status !== 400 && e.status !== 403) pendingRef.current.unshift(...segments);
+                console.warn('[Transcript] Could not save segments', e);
+            }
+        };
+        jitsiApi.addEventListener('transcriptionChunkReceived', onChunk);
+        const timer = setInterval(flush, SAVE_INTERVAL_MS);
+        return () => {
+            jitsiApi.removeEventListener('transcriptionChunkReceived', onChunk);
+            clearInterval(timer);
+            flush();
+        };
+    }, [jitsiApi, meetingId, meetingToken, enabled]);
+};
+
+export default useTranscriptRecorder;
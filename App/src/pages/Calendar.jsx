@@ -0,0 +1,562 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
+import { ChevronLeft, ChevronRight, Calendar as CalendarIcon, Plus, Repeat, Presentation, Video, Loader2 } from 'lucide-react';
+import Toast from '../components/Toast';
+import MeetingDetailsForm from '../components/MeetingDetailsForm';
+import OccurrenceEditModal from '../components/OccurrenceEditModal';
+import { createMeeting, updateMeeting } from '../api/meetings';
+import { createRecurrenceState, buildRRule, describeRRule, getBrowserTimeZone } from '../utils/recurrence';
+import { parseEmailList } from '../utils/invitees';
+import { supabase } from '../supabase';
+
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const HOUR_HEIGHT = 48; // px per hour in week/day view
+const DEFAULT_DURATION_MINUTES = 60; // meetings have no end time; draw them as an hour
+const DEFAULT_START_HOUR = 9; // used when creating from the month grid
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const startOfWeek = (date) => addDays(startOfDay(date), -date.getDay());
+const isSameDay = (a, b) => a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+const formatTime = (date) => date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+// Visible [from, to) range for a view
+const getRange = (view, cursor) => {
+    if (view === 'day') {
+        const from = startOfDay(cursor);
+        return { from, to: addDays(from, 1) };
+    }
+    if (view === 'week') {
+        const from = startOfWeek(cursor);
+        return { from, to: addDays(from, 7) };
+    }
+    const from = startOfWeek(new Date(cursor.getFullYear(), cursor.getMonth(), 1));
+    return { from, to: addDays(from, 42) };
+};
+
+const getTitle = (view, cursor) => {
+    if (view === 'day') {
+        return cursor.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+    }
+    if (view === 'week') {
+        const from = startOfWeek(cursor);
+        const to = addDays(from, 6);
+        return `${from.toLocaleDateString([], { month: 'short', day: 'numeric' })} – ${to.toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' })}`;
+    }
+    return `${MONTH_NAMES[cursor.getMonth()]} ${cursor.getFullYear()}`;
+};
+
+// Side-by-side lanes for overlapping events within one day column
+const layoutDay = (events) => {
+    const lanesEnd = [];
+    const placed = events
+        .slice()
+        .sort((a, b) => a.start - b.start)
+        .map(event => {
+            const end = event.start.getTime() + DEFAULT_DURATION_MINUTES * 60000;
+            let lane = lanesEnd.findIndex(laneEnd => laneEnd <= event.start.getTime());
+            if (lane === -1) {
+                lane = lanesEnd.length;
+                lanesEnd.push(end);
+            } else {
+                lanesEnd[lane] = end;
+            }
+            return { event, lane };
+        });
+    return { placed, laneCount: Math.max(lanesEnd.length, 1) };
+};
+
+const createEmptyForm = (date, userName) => ({
+    userName: userName || '',
+    meetingTitle: '',
+    meetingPurpose: '',
+    meetingPassword: '',
+    scheduleDate: date ? startOfDay(date) : null,
+    scheduleTime: date || null,
+    micEnabled: true,
+    cameraEnabled: true,
+    waitingRoomEnabled: false,
+    webinarMode: false,
+    recurrence: createRecurrenceState(date),
+    invitees: '',
+});
+
+const EventChip = ({ event, canEdit, onOpen, onDragStart, className = 'items-center py-0.5' }) => (
+    <div
+        draggable={canEdit}
+        onDragStart={(e) => onDragStart(e, event)}
+        onClick={(e) => { e.stopPropagation(); onOpen(event); }}
+        title={`${event.name}${event.is_recurring ? ` · ${describeRRule(event.recurrence_rule)}` : ''}`}
+        className={`${className} flex gap-1 rounded-md px-1.5 text-xs truncate border transition-colors ${canEdit ? 'cursor-grab active:cursor-grabbing' : 'cursor-pointer'} ${event.webinar_mode
+            ? 'bg-purple-500/20 border-purple-500/40 text-purple-100 hover:bg-purple-500/30'
+            : 'bg-blue-500/20 border-blue-500/40 text-blue-100 hover:bg-blue-500/30'}`}
+    >
+        {event.webinar_mode ? <Presentation size={11} className="shrink-0" /> : <Video size={11} className="shrink-0" />}
+        <span className="shrink-0 text-[10px] opacity-80">{formatTime(event.start)}</span>
+        <span className="truncate">{event.name}</span>
+        {event.is_recurring && <Repeat size={10} className="shrink-0 opacity-80" />}
+    </div>
+);
+
+const CalendarPage = () => {
+    const navigate = useNavigate();
+    const role = (localStorage.getItem('role') || '').toLowerCase();
+    const isAdmin = role === 'admin' || role === 'superadmin';
+
+    const [view, setView] = useState('month'); // 'month' | 'week' | 'day'
+    const [cursor, setCursor] = useState(() => new Date());
+    const [scope, setScope] = useState('mine'); // 'mine' | 'all' (admins only)
+    const [currentUserId, setCurrentUserId] = useState(null);
+    const [events, setEvents] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [activeToast, setActiveToast] = useState(null);
+    const [createForm, setCreateForm] = useState(null);
+    const [isCreating, setIsCreating] = useState(false);
+    const [editingEvent, setEditingEvent] = useState(null);
+    const [dropTarget, setDropTarget] = useState(null);
+    const dragRef = useRef(null);
+    const timeGridRef = useRef(null);
+
+    const showToast = useCallback((toastData) => {
+        setActiveToast({ id: Date.now(), ...toastData });
+    }, []);
+
+    useEffect(() => {
+        supabase.auth.getSession().then(({ data: { session } }) => {
+            setCurrentUserId(session?.user?.id || null);
+        });
+    }, []);
+
+    const range = useMemo(() => getRange(view, cursor), [view, cursor]);
+
+    const fetchEvents = useCallback(async () => {
+        if (!currentUserId) return;
+        setIsLoading(true);
+        try {
+            let query = supabase
+                .rpc('meetings_between', { p_from: range.from.toISOString(), p_to: range.to.toISOString() });
+            if (!isAdmin || scope === 'mine') {
+                query = query.eq('created_by', currentUserId);
+            }
+            const { data, error } = await query.order('scheduled_for', { ascending: true });
+            if (error) throw error;
+            setEvents((data || []).map(m => ({ ...m, start: new Date(m.scheduled_for) })));
+        } catch (error) {
+            console.error('Error loading calendar:', error);
+            showToast({ title: 'Calendar', message: error.message || 'Failed to load meetings.', type: 'error' });
+        } finally {
+            setIsLoading(false);
+        }
+    }, [currentUserId, range, isAdmin, scope, showToast]);
+
+    useEffect(() => {
+        fetchEvents();
+    }, [fetchEvents]);
+
+    // Start the time grid at office hours instead of midnight
+    useEffect(() => {
+        if (view !== 'month' && timeGridRef.current) {
+            timeGridRef.current.scrollTop = 8 * HOUR_HEIGHT;
+        }
+    }, [view]);
+
+    const eventsByDay = useMemo(() => {
+        const map = new Map();
+        events.forEach(event => {
+            const key = startOfDay(event.start).getTime();
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(event);
+        });
+        return map;
+    }, [events]);
+
+    const canEdit = (event) => isAdmin || event.created_by === currentUserId;
+
+    const navigatePeriod = (direction) => {
+        setCursor(prev => {
+            if (view === 'day') return addDays(prev, direction);
+            if (view === 'week') return addDays(prev, 7 * direction);
+            return new Date(prev.getFullYear(), prev.getMonth() + direction, 1);
+        });
+    };
+
+    // --- Drag to reschedule ---
+    const handleDragStart = (e, event) => {
+        dragRef.current = event;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', event.id);
+    };
+
+    const handleDragOver = (e, key) => {
+        if (!dragRef.current) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        if (dropTarget !== key) setDropTarget(key);
+    };
+
+    const rescheduleEvent = async (event, newStart) => {
+        if (newStart.getTime() === event.start.getTime()) return;
+
+        // Optimistic move; reload from the server either way
+        setEvents(prev => prev.map(e => (e === event ? { ...e, start: newStart, scheduled_for: newStart.toISOString() } : e)));
+        try {
+            if (event.is_recurring) {
+                await updateMeeting(event.id, {
+                    scope: 'occurrence',
+                    occurrenceStart: event.original_start,
+                    scheduledFor: newStart.toISOString(),
+                });
+            } else {
+                await updateMeeting(event.id, { scope: 'series', scheduledFor: newStart.toISOString() });
+            }
+            showToast({
+                title: 'Rescheduled',
+                message: `${event.name} moved to ${newStart.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}${event.is_recurring ? ' (this occurrence only)' : ''}.`,
+                type: 'success',
+            });
+        } catch (error) {
+            showToast({ title: 'Reschedule failed', message: error.message || 'Could not move the meeting.', type: 'error' });
+        } finally {
+            fetchEvents();
+        }
+    };
+
+    // Month cells keep the time of day; time-grid slots keep the minutes within the hour
+    const handleDrop = (e, day, hour = null) => {
+        e.preventDefault();
+        const event = dragRef.current;
+        dragRef.current = null;
+        setDropTarget(null);
+        if (!event) return;
+
+        const newStart = new Date(
+            day.getFullYear(), day.getMonth(), day.getDate(),
+            hour === null ? event.start.getHours() : hour,
+            event.start.getMinutes()
+        );
+        rescheduleEvent(event, newStart);
+    };
+
+    const handleDragEnd = () => {
+        dragRef.current = null;
+        setDropTarget(null);
+    };
+
+    // --- Click to create ---
+    const openCreate = (date) => {
+        setCreateForm(createEmptyForm(date, localStorage.getItem('userName')));
+    };
+
+    const handleCreateInputChange = (e) => {
+        const { name, value } = e.target;
+        setCreateForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleCreateSubmit = async (e) => {
+        e.preventDefault();
+        const v = createForm;
+        if (!(v.scheduleDate && v.scheduleTime)) {
+            showToast({ title: 'Missing time', message: 'Please select both date and time.', type: 'warning' });
+            return;
+        }
+        const scheduledFor = new Date(
+            v.scheduleDate.getFullYear(),
+            v.scheduleDate.getMonth(),
+            v.scheduleDate.getDate(),
+            v.scheduleTime.getHours(),
+            v.scheduleTime.getMinutes()
+        );
+        const { emails: invitees, invalid } = parseEmailList(v.invitees);
+        if (invalid.length > 0) {
+            showToast({ title: 'Check invitees', message: `Not an email address: ${invalid.join(', ')}`, type: 'warning' });
+            return;
+        }
+
+        setIsCreating(true);
+        try {
+            await createMeeting({
+                name: v.meetingTitle || 'Scheduled Meeting',
+                purpose: v.meetingPurpose || null,
+                password: v.meetingPassword || undefined,
+                isScheduled: true,
+                scheduledFor: scheduledFor.toISOString(),
+                hostName: v.userName || null,
+                startWithAudioMuted: !v.micEnabled,
+                startWithVideoMuted: !v.cameraEnabled,
+                lobbyEnabled: !!v.waitingRoomEnabled,
+                webinarMode: !!v.webinarMode,
+                recurrenceRule: buildRRule(v.recurrence),
+                recurrenceTimezone: getBrowserTimeZone(),
+                invitees,
+            });
+            setCreateForm(null);
+            showToast({ title: 'Scheduled', message: 'Meeting added to your calendar.', type: 'success' });
+            fetchEvents();
+        } catch (error) {
+            showToast({ title: 'Error', message: `Failed to schedule meeting: ${error.message || 'Unknown error'}`, type: 'error' });
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    const openEvent = (event) => {
+        if (canEdit(event)) {
+            setEditingEvent(event);
+        } else {
+            navigate(event.webinar_mode ? `/meeting/webinar/${event.id}` : `/meeting/${event.id}`);
+        }
+    };
+
+    const today = new Date();
+
+    const renderMonth = () => {
+        const days = Array.from({ length: 42 }, (_, i) => addDays(range.from, i));
+        return (
+            <div className="flex flex-col h-full">
+                <div className="grid grid-cols-7 border-b border-slate-700/50">
+                    {DAY_NAMES.map(name => (
+                        <div key={name} className="py-2 text-center text-xs font-semibold text-slate-400">{name}</div>
+                    ))}
+                </div>
+                <div className="grid grid-cols-7 grid-rows-6 flex-1 min-h-[36rem]">
+                    {days.map(day => {
+                        const key = `m-${day.getTime()}`;
+                        const dayEvents = eventsByDay.get(day.getTime()) || [];
+                        const inMonth = day.getMonth() === cursor.getMonth();
+                        return (
+                            <div
+                                key={key}
+                                onClick={() => openCreate(new Date(day.getFullYear(), day.getMonth(), day.getDate(), DEFAULT_START_HOUR))}
+                                onDragOver={(e) => handleDragOver(e, key)}
+                                onDragLeave={() => setDropTarget(null)}
+                                onDrop={(e) => handleDrop(e, day)}
+                                className={`group border-b border-r border-slate-700/40 p-1.5 flex flex-col gap-1 min-h-0 cursor-pointer transition-colors ${inMonth ? 'bg-slate-900/30' : 'bg-slate-950/40'} ${dropTarget === key ? 'bg-blue-500/15' : 'hover:bg-slate-800/40'}`}
+                            >
+                                <div className="flex items-center justify-between">
+                                    <button
+                                        onClick={(e) => { e.stopPropagation(); setCursor(day); setView('day'); }}
+                                        className={`w-6 h-6 flex items-center justify-center rounded-full text-xs ${isSameDay(day, today) ? 'bg-blue-500 text-white font-bold' : inMonth ? 'text-slate-200 hover:bg-slate-700' : 'text-slate-500 hover:bg-slate-700'}`}
+                                    >
+                                        {day.getDate()}
+                                    </button>
+                                    <Plus size={12} className="text-slate-500 opacity-0 group-hover:opacity-100 transition-opacity" />
+                                </div>
+                                <div className="flex flex-col gap-0.5 overflow-hidden">
+                                    {dayEvents.slice(0, 3).map(event => (
+                                        <EventChip
+                                            key={`${event.id}-${event.original_start}`}
+                                            event={event}
+                                            canEdit={canEdit(event)}
+                                            onOpen={openEvent}
+                                            onDragStart={handleDragStart}
+                                        />
+                                    ))}
+                                    {dayEvents.length > 3 && (
+                                        <button
+                                            onClick={(e) => { e.stopPropagation(); setCursor(day); setView('day'); }}
+                                            className="text-[11px] text-slate-400 hover:text-white text-left px-1"
+                                        >
+                                            +{dayEvents.length - 3} more
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        );
+    };
+
+    const renderTimeGrid = () => {
+        const days = view === 'day' ? [range.from] : Array.from({ length: 7 }, (_, i) => addDays(range.from, i));
+        const hours = Array.from({ length: 24 }, (_, i) => i);
+        return (
+            <div className="flex flex-col h-full min-h-0">
+                <div className="flex border-b border-slate-700/50 pl-14">
+                    {days.map(day => (
+                        <div key={`h-${day.getTime()}`} className="flex-1 py-2 text-center">
+                            <div className="text-xs text-slate-400">{DAY_NAMES[day.getDay()]}</div>
+                            <div className={`mx-auto mt-0.5 w-7 h-7 flex items-center justify-center rounded-full text-sm ${isSameDay(day, today) ? 'bg-blue-500 text-white font-bold' : 'text-slate-200'}`}>
+                                {day.getDate()}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+                <div ref={timeGridRef} className="flex-1 overflow-y-auto thin-scrollbar min-h-0 max-h-[36rem]">
+                    <div className="flex relative" style={{ height: 24 * HOUR_HEIGHT }}>
+                        <div className="w-14 shrink-0">
+                            {hours.map(hour => (
+                                <div key={hour} className="text-[10px] text-slate-500 text-right pr-2 -translate-y-1.5" style={{ height: HOUR_HEIGHT }}>
+                                    {hour === 0 ? '' : formatTime(new Date(2000, 0, 1, hour))}
+                                </div>
+                            ))}
+                        </div>
+                        {days.map(day => {
+                            const { placed, laneCount } = layoutDay(eventsByDay.get(day.getTime()) || []);
+                            return (
+                                <div key={`c-${day.getTime()}`} className="flex-1 relative border-l border-slate-700/40">
+                                    {hours.map(hour => {
+                                        const key = `t-${day.getTime()}-${hour}`;
+                                        return (
+                                            <div
+                                                key={key}
+                                                onClick={() => openCreate(new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour))}
+                                                onDragOver={(e) => handleDragOver(e, key)}
+                                                onDragLeave={() => setDropTarget(null)}
+                                                onDrop={(e) => handleDrop(e, day, hour)}
+                                                className={`border-b border-slate-700/30 cursor-pointer transition-colors ${dropTarget === key ? 'bg-blue-500/15' : 'hover:bg-slate-800/40'}`}
+                                                style={{ height: HOUR_HEIGHT }}
+                                            />
+                                        );
+                                    })}
+                                    {placed.map(({ event, lane }) => {
+                                        const minutes = event.start.getHours() * 60 + event.start.getMinutes();
+                                        return (
+                                            <div
+                                                key={`${event.id}-${event.original_start}`}
+                                                className="absolute px-0.5"
+                                                style={{
+                                                    top: (minutes / 60) * HOUR_HEIGHT,
+                                                    height: (DEFAULT_DURATION_MINUTES / 60) * HOUR_HEIGHT - 2,
+                                                    left: `${(lane / laneCount) * 100}%`,
+                                                    width: `${100 / laneCount}%`,
+                                                }}
+                                            >
+                                                <EventChip
+                                                    className="h-full items-start py-1"
+                                                    event={event}
+                                                    canEdit={canEdit(event)}
+                                                    onOpen={openEvent}
+                                                    onDragStart={handleDragStart}
+                                                />
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-950 to-slate-900 text-white p-4 sm:p-6 lg:p-8" onDragEnd={handleDragEnd}>
+            <div className="fixed top-5 left-1/2 -translate-x-1/2 sm:left-auto sm:translate-x-0 sm:right-5 w-full max-w-sm px-4 sm:px-0 z-[80]">
+                <AnimatePresence>{activeToast && <Toast key={activeToast.id} toast={activeToast} onClose={() => setActiveToast(null)} />}</AnimatePresence>
+            </div>
+
+            <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-6">
+                <div className="flex items-center gap-3">
+                    <div className="p-3 bg-gradient-to-br from-blue-500/20 to-purple-500/20 rounded-xl">
+                        <CalendarIcon className="text-blue-400" size={24} />
+                    </div>
+                    <div>
+                        <h1 className="text-2xl font-bold">{getTitle(view, cursor)}</h1>
+                        <p className="text-slate-400 text-sm">Drag a meeting to reschedule it, or click an empty slot to schedule one.</p>
+                    </div>
+                    {isLoading && <Loader2 size={18} className="animate-spin text-slate-400" />}
+                </div>
+
+                <div className="flex flex-wrap items-center gap-2">
+                    {isAdmin && (
+                        <div className="flex bg-slate-800/60 border border-slate-700/50 rounded-xl p-1">
+                            {['mine', 'all'].map(value => (
+                                <button
+                                    key={value}
+                                    onClick={() => setScope(value)}
+                                    className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${scope === value ? 'bg-blue-600 text-white' : 'text-slate-300 hover:text-white'}`}
+                                >
+                                    {value === 'mine' ? 'Mine' : 'All'}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    <div className="flex bg-slate-800/60 border border-slate-700/50 rounded-xl p-1">
+                        {['month', 'week', 'day'].map(value => (
+                            <button
+                                key={value}
+                                onClick={() => setView(value)}
+                                className={`px-3 py-1.5 rounded-lg text-sm font-medium capitalize transition-colors ${view === value ? 'bg-blue-600 text-white' : 'text-slate-300 hover:text-white'}`}
+                            >
+                                {value}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="flex items-center gap-1">
+                        <button onClick={() => navigatePeriod(-1)} className="p-2 rounded-lg hover:bg-slate-800 text-slate-300"><ChevronLeft size={18} /></button>
+                        <button onClick={() => setCursor(new Date())} className="px-3 py-1.5 rounded-lg bg-slate-800/60 border border-slate-700/50 text-sm hover:bg-slate-700">Today</button>
+                        <button onClick={() => navigatePeriod(1)} className="p-2 rounded-lg hover:bg-slate-800 text-slate-300"><ChevronRight size={18} /></button>
+                    </div>
+                    <button
+                        onClick={() => openCreate(new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate(), DEFAULT_START_HOUR))}
+                        className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-500 hover:to-indigo-500 text-sm font-medium"
+                    >
+                        <Plus size={16} />
+                        Schedule
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex items-center gap-4 mb-3 text-xs text-slate-400">
+                <span className="flex items-center gap-1.5"><span className="w-3 h-3 rounded bg-blue-500/40 border border-blue-500/60" /> Meeting</span>
+                <span className="flex items-center gap-1.5"><span className="w-3 h-3 rounded bg-purple-500/40 border border-purple-500/60" /> Webinar</span>
+                <span className="flex items-center gap-1.5"><Repeat size={12} /> Recurring</span>
+            </div>
+
+            <div className="bg-slate-900/50 backdrop-blur-xl border border-slate-700/40 rounded-2xl overflow-hidden">
+                {view === 'month' ? renderMonth() : renderTimeGrid()}
+            </div>
+
+            <AnimatePresence>
+                {createForm && (
+                    <motion.div
+                        className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50 flex justify-center items-center p-4 py-8"
+                        initial={{ opacity: 0 }}
+                        animate={{ opacity: 1 }}
+                        exit={{ opacity: 0 }}
+                        onClick={() => setCreateForm(null)}
+                    >
+                        <motion.div
+                            className="relative w-full max-w-lg sm:max-w-xl bg-slate-900/95 backdrop-blur-xl border border-slate-700/50 rounded-2xl overflow-hidden shadow-2xl max-h-[80vh] overflow-y-auto thin-scrollbar"
+                            initial={{ scale: 0.9, y: -30, opacity: 0 }}
+                            animate={{ scale: 1, y: 0, opacity: 1 }}
+                            exit={{ scale: 0.9, y: 30, opacity: 0 }}
+                            transition={{ type: "spring", damping: 25, stiffness: 300 }}
+                            onClick={(e) => e.stopPropagation()}
+                        >
+                            <MeetingDetailsForm
+                                isScheduling={true}
+                                onSubmit={handleCreateSubmit}
+                                setView={() => setCreateForm(null)}
+                                formValues={createForm}
+                                handleInputChange={handleCreateInputChange}
+                                handleDateChange={handleCreateInputChange}
+                                isLoading={isCreating}
+                            />
+                        </motion.div>
+                    </motion.div>
+                )}
+            </AnimatePresence>
+
+            <AnimatePresence>
+                {editingEvent && (
+                    <OccurrenceEditModal
+                        occurrence={editingEvent}
+                        onClose={() => setEditingEvent(null)}
+                        onSaved={() => {
+                            showToast({ title: 'Saved', message: 'Meeting updated.', type: 'success' });
+                            fetchEvents();
+                        }}
+                    />
+                )}
+            </AnimatePresence>
+        </div>
+    );
+};
+
+export default CalendarPage;
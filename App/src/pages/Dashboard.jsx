@@ -80,6 +80,8 @@ const useDashboardMetrics = () => {
         totalMeetings: 0,
         scheduledMeetings: 0,
         completedMeetings: 0,
+        liveSessions: 0,
+        totalMeetingMinutes: 0,
         totalMeetingActions: 0,
         isLoading: true,
         error: null
@@ -90,9 +92,10 @@ const useDashboardMetrics = () => {
             setMetrics(prev => ({ ...prev, isLoading: true, error: null }));
 
             // Fetch all metrics in parallel
-            const [usersResponse, meetingsResponse, actionsResponse, todayUsersResponse] = await Promise.all([
+            // Meeting counts come from meeting_sessions, so meetings nobody joined are not counted
+            const [usersResponse, sessionStatsResponse, actionsResponse, todayUsersResponse] = await Promise.all([
                 supabase.from('users').select('*', { count: 'exact' }),
-                supabase.from('meetings').select('*', { count: 'exact' }),
+                supabase.rpc('meeting_session_stats'),
                 supabase.from('meeting_actions').select('*', { count: 'exact' }),
                 supabase.from('users').select('*', { count: 'exact' }).gte('created_at', new Date().toISOString().split('T')[0])
             ]);
@@ -114,14 +117,18 @@ const useDashboardMetrics = () => {
                 .gt('created_at', thirtyDaysAgo.toISOString());
 
             const activeUserIds = [...new Set(activeMeetings?.map(m => m.created_by) || [])];
+            if (sessionStatsResponse.error) throw sessionStatsResponse.error;
+            const sessionStats = sessionStatsResponse.data?.[0] || {};
 
             setMetrics({
                 totalUsers: usersResponse.count || 0,
                 activeUsers: activeUserIds.length,
                 newUsersToday: todayUsersResponse.count || 0,
-                totalMeetings: meetingsResponse.count || 0,
+                totalMeetings: sessionStats.meetings_held || 0,
                 scheduledMeetings: scheduledCount || 0,
-                completedMeetings: (meetingsResponse.count || 0) - (scheduledCount || 0),
+                completedMeetings: (sessionStats.total_sessions || 0) - (sessionStats.live_sessions || 0),
+                liveSessions: sessionStats.live_sessions || 0,
+                totalMeetingMinutes: Math.round((sessionStats.total_seconds || 0) / 60),
                 totalMeetingActions: actionsResponse.count || 0,
                 isLoading: false,
                 error: null
@@ -311,7 +318,7 @@ const useChartData = () => {
                     });
                 }
 
-                // Get meeting trends (last 7 days)
+                // Get meeting trends (last 7 days): sessions that started each day
                 const meetingTrendsData = [];
                 for (let i = 6; i >= 0; i--) {
                     const date = new Date();
@@ -320,10 +327,10 @@ const useChartData = () => {
                     const endOfDay = new Date(date.setHours(23, 59, 59, 999)).toISOString();
 
                     const { count } = await supabase
-                        .from('meetings')
-                        .select('*', { count: 'exact' })
-                        .gte('created_at', startOfDay)
-                        .lte('created_at', endOfDay);
+                        .from('meeting_sessions')
+                        .select('id', { count: 'exact', head: true })
+                        .gte('started_at', startOfDay)
+                        .lte('started_at', endOfDay);
 
                     meetingTrendsData.push({
                         name: date.toLocaleDateString('en-US', { weekday: 'short' }),
@@ -528,8 +535,11 @@ const StatsCard = ({ title, stats, icon: Icon, gradient = "from-blue-500 to-cyan
     </motion.div>
 );
 
+// Compact month overview; picking a day opens the full calendar page
 const CalendarView = () => {
-    const [date, setDate] = useState(new Date(2025, 6, 17));
+    const navigate = useNavigate();
+    const today = new Date();
+    const [date, setDate] = useState(new Date(today.getFullYear(), today.getMonth(), 1));
     const monthNames = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
     const daysOfWeek = ["S", "M", "T", "W", "T", "F", "S"];
 
@@ -551,9 +561,9 @@ const CalendarView = () => {
                 {Array.from({ length: firstDayOfMonth }).map((_, i) => <div key={`empty-${i}`}></div>)}
                 {Array.from({ length: daysInMonth }).map((_, day) => {
                     const dayNumber = day + 1;
-                    const isToday = dayNumber === 17;
+                    const isToday = dayNumber === today.getDate() && date.getMonth() === today.getMonth() && date.getFullYear() === today.getFullYear();
                     return (
-                        <div key={dayNumber} className={`w-full aspect-square flex items-center justify-center rounded-full cursor-pointer text-xs sm:text-sm ${isToday ? 'bg-blue-500 text-white font-bold' : 'hover:bg-slate-700'}`}>
+                        <div key={dayNumber} onClick={() => navigate('/calendar')} className={`w-full aspect-square flex items-center justify-center rounded-full cursor-pointer text-xs sm:text-sm ${isToday ? 'bg-blue-500 text-white font-bold' : 'hover:bg-slate-700'}`}>
                             {dayNumber}
                         </div>
                     );
@@ -783,7 +793,7 @@ export default function App() {
                         <MetricCard 
                             title="Total Meetings" 
                             value={metrics.isLoading ? "..." : metrics.totalMeetings} 
-                            change={`${metrics.scheduledMeetings} scheduled`} 
+                            change={`${metrics.liveSessions} live · ${metrics.scheduledMeetings} scheduled`} 
                             isPositive={true}
                             icon={Video}
                             gradient="from-purple-500 to-purple-600"
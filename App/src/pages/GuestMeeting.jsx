@@ -1,9 +1,10 @@
-import React, { useState, useMemo } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useMemo, useEffect } from 'react';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
 // CORRECTED IMPORTS: Prefixed Feather icons and imported from Font Awesome
 import { FiMic, FiMicOff, FiVideo, FiVideoOff } from 'react-icons/fi';
-import { FaUser, FaArrowRight } from 'react-icons/fa';
+import { FaUser, FaArrowRight, FaLock } from 'react-icons/fa';
 import backgroundImg from '../assets/background.jpg';
+import { fetchJoinInfo, fetchMeetingToken, fetchOwnRegistration, registrationKeyStorageKey } from '../api/meetings';
 
 
 export default function GuestMeeting() {
@@ -12,15 +13,77 @@ export default function GuestMeeting() {
   const [name, setName] = useState('');
   const [micOn, setMicOn] = useState(false);
   const [camOn, setCamOn] = useState(false);
+  const [requiresPassword, setRequiresPassword] = useState(false);
+  const [password, setPassword] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+  const [isJoining, setIsJoining] = useState(false);
+  const [searchParams] = useSearchParams();
+  const registrationKey = searchParams.get('registration');
+  const [registrationRequired, setRegistrationRequired] = useState(false);
+  const [registration, setRegistration] = useState(null);
+  const [registrationError, setRegistrationError] = useState('');
 
   // Detect if this is a webinar meeting from the URL path
   const isWebinarMode = window.location.pathname.includes('/guest/webinar/');
 
-  // Core logic remains the same
-  const canJoin = useMemo(() => name.trim().length > 0, [name]);
+  // Password-protected meetings ask for the password here; a missing meeting is reported by the meeting page
+  useEffect(() => {
+    let cancelled = false;
+    fetchJoinInfo(meetingId)
+      .then(({ meeting }) => {
+        if (cancelled) return;
+        setRequiresPassword(!!meeting?.has_password);
+        setRegistrationRequired(!!meeting?.registration_enabled);
+      })
+      .catch((e) => console.warn('[GuestMeeting] Could not load meeting details', e));
+    return () => { cancelled = true; };
+  }, [meetingId]);
 
-  const handleJoin = () => {
+  // Personal webinar links (?registration=<key>) fill in the registrant's name; the key is kept for
+  // the token requests of this tab (see fetchMeetingToken)
+  useEffect(() => {
+    if (!registrationKey) return;
+    let cancelled = false;
+    sessionStorage.setItem(registrationKeyStorageKey(meetingId), registrationKey);
+    fetchOwnRegistration(meetingId, registrationKey)
+      .then((data) => {
+        if (cancelled) return;
+        setRegistration(data);
+        setName(data.name);
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        sessionStorage.removeItem(registrationKeyStorageKey(meetingId));
+        setRegistrationError(e.status === 404 ? 'This join link is not valid. It may have been replaced by a newer one.' : 'Could not check your registration. Please reload the page.');
+      });
+    return () => { cancelled = true; };
+  }, [meetingId, registrationKey]);
+
+  const registrationOk = !registrationRequired || registration?.status === 'approved';
+  const canJoin = useMemo(
+    () => name.trim().length > 0 && (!requiresPassword || password.length > 0) && registrationOk && !isJoining,
+    [name, requiresPassword, password, registrationOk, isJoining]
+  );
+
+  const handleJoin = async () => {
     if (!canJoin) return;
+
+    // The API checks the password (and rate limits wrong ones); the meeting page reuses it for its token
+    if (requiresPassword) {
+      setIsJoining(true);
+      setPasswordError('');
+      try {
+        await fetchMeetingToken(meetingId, { displayName: name.trim(), password });
+      } catch (error) {
+        const rejected = error.details === 'password_invalid' || error.details === 'banned' || error.status === 429
+          || String(error.details || '').startsWith('registration_');
+        setPasswordError(rejected ? error.message : 'Could not check the password. Please try again.');
+        setIsJoining(false);
+        return;
+      }
+      sessionStorage.setItem(`meetingPassword_${meetingId}`, password);
+    }
+
     localStorage.setItem('userName', name.trim());
     localStorage.setItem('guestJoinAudio', String(micOn));
     localStorage.setItem('guestJoinVideo', String(camOn));
@@ -87,12 +150,38 @@ export default function GuestMeeting() {
                 <input
                   type="text"
                   value={name}
+                  readOnly={!!registration}
                   onChange={(e) => setName(e.target.value)}
                   placeholder="Enter your name"
                   className="w-full bg-slate-900/70 border border-slate-700 rounded-lg pl-10 pr-4 py-3 outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
                 />
               </div>
 
+              {registrationRequired && !registration && !registrationError && (
+                <p className="text-sm text-amber-300">
+                  This webinar requires registration. <Link to={`/register/${meetingId}`} className="underline hover:text-amber-200">Register here</Link>, then use the personal link you are given.
+                </p>
+              )}
+              {registrationError && <p className="text-sm text-red-400">{registrationError}</p>}
+              {registration?.status === 'pending' && <p className="text-sm text-amber-300">Your registration is waiting for the organiser's approval.</p>}
+              {registration?.status === 'rejected' && <p className="text-sm text-red-400">Your registration was not approved.</p>}
+
+              {requiresPassword && (
+                <div>
+                  <div className="relative">
+                    <FaLock className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400" size={16} />
+                    <input
+                      type="password"
+                      value={password}
+                      onChange={(e) => { setPassword(e.target.value); setPasswordError(''); }}
+                      placeholder="Meeting password"
+                      className="w-full bg-slate-900/70 border border-slate-700 rounded-lg pl-10 pr-4 py-3 outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all"
+                    />
+                  </div>
+                  {passwordError && <p className="mt-2 text-sm text-red-400">{passwordError}</p>}
+                </div>
+              )}
+
               <div className="flex items-center justify-center gap-6 py-2">
                 <ToggleButton
                   IconOn={FiMic}
@@ -119,7 +208,7 @@ export default function GuestMeeting() {
                     : 'bg-slate-700 text-slate-400 cursor-not-allowed'
                 }`}
               >
-                Join Now
+                {isJoining ? 'Checking…' : 'Join Now'}
                 <FaArrowRight className="transition-transform duration-300 group-hover:translate-x-1" size={20} />
               </button>
 
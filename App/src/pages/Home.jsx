@@ -5,16 +5,24 @@ import { useGSAP } from '@gsap/react';
 import { 
     Bell, Video, Calendar, KeyRound, Settings, Plus,
     User, LogOut, ChevronDown, Users, Clock, Loader2, RefreshCw, Mail,
-    MapPin, Shield, Play, Archive, CalendarPlus
+    MapPin, Shield, Play, Archive, CalendarPlus, Repeat
 } from 'lucide-react';
 import { Link, useNavigate } from 'react-router-dom';
 import Toast from '../components/Toast';
-import { v4 as uuidv4 } from 'uuid';
 import { supabase } from '../supabase';
+import { createMeeting, fetchJoinInfo } from '../api/meetings';
+import { describeRRule, getBrowserTimeZone } from '../utils/recurrence';
 import { fullClientLogout } from '../utils/logout';
 import { getUserProfile, getProfileImage, getUserId } from '../utils/profileUtils';
 import { createProfileTransition } from '../utils/profileTransition';
 
+// --- Helpers ---
+const formatSessionDuration = (seconds) => {
+    const minutes = Math.round((seconds || 0) / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
 // --- Lightweight Custom Pickers (Calendar + Time) ---
 // Calendar picker with month navigation and day grid
 const CalendarPopover = ({ initialDate, onSelect, onClose }) => {
@@ -372,7 +380,7 @@ const useMeetingStats = (userId) => {
             // Fetch meetings created by user
             const { data: userMeetings, error: meetingsError } = await supabase
                 .from('meetings')
-                .select('id, created_at, scheduled_for, is_scheduled, completed_at')
+                .select('id, created_at, scheduled_for, is_scheduled, recurrence_rule')
                 .eq('created_by', userId);
 
             if (meetingsError) throw meetingsError;
@@ -380,21 +388,27 @@ const useMeetingStats = (userId) => {
             const meetings = Array.isArray(userMeetings) ? userMeetings : [];
             console.log('[Home] Raw meetings data:', meetings);
 
+            // Sessions of those meetings: a meeting only counts as held once someone joined it
+            const { data: sessions, error: sessionsError } = await supabase
+                .from('meeting_sessions')
+                .select('meeting_id, ended_at')
+                .in('meeting_id', meetings.map(m => m.id));
+
+            if (sessionsError) throw sessionsError;
+            const heldMeetingIds = new Set((sessions || []).map(session => session.meeting_id));
+
             // Meetings joined this month (meetings created this month)
             const meetingsThisMonth = meetings.filter(meeting => {
                 const createdAt = new Date(meeting.created_at);
                 return createdAt >= startOfMonth && createdAt <= endOfMonth;
             });
 
-            // Past meetings: non-scheduled (instant) meetings + completed scheduled meetings
-            const pastMeetings = meetings.filter(meeting => 
-                !meeting.is_scheduled || // Instant meetings (originally created as not scheduled)
-                meeting.completed_at    // Any meeting that has been completed (originally scheduled but now done)
-            );
+            // Past meetings: sessions that have ended
+            const pastMeetings = (sessions || []).filter(session => session.ended_at);
 
-            // Scheduled meetings: ONLY meetings that are still scheduled (not yet started/completed)
+            // Scheduled meetings: not held yet (recurring meetings stay scheduled for their next occurrences)
             const scheduledMeetings = meetings.filter(meeting => 
-                meeting.is_scheduled === true && !meeting.completed_at
+                meeting.is_scheduled === true && (meeting.recurrence_rule || !heldMeetingIds.has(meeting.id))
             );
 
             console.log('[Home] Filtered meetings:', { 
@@ -648,32 +662,18 @@ const HomePage = () => {
     const createInstantMeeting = async () => {
         if (!currentUser) { alert('You must be logged in to start a meeting.'); return; }
         try {
-            const hostToken = uuidv4();
-            // Prepare meeting data with fallback for webinar_mode
-            const meetingData = {
+            const data = await createMeeting({
                 name: newMeetingForm.meetingTitle || `Instant Meeting - ${new Date().toLocaleDateString()}`,
                 purpose: newMeetingForm.meetingPurpose || 'Quick call',
-                is_scheduled: false,
-                scheduled_for: null,
-                host_name: userName,
-                start_with_audio_muted: !newMeetingForm.micEnabled,
-                start_with_video_muted: !newMeetingForm.cameraEnabled,
-                prejoin_page_enabled: newMeetingForm.waitingRoomEnabled || false,
-                created_by: currentUser.id,
-                host_token: hostToken,
-            };
-
-            // Add webinar_mode if it's enabled (graceful fallback)
-            if (newMeetingForm.webinarMode) {
-                meetingData.webinar_mode = true;
-            }
-
-            const { data, error } = await supabase.from('meetings')
-                .insert([meetingData])
-                .select('id')
-                .single();
-            if (error) throw error;
-            localStorage.setItem(`hostToken_${data.id}`, hostToken);
+                isScheduled: false,
+                scheduledFor: null,
+                hostName: userName,
+                startWithAudioMuted: !newMeetingForm.micEnabled,
+                startWithVideoMuted: !newMeetingForm.cameraEnabled,
+                lobbyEnabled: newMeetingForm.waitingRoomEnabled || false,
+                webinarMode: !!newMeetingForm.webinarMode,
+                recurrenceTimezone: getBrowserTimeZone(),
+            });
             
             // Refresh stats after creating a meeting (reduced delay)
             setTimeout(() => {
@@ -714,24 +714,22 @@ const HomePage = () => {
             const now = new Date();
             
             if (type === 'past') {
+                // One entry per session that actually ran, newest first
                 const { data, error } = await supabase
-                    .from('meetings')
-                    .select('*')
-                    .eq('created_by', currentUser.id)
-                    .order('created_at', { ascending: false });
+                    .from('meeting_sessions')
+                    .select('id, started_at, ended_at, duration_seconds, peak_participants, meetings!inner(*)')
+                    .eq('meetings.created_by', currentUser.id)
+                    .not('ended_at', 'is', null)
+                    .order('started_at', { ascending: false });
                 if (error) throw error;
-                // Filter for past meetings: non-scheduled (instant) + completed scheduled meetings
-                meetings = (data || []).filter(meeting => 
-                    !meeting.is_scheduled || meeting.completed_at
-                );
+                meetings = (data || []).map(({ meetings: meeting, ...session }) => ({ ...meeting, session }));
             } else if (type === 'upcoming') {
+                // One row per occurrence, so recurring meetings expand here
                 const { data, error } = await supabase
-                    .from('meetings')
+                    .from('upcoming_meetings')
                     .select('*')
                     .eq('created_by', currentUser.id)
-                    .eq('is_scheduled', true)
-                    .is('completed_at', null) // Only meetings that haven't been completed yet
-                    .order('scheduled_for', { ascending: true, nulls: 'last' });
+                    .order('scheduled_for', { ascending: true });
                 if (error) throw error;
                 meetings = data || [];
             }
@@ -969,8 +967,9 @@ const HomePage = () => {
                                                     code = code.replace(/\s+/g, '');
                                                     if (!code) { setGlobalToast({ id: Date.now(), title: 'Invalid code', message: 'Please enter a valid meeting code or link.', type: 'warning', duration: 2000 }); return; }
                                                     try {
-                                                        const { data, error } = await supabase.from('meetings').select('id').eq('id', code).single();
-                                                        if (!error && data) {
+                                                        // Meeting rows are only readable by their members, so ask the API
+                                                        const data = await fetchJoinInfo(code).catch(() => null);
+                                                        if (data) {
                                                             navigate(`/meeting/${code}`);
                                                             setMeetingId('');
                                                             setGlobalToast({ id: Date.now(), title: 'Joining meeting', message: `Meeting ID: ${code}`, type: 'success', duration: 1500 });
@@ -1217,7 +1216,7 @@ const HomePage = () => {
                                     ) : (
                                         meetingsList.map((meeting, index) => (
                                             <motion.div 
-                                                key={meeting.id} 
+                                                key={`${meeting.id}-${meeting.session?.id || meeting.original_start || ''}`} 
                                                 initial={{ opacity: 0, y: 20 }}
                                                 animate={{ opacity: 1, y: 0 }}
                                                 transition={{ delay: index * 0.1 }}
@@ -1240,17 +1239,36 @@ const HomePage = () => {
                                                         </div>
                                                         
                                                         <div className="flex flex-wrap items-center gap-3 text-xs">
-                                                            <div className="flex items-center gap-1.5 px-2 py-1 rounded-md bg-slate-800/60 text-slate-300">
-                                                                <Clock size={12} />
-                                                                <span>Created: {new Date(meeting.created_at).toLocaleDateString()}</span>
-                                                            </div>
-                                                            {meeting.scheduled_for && (
+                                                            {meeting.session ? (
+                                                                <>
+                                                                    <div className="flex items-center gap-1.5 px-2 py-1 rounded-md bg-slate-800/60 text-slate-300">
+                                                                        <Clock size={12} />
+                                                                        <span>Held: {new Date(meeting.session.started_at).toLocaleString()} · {formatSessionDuration(meeting.session.duration_seconds)}</span>
+                                                                    </div>
+                                                                    <div className="flex items-center gap-1.5 px-2 py-1 rounded-md bg-purple-500/20 text-purple-300">
+                                                                        <Users size={12} />
+                                                                        <span>Peak: {meeting.session.peak_participants}</span>
+                                                                    </div>
+                                                                </>
+                                                            ) : (
+                                                                <div className="flex items-center gap-1.5 px-2 py-1 rounded-md bg-slate-800/60 text-slate-300">
+                                                                    <Clock size={12} />
+                                                                    <span>Created: {new Date(meeting.created_at).toLocaleDateString()}</span>
+                                                                </div>
+                                                            )}
+                                                            {!meeting.session && meeting.scheduled_for && (
                                                                 <div className="flex items-center gap-1.5 px-2 py-1 rounded-md bg-emerald-500/20 text-emerald-400">
                                                                     <Calendar size={12} />
                                                                     <span>Scheduled: {new Date(meeting.scheduled_for).toLocaleString()}</span>
                                                                 </div>
                                                             )}
-                                                            {meeting.password && (
+                                                            {meeting.is_recurring && (
+                                                                <div className="flex items-center gap-1.5 px-2 py-1 rounded-md bg-blue-500/20 text-blue-300">
+                                                                    <Repeat size={12} />
+                                                                    <span>{describeRRule(meeting.recurrence_rule)}</span>
+                                                                </div>
+                                                            )}
+                                                            {meeting.has_password && (
                                                                 <div className="flex items-center gap-1.5 px-2 py-1 rounded-md bg-amber-500/20 text-amber-400">
                                                                     <Shield size={12} />
                                                                     <span>Protected</span>
@@ -1453,34 +1471,18 @@ const HomePage = () => {
                                                 }
                                                 try {
                                                     const scheduledDate = new Date(`${scheduleForm.scheduleDate}T${scheduleForm.scheduleTime}`);
-                                                    const hostToken = uuidv4();
-                                                    
-                                                    // Prepare scheduled meeting data with fallback
-                                                    const scheduledMeetingData = {
+                                                    const data = await createMeeting({
                                                         name: scheduleForm.meetingTitle,
                                                         purpose: scheduleForm.meetingPurpose || null,
-                                                        is_scheduled: true,
-                                                        scheduled_for: scheduledDate.toISOString(),
-                                                        host_name: userName,
-                                                        start_with_audio_muted: !scheduleForm.micEnabled,
-                                                        start_with_video_muted: !scheduleForm.cameraEnabled,
-                                                        prejoin_page_enabled: scheduleForm.waitingRoomEnabled || false,
-                                                        created_by: currentUser.id,
-                                                        host_token: hostToken,
-                                                    };
-
-                                                    // Add webinar_mode if enabled (graceful fallback)
-                                                    if (scheduleForm.webinarMode) {
-                                                        scheduledMeetingData.webinar_mode = true;
-                                                    }
-
-                                                    const { data, error } = await supabase.from('meetings')
-                                                        .insert([scheduledMeetingData])
-                                                        .select('id')
-                                                        .single();
-                                                    
-                                                    if (error) throw error;
-                                                    localStorage.setItem(`hostToken_${data.id}`, hostToken);
+                                                        isScheduled: true,
+                                                        scheduledFor: scheduledDate.toISOString(),
+                                                        hostName: userName,
+                                                        startWithAudioMuted: !scheduleForm.micEnabled,
+                                                        startWithVideoMuted: !scheduleForm.cameraEnabled,
+                                                        lobbyEnabled: scheduleForm.waitingRoomEnabled || false,
+                                                        webinarMode: !!scheduleForm.webinarMode,
+                                                        recurrenceTimezone: getBrowserTimeZone(),
+                                                    });
                                                     
                                                     // Reset form and close modal
                                                     setScheduleForm({
@@ -7,20 +7,43 @@ import {
     VideoIcon, Mail, Calendar, Clock, Video, X, Share2, Copy, Check,
     Users, Film, MessageSquare, ArrowLeft, User as UserIcon, KeyRound, ChevronLeft, ChevronRight,
     Mic, MicOff, VideoOff, Settings as SettingsIcon, Hand, MonitorUp, PhoneOff,
-    Presentation, Timer, HardDriveDownload, CalendarClock, MoreHorizontal, FileText, CalendarDays
+    Presentation, Timer, HardDriveDownload, CalendarClock, MoreHorizontal, FileText, CalendarDays,
+    Repeat, Pencil, CalendarPlus
 } from 'lucide-react';
-import { v4 as uuidv4 } from 'uuid';
 
 
 import { InfoPanel } from '../components/InfoPanel';
 import Toast from "../components/Toast";
 import JitsiMeet from '../components/JitsiMeet';
-import { createAdminJwt } from '../utils/jwt';
+import MeetingDetailsForm, { ShineButton } from '../components/MeetingDetailsForm';
+import OccurrenceEditModal from '../components/OccurrenceEditModal';
+import InviteesEditor from '../components/InviteesEditor';
+import AttendanceReport from '../components/AttendanceReport';
+import ChatHistory from '../components/ChatHistory';
+import PollHistory from '../components/PollHistory';
+import QuestionHistory from '../components/QuestionHistory';
+import TranscriptHistory from '../components/TranscriptHistory';
+import RegistrationManager from '../components/RegistrationManager';
+import { createRecurrenceState, buildRRule, describeRRule, getBrowserTimeZone } from '../utils/recurrence';
+import { parseEmailList } from '../utils/invitees';
+import { createMeeting, fetchJoinInfo, fetchMeetingToken, buildHostLink, rotateHostLink, revokeHostLink, claimHostLink, downloadMeetingCalendar, claimMeetingAction, completeMeetingAction, recordHostJoin, setMeetingAdmin, setWhiteboardOpen, endMeetingSession } from '../api/meetings';
 import { supabase } from '../supabase';
 
 // Debug mode for testing (set to true for detailed logging)
 const DEBUG_MODE = false;
 
+// What to show in the meeting password prompt after POST /meetings/:id/token failed
+const passwordErrorMessage = (error) => {
+    if (error?.details === 'password_required') return null;
+    if (error?.details === 'password_invalid' || error?.status === 429) return error.message;
+    return 'Could not check the password right now. Please try again.';
+};
+
+// The token route refuses people banned from the meeting (see ban_meeting_participant)
+const isBannedError = (error) => error?.status === 403 && error?.details === 'banned';
+// Webinars with registration turn away callers without an approved personal join link
+const isRegistrationError = (error) => error?.status === 403 && String(error?.details || '').startsWith('registration_');
+
 // Utility function to validate and parse meeting URLs
 const validateMeetingAccess = (meetingId, currentPath) => {
     // Basic meetingId validation
@@ -128,56 +151,6 @@ const LoadingScreen = () => {
     );
 };
 
-const ShineButton = ({ children, className = "", ...props }) => {
-    const buttonRef = useRef(null);
-    const shineRef = useRef(null);
-    const timeline = useRef(null);
-
-    useGSAP(() => {
-        timeline.current = gsap.timeline({ paused: true })
-            .fromTo(shineRef.current, 
-                { x: '-120%', skewX: -25, opacity: 0 }, 
-                { x: '120%', skewX: -25, opacity: 1, duration: 0.8, ease: 'power2.inOut' }
-            );
-    }, { scope: buttonRef });
-
-    const handleMouseEnter = () => {
-        timeline.current.restart();
-    };
-
-    return (
-        <motion.button
-            ref={buttonRef}
-            onMouseEnter={handleMouseEnter}
-            whileTap={{ scale: 0.96 }}
-            whileHover={{ 
-                scale: 1.02,
-                boxShadow: "0 20px 25px -5px rgba(59, 130, 246, 0.4), 0 10px 10px -5px rgba(59, 130, 246, 0.04)"
-            }}
-            className={`
-                relative w-auto flex items-center justify-center gap-2 py-3 px-8 rounded-xl
-                bg-gradient-to-r from-blue-600 via-blue-700 to-blue-600 
-                font-semibold text-white transition-all duration-300 
-                hover:from-blue-500 hover:via-blue-600 hover:to-blue-500
-                disabled:opacity-50 disabled:cursor-not-allowed overflow-hidden
-                border border-blue-500/20 shadow-lg
-                before:absolute before:inset-0 before:rounded-xl
-                before:bg-gradient-to-r before:from-transparent before:via-white/10 before:to-transparent
-                before:translate-x-[-100%] before:skew-x-12 before:transition-transform before:duration-700
-                hover:before:translate-x-[100%]
-                ${className}
-            `}
-            {...props}
-        >
-            <span
-                ref={shineRef}
-                className="absolute top-0 left-0 w-full h-full bg-gradient-to-r from-transparent via-white/40 to-transparent blur-sm"
-            />
-            <span className="relative z-10 drop-shadow-sm">{children}</span>
-        </motion.button>
-    );
-};
-
 const AnimatedBackground = () => {
     const numDots = 50;
     const dots = Array.from({ length: numDots }).map((_, i) => ({
@@ -254,14 +227,30 @@ const AnimatedBackground = () => {
     );
 };
 
-const ShareModal = ({ meetingLink, onClose, onStart }) => {
+const ShareModal = ({ meetingLink, hostLink, calendarMeetingId, onClose, onStart }) => {
     const [isCopied, setIsCopied] = useState(false);
+    const [isHostLinkCopied, setIsHostLinkCopied] = useState(false);
+    const [calendarError, setCalendarError] = useState(null);
+    const handleDownloadCalendar = async () => {
+        setCalendarError(null);
+        try {
+            await downloadMeetingCalendar(calendarMeetingId);
+        } catch (e) {
+            setCalendarError(e.message || 'Could not create the calendar file.');
+        }
+    };
     const handleCopy = () => {
         navigator.clipboard.writeText(meetingLink).then(() => {
             setIsCopied(true);
             setTimeout(() => setIsCopied(false), 2500);
         });
     };
+    const handleCopyHostLink = () => {
+        navigator.clipboard.writeText(hostLink).then(() => {
+            setIsHostLinkCopied(true);
+            setTimeout(() => setIsHostLinkCopied(false), 2500);
+        });
+    };
     
     return (
         <motion.div 
@@ -352,6 +341,34 @@ const ShareModal = ({ meetingLink, onClose, onStart }) => {
                         )}
                     </motion.button>
                 </motion.div>
+
+                {hostLink && (
+                    <motion.div
+                        className="mb-6 text-left"
+                        initial={{ y: 20, opacity: 0 }}
+                        animate={{ y: 0, opacity: 1 }}
+                        transition={{ delay: 0.55 }}
+                    >
+                        <p className="flex items-center gap-2 text-xs text-amber-300 mb-2">
+                            <KeyRound size={14} />
+                            Host link: opens the meeting as host on any device. Keep it private.
+                        </p>
+                        <div className="flex items-center bg-slate-800/50 border border-amber-500/30 rounded-xl p-2">
+                            <input
+                                type="text"
+                                readOnly
+                                value={hostLink}
+                                className="flex-grow bg-transparent text-slate-300 text-xs outline-none px-2 select-all"
+                            />
+                            <button
+                                onClick={handleCopyHostLink}
+                                className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium bg-amber-600/80 hover:bg-amber-500 text-white transition-colors"
+                            >
+                                {isHostLinkCopied ? <><Check size={14}/> Copied</> : <><Copy size={14}/> Copy</>}
+                            </button>
+                        </div>
+                    </motion.div>
+                )}
                 
                 <motion.div 
                     className="flex items-center justify-center gap-4"
@@ -372,750 +389,35 @@ const ShareModal = ({ meetingLink, onClose, onStart }) => {
                         <Mail size={16} />
                         Email
                     </motion.a>
-                </motion.div>
-            </motion.div>
-        </motion.div>
-    );
-};
-
-const CustomCalendar = ({ selectedDate, setSelectedDate, close }) => {
-    const [date, setDate] = useState(selectedDate || new Date());
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const daysInMonth = (month, year) => new Date(year, month + 1, 0).getDate();
-    const firstDayOfMonth = (month, year) => new Date(year, month, 1).getDay();
-    const handlePrevMonth = () => setDate(new Date(date.getFullYear(), date.getMonth() - 1, 1));
-    const handleNextMonth = () => setDate(new Date(date.getFullYear(), date.getMonth() + 1, 1));
-    const handleSelectDate = (day) => {
-        const newDate = new Date(date.getFullYear(), date.getMonth(), day);
-        if (newDate < today) return;
-        setSelectedDate(newDate);
-        close();
-    };
-
-    const month = date.getMonth();
-    const year = date.getFullYear();
-    const numDays = daysInMonth(month, year);
-    const startDay = firstDayOfMonth(month, year);
-
-    return (
-        <motion.div
-            className="relative bg-slate-900/95 backdrop-blur-xl border border-slate-700/50 p-4 sm:p-6 rounded-2xl shadow-2xl w-full max-w-xs sm:max-w-sm overflow-hidden"
-            initial={{ scale: 0.9, opacity: 0, y: -20 }} 
-            animate={{ scale: 1, opacity: 1, y: 0 }} 
-            exit={{ scale: 0.9, opacity: 0, y: 20 }}
-            transition={{ type: "spring", damping: 25 }}
-        >
-            {/* Header gradient removed for consistency */}
-            {/* Calendar Header */}
-            <motion.div 
-                className="flex justify-between items-center mb-6"
-                initial={{ y: -10, opacity: 0 }}
-                animate={{ y: 0, opacity: 1 }}
-                transition={{ delay: 0.1 }}
-            >
-                <motion.button 
-                    onClick={handlePrevMonth} 
-                    className="p-2 rounded-xl hover:bg-slate-700/50 text-slate-400 hover:text-white transition-all duration-200"
-                    whileHover={{ scale: 1.1 }}
-                    whileTap={{ scale: 0.9 }}
-                >
-                    <ChevronLeft size={20} />
-                </motion.button>
-                
-                <div className="text-center">
-                    <h3 className="text-xl font-bold text-white">
-                        {date.toLocaleString('default', { month: 'long' })}
-                    </h3>
-                    <p className="text-sm text-slate-400">{year}</p>
-            </div>
-                
-                <motion.button 
-                    onClick={handleNextMonth} 
-                    className="p-2 rounded-xl hover:bg-slate-700/50 text-slate-400 hover:text-white transition-all duration-200"
-                    whileHover={{ scale: 1.1 }}
-                    whileTap={{ scale: 0.9 }}
-                >
-                    <ChevronRight size={20} />
-                </motion.button>
-            </motion.div>
-            {/* Day labels */}
-            <motion.div 
-                className="grid grid-cols-7 gap-2 text-center text-sm font-medium text-slate-400 mb-4"
-                initial={{ y: -10, opacity: 0 }}
-                animate={{ y: 0, opacity: 1 }}
-                transition={{ delay: 0.2 }}
-            >
-                {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(d => (
-                    <div key={d} className="py-2">{d}</div>
-                ))}
-            </motion.div>
-            {/* Calendar Grid */}
-            <div className="grid grid-cols-7 gap-2">
-                {/* Empty cells for days before month start */}
-                {Array.from({ length: startDay }).map((_, i) => (
-                    <div key={`empty-${i}`} className="h-10"></div>
-                ))}
-                
-                {/* Days of the month */}
-                {Array.from({ length: numDays }).map((_, i) => {
-                    const day = i + 1;
-                    const currentDate = new Date(year, month, day);
-                    const isPast = currentDate < today;
-                    const isToday = today.getTime() === currentDate.getTime();
-                    const isSelected = selectedDate && selectedDate.getTime() === currentDate.getTime();
-                    
-                    return (
+                    {calendarMeetingId && (
                         <motion.button
-                            key={day}
-                            onClick={() => handleSelectDate(day)}
-                            disabled={isPast}
-                            className={`
-                                relative h-10 w-10 rounded-xl flex items-center justify-center text-sm font-medium transition-all duration-200
-                                ${isSelected 
-                                    ? 'bg-gradient-to-r from-blue-500 to-blue-600 text-white shadow-lg shadow-blue-500/30' 
-                                    : ''
-                                }
-                                ${!isSelected && isToday 
-                                    ? 'bg-blue-500/20 border border-blue-400/50 text-blue-300' 
-                                    : ''
-                                }
-                                ${!isSelected && !isToday && !isPast 
-                                    ? 'text-slate-200 hover:bg-slate-700/50 hover:text-white' 
-                                    : ''
-                                }
-                                ${isPast 
-                                    ? 'text-slate-600 cursor-not-allowed opacity-50' 
-                                    : ''
-                                }
-                            `}
-                            whileHover={!isPast ? { scale: 1.05 } : {}}
-                            whileTap={!isPast ? { scale: 0.95 } : {}}
-                            initial={{ scale: 0.8, opacity: 0 }}
-                            animate={{ scale: 1, opacity: 1 }}
-                            transition={{ delay: 0.03 * day, type: "spring", damping: 20 }}
-                        >
-                            {day}
-                            
-                            {/* Selected indicator */}
-                            {isSelected && (
-                                <motion.div
-                                    className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-400/30 to-purple-400/30"
-                                    initial={{ scale: 0 }}
-                                    animate={{ scale: 1 }}
-                                    transition={{ type: "spring", damping: 15 }}
-                                />
-                            )}
-                            
-                            {/* Today indicator */}
-                            {isToday && !isSelected && (
-                                <motion.div
-                                    className="absolute -bottom-1 left-1/2 transform -translate-x-1/2 w-1 h-1 bg-blue-400 rounded-full"
-                                    initial={{ scale: 0 }}
-                                    animate={{ scale: 1 }}
-                                    transition={{ delay: 0.5 }}
-                                />
-                            )}
-                        </motion.button>
-                    );
-                })}
-            </div>
-
-            {/* Footer */}
-            <motion.div 
-                className="mt-6 pt-4 border-t border-slate-700/50"
-                initial={{ y: 10, opacity: 0 }}
-                animate={{ y: 0, opacity: 1 }}
-                transition={{ delay: 0.4 }}
-            >
-                <div className="flex items-center justify-between text-xs text-slate-400">
-                    <span>Select a date</span>
-                    <span className="flex items-center gap-1">
-                        <div className="w-2 h-2 bg-blue-400 rounded-full"></div>
-                        Today
-                    </span>
-                </div>
-            </motion.div>
-        </motion.div>
-    );
-};
-
-const CustomTimePicker = ({ selectedTime, setSelectedTime, close }) => {
-    const [hour, setHour] = useState(selectedTime ? selectedTime.getHours() % 12 === 0 ? 12 : selectedTime.getHours() % 12 : 12);
-    const [minute, setMinute] = useState(selectedTime ? selectedTime.getMinutes() : 0);
-    const [period, setPeriod] = useState(selectedTime ? (selectedTime.getHours() >= 12 ? 'PM' : 'AM') : 'PM');
-
-    const handleSave = () => {
-        let finalHour = hour;
-        if (period === 'PM' && hour < 12) finalHour += 12;
-        if (period === 'AM' && hour === 12) finalHour = 0;
-
-        const newTime = new Date();
-        newTime.setHours(finalHour, minute);
-        setSelectedTime(newTime);
-        close();
-    };
-
-    return (
-        <motion.div
-            className="relative bg-slate-900/95 backdrop-blur-xl border border-slate-700/50 p-4 sm:p-6 rounded-2xl shadow-2xl w-full max-w-xs sm:max-w-sm overflow-hidden"
-            initial={{ scale: 0.9, opacity: 0, y: -20 }} 
-            animate={{ scale: 1, opacity: 1, y: 0 }} 
-            exit={{ scale: 0.9, opacity: 0, y: 20 }}
-            transition={{ type: "spring", damping: 25 }}
-        >
-            {/* Header gradient removed for consistency */}
-            
-            {/* Header */}
-            <motion.div 
-                className="text-center mb-6"
-                initial={{ y: -10, opacity: 0 }}
-                animate={{ y: 0, opacity: 1 }}
-                transition={{ delay: 0.1 }}
-            >
-                <h3 className="text-2xl font-bold text-white mb-1">Select Time</h3>
-                <p className="text-sm text-slate-400">Choose your preferred meeting time</p>
-            </motion.div>
-
-            {/* Time Display */}
-            <motion.div 
-                className="flex items-center justify-center gap-3 mb-8"
-                initial={{ scale: 0.8, opacity: 0 }}
-                animate={{ scale: 1, opacity: 1 }}
-                transition={{ delay: 0.2, type: "spring", damping: 15 }}
-            >
-                {/* Hour Input */}
-                <div className="relative group">
-                    <input 
-                        type="number" 
-                        min="1" 
-                        max="12" 
-                        value={hour} 
-                        onChange={e => setHour(Math.max(1, Math.min(12, parseInt(e.target.value) || 1)))} 
-                        className="w-20 h-16 bg-slate-800/50 backdrop-blur-sm border border-slate-600/50 text-center rounded-2xl text-3xl font-bold text-white outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 transition-all duration-300 hover:bg-slate-800/70" 
-                    />
-                    <div className="absolute inset-0 rounded-2xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-focus-within:opacity-100 transition-opacity duration-300 pointer-events-none" />
-                </div>
-
-                {/* Separator */}
-                <motion.span 
-                    className="text-4xl font-bold text-slate-400"
-                    animate={{ opacity: [0.5, 1, 0.5] }}
-                    transition={{ duration: 2, repeat: Infinity, ease: "easeInOut" }}
-                >
-                    :
-                </motion.span>
-
-                {/* Minute Input */}
-                <div className="relative group">
-                    <input 
-                        type="number" 
-                        min="0" 
-                        max="59" 
-                        step="1" 
-                        value={String(minute).padStart(2, '0')} 
-                        onChange={e => setMinute(Math.max(0, Math.min(59, parseInt(e.target.value) || 0)))} 
-                        className="w-20 h-16 bg-slate-800/50 backdrop-blur-sm border border-slate-600/50 text-center rounded-2xl text-3xl font-bold text-white outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 transition-all duration-300 hover:bg-slate-800/70" 
-                    />
-                    <div className="absolute inset-0 rounded-2xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-focus-within:opacity-100 transition-opacity duration-300 pointer-events-none" />
-            </div>
-
-                {/* AM/PM Toggle */}
-                <div className="flex flex-col gap-2 ml-2">
-                    <motion.button 
-                        onClick={() => setPeriod('AM')} 
-                        className={`px-4 py-2 text-sm font-medium rounded-xl transition-all duration-300 ${
-                            period === 'AM' 
-                                ? 'bg-gradient-to-r from-blue-500 to-blue-600 text-white shadow-lg shadow-blue-500/30' 
-                                : 'bg-slate-700/50 text-slate-300 hover:bg-slate-700'
-                        }`}
-                        whileHover={{ scale: 1.05 }}
-                        whileTap={{ scale: 0.95 }}
-                    >
-                        AM
-                    </motion.button>
-                    <motion.button 
-                        onClick={() => setPeriod('PM')} 
-                        className={`px-4 py-2 text-sm font-medium rounded-xl transition-all duration-300 ${
-                            period === 'PM' 
-                                ? 'bg-gradient-to-r from-blue-500 to-blue-600 text-white shadow-lg shadow-blue-500/30' 
-                                : 'bg-slate-700/50 text-slate-300 hover:bg-slate-700'
-                        }`}
-                        whileHover={{ scale: 1.05 }}
-                        whileTap={{ scale: 0.95 }}
-                    >
-                        PM
-                    </motion.button>
-                </div>
-            </motion.div>
-
-            {/* Footer */}
-            <motion.div
-                initial={{ y: 20, opacity: 0 }}
-                animate={{ y: 0, opacity: 1 }}
-                transition={{ delay: 0.3 }}
-            >
-                <ShineButton onClick={handleSave} className="w-full">
-                    <Clock size={18} />
-                    Set Time
-                </ShineButton>
-            </motion.div>
-        </motion.div>
-    );
-};
-
-const SettingsModal = ({ formValues, handleInputChange, close }) => (
-    <motion.div
-        className="bg-slate-800 p-6 rounded-lg shadow-xl w-full max-w-sm border border-slate-700"
-        initial={{ scale: 0.9, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.9, opacity: 0 }}
-    >
-        <div className="flex justify-between items-center mb-4">
-            <h3 className="text-lg font-semibold">Advanced Settings</h3>
-            <button onClick={close} className="p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
-        </div>
-        <div className="space-y-3">
-            <div className="flex items-center justify-between p-3 bg-slate-700/30 rounded-lg">
-                <div className="flex items-center gap-3">
-                    <Users className="text-slate-400" size={18} />
-                    <span className="text-slate-300 text-sm font-medium">Enable waiting room</span>
-                </div>
-                <button onClick={() => handleInputChange({ target: { name: 'waitingRoomEnabled', value: !formValues.waitingRoomEnabled } })} className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${formValues.waitingRoomEnabled ? 'bg-blue-500' : 'bg-slate-600'}`}>
-                    <motion.span animate={{ x: formValues.waitingRoomEnabled ? 22 : 2 }} transition={{ type: 'spring', stiffness: 500, damping: 25 }} className="inline-block h-5 w-5 transform rounded-full bg-white" />
-                </button>
-            </div>
-        </div>
-    </motion.div>
-);
-
-const MeetingDetailsForm = ({
-    isScheduling, onSubmit, setView, formValues,
-    handleInputChange, handleDateChange, isLoading
-}) => {
-    const [isCalendarOpen, setIsCalendarOpen] = useState(false);
-    const [isTimePickerOpen, setIsTimePickerOpen] = useState(false);
-    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
-
-    return (
-        <>
-        <motion.form
-            key={isScheduling ? "schedule-form" : "start-form"}
-            onSubmit={onSubmit}
-            initial={{ opacity: 0, x: 30 }}
-            animate={{ opacity: 1, x: 0 }}
-            exit={{ opacity: 0, x: -30 }}
-            transition={{ duration: 0.3, ease: 'easeInOut' }}
-            className="flex flex-col h-full"
-        >
-            <motion.div 
-                className="relative flex justify-between items-center mb-4 shrink-0 p-3 sm:p-4 bg-gradient-to-r from-slate-800/80 via-slate-700/80 to-slate-800/80 backdrop-blur-xl rounded-xl border border-slate-700/50"
-                initial={{ y: -20, opacity: 0 }}
-                animate={{ y: 0, opacity: 1 }}
-                transition={{ duration: 0.4, ease: "easeOut" }}
-            >
-                {/* Header gradient removed for consistency */}
-                
-                <div className="flex items-center gap-4">
-                    <motion.button 
-                        type="button" 
-                        onClick={() => setView('initial')} 
-                        className="p-3 rounded-xl hover:bg-slate-700/50 text-slate-400 hover:text-white transition-all duration-200 border border-slate-600/50 hover:border-slate-500/50"
-                        whileHover={{ scale: 1.05, x: -2 }}
-                        whileTap={{ scale: 0.95 }}
-                    >
-                        <ArrowLeft size={20}/>
-                    </motion.button>
-                    <div className="flex items-center gap-4">
-                        <motion.div
-                            className="p-3 bg-gradient-to-br from-blue-500/20 to-purple-500/20 rounded-xl"
-                            initial={{ scale: 0 }}
-                            animate={{ scale: 1 }}
-                            transition={{ delay: 0.2, type: "spring", damping: 15 }}
+                            onClick={handleDownloadCalendar}
+                            className="flex items-center gap-2 text-sm text-slate-300 bg-slate-700/50 hover:bg-slate-700 transition-all duration-300 px-4 py-3 rounded-xl border border-slate-600/50 hover:border-slate-500/70"
+                            whileHover={{ scale: 1.02 }}
+                            whileTap={{ scale: 0.98 }}
+                            title="Download an .ics file for Outlook, Google Calendar or Apple Calendar"
                         >
-                            {isScheduling ? (
-                                <Calendar className="text-blue-400" size={24} />
-                            ) : (
-                                <Video className="text-blue-400" size={24} />
-                            )}
-                        </motion.div>
-                    <div>
-                            <motion.h2 
-                                className="text-xl sm:text-2xl font-bold text-transparent bg-gradient-to-r from-white via-blue-100 to-white bg-clip-text"
-                                initial={{ x: -20, opacity: 0 }}
-                                animate={{ x: 0, opacity: 1 }}
-                                transition={{ delay: 0.3 }}
-                            >
-                                {isScheduling ? 'Schedule a Meeting' : 'Start an Instant Meeting'}
-                            </motion.h2>
-                            <motion.p 
-                                className="text-slate-400 text-xs sm:text-sm font-medium"
-                                initial={{ x: -20, opacity: 0 }}
-                                animate={{ x: 0, opacity: 1 }}
-                                transition={{ delay: 0.4 }}
-                            >
-                                {isScheduling 
-                                    ? 'Set up your meeting for later and invite participants' 
-                                    : 'Create and start your meeting right now'
-                                }
-                            </motion.p>
-                    </div>
-                </div>
-            </div>
-            
-                {/* Status indicator */}
-                <motion.div 
-                    className="flex items-center gap-2"
-                    initial={{ scale: 0 }}
-                    animate={{ scale: 1 }}
-                    transition={{ delay: 0.5 }}
-                >
-                    <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse"></div>
-                    <span className="text-xs text-slate-500 font-medium">READY</span>
-                </motion.div>
-            </motion.div>
-            
-            <div className="space-y-3 sm:space-y-4 flex-grow overflow-y-auto pr-2 px-1 thin-scrollbar">
-                <motion.div 
-                    className="relative group"
-                    initial={{ x: -20, opacity: 0 }}
-                    animate={{ x: 0, opacity: 1 }}
-                    transition={{ delay: 0.1 }}
-                >
-                    <UserIcon className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 group-focus-within:text-blue-400 transition-colors z-10" size={18} />
-                    <input 
-                        type="text" 
-                        name="userName" 
-                        placeholder="Your Name*" 
-                        value={formValues.userName} 
-                        onChange={handleInputChange} 
-                        required 
-                        className="w-full bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl py-3 pl-12 pr-4 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 transition-all duration-300 hover:bg-slate-800/50" 
-                    />
-                    <div className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-focus-within:opacity-100 transition-opacity duration-300 pointer-events-none" />
-                </motion.div>
-                
-                <motion.div 
-                    className="relative group"
-                    initial={{ x: -20, opacity: 0 }}
-                    animate={{ x: 0, opacity: 1 }}
-                    transition={{ delay: 0.2 }}
-                >
-                    <VideoIcon className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 group-focus-within:text-blue-400 transition-colors z-10" size={18} />
-                    <input 
-                        type="text" 
-                        name="meetingTitle" 
-                        placeholder="Meeting Title*" 
-                        value={formValues.meetingTitle} 
-                        onChange={handleInputChange} 
-                        required 
-                        className="w-full bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl py-3 pl-12 pr-4 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 transition-all duration-300 hover:bg-slate-800/50" 
-                    />
-                    <div className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-focus-within:opacity-100 transition-opacity duration-300 pointer-events-none" />
-                </motion.div>
-                
-                <motion.div 
-                    className="relative group"
-                    initial={{ x: -20, opacity: 0 }}
-                    animate={{ x: 0, opacity: 1 }}
-                    transition={{ delay: 0.3 }}
-                >
-                    <MessageSquare className="absolute left-4 top-4 text-slate-400 group-focus-within:text-blue-400 transition-colors z-10" size={18} />
-                    <textarea 
-                        name="meetingPurpose" 
-                        placeholder="Meeting Purpose (Optional)" 
-                        value={formValues.meetingPurpose} 
-                        onChange={handleInputChange} 
-                        rows="2" 
-                        className="w-full bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl py-3 pl-12 pr-4 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500/50 focus:border-blue-500/50 resize-none transition-all duration-300 hover:bg-slate-800/50" 
-                    />
-                    <div className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-focus-within:opacity-100 transition-opacity duration-300 pointer-events-none" />
-                </motion.div>
-                
-                <motion.div 
-                    className="relative group"
-                    initial={{ x: -20, opacity: 0 }}
-                    animate={{ x: 0, opacity: 1 }}
-                    transition={{ delay: 0.4 }}
-                >
-                    <div className="flex items-center justify-between p-4 bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl hover:bg-slate-800/50 transition-all duration-300">
-                        <div className="flex items-center gap-3">
-                            <Presentation className="text-slate-400 group-hover:text-blue-400 transition-colors" size={18} />
-                            <div>
-                                <span className="text-white text-sm font-medium">Webinar Mode</span>
-                                <p className="text-slate-400 text-xs">Only moderators can use meeting controls</p>
-                            </div>
-                        </div>
-                        <motion.button 
-                            type="button"
-                            onClick={() => handleInputChange({ target: { name: 'webinarMode', value: !formValues.webinarMode } })} 
-                            className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${formValues.webinarMode ? 'bg-blue-500' : 'bg-slate-600'}`}
-                            whileTap={{ scale: 0.95 }}
-                        >
-                            <motion.span 
-                                animate={{ x: formValues.webinarMode ? 22 : 2 }} 
-                                transition={{ type: 'spring', stiffness: 500, damping: 25 }} 
-                                className="inline-block h-5 w-5 transform rounded-full bg-white shadow-lg" 
-                            />
+                            <CalendarPlus size={16} />
+                            .ics
                         </motion.button>
-                    </div>
-                    <div className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-hover:opacity-100 transition-opacity duration-300 pointer-events-none" />
-                </motion.div>
-                {isScheduling && (
-                    <motion.div 
-                        className="grid sm:grid-cols-2 gap-3 sm:gap-4"
-                        initial={{ y: 20, opacity: 0 }}
-                        animate={{ y: 0, opacity: 1 }}
-                        transition={{ delay: 0.5 }}
-                    >
-                        <motion.div className="relative group">
-                            <motion.button 
-                                type="button" 
-                                onClick={() => setIsCalendarOpen(true)} 
-                                className="w-full flex items-center justify-between bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl py-3 px-4 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/50 hover:border-blue-500/50 transition-all duration-300 hover:bg-slate-800/50 group"
-                                whileHover={{ scale: 1.02 }}
-                                whileTap={{ scale: 0.98 }}
-                            >
-                                <div className="flex items-center gap-3">
-                                    <Calendar className="text-slate-400 group-hover:text-blue-400 transition-colors" size={18} />
-                                    <span className="font-medium text-left">
-                                        {formValues.scheduleDate ? formValues.scheduleDate.toLocaleDateString() : 'Select Date'}
-                                    </span>
-                                </div>
-                                <ChevronRight className="text-slate-500 group-hover:text-blue-400 transition-colors" size={16} />
-                            </motion.button>
-                            <div className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-hover:opacity-100 transition-opacity duration-300 pointer-events-none" />
-                        </motion.div>
-                        
-                        <motion.div className="relative group">
-                            <motion.button 
-                                type="button" 
-                                onClick={() => setIsTimePickerOpen(true)} 
-                                className="w-full flex items-center justify-between bg-slate-800/30 backdrop-blur-sm border border-slate-600/50 rounded-xl py-3 px-4 text-white focus:outline-none focus:ring-2 focus:ring-blue-500/50 hover:border-blue-500/50 transition-all duration-300 hover:bg-slate-800/50 group"
-                                whileHover={{ scale: 1.02 }}
-                                whileTap={{ scale: 0.98 }}
-                            >
-                                <div className="flex items-center gap-3">
-                                    <Clock className="text-slate-400 group-hover:text-blue-400 transition-colors" size={18} />
-                                    <span className="font-medium text-left">
-                                        {formValues.scheduleTime ? formValues.scheduleTime.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}) : 'Select Time'}
-                                    </span>
-                                </div>
-                                <ChevronRight className="text-slate-500 group-hover:text-blue-400 transition-colors" size={16} />
-                            </motion.button>
-                            <div className="absolute inset-0 rounded-xl bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-hover:opacity-100 transition-opacity duration-300 pointer-events-none" />
-                        </motion.div>
-                    </motion.div>
-                )}
-            </div>
-            <motion.div 
-                className="pt-3 mt-auto shrink-0"
-                initial={{ y: 20, opacity: 0 }}
-                animate={{ y: 0, opacity: 1 }}
-                transition={{ delay: 0.6 }}
-            >
-                {/* Meeting Options */}
-                <div className="bg-gradient-to-r from-slate-800/40 via-slate-700/40 to-slate-800/40 backdrop-blur-sm rounded-xl p-3 sm:p-4 border border-slate-700/50 mb-4 shadow-lg">
-                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
-                        <div className="flex items-center gap-3">
-                            <motion.div 
-                                className="p-2 bg-slate-700/50 rounded-lg"
-                                initial={{ scale: 0 }}
-                                animate={{ scale: 1 }}
-                                transition={{ delay: 0.7, type: "spring", damping: 15 }}
-                            >
-                                <SettingsIcon className="text-blue-400" size={16} />
-                            </motion.div>
-                            <div>
-                                <span className="text-sm font-semibold text-slate-100">Meeting Options</span>
-                                <p className="text-xs text-slate-400 hidden sm:block">Configure audio, video and settings</p>
-                            </div>
-                        </div>
-                        
-                        <div className="flex items-center gap-2 sm:gap-3">
-                            {/* Microphone Toggle */}
-                            <motion.div className="flex flex-col items-center gap-1">
-                                <motion.button 
-                                    type="button" 
-                                    onClick={() => handleInputChange({ target: { name: 'micEnabled', value: !formValues.micEnabled } })} 
-                                    className={`
-                                        relative p-2.5 rounded-lg transition-all duration-300 border backdrop-blur-sm
-                                        ${formValues.micEnabled 
-                                            ? 'bg-green-500/20 text-green-400 border-green-500/40 hover:bg-green-500/30 shadow-md shadow-green-500/20' 
-                                            : 'bg-red-500/20 text-red-400 border-red-500/40 hover:bg-red-500/30 shadow-md shadow-red-500/20'
-                                        }
-                                    `}
-                                    title={formValues.micEnabled ? 'Microphone On' : 'Microphone Off'}
-                                    whileHover={{ scale: 1.05 }}
-                                    whileTap={{ scale: 0.95 }}
-                                    initial={{ y: 10, opacity: 0 }}
-                                    animate={{ y: 0, opacity: 1 }}
-                                    transition={{ delay: 0.8 }}
-                                >
-                                    {formValues.micEnabled ? <Mic size={16} /> : <MicOff size={16} />}
-                                    <motion.div 
-                                        className={`absolute -top-1 -right-1 w-2.5 h-2.5 rounded-full ${formValues.micEnabled ? 'bg-green-400' : 'bg-red-400'}`}
-                                        animate={{ scale: [1, 1.2, 1] }}
-                                        transition={{ duration: 2, repeat: Infinity, ease: "easeInOut" }}
-                                    />
-                                </motion.button>
-                                <span className="text-xs text-slate-500 font-medium">
-                                    {formValues.micEnabled ? 'ON' : 'OFF'}
-                                </span>
-                            </motion.div>
-                            
-                            {/* Camera Toggle */}
-                            <motion.div className="flex flex-col items-center gap-1">
-                                <motion.button 
-                                    type="button" 
-                                    onClick={() => handleInputChange({ target: { name: 'cameraEnabled', value: !formValues.cameraEnabled } })} 
-                                    className={`
-                                        relative p-2.5 rounded-lg transition-all duration-300 border backdrop-blur-sm
-                                        ${formValues.cameraEnabled 
-                                            ? 'bg-green-500/20 text-green-400 border-green-500/40 hover:bg-green-500/30 shadow-md shadow-green-500/20' 
-                                            : 'bg-red-500/20 text-red-400 border-red-500/40 hover:bg-red-500/30 shadow-md shadow-red-500/20'
-                                        }
-                                    `}
-                                    title={formValues.cameraEnabled ? 'Camera On' : 'Camera Off'}
-                                    whileHover={{ scale: 1.05 }}
-                                    whileTap={{ scale: 0.95 }}
-                                    initial={{ y: 10, opacity: 0 }}
-                                    animate={{ y: 0, opacity: 1 }}
-                                    transition={{ delay: 0.9 }}
-                                >
-                                    {formValues.cameraEnabled ? <Video size={16} /> : <VideoOff size={16} />}
-                                    <motion.div 
-                                        className={`absolute -top-1 -right-1 w-2.5 h-2.5 rounded-full ${formValues.cameraEnabled ? 'bg-green-400' : 'bg-red-400'}`}
-                                        animate={{ scale: [1, 1.2, 1] }}
-                                        transition={{ duration: 2, repeat: Infinity, ease: "easeInOut", delay: 0.5 }}
-                                    />
-                                </motion.button>
-                                <span className="text-xs text-slate-500 font-medium">
-                                    {formValues.cameraEnabled ? 'ON' : 'OFF'}
-                                </span>
-                            </motion.div>
-                        </div>
-                    </div>
-                </div>
-                
-                {/* Submit Button */}
-                <motion.div 
-                    className="flex justify-center"
-                    initial={{ y: 20, opacity: 0 }}
-                    animate={{ y: 0, opacity: 1 }}
-                    transition={{ delay: 1.1 }}
-                >
-                    <ShineButton 
-                        type="submit" 
-                        disabled={isLoading}
-                        className="px-6 sm:px-10 py-3 text-sm sm:text-base font-bold min-w-[180px] shadow-xl"
-                    >
-                        {isLoading ? (
-                            <motion.div 
-                                className="flex items-center gap-3"
-                                initial={{ opacity: 0 }}
-                                animate={{ opacity: 1 }}
-                            >
-                                <motion.div 
-                                    className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full"
-                                    animate={{ rotate: 360 }}
-                                    transition={{ duration: 1, repeat: Infinity, ease: "linear" }}
-                                />
-                                <span>Processing...</span>
-                                <motion.div
-                                    className="flex gap-1"
-                                    initial={{ opacity: 0 }}
-                                    animate={{ opacity: 1 }}
-                                    transition={{ delay: 0.5 }}
-                                >
-                                    <motion.div className="w-1 h-1 bg-white/50 rounded-full" animate={{ scale: [1, 1.5, 1] }} transition={{ duration: 1, repeat: Infinity, delay: 0 }} />
-                                    <motion.div className="w-1 h-1 bg-white/50 rounded-full" animate={{ scale: [1, 1.5, 1] }} transition={{ duration: 1, repeat: Infinity, delay: 0.2 }} />
-                                    <motion.div className="w-1 h-1 bg-white/50 rounded-full" animate={{ scale: [1, 1.5, 1] }} transition={{ duration: 1, repeat: Infinity, delay: 0.4 }} />
-                                </motion.div>
-                            </motion.div>
-                        ) : (
-                            <motion.div 
-                                className="flex items-center gap-3"
-                                whileHover={{ scale: 1.02 }}
-                                whileTap={{ scale: 0.98 }}
-                            >
-                                <motion.div
-                                    animate={{ rotate: [0, 360] }}
-                                    transition={{ duration: 20, repeat: Infinity, ease: "linear" }}
-                                >
-                                    {isScheduling ? <Calendar size={20} /> : <Video size={20} />}
-                                </motion.div>
-                                <span>{isScheduling ? 'Schedule Meeting' : 'Create & Start'}</span>
-                                <motion.div 
-                                    className="w-2 h-2 bg-white/70 rounded-full"
-                                    animate={{ 
-                                        scale: [1, 1.3, 1],
-                                        opacity: [0.7, 1, 0.7]
-                                    }}
-                                    transition={{ 
-                                        duration: 2, 
-                                        repeat: Infinity, 
-                                        ease: "easeInOut"
-                                    }}
-                                />
-                            </motion.div>
-                        )}
-                    </ShineButton>
-                </motion.div>
-            </motion.div>
-        </motion.form>
-
-        {/* Move modals outside form to prevent form submission issues */}
-        <AnimatePresence>
-            {(isCalendarOpen || isTimePickerOpen || isSettingsOpen) && (
-                <motion.div 
-                    className="fixed inset-0 bg-black/60 backdrop-blur-sm z-[60] flex justify-center items-center p-4" 
-                    initial={{ opacity: 0 }} 
-                    animate={{ opacity: 1 }} 
-                    exit={{ opacity: 0 }} 
-                    onClick={() => { setIsCalendarOpen(false); setIsTimePickerOpen(false); setIsSettingsOpen(false); }}
-                >
-                    {isCalendarOpen && (
-                        <div onClick={(e) => e.stopPropagation()}>
-                            <CustomCalendar 
-                                selectedDate={formValues.scheduleDate} 
-                                setSelectedDate={(date) => handleDateChange({target: {name: 'scheduleDate', value: date}})} 
-                                close={() => setIsCalendarOpen(false)} 
-                            />
-                        </div>
-                    )}
-                    {isTimePickerOpen && (
-                        <div onClick={(e) => e.stopPropagation()}>
-                            <CustomTimePicker 
-                                selectedTime={formValues.scheduleTime} 
-                                setSelectedTime={(time) => handleDateChange({target: {name: 'scheduleTime', value: time}})} 
-                                close={() => setIsTimePickerOpen(false)} 
-                            />
-                        </div>
-                    )}
-                    {isSettingsOpen && (
-                        <div onClick={(e) => e.stopPropagation()}>
-                            <SettingsModal 
-                                formValues={formValues} 
-                                handleInputChange={handleInputChange} 
-                                close={() => setIsSettingsOpen(false)} 
-                            />
-                        </div>
                     )}
                 </motion.div>
-            )}
-        </AnimatePresence>
-    </>
+                {calendarError && <p className="text-red-400 text-xs mt-3">{calendarError}</p>}
+            </motion.div>
+        </motion.div>
     );
 };
 
 const CreateMeeting = ({ onSubmit, isLoading, initialUserName, navigate }) => {
     const [view, setView] = useState('initial');
     const [formValues, setFormValues] = useState({
-        userName: initialUserName || '', meetingTitle: '', meetingPurpose: '', 
+        userName: initialUserName || '', meetingTitle: '', meetingPurpose: '', meetingPassword: '',
         scheduleDate: null, scheduleTime: null, micEnabled: true, cameraEnabled: true,
         // --- FIXED: Default waiting room is now false ---
         waitingRoomEnabled: false, 
         webinarMode: false,
+        recurrence: createRecurrenceState(),
+        invitees: '',
     });
     const [joinCode, setJoinCode] = useState('');
 
@@ -1128,9 +430,11 @@ const CreateMeeting = ({ onSubmit, isLoading, initialUserName, navigate }) => {
         const finalDateTime = (isScheduling && formValues.scheduleDate && formValues.scheduleTime) ? new Date( formValues.scheduleDate.getFullYear(), formValues.scheduleDate.getMonth(), formValues.scheduleDate.getDate(), formValues.scheduleTime.getHours(), formValues.scheduleTime.getMinutes() ) : null;
         const formData = {
             name: formValues.meetingTitle || (isScheduling ? 'Scheduled Meeting' : 'Instant Meeting'), purpose: formValues.meetingPurpose,
-            webinarMode: formValues.webinarMode, isScheduled: isScheduling, scheduledFor: finalDateTime, hostName: formValues.userName,
+            password: formValues.meetingPassword, webinarMode: formValues.webinarMode, isScheduled: isScheduling, scheduledFor: finalDateTime, hostName: formValues.userName,
             startWithAudioMuted: !formValues.micEnabled, startWithVideoMuted: !formValues.cameraEnabled, 
-            prejoinPageEnabled: formValues.waitingRoomEnabled,
+            lobbyEnabled: formValues.waitingRoomEnabled,
+            recurrenceRule: isScheduling ? buildRRule(formValues.recurrence) : null,
+            invitees: isScheduling ? formValues.invitees : '',
         };
         onSubmit(formData, isScheduling ? 'later' : 'now');
     };
@@ -1282,6 +586,8 @@ const MeetingPage = () => {
     const [isLoading, setIsLoading] = useState(false);
     const [isShareModalOpen, setIsShareModalOpen] = useState(false);
     const [newMeetingLink, setNewMeetingLink] = useState('');
+    const [newHostLink, setNewHostLink] = useState('');
+    const [newMeetingCalendarId, setNewMeetingCalendarId] = useState(null);
     const [activeMeeting, setActiveMeeting] = useState(null);
     const [currentUser, setCurrentUser] = useState(null);
     const [userName, setUserName] = useState('');
@@ -1296,7 +602,11 @@ const MeetingPage = () => {
     const [adminDisplayNames, setAdminDisplayNames] = useState([]);
     const [isCurrentAdmin, setIsCurrentAdmin] = useState(false);
     const prevIsAdminRef = useRef(false);
-    const [adminJwt, setAdminJwt] = useState(undefined);
+    const [meetingJwt, setMeetingJwt] = useState(undefined);
+    // Shown to participants of a password-protected meeting until the API accepts their password
+    const [passwordPrompt, setPasswordPrompt] = useState(null); // null | { error: string | null }
+    const [meetingPasswordInput, setMeetingPasswordInput] = useState('');
+    const [isCheckingPassword, setIsCheckingPassword] = useState(false);
     const [roleEventTick, setRoleEventTick] = useState(0);
     const [localAdminOverride, setLocalAdminOverride] = useState(null); // null = no override, true/false = force UI
     const [upcomingMeetings, setUpcomingMeetings] = useState([]);
@@ -1314,13 +624,19 @@ const MeetingPage = () => {
         micEnabled: true,
         cameraEnabled: true,
         waitingRoomEnabled: false,
+        recurrence: createRecurrenceState(),
+        invitees: '',
     });
+    const [editingOccurrence, setEditingOccurrence] = useState(null);
 
     // Details modal state for viewing full meeting information
     const [isDetailsOpen, setIsDetailsOpen] = useState(false);
     const [detailsMeeting, setDetailsMeeting] = useState(null);
     const [isDetailsLoading, setIsDetailsLoading] = useState(false);
     const [detailsError, setDetailsError] = useState(null);
+    const [detailsHostLink, setDetailsHostLink] = useState('');
+    const [detailsTab, setDetailsTab] = useState('details');
+    const [isHostLinkBusy, setIsHostLinkBusy] = useState(false);
 
     const [areControlsVisible, setAreControlsVisible] = useState(true);
     const inactivityTimer = useRef(null);
@@ -1399,6 +715,13 @@ const MeetingPage = () => {
             }
             
             console.log('[Meeting] URL validation passed:', validation);
+
+            // Host links carry the host secret in ?host=; keep it locally and drop it from the address bar
+            const hostParam = new URLSearchParams(window.location.search).get('host');
+            if (hostParam) {
+                localStorage.setItem(`hostToken_${validation.cleanMeetingId}`, hostParam);
+                window.history.replaceState(null, '', window.location.pathname);
+            }
             
             // Prevent duplicate initialization
             if (activeMeeting?.id === validation.cleanMeetingId && jitsiApi) {
@@ -1411,6 +734,7 @@ const MeetingPage = () => {
             setIsJitsiLoading(false);
             setCanJoinMeeting(false);
             setIsWaitingForHost(false);
+            setPasswordPrompt(null);
 
             try {
                 // Step 1: Determine user identity and access method
@@ -1451,11 +775,15 @@ const MeetingPage = () => {
 
                 // Step 3: Fetch meeting data using validated ID
                 console.log('[Meeting] Fetching meeting data for validated ID:', validation.cleanMeetingId);
-                const { data: meetingData, error } = await supabase
-                    .from('meetings')
-                    .select('*')
-                    .eq('id', validation.cleanMeetingId)
-                    .single();
+                const storedHostToken = localStorage.getItem(`hostToken_${validation.cleanMeetingId}`);
+                let joinInfo = null;
+                let error = null;
+                try {
+                    joinInfo = await fetchJoinInfo(validation.cleanMeetingId, { hostToken: storedHostToken || undefined });
+                } catch (joinInfoError) {
+                    error = joinInfoError;
+                }
+                const meetingData = joinInfo?.meeting;
 
                 if (error || !meetingData) {
                     console.error('[Meeting] Failed to fetch meeting:', error);
@@ -1471,34 +799,27 @@ const MeetingPage = () => {
 
                 console.log('[Meeting] Meeting data loaded successfully');
 
-                // Step 4: Check for bans
-                const banned = Array.isArray(meetingData.banned_display_names) ? meetingData.banned_display_names : [];
-                const normalizedName = userIdentity.displayName.trim().toLowerCase();
-                const isBanned = banned.some(name => (name || '').trim().toLowerCase() === normalizedName);
-                
-                if (isBanned) {
-                    showToast({ title: 'Access Denied', message: 'You have been removed from this meeting.', type: 'error' });
-                    navigate(role === 'admin' ? '/meeting' : '/home');
-                    return;
+                // Step 4: Host vs participant is decided by the API (bans are checked when the token is issued)
+                const isHost = !!joinInfo.isHost;
+                if (storedHostToken && !isHost) {
+                    localStorage.removeItem(`hostToken_${validation.cleanMeetingId}`);
+                    showToast({ title: 'Host link expired', message: 'This host link was rotated or revoked. Joining as a participant.', type: 'warning' });
                 }
-
-                // Step 5: Determine user role (host vs participant)
-                const localHostToken = localStorage.getItem(`hostToken_${validation.cleanMeetingId}`);
-                const isHost = !!(localHostToken && localHostToken === meetingData.host_token);
                 
-                console.log('[Meeting] Role determined:', { isHost, hasLocalToken: !!localHostToken, meetingId: validation.cleanMeetingId });
+                console.log('[Meeting] Role determined:', { isHost, role: joinInfo.role, meetingId: validation.cleanMeetingId });
 
-                // Step 6: Set up meeting object
+                // Step 5: Set up meeting object
                 const meetingConfig = {
                     id: validation.cleanMeetingId,
                     displayName: userIdentity.displayName,
                     isHost: isHost,
+                    hostToken: isHost ? storedHostToken || null : null,
                     ...meetingData
                 };
 
                 setActiveMeeting(meetingConfig);
 
-                // Step 7: Handle joining logic based on role
+                // Step 6: Handle joining logic based on role
                 if (isHost) {
                     console.log('[Meeting] Host detected - preparing admin access');
                     await handleHostJoin(meetingConfig, userIdentity);
@@ -1523,22 +844,25 @@ const MeetingPage = () => {
         // Helper function for host joining with comprehensive error handling
         const handleHostJoin = async (meetingConfig, userIdentity) => {
             try {
-                console.log('[Meeting] Generating admin JWT for host...');
+                console.log('[Meeting] Requesting moderator JWT for host...');
                 
-                // Add timeout for JWT creation
-                const jwtPromise = createAdminJwt({ 
-                    name: userIdentity.displayName, 
-                    email: userIdentity.currentUser?.email, 
-                    avatar: userIdentity.currentUser?.user_metadata?.avatar_url 
+                // Add timeout for the token request
+                const tokenPromise = fetchMeetingToken(meetingConfig.id, {
+                    displayName: userIdentity.displayName,
+                    hostToken: meetingConfig.hostToken || undefined
                 });
                 
                 const timeoutPromise = new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('JWT creation timeout')), 5000)
+                    setTimeout(() => reject(new Error('JWT request timeout')), 5000)
                 );
                 
-                const token = await Promise.race([jwtPromise, timeoutPromise]);
+                const { token, moderator, roomPassword } = await Promise.race([tokenPromise, timeoutPromise]);
+                if (!moderator) {
+                    throw new Error('Server did not grant moderator rights');
+                }
                 
-                setAdminJwt(token);
+                setActiveMeeting(prev => (prev ? { ...prev, roomPassword } : prev));
+                setMeetingJwt(token);
                 setCanJoinMeeting(true);
                 setIsWaitingForHost(false);
                 setIsJitsiLoading(true);
@@ -1568,7 +892,7 @@ const MeetingPage = () => {
                 
                 // Fallback to participant mode with retry mechanism
                 console.log('[Meeting] Falling back to participant mode');
-                setAdminJwt(undefined);
+                setMeetingJwt(undefined);
                 setCanJoinMeeting(true);
                 setIsWaitingForHost(false);
                 setIsJitsiLoading(true);
@@ -1586,7 +910,38 @@ const MeetingPage = () => {
         // Helper function for participant joining with enhanced error handling
         const handleParticipantJoin = async (meetingConfig, meetingData) => {
             try {
-                setAdminJwt(undefined);
+                // Participant tokens are optional; join anonymously if the API is unavailable.
+                // Password-protected meetings are the exception: the API must accept the password first
+                // (entered on the guest page, or in the prompt below).
+                const passwordKey = `meetingPassword_${meetingConfig.id}`;
+                try {
+                    const { token, roomPassword } = await fetchMeetingToken(meetingConfig.id, {
+                        displayName: meetingConfig.displayName,
+                        password: sessionStorage.getItem(passwordKey) || undefined
+                    });
+                    setActiveMeeting(prev => (prev ? { ...prev, roomPassword } : prev));
+                    setMeetingJwt(token);
+                } catch (tokenError) {
+                    if (isBannedError(tokenError)) {
+                        showToast({ title: 'Access Denied', message: 'You have been removed from this meeting.', type: 'error' });
+                        setActiveMeeting(null);
+                        navigate(role === 'admin' ? '/meeting' : '/home');
+                        return;
+                    }
+                    if (isRegistrationError(tokenError)) {
+                        showToast({ title: 'Registration Required', message: tokenError.message, type: 'error' });
+                        setActiveMeeting(null);
+                        navigate(tokenError.details === 'registration_required' ? `/register/${meetingConfig.id}` : (role === 'admin' ? '/meeting' : '/home'));
+                        return;
+                    }
+                    if (meetingData.has_password) {
+                        sessionStorage.removeItem(passwordKey);
+                        setPasswordPrompt({ error: passwordErrorMessage(tokenError) });
+                        return;
+                    }
+                    console.warn('[Meeting] Could not fetch participant JWT, joining without one:', tokenError);
+                    setMeetingJwt(undefined);
+                }
                 
                 // Always allow participants to join - remove the host waiting requirement
                 console.log('[Meeting] Allowing participant to join immediately');
@@ -1594,13 +949,6 @@ const MeetingPage = () => {
                 setIsWaitingForHost(false);
                 setIsJitsiLoading(true);
                 
-                // Optional: You can still track if host is present for UI purposes
-                if (meetingData.host_participant_id) {
-                    console.log('[Meeting] Host is already present in meeting');
-                } else {
-                    console.log('[Meeting] Host not yet present, but allowing participant to join');
-                }
-                
                 // Set up success timeout to ensure we don't get stuck
                 setTimeout(() => {
                     if (canJoinMeeting && isJitsiLoading) {
@@ -1633,20 +981,27 @@ const MeetingPage = () => {
     const fetchUserMeetings = useCallback(async () => {
         if (!currentUser) return;
         try {
-            const { data, error } = await supabase
-                .from('meetings')
-                .select('id,name,is_scheduled,scheduled_for,created_at')
-                .eq('created_by', currentUser.id)
-                .order('scheduled_for', { ascending: true, nullsFirst: false })
-                .order('created_at', { ascending: false });
+            // Upcoming comes from the view so recurring meetings show one row per occurrence
+            const [{ data: upcomingRows, error: upcomingError }, { data, error }] = await Promise.all([
+                supabase
+                    .from('upcoming_meetings')
+                    .select('id,name,purpose,scheduled_for,original_start,is_recurring,recurrence_rule,created_at')
+                    .eq('created_by', currentUser.id)
+                    .order('scheduled_for', { ascending: true }),
+                supabase
+                    .from('meetings')
+                    .select('id,name,is_scheduled,scheduled_for,created_at,recurrence_rule')
+                    .eq('created_by', currentUser.id)
+                    .order('scheduled_for', { ascending: true, nullsFirst: false })
+                    .order('created_at', { ascending: false }),
+            ]);
+            if (upcomingError) throw upcomingError;
             if (error) throw error;
             const rows = Array.isArray(data) ? data : [];
             const now = new Date();
-            const upcoming = rows
-                .filter(m => m.is_scheduled && m.scheduled_for && new Date(m.scheduled_for) > now)
-                .sort((a, b) => new Date(a.scheduled_for) - new Date(b.scheduled_for));
+            const upcoming = Array.isArray(upcomingRows) ? upcomingRows : [];
             const past = rows
-                .filter(m => (m.is_scheduled && m.scheduled_for && new Date(m.scheduled_for) <= now) || !m.is_scheduled)
+                .filter(m => !m.recurrence_rule && ((m.is_scheduled && m.scheduled_for && new Date(m.scheduled_for) <= now) || !m.is_scheduled))
                 .sort((a, b) => new Date(b.scheduled_for || b.created_at) - new Date(a.scheduled_for || a.created_at));
             setUpcomingMeetings(upcoming);
             setPastMeetings(past);
@@ -1748,6 +1103,8 @@ const MeetingPage = () => {
         setIsDetailsLoading(true);
         setDetailsError(null);
         setDetailsMeeting(null);
+        setDetailsHostLink('');
+        setDetailsTab('details');
         try {
             const { data, error } = await supabase
                 .from('meetings')
@@ -1764,6 +1121,39 @@ const MeetingPage = () => {
         }
     }, []);
 
+    const handleRotateHostLink = async () => {
+        if (!detailsMeeting?.id) return;
+        setIsHostLinkBusy(true);
+        try {
+            const { hostToken, rotatedAt } = await rotateHostLink(detailsMeeting.id);
+            const link = detailsMeeting.webinar_mode
+                ? `${window.location.origin}/meeting/webinar/${detailsMeeting.id}`
+                : `${window.location.origin}/meeting/${detailsMeeting.id}`;
+            setDetailsHostLink(buildHostLink(link, hostToken));
+            setDetailsMeeting(prev => prev ? { ...prev, host_token: 'active', host_token_rotated_at: rotatedAt } : prev);
+            showToast({ title: 'Host link rotated', message: 'Previous host links no longer work.', type: 'success' });
+        } catch (e) {
+            showToast({ title: 'Error', message: e.message || 'Failed to rotate host link.', type: 'error' });
+        } finally {
+            setIsHostLinkBusy(false);
+        }
+    };
+
+    const handleRevokeHostLink = async () => {
+        if (!detailsMeeting?.id) return;
+        setIsHostLinkBusy(true);
+        try {
+            await revokeHostLink(detailsMeeting.id);
+            setDetailsHostLink('');
+            setDetailsMeeting(prev => prev ? { ...prev, host_token: null, host_token_rotated_at: new Date().toISOString() } : prev);
+            showToast({ title: 'Host link revoked', message: 'Nobody can claim host with a link until you generate a new one.', type: 'info' });
+        } catch (e) {
+            showToast({ title: 'Error', message: e.message || 'Failed to revoke host link.', type: 'error' });
+        } finally {
+            setIsHostLinkBusy(false);
+        }
+    };
+
 // In MeetingPage -> handleApiReady
     const handleApiReady = useCallback((api) => {
     // Avoid reassigning if the same API instance is passed again (tab visibility changes)
@@ -1777,33 +1167,32 @@ const MeetingPage = () => {
             if (!activeMeeting?.id) return;
             // Persist the host's participant ID so everyone can badge correctly
             const localIsHost = !!activeMeeting?.isHost;
-            if (localIsHost && e?.id) {
+            if (localIsHost && e?.id && activeMeeting?.hostToken) {
+                // Joined through a host link: the API checks the secret and records us as an admin
+                try {
+                    const updated = await claimHostLink(activeMeeting.id, {
+                        hostToken: activeMeeting.hostToken,
+                        participantId: e.id,
+                        displayName: activeMeeting?.displayName || ''
+                    });
+                    setAdminIds(updated.admin_ids || []);
+                    setAdminDisplayNames(updated.admin_display_names || []);
+                } catch (claimError) {
+                    console.warn('[Meeting] Host link claim failed:', claimError);
+                }
+            } else if (localIsHost && e?.id) {
                 setHostParticipantId(e.id);
                 try {
-                    // Save host participant id
-                    await supabase.from('meetings').update({ host_participant_id: e.id }).eq('id', activeMeeting.id);
-                    // Ensure admin arrays include the host so all clients badge correctly
-                    const { data: row } = await supabase
-                      .from('meetings')
-                      .select('admin_ids, admin_display_names, host_name')
-                      .eq('id', activeMeeting.id)
-                      .single();
-                    const ids = new Set(Array.isArray(row?.admin_ids) ? row.admin_ids : []);
-                    ids.add(e.id);
-                    const normalize = (s) => {
-                        let v = (s || '').toString();
-                        v = v.replace(/\s*\([^)]*\)\s*$/g, '');
-                        try { v = v.normalize('NFKD').replace(/[\u0300-\u036f]/g, ''); } catch (_) {}
-                        v = v.replace(/\s+/g, ' ').trim().toLowerCase();
-                        return v;
-                    };
-                    const names = new Set(Array.isArray(row?.admin_display_names) ? row.admin_display_names : []);
-                    names.add(normalize(activeMeeting?.displayName || ''));
-                    const nextHostName = row?.host_name || activeMeeting?.displayName || null;
-                    await supabase.from('meetings')
-                      .update({ admin_ids: Array.from(ids), admin_display_names: Array.from(names), host_name: nextHostName })
-                      .eq('id', activeMeeting.id);
-                } catch (_) {}
+                    // Save host participant id and add the host to the admin arrays so all clients badge correctly
+                    const updated = await recordHostJoin(activeMeeting.id, {
+                        participantId: e.id,
+                        displayName: activeMeeting?.displayName || ''
+                    });
+                    setAdminIds(updated.admin_ids || []);
+                    setAdminDisplayNames(updated.admin_display_names || []);
+                } catch (hostJoinError) {
+                    console.warn('[Meeting] Recording host join failed:', hostJoinError);
+                }
             }
             if (e?.id) {
                 // tick so isCurrentAdmin recomputes based on role
@@ -1868,7 +1257,7 @@ const MeetingPage = () => {
         try { api.addEventListener('endpointTextMessage', onEndpointMessage); } catch (_) {}
         // Also poll Jitsi participants briefly to catch any missed events
         const poll = setInterval(() => setRoleEventTick(t => t + 1), 2000);
-        if (activeMeeting?.isHost) {
+        if (activeMeeting?.isHost && activeMeeting.lobby_enabled) {
             try { api.executeCommand('toggleLobby', true); } catch (_) {}
         }
     } catch (_) {}
@@ -1950,18 +1339,6 @@ useEffect(() => {
             setAdminDisplayNames(adminNames);
             // Recompute current admin status when DB admin arrays change
             setRoleEventTick(t => t + 1);
-            // Ban enforcement: if my displayName is banned, end locally and block
-            const banned = Array.isArray(data.banned_display_names) ? data.banned_display_names : [];
-            const myName = (activeMeeting?.displayName || userName || 'Guest').trim().toLowerCase();
-            const isBanned = banned.some(n => (n || '').trim().toLowerCase() === myName);
-            if (isBanned) {
-                try { jitsiApi?.dispose(); } catch (_) {}
-                showToast({ title: 'Removed by host', message: 'You cannot rejoin this meeting.', type: 'error' });
-                setActiveMeeting(null);
-                setJitsiApi(null);
-                navigate(role === 'admin' ? '/meeting' : '/home');
-                return;
-            }
 
             // Enhanced participant handling when host joins
             if (!activeMeeting?.isHost) {
@@ -1989,7 +1366,7 @@ useEffect(() => {
         })
         .subscribe();
         return () => { supabase.removeChannel(channel); };
-    }, [activeMeeting?.id, jitsiApi, navigate, showToast, userName, activeMeeting?.isHost, canJoinMeeting]);
+    }, [activeMeeting?.id, jitsiApi, activeMeeting?.isHost, canJoinMeeting]);
 
     // Socket.IO removed: roles derive from Supabase-only to prevent websocket errors when no socket server is running
 
@@ -1997,11 +1374,14 @@ useEffect(() => {
     const handleToggleWhiteboard = useCallback(async () => {
         if (!activeMeeting?.id) return;
         try {
-            await supabase.from('meetings').update({ whiteboard_open: !whiteboardOpen }).eq('id', activeMeeting.id);
+            await setWhiteboardOpen(activeMeeting.id, {
+                open: !whiteboardOpen,
+                actorParticipantId: (jitsiApi?.myUserId && jitsiApi.myUserId()) || undefined,
+            });
         } catch (e) {
             console.error('Failed to toggle whiteboard flag:', e);
         }
-    }, [activeMeeting?.id, whiteboardOpen]);
+    }, [activeMeeting?.id, whiteboardOpen, jitsiApi]);
 
     // Compute current user's admin status from DB arrays and Jitsi role; re-run when role or DB arrays change
     useEffect(() => {
@@ -2056,13 +1436,27 @@ useEffect(() => {
         }
     }, [isCurrentAdmin, activeMeeting?.isHost, showToast]);
 
-    // Host: process queued admin actions via Supabase realtime, and mirror to DB admin arrays
+    // Host: process queued admin actions via Supabase realtime, and mirror to DB admin arrays.
+    // Each action is claimed through the API first so the server-side worker (Api/worker.js) never
+    // runs it as well; the claim also hands over the decrypted stream key for stream-start.
     useEffect(() => {
         if (!activeMeeting?.id || !jitsiApi || !activeMeeting?.isHost) return;
         const chan = supabase
             .channel(`actions-${activeMeeting.id}`)
-            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'meeting_actions', filter: `meeting_id=eq.${activeMeeting.id}` }, async ({ new: action }) => {
-                if (!action || action.status !== 'pending') return;
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'meeting_actions', filter: `meeting_id=eq.${activeMeeting.id}` }, async ({ new: inserted }) => {
+                if (!inserted || inserted.status !== 'pending') return;
+                const hostToken = activeMeeting.hostToken || undefined;
+                let action;
+                try {
+                    action = await claimMeetingAction(activeMeeting.id, inserted.id, {
+                        participantId: (jitsiApi.myUserId && jitsiApi.myUserId()) || undefined,
+                        hostToken,
+                    });
+                } catch (err) {
+                    console.warn('[Meeting] Could not claim action', inserted.id, err);
+                    return;
+                }
+                if (!action) return;
                 try {
                     switch (action.type) {
                         case 'kick':
@@ -2083,13 +1477,12 @@ useEffect(() => {
                                 try { jitsiApi.executeCommand('grantModerator', action.target_participant_id); } catch (_) {}
                                 // Mirror to DB admin arrays
                                 try {
-                                  const { data: row } = await supabase.from('meetings').select('admin_ids, admin_display_names').eq('id', activeMeeting.id).single();
-                                  const ids = new Set(Array.isArray(row?.admin_ids) ? row.admin_ids : []);
-                                  ids.add(action.target_participant_id);
-                                  const normalize = (s) => { let v = (s||'').toString(); v=v.replace(/\s*\([^)]*\)\s*$/g,''); try{v=v.normalize('NFKD').replace(/[\u0300-\u036f]/g,'');}catch(_){} v=v.replace(/\s+/g,' ').trim().toLowerCase(); return v; };
-                                  const names = new Set(Array.isArray(row?.admin_display_names) ? row.admin_display_names : []);
-                                  if (action.target_display_name_normalized) names.add(action.target_display_name_normalized);
-                                  await supabase.from('meetings').update({ admin_ids: Array.from(ids), admin_display_names: Array.from(names) }).eq('id', activeMeeting.id);
+                                  await setMeetingAdmin(activeMeeting.id, {
+                                    targetParticipantId: action.target_participant_id,
+                                    targetDisplayName: action.target_display_name_normalized || '',
+                                    isAdmin: true,
+                                    actorParticipantId: (jitsiApi.myUserId && jitsiApi.myUserId()) || undefined,
+                                  });
                                 } catch (_) {}
                             }
                             break;
@@ -2098,12 +1491,12 @@ useEffect(() => {
                                 try { jitsiApi.executeCommand('revokeModerator', action.target_participant_id); } catch (_) {}
                                 // Mirror to DB admin arrays
                                 try {
-                                  const { data: row } = await supabase.from('meetings').select('admin_ids, admin_display_names').eq('id', activeMeeting.id).single();
-                                  const ids = new Set(Array.isArray(row?.admin_ids) ? row.admin_ids : []);
-                                  ids.delete(action.target_participant_id);
-                                  const names = new Set(Array.isArray(row?.admin_display_names) ? row.admin_display_names : []);
-                                  if (action.target_display_name_normalized) names.delete(action.target_display_name_normalized);
-                                  await supabase.from('meetings').update({ admin_ids: Array.from(ids), admin_display_names: Array.from(names) }).eq('id', activeMeeting.id);
+                                  await setMeetingAdmin(activeMeeting.id, {
+                                    targetParticipantId: action.target_participant_id,
+                                    targetDisplayName: action.target_display_name_normalized || '',
+                                    isAdmin: false,
+                                    actorParticipantId: (jitsiApi.myUserId && jitsiApi.myUserId()) || undefined,
+                                  });
                                 } catch (_) {}
                             }
                             break;
@@ -2114,10 +1507,12 @@ useEffect(() => {
                             jitsiApi.executeCommand('stopRecording', 'file');
                             break;
                         case 'stream-start':
-                            if (action.platform === 'youtube' && action.stream_key) {
-                                jitsiApi.executeCommand('startRecording', { mode: 'stream', youtubeStreamKey: action.stream_key });
-                            } else if (action.stream_key && action.rtmp_url) {
-                                jitsiApi.executeCommand('startRecording', { mode: 'stream', rtmpStreamKey: action.stream_key, rtmpStreamUrl: action.rtmp_url });
+                            if (action.platform === 'youtube' && action.streamKey) {
+                                jitsiApi.executeCommand('startRecording', { mode: 'stream', youtubeStreamKey: action.streamKey });
+                            } else if (action.streamKey && action.rtmpUrl) {
+                                jitsiApi.executeCommand('startRecording', { mode: 'stream', rtmpStreamKey: action.streamKey, rtmpStreamUrl: action.rtmpUrl });
+                            } else {
+                                throw new Error('Stream key is missing');
                             }
                             break;
                         case 'stream-stop':
@@ -2132,21 +1527,24 @@ useEffect(() => {
                                     }
                                 }
                             } catch (_) {}
+                            await endMeetingSession(activeMeeting.id, { actorParticipantId: (jitsiApi.myUserId && jitsiApi.myUserId()) || undefined })
+                                .catch((e) => console.warn('[Meeting] Could not close meeting session', e));
                             // Finally hang up host
                             try { jitsiApi.executeCommand('hangup'); } catch (_) {}
                             break;
                         }
                         default:
-                            break;
+                            throw new Error(`Unsupported action type "${action.type}"`);
                     }
-                    await supabase.from('meeting_actions').update({ status: 'done', processed_at: new Date().toISOString(), requested_by: jitsiApi.myUserId && jitsiApi.myUserId() }).eq('id', action.id);
+                    await completeMeetingAction(activeMeeting.id, action.id, { status: 'done' }, { hostToken });
                 } catch (err) {
-                    await supabase.from('meeting_actions').update({ status: 'error', error: String(err), processed_at: new Date().toISOString(), requested_by: jitsiApi.myUserId && jitsiApi.myUserId() }).eq('id', action.id);
+                    await completeMeetingAction(activeMeeting.id, action.id, { status: 'error', error: String(err?.message || err) }, { hostToken })
+                        .catch((e) => console.warn('[Meeting] Could not record action error', action.id, e));
                 }
             })
             .subscribe();
         return () => { supabase.removeChannel(chan); };
-    }, [activeMeeting?.id, activeMeeting?.isHost, jitsiApi]);
+    }, [activeMeeting?.id, activeMeeting?.isHost, activeMeeting?.hostToken, jitsiApi]);
 
     // All participants: react to meeting actions for targeted notifications and end-meeting
     useEffect(() => {
@@ -2214,49 +1612,74 @@ useEffect(() => {
     }, [jitsiApi, activeMeeting?.id, navigate]);
 
 
+    const handleMeetingPasswordSubmit = async (e) => {
+        e.preventDefault();
+        if (!activeMeeting || !meetingPasswordInput) return;
+        setIsCheckingPassword(true);
+        try {
+            const { token, roomPassword } = await fetchMeetingToken(activeMeeting.id, {
+                displayName: activeMeeting.displayName,
+                password: meetingPasswordInput
+            });
+            // Kept for this tab only, so a reload does not ask again
+            sessionStorage.setItem(`meetingPassword_${activeMeeting.id}`, meetingPasswordInput);
+            setActiveMeeting(prev => (prev ? { ...prev, roomPassword } : prev));
+            setMeetingJwt(token);
+            setPasswordPrompt(null);
+            setMeetingPasswordInput('');
+            setCanJoinMeeting(true);
+            setIsJitsiLoading(true);
+        } catch (error) {
+            if (isBannedError(error)) {
+                showToast({ title: 'Access Denied', message: 'You have been removed from this meeting.', type: 'error' });
+                setPasswordPrompt(null);
+                setActiveMeeting(null);
+                navigate(role === 'admin' ? '/meeting' : '/home');
+                return;
+            }
+            setPasswordPrompt({ error: passwordErrorMessage(error) });
+        } finally {
+            setIsCheckingPassword(false);
+        }
+    };
+
    const handleCreateMeeting = async (formData, scheduleOption = 'now') => {
         setIsLoading(true);
         if (!currentUser) {
             showToast({ title: 'Auth Error', message: 'You must be logged in.', type: 'error' });
             setIsLoading(false); return;
         }
+        const { emails: invitees, invalid } = parseEmailList(formData.invitees);
+        if (invalid.length > 0) {
+            showToast({ title: 'Check invitees', message: `Not an email address: ${invalid.join(', ')}`, type: 'warning' });
+            setIsLoading(false); return;
+        }
         if (formData.hostName) localStorage.setItem('userName', formData.hostName);
         
         try {
-            const hostToken = uuidv4();
-
-            // Prepare meeting data with robust error handling
-            const meetingData = {
+            const data = await createMeeting({
                 name: formData.name,
                 purpose: formData.purpose || null,
-                is_scheduled: !!formData.isScheduled,
-                scheduled_for: formData.scheduledFor ? new Date(formData.scheduledFor).toISOString() : null,
-                host_name: formData.hostName || null,
-                start_with_audio_muted: !!formData.startWithAudioMuted,
-                start_with_video_muted: !!formData.startWithVideoMuted,
-                prejoin_page_enabled: !!formData.prejoinPageEnabled,
-                created_by: currentUser.id,
-                host_token: hostToken,
-            };
-
-            // Add webinar_mode only if explicitly enabled (graceful fallback)
-            if (formData.webinarMode) {
-                meetingData.webinar_mode = true;
-            }
-
-            const { data, error } = await supabase.from('meetings')
-                .insert([meetingData])
-                .select('id')
-                .single();
-            if (error || !data?.id) throw error || new Error('Meeting creation failed');
+                password: formData.password || undefined,
+                isScheduled: !!formData.isScheduled,
+                scheduledFor: formData.scheduledFor ? new Date(formData.scheduledFor).toISOString() : null,
+                hostName: formData.hostName || null,
+                startWithAudioMuted: !!formData.startWithAudioMuted,
+                startWithVideoMuted: !!formData.startWithVideoMuted,
+                lobbyEnabled: !!formData.lobbyEnabled,
+                webinarMode: !!formData.webinarMode,
+                recurrenceRule: formData.recurrenceRule || null,
+                recurrenceTimezone: getBrowserTimeZone(),
+                invitees,
+            });
+            if (!data?.id) throw new Error('Meeting creation failed');
             const link = formData.webinarMode 
                 ? `${window.location.origin}/meeting/webinar/${data.id}`
                 : `${window.location.origin}/meeting/${data.id}`;
             
-            // ADDED: 3. Save the token in localStorage, associated with the new meeting ID
-            localStorage.setItem(`hostToken_${data.id}`, hostToken);
-            
             setNewMeetingLink(link);
+            setNewHostLink(data.hostToken ? buildHostLink(link, data.hostToken) : '');
+            setNewMeetingCalendarId(data.scheduled_for ? data.id : null);
             showToast({ title: 'Success!', message: `Meeting ${scheduleOption === 'now' ? 'created' : 'scheduled'}!`, type: 'success' });
             
             // Always show share modal first; user explicitly starts when ready
@@ -2264,8 +1687,7 @@ useEffect(() => {
         } catch (error) {
             console.error("Error creating meeting:", error);
             console.error("Form data attempted:", formData);
-            console.error("Meeting data prepared:", meetingData);
-            const errorMessage = error.message || error.details || 'Unknown database error';
+            const errorMessage = error.message || 'Unknown error';
             showToast({ title: 'Error', message: `Failed to create meeting: ${errorMessage}`, type: 'error' });
         } finally {
             setIsLoading(false);
@@ -2281,7 +1703,7 @@ useEffect(() => {
             name: `Instant Meeting - ${new Date().toLocaleDateString()}`, purpose: 'Quick call', password: '',
             isScheduled: false, scheduledFor: null, hostName: userName, startWithAudioMuted: false,
             startWithVideoMuted: false, 
-            prejoinPageEnabled: false,
+            lobbyEnabled: false,
         };
         handleCreateMeeting(quickStartData, 'now');
     };
@@ -2302,6 +1724,11 @@ useEffect(() => {
             showToast({ title: 'Missing time', message: 'Please select both date and time.', type: 'warning' });
             return;
         }
+        const { invalid } = parseEmailList(v.invitees);
+        if (invalid.length > 0) {
+            showToast({ title: 'Check invitees', message: `Not an email address: ${invalid.join(', ')}`, type: 'warning' });
+            return;
+        }
         const finalDateTime = new Date(
             v.scheduleDate.getFullYear(),
             v.scheduleDate.getMonth(),
@@ -2318,7 +1745,9 @@ useEffect(() => {
             hostName: v.userName || userName,
             startWithAudioMuted: !v.micEnabled,
             startWithVideoMuted: !v.cameraEnabled,
-            prejoinPageEnabled: v.waitingRoomEnabled,
+            lobbyEnabled: v.waitingRoomEnabled,
+            recurrenceRule: buildRRule(v.recurrence),
+            invitees: v.invitees,
         };
         handleCreateMeeting(formData, 'later');
         setIsScheduleFormOpen(false);
@@ -2339,7 +1768,7 @@ useEffect(() => {
         
         // Determine redirect path based on user type
         const isGuest = localStorage.getItem('joinAsGuest') === 'true';
-        const isAdmin = role === 'admin';
+        const summaryMeetingId = activeMeeting.id;
         
         // Clean up Jitsi API first to prevent stuck state
         try {
@@ -2372,15 +1801,12 @@ useEffect(() => {
                 // Guest users go back to guest join page
                 const guestPath = isWebinarMode ? `/guest/webinar/${meetingId}` : `/guest/${meetingId}`;
                 navigate(guestPath, { replace: true });
-            } else if (isAdmin) {
-                // Admin users go to meeting page
-                navigate('/meeting', { replace: true });
             } else {
-                // Logged-in users go to home page
-                navigate('/home', { replace: true });
+                // Signed-in users see the summary (which says so when the host hasn't shared it)
+                navigate(`/meeting/${summaryMeetingId}/summary`, { replace: true });
             }
         }, 100);
-    }, [navigate, role, isWebinarMode, meetingId, activeMeeting, jitsiApi]);
+    }, [navigate, isWebinarMode, meetingId, activeMeeting, jitsiApi]);
 
     const handleMeetingTerminated = useCallback(() => {
         console.log('[Meeting] handleMeetingTerminated called');
@@ -2392,10 +1818,17 @@ useEffect(() => {
         }
         
         showToast({ title: 'Meeting Terminated', message: 'The meeting has been ended by the host.', type: 'warning' });
+
+        // Close the session record (hosts and admins only); whoever sees the termination first wins,
+        // the rest are no-ops
+        if (activeMeeting.isHost || isCurrentAdmin) {
+            endMeetingSession(activeMeeting.id, { actorParticipantId: (jitsiApi?.myUserId && jitsiApi.myUserId()) || undefined })
+                .catch((e) => console.warn('[Meeting] Could not close meeting session', e));
+        }
         
         // Determine redirect path based on user type
         const isGuest = localStorage.getItem('joinAsGuest') === 'true';
-        const isAdmin = role === 'admin';
+        const summaryMeetingId = activeMeeting.id;
         
         // Clean up Jitsi API first to prevent stuck state
         try {
@@ -2428,15 +1861,12 @@ useEffect(() => {
                 // Guest users go back to guest join page
                 const guestPath = isWebinarMode ? `/guest/webinar/${meetingId}` : `/guest/${meetingId}`;
                 navigate(guestPath, { replace: true });
-            } else if (isAdmin) {
-                // Admin users go to meeting page
-                navigate('/meeting', { replace: true });
             } else {
-                // Logged-in users go to home page
-                navigate('/home', { replace: true });
+                // Signed-in users see the summary (which says so when the host hasn't shared it)
+                navigate(`/meeting/${summaryMeetingId}/summary`, { replace: true });
             }
         }, 100);
-    }, [navigate, role, isWebinarMode, meetingId, activeMeeting, jitsiApi]);
+    }, [navigate, isWebinarMode, meetingId, activeMeeting, jitsiApi, isCurrentAdmin]);
 
     if (isPageLoading) {
         return <LoadingScreen />;
@@ -2446,7 +1876,7 @@ useEffect(() => {
 
         <div className="flex h-screen relative z-10 overflow-hidden bg-slate-950">
             <div className="fixed top-5 left-1/2 -translate-x-1/2 sm:left-auto sm:translate-x-0 sm:right-5 w-full max-w-sm px-4 sm:px-0 z-[60]"><AnimatePresence>{activeToast && <Toast key={activeToast.id} toast={activeToast} onClose={() => setActiveToast(null)} />}</AnimatePresence></div>
-            <AnimatePresence>{isShareModalOpen && <ShareModal meetingLink={newMeetingLink} onClose={() => setIsShareModalOpen(false)} onStart={() => { setIsShareModalOpen(false); if (newMeetingLink) { const urlPath = new URL(newMeetingLink).pathname; navigate(urlPath); } }} />}</AnimatePresence>
+            <AnimatePresence>{isShareModalOpen && <ShareModal meetingLink={newMeetingLink} hostLink={newHostLink} calendarMeetingId={newMeetingCalendarId} onClose={() => setIsShareModalOpen(false)} onStart={() => { setIsShareModalOpen(false); if (newMeetingLink) { const urlPath = new URL(newMeetingLink).pathname; navigate(urlPath); } }} />}</AnimatePresence>
 
             <AnimatePresence>
               {viewScheduleModal && (
@@ -2529,7 +1959,7 @@ useEffect(() => {
                           <div className="space-y-3">
                             {upcomingMeetings.map((m, index) => (
                               <motion.div 
-                                key={m.id} 
+                                key={`${m.id}-${m.original_start}`} 
                                 className="group relative p-4 bg-slate-800/40 backdrop-blur-sm border border-slate-700/50 rounded-xl hover:bg-slate-800/60 hover:border-slate-600/50 transition-all duration-300"
                                 initial={{ y: 20, opacity: 0 }}
                                 animate={{ y: 0, opacity: 1 }}
@@ -2561,11 +1991,26 @@ useEffect(() => {
                                             </span>
                                           </>
                                         )}
+                                        {m.is_recurring && (
+                                          <span className="flex items-center gap-1 text-xs text-blue-300 bg-blue-500/10 px-2 py-0.5 rounded-md">
+                                            <Repeat size={12} />
+                                            {describeRRule(m.recurrence_rule)}
+                                          </span>
+                                        )}
                                       </div>
                                     </div>
                                   </div>
                                   
                                   <div className="flex items-center gap-2 opacity-80 group-hover:opacity-100 transition-opacity">
+                                    <motion.button 
+                                      onClick={() => setEditingOccurrence(m)} 
+                                      className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-xl transition-all duration-200" 
+                                      title="Edit"
+                                      whileHover={{ scale: 1.1 }}
+                                      whileTap={{ scale: 0.9 }}
+                                    >
+                                      <Pencil size={16} />
+                                    </motion.button>
                                     <motion.button 
                                       onClick={() => openMeetingDetails(m.id)} 
                                       className="p-2 text-slate-400 hover:text-white hover:bg-slate-700 rounded-xl transition-all duration-200" 
@@ -2780,6 +2225,19 @@ useEffect(() => {
 
             </AnimatePresence>
 
+            <AnimatePresence>
+              {editingOccurrence && (
+                <OccurrenceEditModal
+                  occurrence={editingOccurrence}
+                  onClose={() => setEditingOccurrence(null)}
+                  onSaved={() => {
+                    showToast({ title: 'Saved', message: 'Meeting updated.', type: 'success' });
+                    fetchUserMeetings();
+                  }}
+                />
+              )}
+            </AnimatePresence>
+
             {/* Meeting Details Modal (page-level) */}
             <AnimatePresence>
               {isDetailsOpen && (
@@ -2792,10 +2250,45 @@ useEffect(() => {
                       </div>
                       <button onClick={()=>setIsDetailsOpen(false)} className="text-slate-400 hover:text-white"><X size={20} /></button>
                     </div>
+                    {detailsMeeting && (currentUser?.id === detailsMeeting.created_by || role === 'admin') && (
+                      <div className="flex gap-1 mb-3 border-b border-slate-700/60">
+                        {[['details', 'Details'], ['attendance', 'Attendance'], ['chat', 'Chat'], ['polls', 'Polls'], ['transcript', 'Transcript'], ...(detailsMeeting.webinar_mode ? [['qa', 'Q&A'], ['registration', 'Registration']] : [])].map(([key, label]) => (
+                          <button
+                            key={key}
+                            onClick={() => setDetailsTab(key)}
+                            className={`px-3 py-1.5 text-sm -mb-px border-b-2 ${detailsTab === key ? 'border-blue-500 text-white' : 'border-transparent text-slate-400 hover:text-slate-200'}`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                        <button
+                          onClick={() => navigate(`/meeting/${detailsMeeting.id}/summary`)}
+                          className="ml-auto px-3 py-1.5 text-sm text-blue-400 hover:text-blue-300"
+                        >
+                          Summary
+                        </button>
+                      </div>
+                    )}
                     {isDetailsLoading ? (
                       <p className="text-slate-400 text-sm">Loading…</p>
                     ) : detailsError ? (
                       <p className="text-red-400 text-sm">{detailsError}</p>
+                    ) : detailsMeeting && detailsTab === 'attendance' ? (
+                      <AttendanceReport meetingId={detailsMeeting.id} onToast={showToast} />
+                    ) : detailsMeeting && detailsTab === 'chat' ? (
+                      <ChatHistory meetingId={detailsMeeting.id} onToast={showToast} />
+                    ) : detailsMeeting && detailsTab === 'polls' ? (
+                      <PollHistory meetingId={detailsMeeting.id} onToast={showToast} />
+                    ) : detailsMeeting && detailsTab === 'transcript' ? (
+                      <TranscriptHistory meetingId={detailsMeeting.id} onToast={showToast} />
+                    ) : detailsMeeting && detailsTab === 'qa' ? (
+                      <QuestionHistory meetingId={detailsMeeting.id} onToast={showToast} />
+                    ) : detailsMeeting && detailsTab === 'registration' ? (
+                      <RegistrationManager
+                        meeting={detailsMeeting}
+                        onToast={showToast}
+                        onSaved={(updated) => setDetailsMeeting(prev => (prev ? { ...prev, ...updated } : prev))}
+                      />
                     ) : detailsMeeting ? (
                       <div className="space-y-3">
                         <div>
@@ -2838,14 +2331,45 @@ useEffect(() => {
                         </div>
                         <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
                           <div>
-                            <p className="text-xs text-slate-400">Prejoin Page</p>
-                            <p className="text-slate-300">{detailsMeeting.prejoin_page_enabled ? 'Enabled' : 'Disabled'}</p>
+                            <p className="text-xs text-slate-400">Waiting Room</p>
+                            <p className="text-slate-300">{detailsMeeting.lobby_enabled ? 'Enabled' : 'Disabled'}</p>
                           </div>
                           <div>
                             <p className="text-xs text-slate-400">Whiteboard Open</p>
                             <p className="text-slate-300">{detailsMeeting.whiteboard_open ? 'Yes' : 'No'}</p>
                           </div>
                         </div>
+                        {currentUser?.id === detailsMeeting.created_by && (
+                          <div className="border-t border-slate-700/60 pt-3">
+                            <div className="flex items-center justify-between gap-2">
+                              <div>
+                                <p className="text-xs text-slate-400">Host Link</p>
+                                <p className="text-slate-300 text-sm">
+                                  {detailsMeeting.host_token
+                                    ? `Active${detailsMeeting.host_token_rotated_at ? ` since ${new Date(detailsMeeting.host_token_rotated_at).toLocaleString()}` : ''}`
+                                    : 'Revoked'}
+                                </p>
+                              </div>
+                              <div className="flex gap-2">
+                                <button disabled={isHostLinkBusy} onClick={handleRotateHostLink} className="px-3 py-1.5 rounded-md bg-amber-600/80 hover:bg-amber-500 text-xs disabled:opacity-50">
+                                  {detailsMeeting.host_token ? 'Rotate' : 'Generate'}
+                                </button>
+                                {detailsMeeting.host_token && (
+                                  <button disabled={isHostLinkBusy} onClick={handleRevokeHostLink} className="px-3 py-1.5 rounded-md bg-slate-700 hover:bg-slate-600 text-xs disabled:opacity-50">Revoke</button>
+                                )}
+                              </div>
+                            </div>
+                            {detailsHostLink && (
+                              <div className="mt-2 flex items-center gap-2 bg-slate-800/60 border border-amber-500/30 rounded-md p-2">
+                                <input type="text" readOnly value={detailsHostLink} className="flex-grow bg-transparent text-slate-300 text-xs outline-none select-all" />
+                                <button onClick={() => navigator.clipboard.writeText(detailsHostLink).then(() => showToast({ title: 'Copied', message: 'Host link copied to clipboard.', type: 'success' }))} className="text-slate-300 hover:text-white"><Copy size={14} /></button>
+                              </div>
+                            )}
+                          </div>
+                        )}
+                        {currentUser?.id === detailsMeeting.created_by && detailsMeeting.is_scheduled && (
+                          <InviteesEditor meetingId={detailsMeeting.id} onToast={showToast} />
+                        )}
                       </div>
                     ) : (
                       <p className="text-slate-400 text-sm">No details available.</p>
@@ -3031,13 +2555,39 @@ useEffect(() => {
                 </div>
             )}
 
-            {((activeMeeting.isHost && !!adminJwt) || (!activeMeeting.isHost && canJoinMeeting)) && (
+            {passwordPrompt && !canJoinMeeting && (
+                <div className="absolute inset-0 bg-slate-900/95 z-[100] flex items-center justify-center p-4">
+                    <form onSubmit={handleMeetingPasswordSubmit} className="w-full max-w-sm bg-slate-800/80 border border-slate-700/60 rounded-2xl p-6 space-y-4">
+                        <div className="flex items-center gap-3">
+                            <KeyRound className="text-blue-400" size={20} />
+                            <p className="text-lg font-semibold text-white">This meeting needs a password</p>
+                        </div>
+                        <input
+                            type="password"
+                            autoFocus
+                            value={meetingPasswordInput}
+                            onChange={(e) => setMeetingPasswordInput(e.target.value)}
+                            placeholder="Meeting password"
+                            className="w-full bg-slate-900/60 border border-slate-600/50 rounded-xl py-3 px-4 text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500/50"
+                        />
+                        {passwordPrompt.error && <p className="text-sm text-red-400">{passwordPrompt.error}</p>}
+                        <div className="flex gap-3 justify-end">
+                            <button type="button" onClick={handleEndMeeting} className="px-4 py-2 rounded-xl bg-slate-700/60 text-slate-300 hover:bg-slate-600/60">Leave</button>
+                            <button type="submit" disabled={!meetingPasswordInput || isCheckingPassword} className="px-4 py-2 rounded-xl bg-blue-600 text-white hover:bg-blue-500 disabled:opacity-50">
+                                {isCheckingPassword ? 'Checking…' : 'Join'}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            {((activeMeeting.isHost && !!meetingJwt) || (!activeMeeting.isHost && canJoinMeeting)) && (
             <div className="flex-grow w-full min-h-[400px]" style={{ visibility: isJitsiLoading ? 'hidden' : 'visible' }}>
     <JitsiMeet
         domain="meet.in8.com"
         roomName={activeMeeting.id} 
         displayName={activeMeeting.displayName || userName}
-        password={activeMeeting.password} 
+        roomPassword={activeMeeting.roomPassword || ''}
         onMeetingEnd={handleEndMeeting} 
         onMeetingTerminated={handleMeetingTerminated}
         onApiReady={handleApiReady}
@@ -3046,7 +2596,7 @@ useEffect(() => {
         prejoinPageEnabled={false}
         showToast={showToast}
         noiseSuppressionEnabled={true} 
-        jwt={adminJwt}
+        jwt={meetingJwt}
         webinarMode={activeMeeting.webinar_mode || false}
         isHost={activeMeeting.isHost || false}
 />
@@ -3124,6 +2674,8 @@ useEffect(() => {
                                                         micEnabled: true,
                                                         cameraEnabled: true,
                                                         waitingRoomEnabled: false,
+                                                        recurrence: createRecurrenceState(),
+                                                        invitees: '',
                                                     });
                                                     setIsScheduleFormOpen(true);
                                                 }}
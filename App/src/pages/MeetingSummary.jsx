@@ -0,0 +1,334 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { AnimatePresence } from 'framer-motion';
+import { BarChart3, Captions, Check, ClipboardList, Clock, Copy, Download, Film, Loader2, MessageSquare, Share2, Users } from 'lucide-react';
+import Toast from '../components/Toast';
+import { fetchMeetingSummary, shareMeetingSummary, downloadTranscript } from '../api/meetings';
+
+const formatDuration = (seconds) => {
+    if (seconds == null) return '—';
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    if (h > 0) return `${h} h ${m} min`;
+    return m > 0 ? `${m} min` : `${seconds} s`;
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '—');
+
+const END_REASONS = {
+    empty: 'Everyone left',
+    terminated: 'Ended by the host',
+    idle: 'Closed after inactivity',
+};
+
+const cardClass = 'bg-slate-800/40 border border-slate-700/50 rounded-2xl p-4';
+
+const Section = ({ icon, title, count, children }) => (
+    <section className={cardClass}>
+        <h2 className="flex items-center gap-2 font-semibold mb-3">
+            {icon} {title}
+            {count != null && <span className="text-xs font-normal text-slate-400">({count})</span>}
+        </h2>
+        {children}
+    </section>
+);
+
+const Stat = ({ label, value }) => (
+    <div className={cardClass}>
+        <p className="text-xs text-slate-400">{label}</p>
+        <p className="text-xl font-semibold">{value}</p>
+    </div>
+);
+
+// Post-meeting summary (/meeting/:meetingId/summary): one session's duration, attendees, chat, polls,
+// recordings, transcript and moderator actions. The host can share it with the attendees.
+const MeetingSummaryPage = () => {
+    const { meetingId } = useParams();
+    const role = (localStorage.getItem('role') || '').toLowerCase();
+    const homePath = role === 'admin' ? '/meeting' : '/home';
+
+    const [sessionId, setSessionId] = useState('');
+    const [summary, setSummary] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [isSharing, setIsSharing] = useState(false);
+    const [downloading, setDownloading] = useState(null);
+    const [copied, setCopied] = useState(false);
+    const [activeToast, setActiveToast] = useState(null);
+
+    const showToast = useCallback((toastData) => {
+        setActiveToast({ id: Date.now(), ...toastData });
+    }, []);
+
+    useEffect(() => {
+        let cancelled = false;
+        setIsLoading(true);
+        setError(null);
+        fetchMeetingSummary(meetingId, { sessionId: sessionId || undefined })
+            .then((data) => !cancelled && setSummary(data))
+            .catch((e) => !cancelled && setError(e.details === 'summary_not_shared'
+                ? "The host hasn't shared this meeting's summary yet."
+                : (e.message || 'Failed to load the summary.')))
+            .finally(() => !cancelled && setIsLoading(false));
+        return () => { cancelled = true; };
+    }, [meetingId, sessionId]);
+
+    const summaryUrl = `${window.location.origin}/meeting/${meetingId}/summary`;
+
+    const handleShare = async (shared) => {
+        setIsSharing(true);
+        try {
+            const { sharedAt } = await shareMeetingSummary(meetingId, shared);
+            setSummary(prev => ({ ...prev, sharedAt }));
+            showToast({
+                title: shared ? 'Summary shared' : 'Sharing stopped',
+                message: shared ? 'Attendees and invitees can open it with the link.' : 'Only you and admins can see the summary now.',
+                type: 'success',
+            });
+        } catch (e) {
+            showToast({ title: 'Could not update sharing', message: e.message || 'Please try again.', type: 'error' });
+        } finally {
+            setIsSharing(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(summaryUrl);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (e) {
+            console.warn('[Summary] Could not copy the link', e);
+        }
+    };
+
+    const handleTranscript = async (format) => {
+        setDownloading(format);
+        try {
+            await downloadTranscript(meetingId, format, { sessionId: summary.session.id });
+        } catch (e) {
+            showToast({ title: 'Download failed', message: e.message || 'Could not export the transcript.', type: 'error' });
+        } finally {
+            setDownloading(null);
+        }
+    };
+
+    const session = summary?.session;
+    const attendees = summary?.attendance?.attendees || [];
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-950 to-slate-900 text-white p-4 sm:p-6 lg:p-8">
+            <div className="fixed top-5 left-1/2 -translate-x-1/2 sm:left-auto sm:translate-x-0 sm:right-5 w-full max-w-sm px-4 sm:px-0 z-[80]">
+                <AnimatePresence>{activeToast && <Toast key={activeToast.id} toast={activeToast} onClose={() => setActiveToast(null)} />}</AnimatePresence>
+            </div>
+
+            <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-6">
+                <div className="flex items-center gap-3 min-w-0">
+                    <div className="p-3 bg-gradient-to-br from-blue-500/20 to-purple-500/20 rounded-xl">
+                        <ClipboardList className="text-blue-400" size={24} />
+                    </div>
+                    <div className="min-w-0">
+                        <h1 className="text-2xl font-bold truncate">{summary?.meeting.name || 'Meeting summary'}</h1>
+                        <p className="text-slate-400 text-sm">
+                            {session ? `${new Date(session.startedAt).toLocaleString()}${session.endedAt ? '' : ' · still running'}` : 'Meeting summary'}
+                        </p>
+                    </div>
+                    {isLoading && <Loader2 size={18} className="animate-spin text-slate-400" />}
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                    {summary?.sessions.length > 1 && (
+                        <select
+                            value={sessionId || session?.id || ''}
+                            onChange={(e) => setSessionId(e.target.value)}
+                            className="px-2 py-1.5 rounded-md bg-slate-800 border border-slate-700 text-sm"
+                        >
+                            {summary.sessions.map(s => <option key={s.id} value={s.id}>{new Date(s.startedAt).toLocaleString()}</option>)}
+                        </select>
+                    )}
+                    {summary?.canManage && (
+                        <button
+                            onClick={() => handleShare(!summary.sharedAt)}
+                            disabled={isSharing}
+                            className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm disabled:opacity-50 ${summary.sharedAt ? 'bg-slate-700 hover:bg-slate-600' : 'bg-blue-600 hover:bg-blue-500'}`}
+                        >
+                            <Share2 size={14} /> {summary.sharedAt ? 'Stop sharing' : 'Share with attendees'}
+                        </button>
+                    )}
+                    {summary?.sharedAt && (
+                        <button type="button" onClick={handleCopy} className="flex items-center gap-1.5 px-3 py-1.5 rounded-md bg-slate-700 hover:bg-slate-600 text-sm">
+                            {copied ? <Check size={14} className="text-emerald-400" /> : <Copy size={14} />} Copy link
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            {error ? (
+                <div className={`${cardClass} max-w-xl`}>
+                    <p className="text-slate-300 text-sm">{error}</p>
+                    <Link to={homePath} className="inline-block mt-3 text-sm text-blue-400 hover:text-blue-300">Back to home</Link>
+                </div>
+            ) : summary && !session ? (
+                <p className="text-slate-400 text-sm">This meeting hasn't been held yet.</p>
+            ) : session && (
+                <div className="space-y-6">
+                    <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                        <Stat label="Duration" value={formatDuration(session.durationSeconds)} />
+                        <Stat label="Attendees" value={attendees.length} />
+                        <Stat label="Most at once" value={session.peakParticipants} />
+                        <Stat label="Ended" value={session.endedAt ? formatTime(session.endedAt) : 'Running'} />
+                    </div>
+                    {session.endReason && <p className="text-xs text-slate-400 -mt-3">{END_REASONS[session.endReason]}</p>}
+
+                    <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+                        <Section icon={<Users size={16} className="text-blue-400" />} title="Attendees" count={attendees.length}>
+                            {attendees.length === 0 ? (
+                                <p className="text-slate-400 text-sm">No joins were recorded for this session.</p>
+                            ) : (
+                                <div className="max-h-80 overflow-y-auto thin-scrollbar">
+                                    <table className="w-full text-sm">
+                                        <thead>
+                                            <tr className="text-left text-xs text-slate-400">
+                                                <th className="py-1 pr-2 font-medium">Name</th>
+                                                <th className="py-1 pr-2 font-medium">Joined</th>
+                                                <th className="py-1 pr-2 font-medium">Left</th>
+                                                <th className="py-1 font-medium">Time</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-slate-800">
+                                            {attendees.map(a => (
+                                                <tr key={`${a.userUid || ''}:${a.displayName}`}>
+                                                    <td className="py-1.5 pr-2">
+                                                        <p className="truncate">{a.displayName || 'Guest'}{a.role !== 'participant' && <span className="ml-1 text-xs text-purple-300">{a.role}</span>}</p>
+                                                        {a.email && <p className="text-xs text-slate-400 truncate">{a.email}</p>}
+                                                    </td>
+                                                    <td className="py-1.5 pr-2 text-slate-300">{formatTime(a.firstJoinedAt)}</td>
+                                                    <td className="py-1.5 pr-2 text-slate-300">{a.hasOpenSession ? 'Still in' : formatTime(a.lastLeftAt)}</td>
+                                                    <td className="py-1.5 text-slate-300">{formatDuration(a.totalSeconds)}{a.sessions > 1 ? ` · ${a.sessions} joins` : ''}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </Section>
+
+                        <Section icon={<MessageSquare size={16} className="text-blue-400" />} title="Chat" count={summary.messages.length}>
+                            {summary.messages.length === 0 ? (
+                                <p className="text-slate-400 text-sm">No messages were sent to everyone.</p>
+                            ) : (
+                                <div className="max-h-80 overflow-y-auto thin-scrollbar divide-y divide-slate-800">
+                                    {summary.messages.map(m => (
+                                        <div key={m.id} className="py-1.5">
+                                            <div className="flex items-center gap-2 text-xs text-slate-400">
+                                                <span className="font-medium text-slate-200">{m.senderName}</span>
+                                                <span className="ml-auto">{formatTime(m.createdAt)}</span>
+                                            </div>
+                                            <p className="text-sm text-slate-200 whitespace-pre-wrap break-words">{m.body}</p>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </Section>
+
+                        <Section icon={<BarChart3 size={16} className="text-blue-400" />} title="Polls" count={summary.polls.length}>
+                            {summary.polls.length === 0 ? (
+                                <p className="text-slate-400 text-sm">No polls were run.</p>
+                            ) : (
+                                <div className="space-y-4">
+                                    {summary.polls.map(poll => (
+                                        <div key={poll.id}>
+                                            <p className="text-sm font-medium">{poll.question}</p>
+                                            <p className="text-xs text-slate-400 mb-1">{poll.totalVoters} {poll.totalVoters === 1 ? 'voter' : 'voters'}{poll.anonymous ? ' · anonymous' : ''}</p>
+                                            {poll.options.map((option, index) => {
+                                                const share = poll.totalVoters ? Math.round((option.votes / poll.totalVoters) * 100) : 0;
+                                                return (
+                                                    <div key={index} className="mb-1">
+                                                        <div className="flex justify-between text-xs text-slate-300">
+                                                            <span className="truncate">{option.text}</span>
+                                                            <span>{option.votes} ({share}%)</span>
+                                                        </div>
+                                                        <div className="h-1.5 rounded-full bg-slate-700">
+                                                            <div className="h-1.5 rounded-full bg-blue-500" style={{ width: `${share}%` }} />
+                                                        </div>
+                                                    </div>
+                                                );
+                                            })}
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </Section>
+
+                        <div className="space-y-6">
+                            <Section icon={<Film size={16} className="text-blue-400" />} title="Recordings" count={summary.recordings.length}>
+                                {summary.recordings.length === 0 ? (
+                                    <p className="text-slate-400 text-sm">No recordings {summary.canManage ? 'were saved' : 'were shared with you'}.</p>
+                                ) : (
+                                    <div className="divide-y divide-slate-800">
+                                        {summary.recordings.map(r => (
+                                            <div key={r.id} className="flex items-center gap-2 py-1.5">
+                                                <div className="min-w-0 flex-grow">
+                                                    <p className="text-sm truncate">{r.title}</p>
+                                                    <p className="text-xs text-slate-400">{formatTime(r.startedAt || r.createdAt)}{r.durationSeconds != null ? ` · ${formatDuration(r.durationSeconds)}` : ''}</p>
+                                                </div>
+                                                <a href={r.playbackUrl} target="_blank" rel="noreferrer" className="px-2 py-1 rounded-md bg-slate-700 hover:bg-slate-600 text-xs">Watch</a>
+                                                <a href={r.downloadUrl} className="p-1.5 rounded-md bg-slate-700 hover:bg-slate-600" title="Download"><Download size={14} /></a>
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                                {summary.canManage && summary.recordings.length > 0 && (
+                                    <Link to="/recordings" className="inline-block mt-2 text-xs text-blue-400 hover:text-blue-300">Manage sharing in Recordings</Link>
+                                )}
+                            </Section>
+
+                            <Section icon={<Captions size={16} className="text-blue-400" />} title="Transcript">
+                                {summary.transcript.segments === 0 ? (
+                                    <p className="text-slate-400 text-sm">Captions were not turned on.</p>
+                                ) : (
+                                    <div className="flex flex-wrap items-center gap-2">
+                                        <p className="text-sm text-slate-300 mr-auto">{summary.transcript.segments} {summary.transcript.segments === 1 ? 'line' : 'lines'}</p>
+                                        {[['txt', 'Download TXT'], ['json', 'Download JSON']].map(([format, label]) => (
+                                            <button
+                                                key={format}
+                                                disabled={!!downloading}
+                                                onClick={() => handleTranscript(format)}
+                                                className="flex items-center gap-1.5 px-3 py-1.5 rounded-md bg-slate-700 hover:bg-slate-600 text-xs disabled:opacity-50"
+                                            >
+                                                <Download size={14} /> {downloading === format ? 'Downloading…' : label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                )}
+                            </Section>
+                        </div>
+                    </div>
+
+                    <Section icon={<Clock size={16} className="text-blue-400" />} title="Moderator actions" count={summary.actions.length}>
+                        {summary.actions.length === 0 ? (
+                            <p className="text-slate-400 text-sm">No one was removed, muted or given a new role.</p>
+                        ) : (
+                            <div className="max-h-80 overflow-y-auto thin-scrollbar divide-y divide-slate-800">
+                                {summary.actions.map(action => (
+                                    <div key={action.id} className="flex items-center gap-3 py-1.5 text-sm">
+                                        <span className="text-xs text-slate-400 w-14 flex-shrink-0">{formatTime(action.createdAt)}</span>
+                                        <span className="min-w-0 flex-grow truncate">
+                                            {action.label}
+                                            {action.targetName && <span className="text-slate-300">: {action.targetName}</span>}
+                                            {action.requestedByName && <span className="text-xs text-slate-400"> · by {action.requestedByName}</span>}
+                                        </span>
+                                        {(action.status === 'error' || action.status === 'expired') && (
+                                            <span className="text-xs text-red-400 flex-shrink-0">{action.status === 'error' ? 'Failed' : 'Expired'}</span>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </Section>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default MeetingSummaryPage;
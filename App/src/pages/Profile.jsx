@@ -5,7 +5,7 @@ import {
     User, Mail, Lock, Camera, Save, ArrowLeft, 
     Eye, EyeOff, Upload, Edit3,
     Shield,
-    ImageIcon, Trash2
+    ImageIcon, Trash2, CalendarDays, Copy
 } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import defaultProfileImage from '../assets/default-profile.svg';
@@ -23,6 +23,7 @@ import {
     removeCloudProfileImage
 } from '../utils/profileUtils';
 import Toast from '../components/Toast';
+import { createCalendarFeed, revokeCalendarFeed } from '../api/meetings';
 
 const ProfilePage = () => {
     const navigate = useNavigate();
@@ -57,6 +58,8 @@ const ProfilePage = () => {
     const [dragActive, setDragActive] = useState(false);
     const [imagePreview, setImagePreview] = useState(null);
     const [activeTab, setActiveTab] = useState('personal'); // 'personal' | 'security'
+    const [calendarFeedUrl, setCalendarFeedUrl] = useState('');
+    const [isCalendarFeedBusy, setIsCalendarFeedBusy] = useState(false);
 
     // Load profile data on component mount with smooth entry animation
     useEffect(() => {
@@ -101,6 +104,33 @@ const ProfilePage = () => {
         setActiveToast({ id: Date.now(), ...toastData });
     };
 
+    // Calendar feed: the server keeps only a digest, so the URL is shown right after it is created
+    const handleCreateCalendarFeed = async () => {
+        setIsCalendarFeedBusy(true);
+        try {
+            const { feedUrl } = await createCalendarFeed();
+            setCalendarFeedUrl(feedUrl);
+            showToast({ type: 'success', title: 'Calendar Feed', message: 'New feed URL created. Older URLs no longer work.' });
+        } catch (error) {
+            showToast({ type: 'error', title: 'Calendar Feed', message: error.message || 'Failed to create feed URL.' });
+        } finally {
+            setIsCalendarFeedBusy(false);
+        }
+    };
+
+    const handleRevokeCalendarFeed = async () => {
+        setIsCalendarFeedBusy(true);
+        try {
+            await revokeCalendarFeed();
+            setCalendarFeedUrl('');
+            showToast({ type: 'success', title: 'Calendar Feed', message: 'Calendar feed turned off.' });
+        } catch (error) {
+            showToast({ type: 'error', title: 'Calendar Feed', message: error.message || 'Failed to turn off feed.' });
+        } finally {
+            setIsCalendarFeedBusy(false);
+        }
+    };
+
     // Handle profile image upload with enhanced animations
     const handleImageUpload = async (file) => {
         if (!file) return;
@@ -730,6 +760,50 @@ const ProfilePage = () => {
                                     </motion.button>
                                 </div>
                             </div>
+
+                            {/* Calendar feed */}
+                            <div className="mt-8 pt-6 border-t border-slate-700/40">
+                                <h3 className="text-base font-semibold text-white mb-1 flex items-center gap-2">
+                                    <CalendarDays className="text-blue-400" size={18} />
+                                    Calendar Feed
+                                </h3>
+                                <p className="text-sm text-slate-400 mb-4">
+                                    Subscribe to this URL in Outlook, Google Calendar or Apple Calendar to see the meetings you create or are invited to.
+                                    Anyone with the URL can read the feed, so keep it private. It is only shown once; reset it if it leaks.
+                                </p>
+                                {calendarFeedUrl && (
+                                    <div className="flex items-center bg-slate-800/50 border border-slate-600/50 rounded-xl p-2 mb-4">
+                                        <input
+                                            type="text"
+                                            readOnly
+                                            value={calendarFeedUrl}
+                                            className="flex-grow bg-transparent text-slate-300 text-xs outline-none px-2 select-all"
+                                        />
+                                        <button
+                                            onClick={() => navigator.clipboard.writeText(calendarFeedUrl).then(() => showToast({ type: 'success', title: 'Copied', message: 'Feed URL copied to clipboard.' }))}
+                                            className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium bg-blue-600 hover:bg-blue-500 text-white transition-colors"
+                                        >
+                                            <Copy size={14} /> Copy
+                                        </button>
+                                    </div>
+                                )}
+                                <div className="flex gap-3">
+                                    <button
+                                        onClick={handleCreateCalendarFeed}
+                                        disabled={isCalendarFeedBusy}
+                                        className="px-4 py-2 rounded-xl text-sm font-medium bg-blue-600 hover:bg-blue-500 text-white transition-colors disabled:opacity-50"
+                                    >
+                                        {calendarFeedUrl ? 'Reset Feed URL' : 'Get Feed URL'}
+                                    </button>
+                                    <button
+                                        onClick={handleRevokeCalendarFeed}
+                                        disabled={isCalendarFeedBusy}
+                                        className="px-4 py-2 rounded-xl text-sm font-medium bg-slate-700 hover:bg-slate-600 text-slate-200 transition-colors disabled:opacity-50"
+                                    >
+                                        Turn Off Feed
+                                    </button>
+                                </div>
+                            </div>
                         </div>
                         )}
                     </motion.div>
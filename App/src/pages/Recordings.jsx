@@ -0,0 +1,297 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AnimatePresence } from 'framer-motion';
+import { Check, Copy, Download, Film, Link2, Loader2, Trash2 } from 'lucide-react';
+import Toast from '../components/Toast';
+import { fetchRecordings, fetchRecording, updateRecording, createRecordingShareLink, deleteRecording } from '../api/meetings';
+
+const VISIBILITY_OPTIONS = [
+    { value: 'private', label: 'Only me' },
+    { value: 'participants', label: 'Meeting participants' },
+    { value: 'link', label: 'Anyone with the link' },
+];
+
+const RETENTION_OPTIONS = [
+    { value: '', label: 'Keep until deleted' },
+    { value: '7', label: '7 days' },
+    { value: '30', label: '30 days' },
+    { value: '90', label: '90 days' },
+    { value: '365', label: '1 year' },
+];
+
+const formatDuration = (seconds) => {
+    if (seconds == null) return null;
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = seconds % 60;
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}` : `${m}:${String(s).padStart(2, '0')}`;
+};
+
+const formatSize = (bytes) => {
+    if (bytes == null) return null;
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+const selectClass = 'px-2 py-1.5 rounded-md bg-slate-800 border border-slate-700 text-sm';
+
+// Recording library (/recordings): recordings the user owns and those shared with them, with a
+// player, download, and the owner's sharing, retention and delete controls.
+const RecordingsPage = () => {
+    const role = (localStorage.getItem('role') || '').toLowerCase();
+    const isAdmin = role === 'admin' || role === 'superadmin';
+
+    const [scope, setScope] = useState('mine'); // 'mine' | 'all' (admins only)
+    const [recordings, setRecordings] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [titleDraft, setTitleDraft] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [shareUrl, setShareUrl] = useState(null);
+    const [copied, setCopied] = useState(false);
+    const [activeToast, setActiveToast] = useState(null);
+
+    const showToast = useCallback((toastData) => {
+        setActiveToast({ id: Date.now(), ...toastData });
+    }, []);
+
+    const load = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            setRecordings(await fetchRecordings({ scope }));
+        } catch (e) {
+            setError(e.message || 'Failed to load recordings.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [scope]);
+
+    useEffect(() => { load(); }, [load]);
+
+    const replaceRecording = (recording) => {
+        setRecordings(list => list.map(r => (r.id === recording.id ? recording : r)));
+        setSelected(recording);
+    };
+
+    // Reload on open so the signed playback URL is fresh
+    const handleOpen = async (recording) => {
+        setSelected(recording);
+        setTitleDraft(recording.title);
+        setShareUrl(null);
+        try {
+            replaceRecording(await fetchRecording(recording.id));
+        } catch (e) {
+            showToast({ title: 'Could not open recording', message: e.message || 'Please try again.', type: 'error' });
+        }
+    };
+
+    const handleUpdate = async (changes, successMessage) => {
+        setIsSaving(true);
+        try {
+            const updated = await updateRecording(selected.id, changes);
+            replaceRecording(updated);
+            if (changes.visibility && changes.visibility !== 'link') setShareUrl(null);
+            showToast({ title: 'Saved', message: successMessage, type: 'success' });
+        } catch (e) {
+            showToast({ title: 'Save failed', message: e.message || 'Could not update the recording.', type: 'error' });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleShareLink = async () => {
+        setIsSaving(true);
+        try {
+            const { recording, sharePath } = await createRecordingShareLink(selected.id);
+            replaceRecording(recording);
+            setShareUrl(`${window.location.origin}${sharePath}`);
+        } catch (e) {
+            showToast({ title: 'Could not create a link', message: e.message || 'Please try again.', type: 'error' });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(shareUrl);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (e) {
+            console.warn('[Recordings] Could not copy the share link', e);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete "${selected.title}"? This cannot be undone.`)) return;
+        setIsSaving(true);
+        try {
+            await deleteRecording(selected.id);
+            setRecordings(list => list.filter(r => r.id !== selected.id));
+            setSelected(null);
+            showToast({ title: 'Deleted', message: 'The recording was deleted.', type: 'success' });
+        } catch (e) {
+            showToast({ title: 'Delete failed', message: e.message || 'Could not delete the recording.', type: 'error' });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-950 to-slate-900 text-white p-4 sm:p-6 lg:p-8">
+            <div className="fixed top-5 left-1/2 -translate-x-1/2 sm:left-auto sm:translate-x-0 sm:right-5 w-full max-w-sm px-4 sm:px-0 z-[80]">
+                <AnimatePresence>{activeToast && <Toast key={activeToast.id} toast={activeToast} onClose={() => setActiveToast(null)} />}</AnimatePresence>
+            </div>
+
+            <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-6">
+                <div className="flex items-center gap-3">
+                    <div className="p-3 bg-gradient-to-br from-blue-500/20 to-purple-500/20 rounded-xl">
+                        <Film className="text-blue-400" size={24} />
+                    </div>
+                    <div>
+                        <h1 className="text-2xl font-bold">Recordings</h1>
+                        <p className="text-slate-400 text-sm">Your meeting recordings and the ones shared with you.</p>
+                    </div>
+                    {isLoading && <Loader2 size={18} className="animate-spin text-slate-400" />}
+                </div>
+                {isAdmin && (
+                    <div className="flex bg-slate-800/60 border border-slate-700/50 rounded-xl p-1 self-start">
+                        {['mine', 'all'].map(value => (
+                            <button
+                                key={value}
+                                onClick={() => { setScope(value); setSelected(null); }}
+                                className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${scope === value ? 'bg-blue-600 text-white' : 'text-slate-300 hover:text-white'}`}
+                            >
+                                {value === 'mine' ? 'Mine' : 'All'}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-[minmax(0,1fr)_minmax(0,2fr)] gap-6">
+                <div className="bg-slate-800/40 border border-slate-700/50 rounded-2xl overflow-hidden">
+                    {error ? (
+                        <p className="p-4 text-red-400 text-sm">{error}</p>
+                    ) : !isLoading && recordings.length === 0 ? (
+                        <p className="p-4 text-slate-400 text-sm">No recordings yet. Recordings appear here once a recorded meeting ends.</p>
+                    ) : (
+                        <div className="divide-y divide-slate-700/50 max-h-[70vh] overflow-y-auto thin-scrollbar">
+                            {recordings.map(r => (
+                                <button
+                                    key={r.id}
+                                    onClick={() => handleOpen(r)}
+                                    className={`w-full text-left px-4 py-3 transition-colors ${selected?.id === r.id ? 'bg-blue-600/20' : 'hover:bg-slate-700/40'}`}
+                                >
+                                    <p className="font-medium truncate">{r.title}</p>
+                                    <p className="text-xs text-slate-400">
+                                        {new Date(r.startedAt || r.createdAt).toLocaleString()}
+                                        {r.durationSeconds != null ? ` · ${formatDuration(r.durationSeconds)}` : ''}
+                                        {r.sizeBytes != null ? ` · ${formatSize(r.sizeBytes)}` : ''}
+                                    </p>
+                                    {!r.canManage && <p className="text-xs text-purple-300">Shared with you</p>}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                <div className="bg-slate-800/40 border border-slate-700/50 rounded-2xl p-4">
+                    {!selected ? (
+                        <p className="text-slate-400 text-sm">Select a recording to watch it.</p>
+                    ) : (
+                        <div className="space-y-4">
+                            {/* key: restart the player when another recording (or a fresh URL) is picked */}
+                            <video key={selected.playbackUrl} src={selected.playbackUrl} controls preload="metadata" className="w-full rounded-lg bg-black max-h-[60vh]" />
+
+                            <div className="flex flex-wrap items-center justify-between gap-2">
+                                <div className="min-w-0">
+                                    <h2 className="text-lg font-semibold truncate">{selected.title}</h2>
+                                    <p className="text-xs text-slate-400">
+                                        {selected.meetingName ? `${selected.meetingName} · ` : ''}{selected.fileName}
+                                        {selected.expiresAt ? ` · deleted on ${new Date(selected.expiresAt).toLocaleDateString()}` : ''}
+                                    </p>
+                                </div>
+                                <a href={selected.downloadUrl} className="flex items-center gap-1.5 px-3 py-1.5 rounded-md bg-slate-700 hover:bg-slate-600 text-sm">
+                                    <Download size={14} /> Download
+                                </a>
+                            </div>
+
+                            {selected.canManage && (
+                                <div className="space-y-3 border-t border-slate-700/50 pt-4">
+                                    <div className="flex items-center gap-2">
+                                        <input
+                                            type="text"
+                                            value={titleDraft}
+                                            maxLength={200}
+                                            onChange={(e) => setTitleDraft(e.target.value)}
+                                            className="flex-grow px-2 py-1.5 rounded-md bg-slate-800 border border-slate-700 text-sm"
+                                        />
+                                        <button
+                                            onClick={() => handleUpdate({ title: titleDraft }, 'Recording renamed.')}
+                                            disabled={isSaving || !titleDraft.trim() || titleDraft.trim() === selected.title}
+                                            className="px-3 py-1.5 rounded-md bg-blue-600 hover:bg-blue-500 text-sm disabled:opacity-50"
+                                        >
+                                            Rename
+                                        </button>
+                                    </div>
+
+                                    <div className="flex flex-wrap items-center gap-4">
+                                        <label className="flex items-center gap-2 text-sm text-slate-300">
+                                            Who can watch
+                                            <select
+                                                value={selected.visibility}
+                                                disabled={isSaving}
+                                                onChange={(e) => (e.target.value === 'link'
+                                                    ? handleShareLink()
+                                                    : handleUpdate({ visibility: e.target.value }, 'Sharing updated.'))}
+                                                className={selectClass}
+                                            >
+                                                {VISIBILITY_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                                            </select>
+                                        </label>
+                                        <label className="flex items-center gap-2 text-sm text-slate-300">
+                                            Keep
+                                            <select
+                                                value={selected.retentionDays ? String(selected.retentionDays) : ''}
+                                                disabled={isSaving}
+                                                onChange={(e) => handleUpdate({ retentionDays: e.target.value ? Number(e.target.value) : null }, 'Retention updated.')}
+                                                className={selectClass}
+                                            >
+                                                {selected.retentionDays && !RETENTION_OPTIONS.some(o => o.value === String(selected.retentionDays)) && (
+                                                    <option value={String(selected.retentionDays)}>{selected.retentionDays} days</option>
+                                                )}
+                                                {RETENTION_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                                            </select>
+                                        </label>
+                                        <button onClick={handleDelete} disabled={isSaving} className="flex items-center gap-1.5 ml-auto px-3 py-1.5 rounded-md text-red-400 hover:bg-red-500/10 text-sm disabled:opacity-50">
+                                            <Trash2 size={14} /> Delete
+                                        </button>
+                                    </div>
+                                    <p className="text-xs text-slate-500">Retention counts from when the recording was saved.</p>
+
+                                    {selected.visibility === 'link' && (shareUrl ? (
+                                        <div className="flex items-center gap-2">
+                                            <input readOnly value={shareUrl} onFocus={(e) => e.target.select()} className="flex-grow px-2 py-1 rounded-md bg-slate-900 border border-slate-700 text-xs font-mono" />
+                                            <button type="button" onClick={handleCopy} title="Copy link" className="p-1.5 rounded-md bg-slate-700 hover:bg-slate-600">
+                                                {copied ? <Check size={14} className="text-emerald-400" /> : <Copy size={14} />}
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <button onClick={handleShareLink} disabled={isSaving} className="flex items-center gap-1.5 text-xs text-blue-400 hover:text-blue-300 disabled:opacity-50">
+                                            <Link2 size={12} /> Create a new link (the current one stops working)
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RecordingsPage;
@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { CalendarDays, Check, Copy, Loader2, UserPlus } from 'lucide-react';
+import { fetchRegistrationForm, registerForMeeting } from '../api/meetings';
+
+const formatStart = (iso, timeZone) => {
+    if (!iso) return null;
+    try {
+        return new Date(iso).toLocaleString([], { dateStyle: 'full', timeStyle: 'short', timeZone });
+    } catch {
+        return new Date(iso).toLocaleString();
+    }
+};
+
+const inputClass = 'w-full bg-slate-900/70 border border-slate-700 rounded-lg px-4 py-2.5 outline-none focus:ring-2 focus:ring-cyan-500 focus:border-cyan-500 transition-all';
+
+// Public webinar registration page (/register/:meetingId). The personal join link shown after
+// signing up is the registrant's way in; it cannot be shown again.
+export default function Register() {
+    const { meetingId } = useParams();
+    const [form, setForm] = useState(null);
+    const [loadError, setLoadError] = useState('');
+    const [values, setValues] = useState({ name: '', email: '', answers: {} });
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [submitError, setSubmitError] = useState('');
+    const [result, setResult] = useState(null);
+    const [copied, setCopied] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchRegistrationForm(meetingId)
+            .then((data) => !cancelled && setForm(data))
+            .catch((e) => !cancelled && setLoadError(e.status === 404 ? 'This webinar is not open for registration.' : (e.message || 'Could not load the registration form.')));
+        return () => { cancelled = true; };
+    }, [meetingId]);
+
+    const setAnswer = (id, value) => setValues(v => ({ ...v, answers: { ...v.answers, [id]: value } }));
+
+    const canSubmit = form && !form.isFull && !isSubmitting
+        && values.name.trim() && values.email.trim()
+        && form.fields.every(f => !f.required || (values.answers[f.id] || '').trim());
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!canSubmit) return;
+        setIsSubmitting(true);
+        setSubmitError('');
+        try {
+            setResult(await registerForMeeting(meetingId, values));
+        } catch (err) {
+            setSubmitError(err.message || 'Registration failed. Please try again.');
+            if (err.details === 'registration_full') setForm(f => ({ ...f, isFull: true }));
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const joinUrl = result ? `${window.location.origin}${result.joinPath}` : '';
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(joinUrl);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (e) {
+            console.warn('[Register] Could not copy the join link', e);
+        }
+    };
+
+    return (
+        <div className="min-h-screen w-full bg-slate-950 text-white flex items-center justify-center p-6">
+            <div className="w-full max-w-lg bg-slate-900/70 border border-slate-700 rounded-2xl p-8 shadow-2xl">
+                {!form && !loadError && (
+                    <p className="flex items-center gap-2 text-slate-400"><Loader2 size={16} className="animate-spin" /> Loading…</p>
+                )}
+                {loadError && <p className="text-red-400">{loadError}</p>}
+
+                {form && (
+                    <>
+                        <p className="text-xs uppercase tracking-wide text-cyan-400 mb-1">Webinar registration</p>
+                        <h1 className="text-2xl font-bold">{form.meeting.name}</h1>
+                        {form.meeting.scheduledFor && (
+                            <p className="mt-2 flex items-center gap-2 text-sm text-slate-300">
+                                <CalendarDays size={16} /> {formatStart(form.meeting.scheduledFor, form.meeting.timeZone)}
+                            </p>
+                        )}
+                        {form.meeting.hostName && <p className="mt-1 text-sm text-slate-400">Hosted by {form.meeting.hostName}</p>}
+                        {form.meeting.purpose && <p className="mt-4 text-sm text-slate-300 whitespace-pre-wrap">{form.meeting.purpose}</p>}
+                    </>
+                )}
+
+                {form && result && (
+                    <div className="mt-6 space-y-3">
+                        <p className="text-emerald-300 font-semibold">
+                            {result.status === 'approved' ? `You're registered, ${result.name}!` : `Thanks, ${result.name}! Your registration is waiting for the organiser's approval.`}
+                        </p>
+                        <p className="text-sm text-slate-300">
+                            This is your personal join link. Keep it: it is the only way in and it cannot be shown again.
+                            {result.status !== 'approved' && ' It starts working once your registration is approved.'}
+                        </p>
+                        <div className="flex items-center gap-2">
+                            <input readOnly value={joinUrl} className={`${inputClass} font-mono text-xs`} onFocus={(e) => e.target.select()} />
+                            <button type="button" onClick={handleCopy} title="Copy link" className="p-2.5 rounded-lg bg-slate-700 hover:bg-slate-600">
+                                {copied ? <Check size={16} className="text-emerald-400" /> : <Copy size={16} />}
+                            </button>
+                        </div>
+                        {result.status === 'approved' && (
+                            <Link to={result.joinPath} className="inline-block text-sm text-cyan-400 hover:text-cyan-300">Go to the webinar →</Link>
+                        )}
+                    </div>
+                )}
+
+                {form && !result && (
+                    form.isFull ? (
+                        <p className="mt-6 text-amber-300">This webinar is full.</p>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="mt-6 space-y-4">
+                            <input type="text" required maxLength={100} value={values.name} onChange={(e) => setValues(v => ({ ...v, name: e.target.value }))} placeholder="Your name" className={inputClass} />
+                            <input type="email" required maxLength={254} value={values.email} onChange={(e) => setValues(v => ({ ...v, email: e.target.value }))} placeholder="Email address" className={inputClass} />
+                            {form.fields.map(field => (
+                                <div key={field.id}>
+                                    <label className="block text-sm text-slate-300 mb-1">{field.label}{field.required && <span className="text-red-400"> *</span>}</label>
+                                    <input type="text" maxLength={1000} required={field.required} value={values.answers[field.id] || ''} onChange={(e) => setAnswer(field.id, e.target.value)} className={inputClass} />
+                                </div>
+                            ))}
+                            {form.requiresApproval && <p className="text-xs text-slate-400">The organiser reviews registrations before they can join.</p>}
+                            {submitError && <p className="text-sm text-red-400">{submitError}</p>}
+                            <button
+                                type="submit"
+                                disabled={!canSubmit}
+                                className="w-full flex items-center justify-center gap-2 py-3 rounded-lg font-semibold bg-cyan-600 hover:bg-cyan-500 disabled:bg-slate-700 disabled:text-slate-400 transition-colors"
+                            >
+                                <UserPlus size={18} /> {isSubmitting ? 'Registering…' : 'Register'}
+                            </button>
+                        </form>
+                    )
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,48 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { Download, Loader2 } from 'lucide-react';
+import { fetchSharedRecording } from '../api/meetings';
+
+// Public page for a recording shared by link (/recordings/shared/:shareKey)
+export default function SharedRecording() {
+    const { shareKey } = useParams();
+    const [recording, setRecording] = useState(null);
+    const [loadError, setLoadError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchSharedRecording(shareKey)
+            .then((data) => !cancelled && setRecording(data))
+            .catch((e) => !cancelled && setLoadError(e.message || 'Could not load the recording.'));
+        return () => { cancelled = true; };
+    }, [shareKey]);
+
+    return (
+        <div className="min-h-screen w-full bg-slate-950 text-white flex items-center justify-center p-6">
+            <div className="w-full max-w-4xl bg-slate-900/70 border border-slate-700 rounded-2xl p-6 shadow-2xl">
+                {!recording && !loadError && (
+                    <p className="flex items-center gap-2 text-slate-400"><Loader2 size={16} className="animate-spin" /> Loading…</p>
+                )}
+                {loadError && <p className="text-red-400">{loadError}</p>}
+
+                {recording && (
+                    <div className="space-y-4">
+                        <video src={recording.playbackUrl} controls preload="metadata" className="w-full rounded-lg bg-black max-h-[70vh]" />
+                        <div className="flex flex-wrap items-center justify-between gap-2">
+                            <div className="min-w-0">
+                                <h1 className="text-xl font-bold truncate">{recording.title}</h1>
+                                <p className="text-sm text-slate-400">
+                                    {new Date(recording.startedAt || recording.createdAt).toLocaleString()}
+                                    {recording.meetingName ? ` · ${recording.meetingName}` : ''}
+                                </p>
+                            </div>
+                            <a href={recording.downloadUrl} className="flex items-center gap-1.5 px-3 py-1.5 rounded-md bg-slate-700 hover:bg-slate-600 text-sm">
+                                <Download size={14} /> Download
+                            </a>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
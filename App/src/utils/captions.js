@@ -0,0 +1,34 @@
+/**
+ * Helpers for live captions. Jigasi joins the conference as the transcriber and Jitsi hands its
+ * results to the page as `transcriptionChunkReceived` events; each utterance keeps one messageID
+ * while its text is refined, until a final chunk arrives.
+ */
+
+// Languages offered when turning captions on (Jitsi transcription language codes)
+export const CAPTION_LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Spanish' },
+  { code: 'fr', label: 'French' },
+  { code: 'de', label: 'German' },
+  { code: 'pt', label: 'Portuguese' },
+  { code: 'hi', label: 'Hindi' },
+];
+
+/**
+ * Read a transcriptionChunkReceived event
+ * @param {Object} evt
+ * @returns {{ messageId: string, speakerId: string|null, speakerName: string, language: string|null, text: string, isFinal: boolean }|null} null when it carries no text
+ */
+export const parseTranscriptionChunk = (evt) => {
+  const data = evt?.data || evt || {};
+  const text = (data.final || [data.stable, data.unstable].filter(Boolean).join(' ') || '').trim();
+  if (!data.messageID || !text) return null;
+  return {
+    messageId: String(data.messageID),
+    speakerId: data.participant?.id || null,
+    speakerName: data.participant?.name || 'Unknown speaker',
+    language: data.language || null,
+    text,
+    isFinal: !!data.final,
+  };
+};
@@ -0,0 +1,30 @@
+/**
+ * Random id for this browser, sent when joining meetings so hosts can ban guests who are not
+ * signed in. Clearing site data or switching browsers gets a new one, so it only keeps out
+ * casual rejoins; account and email bans are the ones that stick.
+ */
+
+const STORAGE_KEY = 'meetingDeviceId';
+
+const randomId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+};
+
+/**
+ * @returns {string} This browser's device id, created on first use
+ */
+export const getDeviceId = () => {
+  try {
+    let id = localStorage.getItem(STORAGE_KEY);
+    if (!id) {
+      id = randomId();
+      localStorage.setItem(STORAGE_KEY, id);
+    }
+    return id;
+  } catch {
+    // Storage blocked (private mode, disabled cookies): the id lasts as long as the page
+    if (!getDeviceId.fallback) getDeviceId.fallback = randomId();
+    return getDeviceId.fallback;
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Helpers for meeting guest lists. Invitees are stored by email and receive
+ * invitation, reminder, update and cancellation emails from the API.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Split free text (commas, semicolons, spaces or new lines) into email addresses
+ * @param {string} text
+ * @returns {{ emails: string[], invalid: string[] }} Lowercased, de-duplicated emails and the entries that are not emails
+ */
+export const parseEmailList = (text) => {
+  const emails = [];
+  const invalid = [];
+  String(text || '')
+    .split(/[\s,;]+/)
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .forEach(entry => {
+      if (!EMAIL_PATTERN.test(entry)) invalid.push(entry);
+      else if (!emails.includes(entry)) emails.push(entry);
+    });
+  return { emails, invalid };
+};
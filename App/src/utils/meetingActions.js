@@ -0,0 +1,34 @@
+/**
+ * Meeting action definitions (shared/meetingActions.json, also used by Api/lib/meetingActions.js).
+ * Actions are queued through POST /meetings/:id/actions, which applies the same rules server-side.
+ */
+import definitions from '../../../shared/meetingActions.json';
+
+export const ACTION_TYPES = Object.keys(definitions.types);
+
+/**
+ * Definition for an action type, or null for unknown types
+ * @param {string} type
+ * @returns {Object|null}
+ */
+export const getActionDefinition = (type) => definitions.types[type] || null;
+
+/**
+ * Check an action payload before sending it
+ * @param {{ type: string, targetParticipantId?: string, platform?: string, streamKey?: string, rtmpUrl?: string, destinationIds?: string[] }} payload
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export const validateAction = (payload) => {
+  const definition = getActionDefinition(payload.type);
+  if (!definition) return [`Unknown action type "${payload.type}"`];
+  // The API fills in the key and URL from the saved destinations
+  if (definition.savedDestinations && Array.isArray(payload.destinationIds) && payload.destinationIds.length > 0) return [];
+
+  const required = [...definition.requires];
+  if (definition.platformRequires && payload.platform) {
+    required.push(...(definition.platformRequires[payload.platform] || definition.platformRequires.default || []));
+  }
+  return required
+    .filter(key => !String(payload[key] || '').trim())
+    .map(key => `${key} is required for ${payload.type}`);
+};
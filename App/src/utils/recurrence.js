@@ -0,0 +1,114 @@
+/**
+ * Recurrence rule helpers. We store a subset of RFC 5545 RRULEs on meetings:
+ * FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (weekly only) and UNTIL or COUNT.
+ * Occurrences are expanded server-side by the `upcoming_meetings` view.
+ */
+
+export const WEEKDAYS = [
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' },
+  { code: 'SU', label: 'Sun' },
+];
+
+const JS_DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Default form state for a recurrence editor
+ * @param {Date|null} start - First occurrence, used to preselect the weekday
+ * @returns {Object}
+ */
+export const createRecurrenceState = (start = null) => ({
+  freq: 'NONE',
+  interval: 1,
+  byDay: start ? [JS_DAY_CODES[start.getDay()]] : [],
+  endType: 'never',
+  until: '',
+  count: 10,
+});
+
+/**
+ * Build an RRULE string from recurrence form state
+ * @param {Object} state - { freq, interval, byDay, endType, until (YYYY-MM-DD), count }
+ * @returns {string|null} - RRULE without the "RRULE:" prefix, or null for one-off meetings
+ */
+export const buildRRule = (state) => {
+  if (!state || !state.freq || state.freq === 'NONE') return null;
+
+  const parts = [`FREQ=${state.freq}`];
+  const interval = parseInt(state.interval, 10);
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (state.freq === 'WEEKLY' && Array.isArray(state.byDay) && state.byDay.length > 0) {
+    const ordered = WEEKDAYS.map(d => d.code).filter(code => state.byDay.includes(code));
+    parts.push(`BYDAY=${ordered.join(',')}`);
+  }
+  if (state.endType === 'until' && state.until) {
+    // End of the chosen local day, expressed in UTC
+    const [y, m, d] = state.until.split('-').map(Number);
+    const endOfDay = new Date(y, m - 1, d, 23, 59, 59);
+    parts.push(`UNTIL=${endOfDay.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  } else if (state.endType === 'count' && parseInt(state.count, 10) > 0) {
+    parts.push(`COUNT=${parseInt(state.count, 10)}`);
+  }
+  return parts.join(';');
+};
+
+/**
+ * Parse an RRULE string into its parts
+ * @param {string} rule
+ * @returns {Object} - e.g. { FREQ: 'WEEKLY', BYDAY: 'MO,WE' }
+ */
+export const parseRRule = (rule) => {
+  const parts = {};
+  (rule || '')
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .filter(Boolean)
+    .forEach(part => {
+      const [key, value] = part.split('=');
+      parts[(key || '').toUpperCase()] = (value || '').toUpperCase();
+    });
+  return parts;
+};
+
+/**
+ * Human readable summary, e.g. "Every 2 weeks on Mon, Wed, 10 times"
+ * @param {string} rule
+ * @returns {string}
+ */
+export const describeRRule = (rule) => {
+  const parts = parseRRule(rule);
+  if (!parts.FREQ) return '';
+
+  const interval = parseInt(parts.INTERVAL || '1', 10);
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[parts.FREQ] || 'period';
+  let text = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+
+  if (parts.BYDAY) {
+    const labels = parts.BYDAY.split(',').map(code => WEEKDAYS.find(d => d.code === code)?.label || code);
+    text += ` on ${labels.join(', ')}`;
+  }
+  if (parts.COUNT) {
+    text += `, ${parts.COUNT} times`;
+  } else if (parts.UNTIL) {
+    const u = parts.UNTIL;
+    const until = new Date(Date.UTC(+u.slice(0, 4), +u.slice(4, 6) - 1, +u.slice(6, 8), +(u.slice(9, 11) || 23), +(u.slice(11, 13) || 59)));
+    text += `, until ${until.toLocaleDateString()}`;
+  }
+  return text;
+};
+
+/**
+ * The browser's IANA time zone, used to step occurrences in local wall-clock time
+ * @returns {string}
+ */
+export const getBrowserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
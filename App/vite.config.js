@@ -33,6 +33,10 @@ export default defineConfig(({ mode }) => {
             usePolling: true,
             interval: 100,
           },
+          // shared/ (action definitions used by both the app and the API) lives next to App/
+          fs: {
+            allow: ['..'],
+          },
         }
       : undefined,
 